@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../hooks/useAuth.js';
 import { Button, Card, Input, Select, Alert } from '../ui/index.js';
+import { getAllSports } from '../../sports/index.js';
 
 /**
  * RegisterForm component with role selection and validation
@@ -18,11 +19,7 @@ export default function RegisterForm({ onSwitchToLogin }) {
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const sports = [
-    { value: 'cricket', label: 'Cricket' },
-    { value: 'football', label: 'Football' },
-    { value: 'basketball', label: 'Basketball' }
-  ];
+  const sports = getAllSports().map(sport => ({ value: sport.id, label: sport.name }));
 
   /**
    * Handle input changes and clear related errors
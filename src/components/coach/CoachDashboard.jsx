@@ -1,7 +1,19 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useSeasons } from '../../hooks/useSeasons.js';
+import { useFixtures } from '../../hooks/useFixtures.js';
 import { firestoreService } from '../../services/firestoreService.js';
+import { matchService } from '../../services/matchService.js';
 import { sportParameterLabels } from '../../models/sportParameters.js';
+import { filterMatchesBySeason, normalizeSuggestions } from '../../models/matchData.js';
+import { getPlayersNeedingAttention } from '../../services/fatigueModel.js';
+import { formatMatchDate, sortByMatchDate } from '../../utils/matchDate.js';
+import NeedsAttention from './NeedsAttention.jsx';
+import PlayerGoals from './PlayerGoals.jsx';
+import MatchEditor from './MatchEditor.jsx';
+import SeasonManager from './SeasonManager.jsx';
+import FixtureManager from './FixtureManager.jsx';
+import { SeasonSelect } from '../shared/index.js';
 import { Card, Button, Badge, LoadingSpinner, Alert } from '../ui/index.js';
 
 /**
@@ -22,6 +34,29 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
   const [expandedPlayers, setExpandedPlayers] = useState(new Set());
   const [playerMatches, setPlayerMatches] = useState({});
   const [matchesLoading, setMatchesLoading] = useState({});
+  const [attention, setAttention] = useState([]);
+  const [editingMatchId, setEditingMatchId] = useState(null);
+  const {
+    seasons,
+    saving: seasonSaving,
+    error: seasonError,
+    addSeason,
+    removeSeason
+  } = useSeasons(userData?.uid);
+  // Selected season ('' for all matches) and its aggregates (see matchService.getTeamSeasonSummary)
+  const [seasonId, setSeasonId] = useState('');
+  const [seasonSummary, setSeasonSummary] = useState(null);
+  const [showSeasons, setShowSeasons] = useState(false);
+  const season = seasons.find(candidate => candidate.id === seasonId) || null;
+  const {
+    fixtures,
+    saving: fixtureSaving,
+    error: fixtureError,
+    addFixture,
+    editFixture,
+    removeFixture
+  } = useFixtures(userData?.uid);
+  const [showFixtures, setShowFixtures] = useState(false);
 
   // Load players and team statistics
   useEffect(() => {
@@ -30,6 +65,28 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     }
   }, [userData]);
 
+  /**
+   * Load the selected season's aggregates; without a season the players' stored
+   * statistics are shown
+   */
+  const loadSeasonSummary = useCallback(async () => {
+    if (!season || !userData?.uid) {
+      setSeasonSummary(null);
+      return;
+    }
+
+    try {
+      setSeasonSummary(await matchService.getTeamSeasonSummary(userData.uid, season));
+    } catch (err) {
+      console.error('Error loading season summary:', err);
+      setSeasonSummary(null);
+    }
+  }, [season, userData?.uid]);
+
+  useEffect(() => {
+    loadSeasonSummary();
+  }, [loadSeasonSummary]);
+
   /**
    * Load all dashboard data including players and team statistics
    */
@@ -44,6 +101,7 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
 
       // Calculate team statistics
       calculateTeamStats(playersData);
+      loadAttention(playersData);
     } catch (err) {
       console.error('Error loading dashboard data:', err);
       setError(err.message || 'Failed to load dashboard data');
@@ -52,6 +110,23 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     }
   };
 
+  /**
+   * Flag players showing signs of fatigue or injury risk from the coach's matches.
+   * A failure here leaves the list empty rather than failing the dashboard.
+   * @param {Array} playersData - Array of player data
+   */
+  const loadAttention = async (playersData) => {
+    try {
+      const coachMatches = await firestoreService.query('matches', [
+        { field: 'coachId', operator: '==', value: userData.uid }
+      ]);
+      setAttention(getPlayersNeedingAttention(playersData, coachMatches));
+    } catch (err) {
+      console.error('Error loading player fatigue flags:', err);
+      setAttention([]);
+    }
+  };
+
   /**
    * Calculate team performance statistics
    * @param {Array} playersData - Array of player data
@@ -87,6 +162,42 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     onDataLoaded?.({ players: playersData, teamStats: stats });
   };
 
+  /**
+   * A player's statistics in the selected season, or overall when no season is selected
+   * @param {Object} player - Player record
+   * @returns {Object} { currentScore, matchCount, averageScore }
+   */
+  const getPlayerStats = (player) => {
+    if (!seasonSummary) {
+      return {
+        currentScore: player.currentScore || 0,
+        matchCount: player.matchCount || 0,
+        averageScore: player.averageScore || 0
+      };
+    }
+
+    const summary = seasonSummary.players[player.id];
+    return {
+      currentScore: summary?.latestScore ?? 0,
+      matchCount: summary?.matchesPlayed ?? 0,
+      averageScore: summary?.averageScore ?? 0
+    };
+  };
+
+  // Team statistics for the selected season, or overall
+  const displayedStats = seasonSummary
+    ? {
+      totalPlayers: teamStats.totalPlayers,
+      averageScore: seasonSummary.averageScore,
+      totalMatches: seasonSummary.matchesPlayed,
+      topPerformer: players
+        .filter(player => getPlayerStats(player).matchCount > 0)
+        .reduce((top, player) => (!top || getPlayerStats(player).averageScore > getPlayerStats(top).averageScore
+          ? player
+          : top), null)
+    }
+    : teamStats;
+
   /**
    * Get performance status color based on score
    * @param {number} score - Performance score
@@ -109,6 +220,16 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     return 'Needs Improvement';
   };
 
+  /**
+   * Format a stored peer percentile for the match table
+   * @param {Object} [result] - Percentile result ({ percentile, sampleSize })
+   * @returns {string} Percentile, or a dash when there were too few peer matches
+   */
+  const formatPercentile = (result) => {
+    if (typeof result?.percentile !== 'number') return '—';
+    return `${result.percentile} (of ${result.sampleSize})`;
+  };
+
   /**
    * Load recent matches for a specific player
    */
@@ -134,14 +255,8 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
       const seen = new Set(byId.map(m => m.id));
       const merged = [...byId, ...byEmail.filter(m => !seen.has(m.id))];
 
-      // Sort newest first
-      merged.sort((a, b) => {
-        const aTime = a.date?.toMillis?.() || new Date(a.date || 0).getTime();
-        const bTime = b.date?.toMillis?.() || new Date(b.date || 0).getTime();
-        return bTime - aTime;
-      });
-
-      setPlayerMatches(prev => ({ ...prev, [key]: merged.slice(0, 10) }));
+      // Sort newest first by match date; the table shows the latest 10 in the selected season
+      setPlayerMatches(prev => ({ ...prev, [key]: sortByMatchDate(merged) }));
     } catch (err) {
       console.error('Error loading matches for player:', player.name, err);
       setPlayerMatches(prev => ({ ...prev, [key]: [] }));
@@ -150,6 +265,29 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     }
   };
 
+  /**
+   * Show a corrected match in the player's table and refresh the team statistics,
+   * which the correction recalculated
+   * @param {Object} player - Player record
+   * @param {Object} updated - Updated match (see matchService.updateMatch)
+   */
+  const handleMatchCorrected = async (player, updated) => {
+    setPlayerMatches(prev => ({
+      ...prev,
+      [player.id]: sortByMatchDate((prev[player.id] || []).map(match => (match.id === updated.id ? { ...match, ...updated } : match)))
+    }));
+
+    // Refresh in place rather than through loadDashboardData, which hides the dashboard
+    try {
+      const playersData = await firestoreService.getPlayersByCoach(userData.uid);
+      setPlayers(playersData);
+      calculateTeamStats(playersData);
+      await loadSeasonSummary();
+    } catch (err) {
+      console.error('Error refreshing players after a correction:', err);
+    }
+  };
+
   /**
    * Toggle the expanded match details for a player
    */
@@ -167,6 +305,16 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     });
   };
 
+  /**
+   * Open a flagged player's match details and bring their card into view
+   */
+  const handleSelectAttentionPlayer = (player) => {
+    if (!expandedPlayers.has(player.id)) {
+      toggleExpandPlayer(player);
+    }
+    document.getElementById(`player-${player.id}`)?.scrollIntoView?.({ behavior: 'smooth' });
+  };
+
   /**
    * Export team and player data as CSV
    */
@@ -175,27 +323,31 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
     const headers = ['Player Name', 'Email', 'Sport', 'Current Score (%)', 'Performance Status', 'Total Matches', 'Average Score'];
 
     // Create CSV rows from player data
-    const rows = players.map(player => [
-      player.name || '',
-      player.email || '',
-      player.sport || '',
-      player.currentScore || 0,
-      getPerformanceStatus(player.currentScore || 0),
-      player.matchCount || 0,
-      player.averageScore || 0
-    ]);
+    const rows = players.map(player => {
+      const stats = getPlayerStats(player);
+      return [
+        player.name || '',
+        player.email || '',
+        player.sport || '',
+        stats.currentScore,
+        getPerformanceStatus(stats.currentScore),
+        stats.matchCount,
+        stats.averageScore
+      ];
+    });
 
     // Add team summary at the top
     const summaryRows = [
       ['Team Performance Report'],
       ['Coach Name', userData?.name || ''],
       ['Report Date', new Date().toLocaleDateString()],
+      ['Season', season?.name || 'All matches'],
       [''],
       ['Team Statistics'],
-      ['Total Players', teamStats.totalPlayers],
-      ['Team Average Score', `${teamStats.averageScore}%`],
-      ['Total Matches', teamStats.totalMatches],
-      ['Top Performer', teamStats.topPerformer?.name || 'N/A'],
+      ['Total Players', displayedStats.totalPlayers],
+      ['Team Average Score', `${displayedStats.averageScore}%`],
+      ['Total Matches', displayedStats.totalMatches],
+      ['Top Performer', displayedStats.topPerformer?.name || 'N/A'],
       [''],
       ['Player Details']
     ];
@@ -297,14 +449,60 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Team Performance Overview */}
         <div className="mb-8">
-          <h2 className="text-2xl font-bold text-gray-900 mb-6">Team Performance Overview</h2>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-bold text-gray-900">Team Performance Overview</h2>
+            <div className="flex items-center gap-3">
+              <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} />
+              <button
+                type="button"
+                onClick={() => setShowSeasons(prev => !prev)}
+                className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+              >
+                {showSeasons ? 'Close' : 'Manage Seasons'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowFixtures(prev => !prev)}
+                className="text-sm font-semibold text-blue-600 hover:text-blue-800"
+              >
+                {showFixtures ? 'Close' : 'Manage Fixtures'}
+              </button>
+            </div>
+          </div>
+          {showSeasons && (
+            <div className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 mb-6">
+              <SeasonManager
+                seasons={seasons}
+                saving={seasonSaving}
+                error={seasonError}
+                onCreate={addSeason}
+                onDelete={(id) => {
+                  if (id === seasonId) setSeasonId('');
+                  removeSeason(id);
+                }}
+              />
+            </div>
+          )}
+          {showFixtures && (
+            <div className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 mb-6">
+              <FixtureManager
+                fixtures={fixtures}
+                sportIds={[...new Set(players.map(player => player.sport).filter(Boolean))]}
+                saving={fixtureSaving}
+                error={fixtureError}
+                onCreate={addFixture}
+                onUpdate={editFixture}
+                onDelete={removeFixture}
+              />
+            </div>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             {/* Total Players */}
             <div className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 hover:scale-105 hover:shadow-2xl transition-all duration-200">
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Total Players</p>
-                  <p className="text-4xl font-bold text-gray-900 mt-2">{teamStats.totalPlayers}</p>
+                  <p className="text-4xl font-bold text-gray-900 mt-2">{displayedStats.totalPlayers}</p>
                 </div>
                 <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-blue-600 rounded-2xl flex items-center justify-center shadow-lg">
                   <svg className="h-8 w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -319,7 +517,7 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Team Average</p>
-                  <p className="text-4xl font-bold text-gray-900 mt-2">{teamStats.averageScore}%</p>
+                  <p className="text-4xl font-bold text-gray-900 mt-2">{displayedStats.averageScore}%</p>
                 </div>
                 <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-2xl flex items-center justify-center shadow-lg">
                   <svg className="h-8 w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -334,7 +532,7 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Total Matches</p>
-                  <p className="text-4xl font-bold text-gray-900 mt-2">{teamStats.totalMatches}</p>
+                  <p className="text-4xl font-bold text-gray-900 mt-2">{displayedStats.totalMatches}</p>
                 </div>
                 <div className="w-16 h-16 bg-gradient-to-br from-purple-500 to-purple-600 rounded-2xl flex items-center justify-center shadow-lg">
                   <svg className="h-8 w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -350,7 +548,7 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
                 <div>
                   <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">Top Performer</p>
                   <p className="text-xl font-bold text-gray-900 mt-2 truncate">
-                    {teamStats.topPerformer ? teamStats.topPerformer.name : 'N/A'}
+                    {displayedStats.topPerformer ? displayedStats.topPerformer.name : 'N/A'}
                   </p>
                 </div>
                 <div className="w-16 h-16 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center shadow-lg">
@@ -363,6 +561,44 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
           </div>
         </div>
 
+        {/* Competitions in the selected season */}
+        {seasonSummary?.competitions.length > 0 && (
+          <div className="mb-8 bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-4">Competitions — {season.name}</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-semibold text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                    <th className="py-2 pr-4">Competition</th>
+                    <th className="py-2 pr-4">Matches</th>
+                    <th className="py-2 pr-4">Average Score</th>
+                    <th className="py-2 pr-4">Best Score</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {seasonSummary.competitions.map(competition => (
+                    <tr key={competition.competition || 'none'}>
+                      <td className="py-2 pr-4 text-gray-900">{competition.competition || 'No competition'}</td>
+                      <td className="py-2 pr-4 text-gray-700">{competition.matchesPlayed}</td>
+                      <td className={`py-2 pr-4 font-semibold ${getPerformanceColor(competition.averageScore)}`}>
+                        {competition.averageScore}%
+                      </td>
+                      <td className="py-2 pr-4 text-gray-700">
+                        {competition.bestPerformance ? `${competition.bestPerformance.score}%` : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Players needing attention */}
+        {players.length > 0 && (
+          <NeedsAttention entries={attention} onSelectPlayer={handleSelectAttentionPlayer} />
+        )}
+
         {/* Players List */}
         <div className="mb-8">
           <div className="flex justify-between items-center mb-6">
@@ -401,12 +637,13 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
             <div className="grid gap-5">
               {players.map((player) => {
                 const isExpanded = expandedPlayers.has(player.id);
-                const matches = playerMatches[player.id] || [];
+                const matches = filterMatchesBySeason(playerMatches[player.id] || [], season).slice(0, 10);
+                const stats = getPlayerStats(player);
                 const isLoadingMatches = matchesLoading[player.id];
                 const paramLabels = sportParameterLabels[player.sport] || {};
 
                 return (
-                <div key={player.id} className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 hover:shadow-2xl transition-all duration-200">
+                <div key={player.id} id={`player-${player.id}`} className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 hover:shadow-2xl transition-all duration-200">
                   <div className="p-6">
                     <div className="flex items-center justify-between">
                       <div className="flex items-center space-x-5">
@@ -432,21 +669,21 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
                         <div className="text-center">
                           <p className="text-xs text-gray-500 uppercase tracking-wide font-semibold mb-2">Current Score</p>
                           <div className="flex items-center justify-center space-x-2">
-                            <div className={`w-3 h-3 rounded-full shadow-md ${(player.currentScore || 0) >= 80 ? 'bg-green-500' :
-                              (player.currentScore || 0) >= 60 ? 'bg-yellow-500' : 'bg-red-500'
+                            <div className={`w-3 h-3 rounded-full shadow-md ${stats.currentScore >= 80 ? 'bg-green-500' :
+                              stats.currentScore >= 60 ? 'bg-yellow-500' : 'bg-red-500'
                               }`}></div>
-                            <span className={`text-2xl font-bold ${getPerformanceColor(player.currentScore || 0)}`}>
-                              {player.currentScore || 0}%
+                            <span className={`text-2xl font-bold ${getPerformanceColor(stats.currentScore)}`}>
+                              {stats.currentScore}%
                             </span>
                           </div>
                           <p className="text-xs text-gray-500 mt-1 font-medium">
-                            {getPerformanceStatus(player.currentScore || 0)}
+                            {getPerformanceStatus(stats.currentScore)}
                           </p>
                         </div>
 
                         <div className="text-center">
                           <p className="text-xs text-gray-500 uppercase tracking-wide font-semibold mb-2">Matches</p>
-                          <p className="text-2xl font-bold text-gray-900">{player.matchCount || 0}</p>
+                          <p className="text-2xl font-bold text-gray-900">{stats.matchCount}</p>
                         </div>
 
                         <div className="flex space-x-3">
@@ -497,21 +734,26 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
                               <tr className="bg-gray-50 rounded-lg">
                                 <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide rounded-l-lg">Date</th>
                                 <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide">Score</th>
+                                <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide">Squad Percentile</th>
+                                <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide">Sport Percentile</th>
                                 {Object.keys(paramLabels).map(key => (
                                   <th key={key} className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide">
                                     {paramLabels[key]}
                                   </th>
                                 ))}
-                                <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide rounded-r-lg">Top Suggestion</th>
+                                <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide">Top Suggestion</th>
+                                <th className="text-left px-4 py-3 text-xs font-bold text-gray-500 uppercase tracking-wide rounded-r-lg"></th>
                               </tr>
                             </thead>
                             <tbody className="divide-y divide-gray-100">
                               {matches.map((match) => (
                                 <tr key={match.id} className="hover:bg-gray-50 transition-colors duration-100">
                                   <td className="px-4 py-3 text-gray-700 whitespace-nowrap">
-                                    {match.date
-                                      ? new Date(match.date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
-                                      : '—'}
+                                    {formatMatchDate(match.date, {
+                                      timeZone: match.timeZone,
+                                      locale: 'en-GB',
+                                      format: { day: '2-digit', month: 'short', year: 'numeric' }
+                                    }) || '—'}
                                   </td>
                                   <td className="px-4 py-3">
                                     <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-bold ${
@@ -524,13 +766,33 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
                                       {match.calculatedScore ?? '—'}%
                                     </span>
                                   </td>
+                                  <td className="px-4 py-3 text-gray-700">
+                                    {formatPercentile(match.percentiles?.squad)}
+                                  </td>
+                                  <td className="px-4 py-3 text-gray-700">
+                                    {formatPercentile(match.percentiles?.sport)}
+                                  </td>
                                   {Object.keys(paramLabels).map(key => (
                                     <td key={key} className="px-4 py-3 text-gray-700">
                                       {match.parameters?.[key] ?? '—'}
                                     </td>
                                   ))}
                                   <td className="px-4 py-3 text-gray-500 max-w-xs truncate">
-                                    {match.suggestions?.[0] || '—'}
+                                    {normalizeSuggestions(match.suggestions)[0]?.message || '—'}
+                                  </td>
+                                  <td className="px-4 py-3 whitespace-nowrap text-right">
+                                    {match.revision > 0 && (
+                                      <span className="mr-2 text-xs text-gray-500">
+                                        Edited {match.revision}×
+                                      </span>
+                                    )}
+                                    <button
+                                      type="button"
+                                      onClick={() => setEditingMatchId(editingMatchId === match.id ? null : match.id)}
+                                      className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+                                    >
+                                      {editingMatchId === match.id ? 'Close' : 'Edit'}
+                                    </button>
                                   </td>
                                 </tr>
                               ))}
@@ -538,6 +800,23 @@ function CoachDashboard({ onNavigateToTab, onDataLoaded }) {
                           </table>
                         </div>
                       )}
+
+                      {matches.some(match => match.id === editingMatchId) && (
+                        <div className="mt-6">
+                          <MatchEditor
+                            key={editingMatchId}
+                            match={matches.find(match => match.id === editingMatchId)}
+                            player={player}
+                            coachId={userData.uid}
+                            onSaved={(updated) => handleMatchCorrected(player, updated)}
+                            onClose={() => setEditingMatchId(null)}
+                          />
+                        </div>
+                      )}
+
+                      <div className="mt-6">
+                        <PlayerGoals player={player} coachId={userData.uid} />
+                      </div>
                     </div>
                   )}
                 </div>
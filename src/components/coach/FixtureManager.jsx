@@ -0,0 +1,308 @@
+import { useState } from 'react';
+import { getMatchFormat, getMatchFormats, getSport } from '../../sports/index.js';
+import { describeMatchContext, MATCH_RESULTS, MATCH_VENUES } from '../../sports/matchContext.js';
+import { formatMatchDate, getDeviceTimeZone, parseDateTimeInput, toMillis } from '../../utils/matchDate.js';
+
+const EMPTY_DETAILS = { opponent: '', competition: '', venue: '', result: '' };
+
+/**
+ * Schedule, edit and delete a coach's fixtures. Matches are linked to a fixture when they
+ * are entered for it, on a team sheet or one player at a time.
+ * @param {Object} props
+ * @param {Array} props.fixtures - Fixtures, newest first (see createFixture)
+ * @param {Array<string>} props.sportIds - Sports the coach's players play
+ * @param {boolean} props.saving - Whether a fixture is being saved
+ * @param {Error} [props.error] - Last error from saving or deleting
+ * @param {Function} props.onCreate - Called with the fixture fields; resolves to the fixture or null
+ * @param {Function} props.onUpdate - Called with a fixture ID and its changed details;
+ *   resolves to the fixture or null
+ * @param {Function} props.onDelete - Called with a fixture ID
+ */
+function FixtureManager({ fixtures, sportIds, saving, error, onCreate, onUpdate, onDelete }) {
+  const [sportId, setSportId] = useState(sportIds[0] || '');
+  const [matchDate, setMatchDate] = useState('');
+  const [formatId, setFormatId] = useState(() => getMatchFormats(sportIds[0])[0]?.id || '');
+  const [customOvers, setCustomOvers] = useState('');
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  // Fixture being edited and its details as typed
+  const [editing, setEditing] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  const format = getMatchFormat(sportId, formatId);
+  const now = Date.now();
+
+  /**
+   * Switch the new fixture to another sport
+   * @param {string} id - Sport id
+   */
+  const handleSportChange = (id) => {
+    setSportId(id);
+    setFormatId(getMatchFormats(id)[0]?.id || '');
+    setCustomOvers('');
+  };
+
+  /**
+   * Save the new fixture
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const date = parseDateTimeInput(matchDate);
+    if (!sportId || !date || !details.opponent.trim()) {
+      setFormError('Please enter the sport, date and time, and opponent');
+      return;
+    }
+
+    setFormError(null);
+    const fixture = await onCreate({
+      sport: sportId,
+      date,
+      timeZone: getDeviceTimeZone(),
+      matchFormat: format ? { id: format.id, overs: format.customOvers ? Number(customOvers) : format.overs } : null,
+      ...details,
+      venue: details.venue || null,
+      result: details.result || null
+    });
+    if (fixture) {
+      setMatchDate('');
+      setDetails(EMPTY_DETAILS);
+    }
+  };
+
+  /**
+   * Save the details of the fixture being edited
+   */
+  const handleSaveEdit = async () => {
+    const fixture = await onUpdate(editing.id, {
+      ...editing.details,
+      venue: editing.details.venue || null,
+      result: editing.details.result || null
+    });
+    if (fixture) {
+      setEditing(null);
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm';
+
+  /**
+   * Opponent, competition, venue and result inputs
+   * @param {Object} values - Current values
+   * @param {Function} onChange - Called with the field and its new value
+   * @param {string} idPrefix - Prefix for the input IDs
+   */
+  const renderDetails = (values, onChange, idPrefix) => (
+    <>
+      <div>
+        <label htmlFor={`${idPrefix}-opponent`} className="block text-sm font-medium text-gray-700">Opponent</label>
+        <input
+          type="text"
+          id={`${idPrefix}-opponent`}
+          value={values.opponent}
+          onChange={(e) => onChange('opponent', e.target.value)}
+          maxLength={100}
+          disabled={saving}
+          className={inputClass}
+          placeholder="e.g., Riverside CC"
+        />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-competition`} className="block text-sm font-medium text-gray-700">Competition</label>
+        <input
+          type="text"
+          id={`${idPrefix}-competition`}
+          value={values.competition}
+          onChange={(e) => onChange('competition', e.target.value)}
+          maxLength={100}
+          disabled={saving}
+          className={inputClass}
+          placeholder="e.g., League, Cup, Friendly"
+        />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-venue`} className="block text-sm font-medium text-gray-700">Venue</label>
+        <select
+          id={`${idPrefix}-venue`}
+          value={values.venue}
+          onChange={(e) => onChange('venue', e.target.value)}
+          disabled={saving}
+          className={inputClass}
+        >
+          <option value="">Not recorded</option>
+          {MATCH_VENUES.map(venue => (
+            <option key={venue.id} value={venue.id}>{venue.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-result`} className="block text-sm font-medium text-gray-700">Result</label>
+        <select
+          id={`${idPrefix}-result`}
+          value={values.result}
+          onChange={(e) => onChange('result', e.target.value)}
+          disabled={saving}
+          className={inputClass}
+        >
+          <option value="">Not recorded</option>
+          {MATCH_RESULTS.map(matchResult => (
+            <option key={matchResult.id} value={matchResult.id}>{matchResult.label}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+
+  return (
+    <div className="space-y-4">
+      {(formError || error) && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{formError || error.message}</p>
+        </div>
+      )}
+
+      {fixtures.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No fixtures yet. Schedule one here, or save a team sheet to record the fixture with its matches.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {fixtures.map(fixture => (
+            <li key={fixture.id} className="py-2 text-sm">
+              {editing?.id === fixture.id ? (
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                  {renderDetails(
+                    editing.details,
+                    (field, value) => setEditing(prev => ({ ...prev, details: { ...prev.details, [field]: value } })),
+                    `fixture-${fixture.id}`
+                  )}
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={handleSaveEdit}
+                      disabled={saving}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(null)}
+                      className="text-sm font-semibold text-gray-600 hover:text-gray-800"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-900">
+                    <span className="font-semibold">
+                      {formatMatchDate(fixture.date, { timeZone: fixture.timeZone, withTime: true })}
+                    </span>
+                    <span className="ml-2">{describeMatchContext(fixture)}</span>
+                    <span className="ml-2 text-gray-500">
+                      {getSport(fixture.sport)?.name || fixture.sport}
+                      {' · '}
+                      {(toMillis(fixture.date) ?? 0) > now
+                        ? 'Upcoming'
+                        : `${(fixture.matchIds || []).length} match${(fixture.matchIds || []).length === 1 ? '' : 'es'} entered`}
+                    </span>
+                  </span>
+                  <span className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setEditing({
+                        id: fixture.id,
+                        details: Object.fromEntries(Object.keys(EMPTY_DETAILS).map(field => [field, fixture[field] || '']))
+                      })}
+                      className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onDelete(fixture.id)}
+                      className="text-xs font-semibold text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label htmlFor="fixture-sport" className="block text-sm font-medium text-gray-700">Sport</label>
+          <select
+            id="fixture-sport"
+            value={sportId}
+            onChange={(e) => handleSportChange(e.target.value)}
+            disabled={saving}
+            className={inputClass}
+          >
+            {sportIds.map(id => (
+              <option key={id} value={id}>{getSport(id)?.name || id}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="fixture-date" className="block text-sm font-medium text-gray-700">Date and Time</label>
+          <input
+            type="datetime-local"
+            id="fixture-date"
+            value={matchDate}
+            onChange={(e) => setMatchDate(e.target.value)}
+            disabled={saving}
+            className={inputClass}
+          />
+        </div>
+        {getMatchFormats(sportId).length > 0 && (
+          <div>
+            <label htmlFor="fixture-format" className="block text-sm font-medium text-gray-700">Match Format</label>
+            <select
+              id="fixture-format"
+              value={formatId}
+              onChange={(e) => setFormatId(e.target.value)}
+              disabled={saving}
+              className={inputClass}
+            >
+              {getMatchFormats(sportId).map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {format?.customOvers && (
+          <div>
+            <label htmlFor="fixture-custom-overs" className="block text-sm font-medium text-gray-700">Overs per Innings</label>
+            <input
+              type="number"
+              id="fixture-custom-overs"
+              value={customOvers}
+              onChange={(e) => setCustomOvers(e.target.value)}
+              min={format.customOvers.min}
+              max={format.customOvers.max}
+              disabled={saving}
+              className={inputClass}
+            />
+          </div>
+        )}
+        {renderDetails(details, (field, value) => setDetails(prev => ({ ...prev, [field]: value })), 'fixture')}
+        <button
+          type="submit"
+          disabled={saving || sportIds.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Add Fixture'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default FixtureManager;
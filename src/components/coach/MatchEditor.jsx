@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { matchService } from '../../services/matchService.js';
+import { SportMatchForm } from '../forms/index.js';
+import { getSport } from '../../sports/index.js';
+import { formatMatchDate, parseDateTimeInput, toDateTimeInputValue } from '../../utils/matchDate.js';
+
+/**
+ * Format a stored date and time for the editor
+ * @param {*} date - Stored date
+ * @param {string} [timeZone] - Time zone to show it in (the viewer's when omitted)
+ * @returns {string} e.g. '01 Mar 2024, 15:00', or '' when unknown
+ */
+const formatDateTime = (date, timeZone) => formatMatchDate(date, {
+  timeZone,
+  withTime: true,
+  locale: 'en-GB',
+  format: { day: '2-digit', month: 'short', year: 'numeric' }
+});
+
+/**
+ * Correct a saved match and review its revision history
+ * @param {Object} props
+ * @param {Object} props.match - Stored match
+ * @param {Object} props.player - Player record ({ name, playingRole })
+ * @param {string} props.coachId - UID of the coach making corrections
+ * @param {Function} props.onSaved - Called with the updated match after a correction
+ * @param {Function} props.onClose - Called when the editor is closed
+ */
+function MatchEditor({ match, player, coachId, onSaved, onClose }) {
+  const { showSuccess, showError } = useToast();
+  const sport = getSport(match.sport);
+
+  const [date, setDate] = useState(toDateTimeInputValue(match.date));
+  const [revisions, setRevisions] = useState([]);
+  const [loadingRevisions, setLoadingRevisions] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the match's revision history
+   */
+  const loadRevisions = useCallback(async () => {
+    try {
+      setLoadingRevisions(true);
+      setRevisions(await matchService.getMatchRevisions(match.id));
+    } catch (err) {
+      console.error('Error loading match revisions:', err);
+      setRevisions([]);
+    } finally {
+      setLoadingRevisions(false);
+    }
+  }, [match.id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  /**
+   * Save the corrected parameters (and date, when it was changed)
+   * @param {Object} parameters - Sport-specific match parameters
+   */
+  const handleSubmit = async (parameters) => {
+    const changes = { parameters };
+
+    if (date !== toDateTimeInputValue(match.date)) {
+      const moved = parseDateTimeInput(date);
+      if (!moved) {
+        setError('Please enter the match date and time');
+        return;
+      }
+      changes.date = moved;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const updated = await matchService.updateMatch(match.id, changes, coachId);
+      showSuccess(`Match corrected. New performance score: ${updated.calculatedScore}%`);
+      setRevisions(prev => [updated.revisionRecord, ...prev]);
+      onSaved?.(updated);
+    } catch (err) {
+      console.error('Error correcting match:', err);
+      setError(err.message || 'Failed to correct match');
+      showError(err.message || 'Failed to correct match');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Describe what a revision changed, e.g. "Runs Scored 3 → 30"
+   * @param {Object} revision - Match revision
+   * @returns {Array<string>} One line per changed value
+   */
+  const describeChanges = (revision) => {
+    const labels = sport?.parameterLabels || {};
+    const lines = [];
+
+    if (revision.changedFields.includes('parameters')) {
+      const keys = new Set([
+        ...Object.keys(revision.before.parameters || {}),
+        ...Object.keys(revision.after.parameters || {})
+      ]);
+      keys.forEach(key => {
+        const before = revision.before.parameters?.[key];
+        const after = revision.after.parameters?.[key];
+        if (before !== after) {
+          lines.push(`${labels[key] || key} ${before ?? '—'} → ${after ?? '—'}`);
+        }
+      });
+    }
+    if (revision.changedFields.includes('date')) {
+      lines.push(`Date ${formatDateTime(revision.before.date, match.timeZone)} → ${formatDateTime(revision.after.date, match.timeZone)}`);
+    }
+    ['matchFormat', 'matchContext']
+      .filter(field => revision.changedFields.includes(field))
+      .forEach(field => lines.push(`${field === 'matchFormat' ? 'Match format' : 'Match context'} changed`));
+
+    return lines;
+  };
+
+  if (!sport) {
+    return <p className="text-sm text-gray-500">Unsupported sport: {match.sport}</p>;
+  }
+
+  return (
+    <div className="space-y-6 rounded-xl border border-blue-200 bg-blue-50/40 p-5">
+      <div className="flex items-center justify-between">
+        <h5 className="text-sm font-bold text-gray-800">
+          Correct match of {formatDateTime(match.date, match.timeZone)}
+        </h5>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-sm font-medium text-gray-500 hover:text-gray-700"
+        >
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      <div className="max-w-xs">
+        <label htmlFor={`match-date-${match.id}`} className="block text-sm font-medium text-gray-700">
+          Match Date and Time
+        </label>
+        <input
+          type="datetime-local"
+          id={`match-date-${match.id}`}
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          max={toDateTimeInputValue(new Date())}
+          disabled={saving}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+      </div>
+
+      <SportMatchForm
+        key={`${match.id}-${match.revision || 0}`}
+        sport={sport}
+        playingRole={match.playingRole || player.playingRole || null}
+        matchFormat={match.matchFormat || null}
+        initialParameters={match.parameters}
+        submitLabel="Save Correction"
+        onSubmit={handleSubmit}
+        loading={saving}
+        disabled={saving}
+      />
+
+      <div>
+        <h6 className="text-xs font-bold text-gray-500 uppercase tracking-wide mb-2">Revision History</h6>
+        {loadingRevisions ? (
+          <p className="text-sm text-gray-500">Loading revisions...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">This match has not been corrected.</p>
+        ) : (
+          <ul className="space-y-2">
+            {revisions.map(revision => (
+              <li key={revision.id || revision.number} className="rounded-lg bg-white border border-gray-200 p-3 text-sm">
+                <div className="flex justify-between text-gray-700">
+                  <span className="font-medium">
+                    Revision {revision.number}
+                    {revision.editedBy === coachId ? ' by you' : ''}
+                  </span>
+                  <span className="text-gray-500">{formatDateTime(revision.editedAt)}</span>
+                </div>
+                <div className="text-gray-600">
+                  Score {revision.before.calculatedScore ?? '—'}% → {revision.after.calculatedScore ?? '—'}%
+                </div>
+                <ul className="mt-1 text-xs text-gray-500">
+                  {describeChanges(revision).map(line => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MatchEditor;
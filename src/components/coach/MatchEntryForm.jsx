@@ -1,11 +1,25 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useToast } from '../../contexts/ToastContext.jsx';
+import { useFixtures } from '../../hooks/useFixtures.js';
 import { firestoreService } from '../../services/firestoreService.js';
 import { matchService } from '../../services/matchService.js';
-import CricketForm from '../forms/CricketForm.jsx';
-import FootballForm from '../forms/FootballForm.jsx';
-import BasketballForm from '../forms/BasketballForm.jsx';
+import { describeGoal } from '../../services/goalProgress.js';
+import { SportMatchForm } from '../forms/index.js';
+import TeamMatchSheet from './TeamMatchSheet.jsx';
+import { getMatchFormat, getMatchFormats, getPlayingRole, getSport } from '../../sports/index.js';
+import { describeMatchContext, MATCH_RESULTS, MATCH_VENUES, OPPONENT_STRENGTHS } from '../../sports/matchContext.js';
+import { createMatchContext } from '../../models/matchData.js';
+import { validateMatchContext, validateMatchFormat } from '../../utils/validators.js';
+import {
+  formatMatchDate,
+  getDeviceTimeZone,
+  parseDateTimeInput,
+  toDateTimeInputValue,
+  toMillis
+} from '../../utils/matchDate.js';
+
+const EMPTY_MATCH_CONTEXT = { opponent: '', venue: '', competition: '', result: '', opponentStrength: '' };
 
 /**
  * Main match entry form component for coaches
@@ -16,6 +30,20 @@ function MatchEntryForm() {
   const { showSuccess, showError } = useToast();
   const [players, setPlayers] = useState([]);
   const [selectedPlayer, setSelectedPlayer] = useState(null);
+  // 'player' for one player's match, 'team' for a whole squad's fixture on a team sheet
+  const [entryMode, setEntryMode] = useState('player');
+  const [formatId, setFormatId] = useState('');
+  const [customOvers, setCustomOvers] = useState('');
+  // Kept when switching players, so a whole team can be entered against one opponent
+  const [matchContext, setMatchContext] = useState(EMPTY_MATCH_CONTEXT);
+  // When the match was played, in this device's time zone (defaults to now)
+  const [matchDate, setMatchDate] = useState(() => toDateTimeInputValue(new Date()));
+  // Match whose save failed: { key, id }. A retry with the same player, format and
+  // parameters reuses its ID so it cannot be counted twice; any change starts a new match.
+  const [pendingMatch, setPendingMatch] = useState(null);
+  // Fixture the match was played in ('' for none); it supplies the date, format and context
+  const { fixtures, refreshFixtures } = useFixtures(userData?.uid);
+  const [fixtureId, setFixtureId] = useState('');
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -54,10 +82,61 @@ function MatchEntryForm() {
     const playerId = e.target.value;
     const player = players.find(p => p.id === playerId);
     setSelectedPlayer(player);
+    setFormatId(getMatchFormats(player?.sport)[0]?.id || '');
+    setCustomOvers('');
+    setFixtureId('');
+    setPendingMatch(null);
     setError(null);
     setSuccess(null);
   };
 
+  // Fixtures of the selected player's sport that have been played, newest first
+  const playedFixtures = fixtures.filter(fixture =>
+    fixture.sport === selectedPlayer?.sport && (toMillis(fixture.date) ?? 0) <= Date.now());
+  const selectedFixture = playedFixtures.find(fixture => fixture.id === fixtureId) || null;
+
+  /**
+   * Match format chosen for the match, as stored on the match document
+   * @returns {Object|null} Match format ({ id, overs }) or null when the sport has no formats
+   */
+  const getSelectedMatchFormat = () => {
+    if (selectedFixture) {
+      return selectedFixture.matchFormat || null;
+    }
+    const format = getMatchFormat(selectedPlayer?.sport, formatId);
+    if (!format) {
+      return null;
+    }
+    return {
+      id: format.id,
+      overs: format.customOvers ? Number(customOvers) : format.overs
+    };
+  };
+
+  /**
+   * Match context as stored on the match document
+   * @returns {Object|null} Match context, or null when none of its fields were filled in
+   */
+  const getSelectedMatchContext = () => {
+    if (Object.values(matchContext).every(value => value === '')) {
+      return null;
+    }
+    return createMatchContext({
+      ...matchContext,
+      venue: matchContext.venue || null,
+      result: matchContext.result || null
+    });
+  };
+
+  /**
+   * Handle match context input changes
+   * @param {string} field - Match context field
+   * @param {string} value - New value
+   */
+  const handleContextChange = (field, value) => {
+    setMatchContext(prev => ({ ...prev, [field]: value }));
+  };
+
   /**
    * Handle match data submission
    * @param {Object} matchParameters - Sport-specific match parameters
@@ -68,6 +147,34 @@ function MatchEntryForm() {
       return;
     }
 
+    const matchFormat = getSelectedMatchFormat();
+    if (matchFormat) {
+      const formatValidation = validateMatchFormat(selectedPlayer.sport, matchFormat);
+      if (!formatValidation.isValid) {
+        setError(formatValidation.error);
+        return;
+      }
+    }
+
+    const date = selectedFixture ? new Date(toMillis(selectedFixture.date)) : parseDateTimeInput(matchDate);
+    if (!date) {
+      setError('Please enter the match date and time');
+      return;
+    }
+    if (date.getTime() > Date.now()) {
+      setError('Match date cannot be in the future');
+      return;
+    }
+
+    const selectedContext = selectedFixture ? null : getSelectedMatchContext();
+    if (selectedContext) {
+      const contextValidation = validateMatchContext(selectedContext);
+      if (!contextValidation.isValid) {
+        setError(Object.values(contextValidation.errors).join(', '));
+        return;
+      }
+    }
+
     try {
       setSubmitting(true);
       setError(null);
@@ -79,8 +186,12 @@ function MatchEntryForm() {
         playerEmail: selectedPlayer.email, // Add email for reliable mapping
         coachId: userData.uid,
         sport: selectedPlayer.sport,
+        playingRole: selectedPlayer.playingRole || null,
+        matchFormat,
+        matchContext: selectedContext,
         parameters: matchParameters,
-        date: new Date()
+        date,
+        timeZone: getDeviceTimeZone()
       };
 
       console.log('Submitting match for player:', {
@@ -91,7 +202,15 @@ function MatchEntryForm() {
       });
 
       // Submit match data with automatic calculation
-      const result = await matchService.submitMatchData(matchData);
+      const matchKey = JSON.stringify([matchData.playerId, selectedFixture?.id, matchFormat, matchParameters]);
+      const matchId = pendingMatch?.key === matchKey ? pendingMatch.id : firestoreService.newDocumentId('matches');
+      setPendingMatch({ key: matchKey, id: matchId });
+      const result = await matchService.submitMatchData(matchData, { matchId, fixtureId: selectedFixture?.id || null });
+      setPendingMatch(null);
+      if (selectedFixture) {
+        setFixtureId('');
+        refreshFixtures();
+      }
 
       setSuccess({
         message: `Match data submitted successfully! Performance score: ${result.calculatedScore}%`,
@@ -109,6 +228,11 @@ function MatchEntryForm() {
         }, 1000);
       }
 
+      // Celebrate goals this match completed
+      (result.completedGoals || []).forEach(goal => {
+        showSuccess(`🎯 ${selectedPlayer.name} reached a goal: ${describeGoal(goal)}`, { duration: 8000 });
+      });
+
       // Reset form after successful submission
       setTimeout(() => {
         setSuccess(null);
@@ -135,7 +259,7 @@ function MatchEntryForm() {
   };
 
   /**
-   * Render sport-specific form based on selected player's sport
+   * Render the schema-driven match form for the selected player's sport
    */
   const renderSportForm = () => {
     if (!selectedPlayer) return null;
@@ -146,20 +270,243 @@ function MatchEntryForm() {
       disabled: submitting
     };
 
-    switch (selectedPlayer.sport) {
-      case 'cricket':
-        return <CricketForm {...commonProps} />;
-      case 'football':
-        return <FootballForm {...commonProps} />;
-      case 'basketball':
-        return <BasketballForm {...commonProps} />;
-      default:
-        return (
-          <div className="text-center py-8">
-            <p className="text-gray-500">Unsupported sport: {selectedPlayer.sport}</p>
-          </div>
-        );
+    const sport = getSport(selectedPlayer.sport);
+    if (!sport) {
+      return (
+        <div className="text-center py-8">
+          <p className="text-gray-500">Unsupported sport: {selectedPlayer.sport}</p>
+        </div>
+      );
     }
+
+    return (
+      <SportMatchForm
+        key={`${sport.id}-${selectedPlayer.playingRole || 'any'}`}
+        sport={sport}
+        playingRole={selectedPlayer.playingRole || null}
+        matchFormat={getSelectedMatchFormat()}
+        {...commonProps}
+      />
+    );
+  };
+
+  /**
+   * Render the picker for a played fixture of the player's sport
+   */
+  const renderFixtureSelect = () => {
+    if (playedFixtures.length === 0) return null;
+
+    return (
+      <div className="mb-6">
+        <label htmlFor="match-fixture" className="block text-sm font-medium text-gray-700">
+          Fixture
+        </label>
+        <select
+          id="match-fixture"
+          value={fixtureId}
+          onChange={(e) => {
+            setFixtureId(e.target.value);
+            setPendingMatch(null);
+          }}
+          disabled={submitting}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">No fixture: enter the date and details below</option>
+          {playedFixtures.map(fixture => (
+            <option key={fixture.id} value={fixture.id}>
+              {formatMatchDate(fixture.date, { timeZone: fixture.timeZone })} · {describeMatchContext(fixture)}
+            </option>
+          ))}
+        </select>
+        {selectedFixture && (
+          <p className="mt-1 text-xs text-gray-500">
+            The match takes its date, format and match context from the fixture. Edit them under Manage Fixtures.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Render the match format picker for sports that define formats
+   */
+  const renderFormatSelect = () => {
+    const formats = getMatchFormats(selectedPlayer?.sport);
+    if (formats.length === 0) return null;
+
+    const format = getMatchFormat(selectedPlayer.sport, formatId);
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label htmlFor="match-format" className="block text-sm font-medium text-gray-700">
+            Match Format *
+          </label>
+          <select
+            id="match-format"
+            value={formatId}
+            onChange={(e) => {
+              setFormatId(e.target.value);
+              setPendingMatch(null);
+            }}
+            disabled={submitting}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            {formats.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Rates are judged against what is good in this format
+          </p>
+        </div>
+        {format?.customOvers && (
+          <div>
+            <label htmlFor="custom-overs" className="block text-sm font-medium text-gray-700">
+              Overs per Innings *
+            </label>
+            <input
+              type="number"
+              id="custom-overs"
+              value={customOvers}
+              onChange={(e) => {
+                setCustomOvers(e.target.value);
+                setPendingMatch(null);
+              }}
+              min={format.customOvers.min}
+              max={format.customOvers.max}
+              disabled={submitting}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., 30"
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Render the match date and time picker; matches can be backdated but not set in the future
+   */
+  const renderDateField = () => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+      <div>
+        <label htmlFor="match-date" className="block text-sm font-medium text-gray-700">
+          Match Date and Time *
+        </label>
+        <input
+          type="datetime-local"
+          id="match-date"
+          value={matchDate}
+          onChange={(e) => setMatchDate(e.target.value)}
+          max={toDateTimeInputValue(new Date())}
+          disabled={submitting}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          When the match was played ({getDeviceTimeZone()}). Enter earlier matches with their own date.
+        </p>
+      </div>
+    </div>
+  );
+
+  /**
+   * Render the optional match context fields (opponent, venue, competition, result, strength)
+   */
+  const renderContextFields = () => {
+    const inputClass = 'mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+    return (
+      <fieldset className="mb-6">
+        <legend className="text-sm font-semibold text-gray-900">Match Context (optional)</legend>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-2">
+          <div>
+            <label htmlFor="match-opponent" className="block text-sm font-medium text-gray-700">
+              Opponent
+            </label>
+            <input
+              type="text"
+              id="match-opponent"
+              value={matchContext.opponent}
+              onChange={(e) => handleContextChange('opponent', e.target.value)}
+              maxLength={100}
+              disabled={submitting}
+              className={inputClass}
+              placeholder="e.g., Riverside CC"
+            />
+          </div>
+          <div>
+            <label htmlFor="match-venue" className="block text-sm font-medium text-gray-700">
+              Venue
+            </label>
+            <select
+              id="match-venue"
+              value={matchContext.venue}
+              onChange={(e) => handleContextChange('venue', e.target.value)}
+              disabled={submitting}
+              className={inputClass}
+            >
+              <option value="">Not recorded</option>
+              {MATCH_VENUES.map(venue => (
+                <option key={venue.id} value={venue.id}>{venue.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="match-competition" className="block text-sm font-medium text-gray-700">
+              Competition
+            </label>
+            <input
+              type="text"
+              id="match-competition"
+              value={matchContext.competition}
+              onChange={(e) => handleContextChange('competition', e.target.value)}
+              maxLength={100}
+              disabled={submitting}
+              className={inputClass}
+              placeholder="e.g., League, Cup, Friendly"
+            />
+          </div>
+          <div>
+            <label htmlFor="match-result" className="block text-sm font-medium text-gray-700">
+              Result
+            </label>
+            <select
+              id="match-result"
+              value={matchContext.result}
+              onChange={(e) => handleContextChange('result', e.target.value)}
+              disabled={submitting}
+              className={inputClass}
+            >
+              <option value="">Not recorded</option>
+              {MATCH_RESULTS.map(result => (
+                <option key={result.id} value={result.id}>{result.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="match-opponent-strength" className="block text-sm font-medium text-gray-700">
+              Opponent Strength
+            </label>
+            <select
+              id="match-opponent-strength"
+              value={matchContext.opponentStrength}
+              onChange={(e) => handleContextChange('opponentStrength', e.target.value)}
+              disabled={submitting}
+              className={inputClass}
+            >
+              <option value="">Not rated</option>
+              {OPPONENT_STRENGTHS.map(strength => (
+                <option key={strength.id} value={strength.id}>{strength.id} - {strength.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Scales the score when your scoring profile sets a difficulty weight
+            </p>
+          </div>
+        </div>
+      </fieldset>
+    );
   };
 
   if (loading) {
@@ -186,132 +533,167 @@ function MatchEntryForm() {
         </div>
       </div>
 
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Error Display */}
-        {error && (
-          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
-            <div className="flex">
-              <div className="flex-shrink-0">
-                <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                </svg>
-              </div>
-              <div className="ml-3">
-                <h3 className="text-sm font-medium text-red-800">Error</h3>
-                <p className="mt-1 text-sm text-red-700">{error}</p>
-              </div>
-            </div>
-          </div>
-        )}
+      <div className={`${entryMode === 'team' ? 'max-w-6xl' : 'max-w-4xl'} mx-auto px-4 sm:px-6 lg:px-8 py-8`}>
+        {/* Entry Mode */}
+        <div className="mb-6 inline-flex rounded-xl border border-gray-200 bg-white p-1 shadow-sm">
+          {[
+            { id: 'player', label: 'Single Player' },
+            { id: 'team', label: 'Team Sheet' }
+          ].map(mode => (
+            <button
+              key={mode.id}
+              type="button"
+              onClick={() => setEntryMode(mode.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${entryMode === mode.id
+                ? 'bg-blue-600 text-white shadow'
+                : 'text-gray-600 hover:text-gray-900'}`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
 
-        {/* Success Display */}
-        {success && (
-          <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
-            <div className="flex">
-              <div className="flex-shrink-0">
-                <svg className="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                </svg>
+        {entryMode === 'team' ? (
+          <TeamMatchSheet players={players} coachId={userData.uid} fixtures={fixtures} onSaved={refreshFixtures} />
+        ) : (
+          <>
+            {/* Error Display */}
+            {error && (
+              <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+                <div className="flex">
+                  <div className="flex-shrink-0">
+                    <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                    </svg>
+                  </div>
+                  <div className="ml-3">
+                    <h3 className="text-sm font-medium text-red-800">Error</h3>
+                    <p className="mt-1 text-sm text-red-700">{error}</p>
+                  </div>
+                </div>
               </div>
-              <div className="ml-3">
-                <h3 className="text-sm font-medium text-green-800">Success!</h3>
-                <p className="mt-1 text-sm text-green-700">{success.message}</p>
-                {success.suggestions && success.suggestions.length > 0 && (
-                  <div className="mt-2">
-                    <p className="text-sm font-medium text-green-800">Suggestions for {selectedPlayer?.name}:</p>
-                    <ul className="mt-1 text-sm text-green-700 list-disc list-inside">
-                      {success.suggestions.slice(0, 3).map((suggestion, index) => (
-                        <li key={index}>{suggestion.message}</li>
-                      ))}
-                    </ul>
+            )}
+
+            {/* Success Display */}
+            {success && (
+              <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
+                <div className="flex">
+                  <div className="flex-shrink-0">
+                    <svg className="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                    </svg>
                   </div>
-                )}
+                  <div className="ml-3">
+                    <h3 className="text-sm font-medium text-green-800">Success!</h3>
+                    <p className="mt-1 text-sm text-green-700">{success.message}</p>
+                    {success.suggestions && success.suggestions.length > 0 && (
+                      <div className="mt-2">
+                        <p className="text-sm font-medium text-green-800">Suggestions for {selectedPlayer?.name}:</p>
+                        <ul className="mt-1 text-sm text-green-700 list-disc list-inside">
+                          {success.suggestions.slice(0, 3).map((suggestion, index) => (
+                            <li key={index}>{suggestion.message}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
-        )}
+            )}
 
-        {/* Player Selection */}
-        <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8 mb-8">
-          <h2 className="text-2xl font-bold text-gray-900 mb-6">Select Player</h2>
+            {/* Player Selection */}
+            <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8 mb-8">
+              <h2 className="text-2xl font-bold text-gray-900 mb-6">Select Player</h2>
 
-          {players.length === 0 ? (
-            <div className="text-center py-12">
-              <div className="mx-auto w-20 h-20 bg-gradient-to-br from-blue-100 to-indigo-100 rounded-full flex items-center justify-center mb-6">
-                <svg className="h-10 w-10 text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
-                </svg>
-              </div>
-              <h3 className="text-xl font-semibold text-gray-900 mb-2">No players available</h3>
-              <p className="text-gray-600 mb-8">
-                You need to add players before you can record match data.
-              </p>
-              <button className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white px-6 py-3 rounded-xl text-sm font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200">
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                Add Players
-              </button>
-            </div>
-          ) : (
-            <div>
-              <label htmlFor="player-select" className="block text-sm font-semibold text-gray-700 mb-3">
-                Choose a player to record match data for:
-              </label>
-              <select
-                id="player-select"
-                value={selectedPlayer?.id || ''}
-                onChange={handlePlayerSelect}
-                className="block w-full px-4 py-3 border border-gray-300 rounded-xl shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 text-base"
-              >
-                <option value="">Select a player...</option>
-                {players.map((player) => (
-                  <option key={player.id} value={player.id}>
-                    {player.name} - {player.sport} (Current Score: {player.currentScore || 0}%)
-                  </option>
-                ))}
-              </select>
-
-              {selectedPlayer && (
-                <div className="mt-6 p-6 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border-2 border-blue-200">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-4">
-                      <div className="w-14 h-14 rounded-full bg-gradient-to-br from-blue-500 via-indigo-500 to-purple-600 flex items-center justify-center shadow-lg">
-                        <span className="text-xl font-bold text-white">
-                          {selectedPlayer.name?.charAt(0)?.toUpperCase() || 'P'}
-                        </span>
-                      </div>
-                      <div>
-                        <h3 className="text-lg font-bold text-gray-900">{selectedPlayer.name}</h3>
-                        <p className="text-sm text-gray-600">{selectedPlayer.email}</p>
+              {players.length === 0 ? (
+                <div className="text-center py-12">
+                  <div className="mx-auto w-20 h-20 bg-gradient-to-br from-blue-100 to-indigo-100 rounded-full flex items-center justify-center mb-6">
+                    <svg className="h-10 w-10 text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                    </svg>
+                  </div>
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">No players available</h3>
+                  <p className="text-gray-600 mb-8">
+                    You need to add players before you can record match data.
+                  </p>
+                  <button className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white px-6 py-3 rounded-xl text-sm font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200">
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                    </svg>
+                    Add Players
+                  </button>
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="player-select" className="block text-sm font-semibold text-gray-700 mb-3">
+                    Choose a player to record match data for:
+                  </label>
+                  <select
+                    id="player-select"
+                    value={selectedPlayer?.id || ''}
+                    onChange={handlePlayerSelect}
+                    className="block w-full px-4 py-3 border border-gray-300 rounded-xl shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 text-base"
+                  >
+                    <option value="">Select a player...</option>
+                    {players.map((player) => (
+                      <option key={player.id} value={player.id}>
+                        {player.name} - {player.sport} (Current Score: {player.currentScore || 0}%)
+                      </option>
+                    ))}
+                  </select>
+
+                  {selectedPlayer && (
+                    <div className="mt-6 p-6 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border-2 border-blue-200">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                          <div className="w-14 h-14 rounded-full bg-gradient-to-br from-blue-500 via-indigo-500 to-purple-600 flex items-center justify-center shadow-lg">
+                            <span className="text-xl font-bold text-white">
+                              {selectedPlayer.name?.charAt(0)?.toUpperCase() || 'P'}
+                            </span>
+                          </div>
+                          <div>
+                            <h3 className="text-lg font-bold text-gray-900">{selectedPlayer.name}</h3>
+                            <p className="text-sm text-gray-600">{selectedPlayer.email}</p>
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-blue-100 to-indigo-100 text-blue-800 border border-blue-200 capitalize mb-2">
+                            {selectedPlayer.sport}
+                            {getPlayingRole(selectedPlayer.sport, selectedPlayer.playingRole) &&
+                              ` · ${getPlayingRole(selectedPlayer.sport, selectedPlayer.playingRole).name}`}
+                          </span>
+                          <p className={`text-lg font-bold ${getPerformanceColor(selectedPlayer.currentScore || 0)}`}>
+                            Current Score: {selectedPlayer.currentScore || 0}%
+                          </p>
+                          <p className="text-xs text-gray-600 font-medium mt-1">
+                            {selectedPlayer.matchCount || 0} matches played
+                          </p>
+                        </div>
                       </div>
                     </div>
-                    <div className="text-right">
-                      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-blue-100 to-indigo-100 text-blue-800 border border-blue-200 capitalize mb-2">
-                        {selectedPlayer.sport}
-                      </span>
-                      <p className={`text-lg font-bold ${getPerformanceColor(selectedPlayer.currentScore || 0)}`}>
-                        Current Score: {selectedPlayer.currentScore || 0}%
-                      </p>
-                      <p className="text-xs text-gray-600 font-medium mt-1">
-                        {selectedPlayer.matchCount || 0} matches played
-                      </p>
-                    </div>
-                  </div>
+                  )}
                 </div>
               )}
             </div>
-          )}
-        </div>
 
-        {/* Sport-Specific Form */}
-        {selectedPlayer && (
-          <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8">
-            <h2 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-6">
-              {selectedPlayer.sport.charAt(0).toUpperCase() + selectedPlayer.sport.slice(1)} Match Data
-            </h2>
-            {renderSportForm()}
-          </div>
+            {/* Sport-Specific Form */}
+            {selectedPlayer && (
+              <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8">
+                <h2 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-6">
+                  {getSport(selectedPlayer.sport)?.name || selectedPlayer.sport} Match Data
+                </h2>
+                {renderFixtureSelect()}
+                {!selectedFixture && (
+                  <>
+                    {renderDateField()}
+                    {renderFormatSelect()}
+                    {renderContextFields()}
+                  </>
+                )}
+                {renderSportForm()}
+              </div>
+            )}
+          </>
         )}
       </div>
     </div>
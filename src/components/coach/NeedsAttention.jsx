@@ -0,0 +1,69 @@
+import { Badge } from '../ui/index.js';
+
+const FLAG_ICONS = {
+  'workload-spike': '📈',
+  'short-rest': '⏱️',
+  'score-decline': '📉'
+};
+
+/**
+ * "Needs attention" list for the coach dashboard
+ * Lists players flagged by the fatigue model (see services/fatigueModel.js) with the
+ * reasons, most urgent first.
+ * @param {Object} props
+ * @param {Array} props.entries - Output of getPlayersNeedingAttention
+ * @param {Function} [props.onSelectPlayer] - Called with the player when their row is opened
+ */
+function NeedsAttention({ entries = [], onSelectPlayer }) {
+  return (
+    <div className="mb-8" data-testid="needs-attention">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Needs Attention</h2>
+      {entries.length === 0 ? (
+        <div className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 text-gray-600">
+          No players show signs of overload or a falling score right now.
+        </div>
+      ) : (
+        <ul className="bg-white/95 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 divide-y divide-gray-100">
+          {entries.map(({ player, flags, severity, lastMatchDate }) => (
+            <li key={player.id} className="p-5" data-testid={`attention-${player.id}`}>
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <Badge variant={severity === 'high' ? 'danger' : 'warning'} size="sm">
+                    {severity === 'high' ? 'High risk' : 'Watch'}
+                  </Badge>
+                  {onSelectPlayer ? (
+                    <button
+                      type="button"
+                      onClick={() => onSelectPlayer(player)}
+                      className="font-semibold text-gray-900 hover:text-blue-600"
+                    >
+                      {player.name}
+                    </button>
+                  ) : (
+                    <span className="font-semibold text-gray-900">{player.name}</span>
+                  )}
+                  {player.sport && <span className="text-sm text-gray-500 capitalize">{player.sport}</span>}
+                </div>
+                {lastMatchDate && (
+                  <span className="text-xs text-gray-500">
+                    Last match {lastMatchDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                  </span>
+                )}
+              </div>
+              <ul className="mt-3 space-y-1">
+                {flags.map(flag => (
+                  <li key={flag.id} className="flex items-start gap-2 text-sm text-gray-700">
+                    <span aria-hidden="true">{FLAG_ICONS[flag.id]}</span>
+                    <span>{flag.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default NeedsAttention;
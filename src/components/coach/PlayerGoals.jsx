@@ -0,0 +1,26 @@
+import { useGoals } from '../../hooks/useGoals.js';
+import { GoalTracker } from '../player/index.js';
+
+/**
+ * A player's goals for the coach: progress and a form to set new targets
+ * @param {Object} props
+ * @param {Object} props.player - Player record ({ id, playerId, sport })
+ * @param {string} props.coachId - Coach ID
+ */
+function PlayerGoals({ player, coachId }) {
+  const { goals, loading, saving, error, addGoal, removeGoal } = useGoals(player.playerId || player.id);
+
+  return (
+    <GoalTracker
+      goals={goals}
+      sport={player.sport}
+      loading={loading}
+      saving={saving}
+      error={error}
+      onCreate={(goalData) => addGoal({ ...goalData, coachId, createdBy: coachId })}
+      onDelete={removeGoal}
+    />
+  );
+}
+
+export default PlayerGoals;
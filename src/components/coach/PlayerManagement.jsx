@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useToast } from '../../contexts/ToastContext.jsx';
 import { firestoreService } from '../../services/firestoreService.js';
+import { getAllSports, getPlayingRole, getPlayingRoles, getSport } from '../../sports/index.js';
 
 /**
  * Player management component for coaches
@@ -22,7 +23,8 @@ function PlayerManagement() {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    sport: 'cricket'
+    sport: 'cricket',
+    playingRole: ''
   });
 
   // Load data on component mount
@@ -64,7 +66,9 @@ function PlayerManagement() {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Roles are sport-specific, so a sport change clears the role
+      ...(name === 'sport' ? { playingRole: '' } : {})
     }));
   };
 
@@ -84,6 +88,7 @@ function PlayerManagement() {
         name: formData.name,
         role: 'player',
         sport: formData.sport,
+        playingRole: formData.playingRole || null,
         coachId: userData.uid
       };
 
@@ -95,7 +100,7 @@ function PlayerManagement() {
       await firestoreService.assignPlayerToCoach(playerId, userData.uid);
 
       // Reset form and reload data
-      setFormData({ name: '', email: '', sport: 'cricket' });
+      setFormData({ name: '', email: '', sport: 'cricket', playingRole: '' });
       setShowAddForm(false);
       await loadPlayerData();
 
@@ -122,18 +127,20 @@ function PlayerManagement() {
       await firestoreService.updatePlayerStats(editingPlayer.id, {
         name: formData.name,
         email: formData.email,
-        sport: formData.sport
+        sport: formData.sport,
+        playingRole: formData.playingRole || null
       });
 
       // Also update the user profile
       await firestoreService.updateUserProfile(editingPlayer.playerId || editingPlayer.id, {
         name: formData.name,
         email: formData.email,
-        sport: formData.sport
+        sport: formData.sport,
+        playingRole: formData.playingRole || null
       });
 
       // Reset form and reload data
-      setFormData({ name: '', email: '', sport: 'cricket' });
+      setFormData({ name: '', email: '', sport: 'cricket', playingRole: '' });
       setEditingPlayer(null);
       await loadPlayerData();
 
@@ -193,7 +200,8 @@ function PlayerManagement() {
     setFormData({
       name: player.name || '',
       email: player.email || '',
-      sport: player.sport || 'cricket'
+      sport: player.sport || 'cricket',
+      playingRole: player.playingRole || ''
     });
   };
 
@@ -203,7 +211,7 @@ function PlayerManagement() {
   const cancelForm = () => {
     setShowAddForm(false);
     setEditingPlayer(null);
-    setFormData({ name: '', email: '', sport: 'cricket' });
+    setFormData({ name: '', email: '', sport: 'cricket', playingRole: '' });
     setError(null);
   };
 
@@ -357,11 +365,33 @@ function PlayerManagement() {
                     onChange={handleInputChange}
                     className="block w-full px-4 py-3 border border-gray-300 rounded-xl shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
                   >
-                    <option value="cricket">🏏 Cricket</option>
-                    <option value="football">⚽ Football</option>
-                    <option value="basketball">🏀 Basketball</option>
+                    {getAllSports().map(sport => (
+                      <option key={sport.id} value={sport.id}>{sport.icon} {sport.name}</option>
+                    ))}
                   </select>
                 </div>
+                {getPlayingRoles(formData.sport).length > 0 && (
+                  <div>
+                    <label htmlFor="playingRole" className="block text-sm font-semibold text-gray-700 mb-2">
+                      {getSport(formData.sport)?.playingRoleLabel || 'Playing Role'}
+                    </label>
+                    <select
+                      id="playingRole"
+                      name="playingRole"
+                      value={formData.playingRole}
+                      onChange={handleInputChange}
+                      className="block w-full px-4 py-3 border border-gray-300 rounded-xl shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                    >
+                      <option value="">Not specified</option>
+                      {getPlayingRoles(formData.sport).map(role => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Scores are weighted towards what matters for this role
+                    </p>
+                  </div>
+                )}
               </div>
               <div className="mt-8 flex space-x-4">
                 <button
@@ -467,6 +497,11 @@ function PlayerManagement() {
                           <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-blue-100 to-indigo-100 text-blue-800 border border-blue-200">
                             {player.sport}
                           </span>
+                          {getPlayingRole(player.sport, player.playingRole) && (
+                            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700 border border-gray-200">
+                              {getPlayingRole(player.sport, player.playingRole).name}
+                            </span>
+                          )}
                         </div>
                         <p className="text-sm text-gray-500">{player.email}</p>
                       </div>
@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { scoringProfileService } from '../../services/scoringProfileService.js';
+import { getAllSports, getSport } from '../../sports/index.js';
+import { SCORING_PROFILE_SECTIONS } from '../../sports/scoringProfile.js';
+import { MAX_DIFFICULTY_WEIGHT } from '../../sports/matchContext.js';
+
+const SECTION_TITLES = {
+  weights: 'Weights',
+  caps: 'Caps',
+  baselines: 'Baselines'
+};
+
+const SECTION_HELP = {
+  weights: 'How much each component contributes to the final score (0–1)',
+  caps: 'Maximum points a single component can contribute',
+  baselines: 'Normalisation constants, e.g. the strike rate or economy range treated as elite'
+};
+
+/**
+ * Turn a camelCase profile key into a readable label
+ * @param {string} key - Profile key
+ * @returns {string} Label
+ */
+const formatKey = (key) =>
+  key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+
+/**
+ * Scoring profile settings for coaches
+ * Lets a coach tune the weights, caps and baselines used to score their team's matches
+ */
+function ScoringProfileSettings() {
+  const { userData } = useAuth();
+  const { showSuccess, showError } = useToast();
+  const sports = getAllSports().filter(sport => sport.scoringProfile);
+
+  const [sport, setSport] = useState(sports[0]?.id || '');
+  const [formData, setFormData] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the effective profile for the selected sport
+   */
+  const loadProfile = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const profile = await scoringProfileService.getEffectiveProfile(userData.uid, sport);
+      setFormData({
+        ...Object.fromEntries(SCORING_PROFILE_SECTIONS.map(section => [
+          section,
+          Object.fromEntries(Object.entries(profile[section]).map(([key, value]) => [key, String(value)]))
+        ])),
+        difficultyWeight: String(profile.difficultyWeight || 0)
+      });
+      setVersion(profile.version);
+    } catch (err) {
+      console.error('Error loading scoring profile:', err);
+      setError(err.message || 'Failed to load scoring profile');
+    } finally {
+      setLoading(false);
+    }
+  }, [userData?.uid, sport]);
+
+  // Load the effective profile whenever the sport changes
+  useEffect(() => {
+    if (userData?.uid && sport) {
+      loadProfile();
+    }
+  }, [userData?.uid, sport, loadProfile]);
+
+  /**
+   * Handle input changes
+   * @param {string} section - Profile section
+   * @param {string} key - Profile key
+   * @param {string} value - New value
+   */
+  const handleInputChange = (section, key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [section]: { ...prev[section], [key]: value }
+    }));
+  };
+
+  /**
+   * Collect the values that differ from the sport defaults
+   * @returns {Object} Profile overrides
+   */
+  const getOverrides = () => {
+    const defaults = getSport(sport).scoringProfile;
+
+    return {
+      ...Object.fromEntries(SCORING_PROFILE_SECTIONS.map(section => [
+        section,
+        Object.fromEntries(
+          Object.entries(formData[section])
+            .map(([key, value]) => [key, Number(value)])
+            .filter(([key, value]) => value !== defaults[section]?.[key])
+        )
+      ])),
+      difficultyWeight: Number(formData.difficultyWeight) || 0
+    };
+  };
+
+  /**
+   * Save the profile as a new version
+   * @param {Object} overrides - Profile overrides to save
+   */
+  const saveProfile = async (overrides) => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const saved = await scoringProfileService.saveTeamProfile(userData.uid, sport, overrides);
+      showSuccess(`Scoring profile saved (version ${saved.version}). New matches will use it.`);
+      await loadProfile();
+    } catch (err) {
+      console.error('Error saving scoring profile:', err);
+      setError(err.message || 'Failed to save scoring profile');
+      showError(err.message || 'Failed to save scoring profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveProfile(getOverrides());
+  };
+
+  if (sports.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Scoring Profile</h2>
+          <p className="text-sm text-gray-600">
+            Tune how match performance is scored for your team. Each save creates a new version;
+            existing match scores keep the version they were calculated with.
+          </p>
+        </div>
+        <select
+          value={sport}
+          onChange={(e) => setSport(e.target.value)}
+          disabled={saving}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          {sports.map(option => (
+            <option key={option.id} value={option.id}>
+              {option.icon} {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {loading || !formData ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <p className="text-xs text-gray-500">
+            {version > 0 ? `Current version: ${version}` : 'Using the default profile'}
+          </p>
+
+          {SCORING_PROFILE_SECTIONS
+            .filter(section => Object.keys(formData[section]).length > 0)
+            .map(section => (
+              <fieldset key={section} className="space-y-3">
+                <legend className="text-sm font-semibold text-gray-900">{SECTION_TITLES[section]}</legend>
+                <p className="text-xs text-gray-500">{SECTION_HELP[section]}</p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {Object.entries(formData[section]).map(([key, value]) => (
+                    <div key={key}>
+                      <label htmlFor={`${section}-${key}`} className="block text-sm font-medium text-gray-700">
+                        {formatKey(key)}
+                      </label>
+                      <input
+                        type="number"
+                        id={`${section}-${key}`}
+                        value={value}
+                        onChange={(e) => handleInputChange(section, key, e.target.value)}
+                        min="0"
+                        max={section === 'weights' ? 1 : undefined}
+                        step="any"
+                        disabled={saving}
+                        className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </fieldset>
+            ))}
+
+          <fieldset className="space-y-3">
+            <legend className="text-sm font-semibold text-gray-900">Match Difficulty</legend>
+            <p className="text-xs text-gray-500">
+              Scale scores by the opponent strength recorded with a match. At 0.2 a match against a
+              much stronger side scores 20% higher and one against a much weaker side 20% lower; 0 turns it off.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="difficultyWeight" className="block text-sm font-medium text-gray-700">
+                  Difficulty weight
+                </label>
+                <input
+                  type="number"
+                  id="difficultyWeight"
+                  value={formData.difficultyWeight}
+                  onChange={(e) => setFormData(prev => ({ ...prev, difficultyWeight: e.target.value }))}
+                  min="0"
+                  max={MAX_DIFFICULTY_WEIGHT}
+                  step="0.05"
+                  disabled={saving}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+          </fieldset>
+
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => saveProfile({})}
+              disabled={saving || version === 0}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+            >
+              Reset to Defaults
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Profile'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ScoringProfileSettings;
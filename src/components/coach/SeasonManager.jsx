@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { formatMatchDate, parseDateInput } from '../../utils/matchDate.js';
+
+const EMPTY_SEASON = { name: '', startDate: '', endDate: '' };
+
+/**
+ * Create and delete a coach's seasons
+ * @param {Object} props
+ * @param {Array} props.seasons - Seasons (see createSeason)
+ * @param {boolean} props.saving - Whether a season is being saved
+ * @param {Error} [props.error] - Last error from saving or deleting
+ * @param {Function} props.onCreate - Called with { name, startDate, endDate }; resolves to the season or null
+ * @param {Function} props.onDelete - Called with a season ID
+ */
+function SeasonManager({ seasons, saving, error, onCreate, onDelete }) {
+  const [form, setForm] = useState(EMPTY_SEASON);
+  const [formError, setFormError] = useState(null);
+
+  const formatDay = (date) => formatMatchDate(date, { format: { day: 'numeric', month: 'short', year: 'numeric' } });
+
+  /**
+   * Save the new season
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const startDate = parseDateInput(form.startDate);
+    const endDate = parseDateInput(form.endDate, { endOfDay: true });
+    if (!form.name.trim() || !startDate || !endDate) {
+      setFormError('Please enter a name, start date and end date');
+      return;
+    }
+
+    setFormError(null);
+    const season = await onCreate({ name: form.name, startDate, endDate });
+    if (season) {
+      setForm(EMPTY_SEASON);
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm';
+
+  return (
+    <div className="space-y-4">
+      {(formError || error) && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{formError || error.message}</p>
+        </div>
+      )}
+
+      {seasons.length === 0 ? (
+        <p className="text-sm text-gray-500">No seasons yet. Add one to compare how the team did season by season.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {seasons.map(season => (
+            <li key={season.id} className="flex items-center justify-between py-2 text-sm">
+              <span className="text-gray-900">
+                <span className="font-semibold">{season.name}</span>
+                <span className="ml-2 text-gray-500">{formatDay(season.startDate)} – {formatDay(season.endDate)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onDelete(season.id)}
+                className="text-xs font-semibold text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label htmlFor="season-name" className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            type="text"
+            id="season-name"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            maxLength={100}
+            disabled={saving}
+            className={inputClass}
+            placeholder="e.g., 2024 Summer"
+          />
+        </div>
+        <div>
+          <label htmlFor="season-start" className="block text-sm font-medium text-gray-700">Start Date</label>
+          <input
+            type="date"
+            id="season-start"
+            value={form.startDate}
+            onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+            disabled={saving}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="season-end" className="block text-sm font-medium text-gray-700">End Date</label>
+          <input
+            type="date"
+            id="season-end"
+            value={form.endDate}
+            onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+            disabled={saving}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Add Season'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SeasonManager;
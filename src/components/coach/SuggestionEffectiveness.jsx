@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { suggestionFeedbackService } from '../../services/suggestionFeedbackService.js';
+import { getAllSports, getSport } from '../../sports/index.js';
+
+/**
+ * Describe a rule for the table: the built-in rule's message, or its id
+ * @param {Object} stats - Rule stats ({ ruleId, sport })
+ * @returns {string} Rule description
+ */
+const describeRule = (stats) =>
+  getSport(stats.sport)?.suggestionRules?.find(rule => rule.id === stats.ruleId)?.message || stats.ruleId;
+
+/**
+ * Suggestion effectiveness for coaches
+ * Shows how players respond to each suggestion rule and whether following it moved
+ * the rule's metric in their next matches. Rules that do not help are played down.
+ */
+function SuggestionEffectiveness() {
+  const { userData } = useAuth();
+  const sports = getAllSports();
+
+  const [stats, setStats] = useState({});
+  const [sport, setSport] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load per-rule effectiveness for the coach's squad
+   */
+  const loadStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setStats(await suggestionFeedbackService.getRuleEffectiveness(userData.uid));
+    } catch (err) {
+      console.error('Error loading suggestion effectiveness:', err);
+      setError(err.message || 'Failed to load suggestion effectiveness');
+    } finally {
+      setLoading(false);
+    }
+  }, [userData?.uid]);
+
+  // Load the stats when the coach changes
+  useEffect(() => {
+    if (userData?.uid) {
+      loadStats();
+    }
+  }, [userData?.uid, loadStats]);
+
+  const rows = Object.values(stats)
+    .filter(row => sport === 'all' || row.sport === sport)
+    .sort((a, b) => b.shown - a.shown || a.ruleId.localeCompare(b.ruleId));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Suggestion Effectiveness</h2>
+          <p className="text-sm text-gray-600">
+            Player feedback on each suggestion, and how often following it improved the stat in the next matches.
+          </p>
+        </div>
+        <select
+          value={sport}
+          onChange={(e) => setSport(e.target.value)}
+          aria-label="Filter by sport"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="all">All sports</option>
+          {sports.map(option => (
+            <option key={option.id} value={option.id}>
+              {option.icon} {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">No suggestions have been given yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm" data-testid="suggestion-effectiveness">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">Suggestion</th>
+                <th className="py-2 px-2 font-medium text-right">Shown</th>
+                <th className="py-2 px-2 font-medium text-right">Done</th>
+                <th className="py-2 px-2 font-medium text-right">Dismissed</th>
+                <th className="py-2 px-2 font-medium text-right">Not useful</th>
+                <th className="py-2 px-2 font-medium text-right">Improved</th>
+                <th className="py-2 px-2 font-medium text-right">Avg change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.ruleId} className="border-b last:border-0">
+                  <td className="py-2 pr-4 max-w-xs">
+                    <p className="text-gray-800 truncate" title={describeRule(row)}>{describeRule(row)}</p>
+                    <p className="text-xs text-gray-500">
+                      {row.ruleId}
+                      {row.deprioritized && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-700">Played down</span>
+                      )}
+                    </p>
+                  </td>
+                  <td className="py-2 px-2 text-right">{row.shown}</td>
+                  <td className="py-2 px-2 text-right">{row.done}</td>
+                  <td className="py-2 px-2 text-right">{row.dismissed}</td>
+                  <td className="py-2 px-2 text-right">{row.notUseful}</td>
+                  <td className="py-2 px-2 text-right">
+                    {row.improvementRate === null ? '—' : `${Math.round(row.improvementRate * 100)}% of ${row.evaluated}`}
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    {row.averageChange === null ? '—' : `${row.averageChange > 0 ? '+' : ''}${row.averageChange}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SuggestionEffectiveness;
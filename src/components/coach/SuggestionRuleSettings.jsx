@@ -0,0 +1,482 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { suggestionRuleService } from '../../services/suggestionRuleService.js';
+import { matchService } from '../../services/matchService.js';
+import { previewSuggestionRule } from '../../services/suggestionEngine.js';
+import { getAllSports, getSport } from '../../sports/index.js';
+import { RULE_COMPARATORS } from '../../sports/suggestionRules.js';
+import { getRuleNames, validateSuggestionRule } from '../../utils/validators.js';
+
+// Fields a coach can change on a rule; only changed fields of built-in rules are saved
+const EDITABLE_FIELDS = ['type', 'priority', 'message', 'metric', 'comparator', 'threshold', 'conditions', 'enabled'];
+
+const SUGGESTION_TYPES = ['technique', 'training', 'rest', 'general'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Read a threshold typed by the coach: plain numbers are stored as numbers,
+ * anything else as an expression
+ * @param {string} value - Input value
+ * @returns {number|string} Threshold
+ */
+const parseThreshold = (value) => {
+  const trimmed = String(value).trim();
+  return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+};
+
+/**
+ * Describe a condition in one line, e.g. "score < 70" or "(turnovers >= 4 or turnovers > assists)"
+ * @param {Object} condition - Rule condition
+ * @returns {string} Description
+ */
+const describeCondition = (condition) => {
+  if (Array.isArray(condition.any)) {
+    return `(${condition.any.map(describeCondition).join(' or ')})`;
+  }
+  return `${condition.metric} ${condition.comparator} ${condition.threshold}`;
+};
+
+/**
+ * Collect the rules to save: changed fields of built-in rules, and the coach's own rules
+ * @param {Array} rules - Edited effective rules
+ * @param {Array} defaults - Sport default rules
+ * @returns {Array} Coach rules
+ */
+const getCoachRules = (rules, defaults) =>
+  rules.flatMap(rule => {
+    const defaultRule = defaults.find(candidate => candidate.id === rule.id);
+    if (!defaultRule) {
+      return [rule];
+    }
+
+    const changes = EDITABLE_FIELDS.filter(field =>
+      JSON.stringify(rule[field] ?? (field === 'enabled' ? true : null)) !==
+      JSON.stringify(defaultRule[field] ?? (field === 'enabled' ? true : null)));
+    return changes.length > 0
+      ? [{ id: rule.id, ...Object.fromEntries(changes.map(field => [field, rule[field]])) }]
+      : [];
+  });
+
+/**
+ * Suggestion rule settings for coaches
+ * Lets a coach edit, enable and add the rules that generate training advice,
+ * and preview a rule against one of their past matches
+ */
+function SuggestionRuleSettings() {
+  const { userData } = useAuth();
+  const { showSuccess, showError } = useToast();
+  const sports = getAllSports();
+
+  const [sport, setSport] = useState(sports[0]?.id || '');
+  const [rules, setRules] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [previewMatchId, setPreviewMatchId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the effective rules and the coach's matches for the selected sport
+   */
+  const loadRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [effectiveRules, coachMatches] = await Promise.all([
+        suggestionRuleService.getEffectiveRules(userData.uid, sport),
+        matchService.getCoachMatches(userData.uid)
+      ]);
+      const sportMatches = coachMatches.filter(match => match.sport === sport).slice(0, 20);
+
+      setRules(effectiveRules);
+      setSelectedId(effectiveRules[0]?.id || null);
+      setMatches(sportMatches);
+      setPreviewMatchId(sportMatches[0]?.id || '');
+    } catch (err) {
+      console.error('Error loading suggestion rules:', err);
+      setError(err.message || 'Failed to load suggestion rules');
+    } finally {
+      setLoading(false);
+    }
+  }, [userData?.uid, sport]);
+
+  // Load the rules and past matches whenever the sport changes
+  useEffect(() => {
+    if (userData?.uid && sport) {
+      loadRules();
+    }
+  }, [userData?.uid, sport, loadRules]);
+
+  const selectedRule = rules.find(rule => rule.id === selectedId) || null;
+  const isBuiltIn = (rule) => getSport(sport).suggestionRules.some(candidate => candidate.id === rule.id);
+  const validation = selectedRule ? validateSuggestionRule(sport, selectedRule) : { isValid: true, errors: {} };
+  const previewMatch = matches.find(match => match.id === previewMatchId) || null;
+  const preview = selectedRule && previewMatch && validation.isValid
+    ? previewSuggestionRule(sport, selectedRule, previewMatch)
+    : null;
+
+  /**
+   * Update fields of a rule
+   * @param {string} id - Rule id
+   * @param {Object} changes - Changed fields
+   */
+  const updateRule = (id, changes) => {
+    setRules(prev => prev.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  /**
+   * Update one field of a simple condition of the selected rule
+   * @param {number} index - Condition index
+   * @param {string} field - Condition field
+   * @param {*} value - New value
+   */
+  const updateCondition = (index, field, value) => {
+    const conditions = selectedRule.conditions.map((condition, position) =>
+      (position === index ? { ...condition, [field]: value } : condition));
+    updateRule(selectedRule.id, { conditions });
+  };
+
+  /**
+   * Add a custom rule and select it
+   */
+  const addRule = () => {
+    const id = `custom.${sport}.${Date.now()}`;
+    const rule = {
+      id,
+      type: 'technique',
+      priority: 'medium',
+      message: 'Your {value} was below {threshold}.',
+      metric: 'score',
+      comparator: '<',
+      threshold: 50,
+      conditions: [],
+      enabled: true
+    };
+    setRules(prev => [...prev, rule]);
+    setSelectedId(id);
+  };
+
+  /**
+   * Remove a custom rule
+   * @param {string} id - Rule id
+   */
+  const removeRule = (id) => {
+    setRules(prev => prev.filter(rule => rule.id !== id));
+    setSelectedId(rules[0]?.id || null);
+  };
+
+  /**
+   * Save the coach's rules
+   */
+  const saveRules = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const coachRules = getCoachRules(rules, getSport(sport).suggestionRules);
+      await suggestionRuleService.saveCoachRules(userData.uid, sport, coachRules);
+      showSuccess('Suggestion rules saved. New matches will use them.');
+    } catch (err) {
+      console.error('Error saving suggestion rules:', err);
+      setError(err.message || 'Failed to save suggestion rules');
+      showError(err.message || 'Failed to save suggestion rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClasses = 'mt-1 block w-full border border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500';
+
+  if (sports.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Advice Rules</h2>
+          <p className="text-sm text-gray-600">
+            Choose which training advice your players get after a match. Messages can include
+            {' {value}'}, {'{threshold}'} or any stat name in braces.
+          </p>
+        </div>
+        <select
+          value={sport}
+          onChange={(e) => setSport(e.target.value)}
+          disabled={saving}
+          aria-label="Sport"
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          {sports.map(option => (
+            <option key={option.id} value={option.id}>
+              {option.icon} {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Rule list */}
+          <div className="space-y-2">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className={`flex items-start gap-3 p-3 border rounded-md cursor-pointer ${
+                  rule.id === selectedId ? 'border-blue-400 bg-blue-50' : 'border-gray-200'
+                }`}
+                onClick={() => setSelectedId(rule.id)}
+              >
+                <input
+                  type="checkbox"
+                  checked={rule.enabled !== false}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  onClick={(e) => e.stopPropagation()}
+                  aria-label={`Enable ${rule.id}`}
+                  className="mt-1 rounded border-gray-300"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-800 truncate">{rule.message}</p>
+                  <p className="text-xs text-gray-500">
+                    {rule.metric} {rule.comparator} {rule.threshold} · {rule.priority}
+                    {!isBuiltIn(rule) && ' · custom'}
+                  </p>
+                </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={addRule}
+              disabled={saving}
+              className="w-full border border-dashed border-gray-300 rounded-md py-2 text-sm text-gray-600 hover:bg-gray-50"
+            >
+              + Add Rule
+            </button>
+          </div>
+
+          {/* Rule editor and preview */}
+          {selectedRule && (
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="rule-message" className="block text-sm font-medium text-gray-700">Message</label>
+                <textarea
+                  id="rule-message"
+                  rows={3}
+                  value={selectedRule.message}
+                  onChange={(e) => updateRule(selectedRule.id, { message: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="rule-type" className="block text-sm font-medium text-gray-700">Type</label>
+                  <select
+                    id="rule-type"
+                    value={selectedRule.type}
+                    onChange={(e) => updateRule(selectedRule.id, { type: e.target.value })}
+                    className={inputClasses}
+                  >
+                    {SUGGESTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="rule-priority" className="block text-sm font-medium text-gray-700">Priority</label>
+                  <select
+                    id="rule-priority"
+                    value={selectedRule.priority}
+                    onChange={(e) => updateRule(selectedRule.id, { priority: e.target.value })}
+                    className={inputClasses}
+                  >
+                    {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                  </select>
+                </div>
+              </div>
+
+              <datalist id="rule-names">
+                {getRuleNames(sport).map(name => <option key={name} value={name} />)}
+              </datalist>
+
+              <div className="grid grid-cols-3 gap-2">
+                <div className="col-span-1">
+                  <label htmlFor="rule-metric" className="block text-sm font-medium text-gray-700">Metric</label>
+                  <input
+                    id="rule-metric"
+                    list="rule-names"
+                    value={selectedRule.metric}
+                    onChange={(e) => updateRule(selectedRule.id, { metric: e.target.value })}
+                    className={inputClasses}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="rule-comparator" className="block text-sm font-medium text-gray-700">Comparator</label>
+                  <select
+                    id="rule-comparator"
+                    value={selectedRule.comparator}
+                    onChange={(e) => updateRule(selectedRule.id, { comparator: e.target.value })}
+                    className={inputClasses}
+                  >
+                    {RULE_COMPARATORS.map(comparator => <option key={comparator} value={comparator}>{comparator}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="rule-threshold" className="block text-sm font-medium text-gray-700">Threshold</label>
+                  <input
+                    id="rule-threshold"
+                    list="rule-names"
+                    value={selectedRule.threshold}
+                    onChange={(e) => updateRule(selectedRule.id, { threshold: parseThreshold(e.target.value) })}
+                    className={inputClasses}
+                  />
+                </div>
+              </div>
+
+              {/* Conditions */}
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Only when</p>
+                {(selectedRule.conditions || []).map((condition, index) => (
+                  Array.isArray(condition.any) ? (
+                    <p key={index} className="text-xs text-gray-600">{describeCondition(condition)}</p>
+                  ) : (
+                    <div key={index} className="grid grid-cols-7 gap-2 items-center">
+                      <input
+                        list="rule-names"
+                        value={condition.metric}
+                        onChange={(e) => updateCondition(index, 'metric', e.target.value)}
+                        aria-label="Condition metric"
+                        className={`${inputClasses} col-span-3 mt-0`}
+                      />
+                      <select
+                        value={condition.comparator}
+                        onChange={(e) => updateCondition(index, 'comparator', e.target.value)}
+                        aria-label="Condition comparator"
+                        className={`${inputClasses} mt-0`}
+                      >
+                        {RULE_COMPARATORS.map(comparator => <option key={comparator} value={comparator}>{comparator}</option>)}
+                      </select>
+                      <input
+                        list="rule-names"
+                        value={condition.threshold}
+                        onChange={(e) => updateCondition(index, 'threshold', parseThreshold(e.target.value))}
+                        aria-label="Condition threshold"
+                        className={`${inputClasses} col-span-2 mt-0`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => updateRule(selectedRule.id, {
+                          conditions: selectedRule.conditions.filter((_, position) => position !== index)
+                        })}
+                        className="text-sm text-red-600 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateRule(selectedRule.id, {
+                    conditions: [...(selectedRule.conditions || []), { metric: 'score', comparator: '<', threshold: 70 }]
+                  })}
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  + Add condition
+                </button>
+              </div>
+
+              {!validation.isValid && (
+                <ul className="text-sm text-red-600 list-disc list-inside">
+                  {Object.entries(validation.errors).map(([field, message]) => (
+                    <li key={field}>{message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Preview */}
+              <div className="bg-gray-50 rounded-md p-3 space-y-2" data-testid="rule-preview">
+                <label htmlFor="rule-preview-match" className="block text-sm font-medium text-gray-700">
+                  Preview against a past match
+                </label>
+                {matches.length === 0 ? (
+                  <p className="text-xs text-gray-500">No matches recorded for this sport yet.</p>
+                ) : (
+                  <select
+                    id="rule-preview-match"
+                    value={previewMatchId}
+                    onChange={(e) => setPreviewMatchId(e.target.value)}
+                    className={inputClasses}
+                  >
+                    {matches.map(match => (
+                      <option key={match.id} value={match.id}>
+                        {match.playerName || match.playerEmail || match.playerId} · score {Math.round(match.calculatedScore ?? 0)}
+                        {match.date?.seconds ? ` · ${new Date(match.date.seconds * 1000).toLocaleDateString()}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {preview && (
+                  <div className="text-sm">
+                    <p className="text-gray-600">
+                      {selectedRule.metric} = {preview.value ?? '—'}, threshold = {preview.threshold ?? '—'}
+                    </p>
+                    <p className={preview.fired ? 'text-green-700' : 'text-gray-500'}>
+                      {preview.fired ? `Fires: “${preview.suggestion.message}”` : 'Does not fire for this match'}
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {!isBuiltIn(selectedRule) && (
+                <button
+                  type="button"
+                  onClick={() => removeRule(selectedRule.id)}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  Delete rule
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={() => {
+            setRules(getSport(sport).suggestionRules);
+            setSelectedId(getSport(sport).suggestionRules[0]?.id || null);
+          }}
+          disabled={saving || loading}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          Reset to Defaults
+        </button>
+        <button
+          type="button"
+          onClick={saveRules}
+          disabled={saving || loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SuggestionRuleSettings;
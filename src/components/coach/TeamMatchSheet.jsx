@@ -0,0 +1,548 @@
+import { useState } from 'react';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { matchService } from '../../services/matchService.js';
+import { describeGoal } from '../../services/goalProgress.js';
+import { getMatchFormat, getMatchFormats, getPlayingRole, getSport } from '../../sports/index.js';
+import { describeMatchContext, MATCH_RESULTS, MATCH_VENUES, OPPONENT_STRENGTHS } from '../../sports/matchContext.js';
+import { validateParametersAgainstSchema } from '../../utils/validators.js';
+import {
+  formatMatchDate,
+  getDeviceTimeZone,
+  parseDateTimeInput,
+  toDateTimeInputValue,
+  toMillis
+} from '../../utils/matchDate.js';
+import { filterSchemaForRole, toInputSchema, toParameters } from '../forms/parameterForm.js';
+
+const EMPTY_FIXTURE = { opponent: '', venue: '', competition: '', result: '', opponentStrength: '' };
+
+/**
+ * Team sheet: one fixture and a grid of every participating player's parameters,
+ * validated row by row and saved together
+ * @param {Object} props
+ * @param {Array} props.players - The coach's players
+ * @param {string} props.coachId - Coach UID
+ * @param {Array} [props.fixtures] - The coach's fixtures; a played one can be picked for the sheet
+ * @param {Function} [props.onSaved] - Called after the sheet is saved
+ */
+function TeamMatchSheet({ players, coachId, fixtures = [], onSaved }) {
+  const { showSuccess, showError } = useToast();
+  const sportIds = [...new Set(players.map(player => player.sport).filter(Boolean))];
+
+  const [sportId, setSportId] = useState(sportIds[0] || '');
+  const [matchDate, setMatchDate] = useState(() => toDateTimeInputValue(new Date()));
+  const [formatId, setFormatId] = useState(() => getMatchFormats(sportIds[0])[0]?.id || '');
+  const [customOvers, setCustomOvers] = useState('');
+  const [fixture, setFixture] = useState(EMPTY_FIXTURE);
+  // Stored fixture the sheet is added to ('' for a new fixture)
+  const [fixtureId, setFixtureId] = useState('');
+  // { [player.id]: { included, values: { field: entered value } } }
+  const [rows, setRows] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const sport = getSport(sportId);
+  const squad = players.filter(player => player.sport === sportId);
+  const columns = sport ? sport.formLayout.flatMap(group => group.fields) : [];
+  const selectedPlayers = squad.filter(player => rows[player.id]?.included);
+  const playedFixtures = fixtures.filter(candidate =>
+    candidate.sport === sportId && (toMillis(candidate.date) ?? 0) <= Date.now());
+  const linked = fixtureId !== '';
+
+  /**
+   * Switch the sheet to another sport; rows are cleared
+   * @param {string} id - Sport id
+   */
+  const handleSportChange = (id) => {
+    setSportId(id);
+    setFormatId(getMatchFormats(id)[0]?.id || '');
+    setCustomOvers('');
+    setFixtureId('');
+    setRows({});
+    setRowErrors({});
+  };
+
+  /**
+   * Add the sheet to a stored fixture, filling in its details, or go back to a new fixture.
+   * A stored fixture keeps its date, format and opponent strength.
+   * @param {string} id - Fixture ID, or '' for a new fixture
+   */
+  const handleFixtureSelect = (id) => {
+    setFixtureId(id);
+    const stored = fixtures.find(candidate => candidate.id === id);
+    if (!stored) {
+      setFixture(EMPTY_FIXTURE);
+      return;
+    }
+
+    setMatchDate(toDateTimeInputValue(new Date(toMillis(stored.date))));
+    setFormatId(stored.matchFormat?.id || getMatchFormats(sportId)[0]?.id || '');
+    setCustomOvers(getMatchFormat(sportId, stored.matchFormat?.id)?.customOvers ? String(stored.matchFormat.overs) : '');
+    setFixture(Object.fromEntries(Object.keys(EMPTY_FIXTURE).map(field => [field, String(stored[field] ?? '')])));
+  };
+
+  /**
+   * Add a player to the sheet or take them off it
+   * @param {string} id - Player record ID
+   */
+  const toggleRow = (id) => {
+    setRows(prev => ({
+      ...prev,
+      [id]: { values: {}, ...prev[id], included: !prev[id]?.included }
+    }));
+    setRowErrors(prev => ({ ...prev, [id]: null }));
+  };
+
+  /**
+   * Handle a parameter cell change; only non-negative numbers are accepted
+   * (yes/no fields pass their checkbox state)
+   * @param {string} id - Player record ID
+   * @param {string} field - Parameter name
+   * @param {string|boolean} value - Entered value
+   */
+  const handleCellChange = (id, field, value) => {
+    if (typeof value === 'string' && value !== '' && (isNaN(Number(value)) || Number(value) < 0)) return;
+
+    setRows(prev => ({
+      ...prev,
+      [id]: { ...prev[id], values: { ...prev[id].values, [field]: value } }
+    }));
+  };
+
+  /**
+   * Match format chosen for the fixture
+   * @returns {Object|null} Match format ({ id, overs }) or null when the sport has no formats
+   */
+  const getSelectedMatchFormat = () => {
+    const format = getMatchFormat(sportId, formatId);
+    if (!format) return null;
+    return { id: format.id, overs: format.customOvers ? Number(customOvers) : format.overs };
+  };
+
+  /**
+   * Validate the sheet and save it
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const date = parseDateTimeInput(matchDate);
+    if (!date) {
+      setError('Please enter the match date and time');
+      return;
+    }
+
+    const fixtureData = {
+      coachId,
+      sport: sportId,
+      date,
+      timeZone: getDeviceTimeZone(),
+      matchFormat: getSelectedMatchFormat(),
+      ...fixture,
+      venue: fixture.venue || null,
+      result: fixture.result || null
+    };
+
+    // Required and range checks in the units typed in, then the stored match checks
+    const inputErrors = selectedPlayers.map(player => Object.values(validateParametersAgainstSchema(
+      toInputSchema(filterSchemaForRole(sport.parameterSchema, player.playingRole || null)),
+      sport.parameterLabels,
+      rows[player.id].values
+    ).errors));
+    const entries = selectedPlayers.map(player => ({
+      playerId: player.playerId || player.id,
+      playerEmail: player.email,
+      playingRole: player.playingRole || null,
+      parameters: toParameters(sport.parameterSchema, sport.defaultParameters, rows[player.id].values)
+    }));
+    const validation = matchService.validateTeamSheet(fixtureData, entries);
+
+    const errorsByPlayer = Object.fromEntries(selectedPlayers.map((player, index) => [
+      player.id,
+      inputErrors[index].length > 0 ? inputErrors[index] : validation.rows[index].errors
+    ]));
+    setRowErrors(errorsByPlayer);
+
+    const fixtureErrors = Object.values(validation.fixtureErrors);
+    if (fixtureErrors.length > 0 || Object.values(errorsByPlayer).some(errors => errors.length > 0)) {
+      setError(fixtureErrors.length > 0 ? fixtureErrors.join(', ') : 'Please correct the highlighted rows');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const saved = await matchService.submitTeamSheet(fixtureData, entries, { fixtureId: fixtureId || null });
+      setResult(saved);
+      setRows({});
+      setFixtureId('');
+      setFixture(EMPTY_FIXTURE);
+      onSaved?.();
+      showSuccess(`Team sheet saved: ${saved.summary.playerCount} players, average score ${saved.summary.averageScore}%`);
+
+      // Celebrate goals the fixture completed
+      saved.matches.forEach(match => {
+        const name = squad.find(player => (player.playerId || player.id) === match.playerId)?.name;
+        (match.completedGoals || []).forEach(goal => {
+          showSuccess(`🎯 ${name} reached a goal: ${describeGoal(goal)}`, { duration: 8000 });
+        });
+      });
+    } catch (err) {
+      console.error('Error submitting team sheet:', err);
+      setError(err.message || 'Failed to save team sheet');
+      showError(err.message || 'Failed to save team sheet');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Player name for a saved match
+   * @param {string} playerId - Player ID on the match
+   * @returns {string} Name
+   */
+  const getPlayerName = (playerId) =>
+    players.find(player => (player.playerId || player.id) === playerId)?.name || 'Unknown';
+
+  const inputClass = 'mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+  if (result) {
+    const { fixture: saved, matches, summary } = result;
+
+    return (
+      <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8 space-y-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Team Sheet Saved</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            vs {saved.opponent}{saved.competition ? ` · ${saved.competition}` : ''}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
+          <div className="rounded-xl bg-blue-50 p-4">
+            <p className="text-xs font-semibold text-blue-700 uppercase">Players</p>
+            <p className="text-2xl font-bold text-blue-900">{summary.playerCount}</p>
+          </div>
+          <div className="rounded-xl bg-indigo-50 p-4">
+            <p className="text-xs font-semibold text-indigo-700 uppercase">Average Score</p>
+            <p className="text-2xl font-bold text-indigo-900">{summary.averageScore}%</p>
+          </div>
+          <div className="rounded-xl bg-green-50 p-4">
+            <p className="text-xs font-semibold text-green-700 uppercase">Best</p>
+            <p className="text-lg font-bold text-green-900">
+              {getPlayerName(summary.best.playerId)} · {summary.best.score}%
+            </p>
+          </div>
+        </div>
+
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead>
+            <tr className="text-left text-xs font-semibold text-gray-500 uppercase">
+              <th className="py-2">Player</th>
+              <th className="py-2 text-right">Score</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {[...matches].sort((a, b) => b.calculatedScore - a.calculatedScore).map(match => (
+              <tr key={match.id}>
+                <td className="py-2 text-gray-900">{getPlayerName(match.playerId)}</td>
+                <td className="py-2 text-right font-semibold text-gray-900">{match.calculatedScore}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <button
+          type="button"
+          onClick={() => setResult(null)}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md text-sm font-medium"
+        >
+          Enter Another Fixture
+        </button>
+      </div>
+    );
+  }
+
+  if (sportIds.length === 0) {
+    return (
+      <div className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8 text-center text-gray-600">
+        You need to add players before you can enter a team sheet.
+      </div>
+    );
+  }
+
+  const format = getMatchFormat(sportId, formatId);
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white/95 backdrop-blur-sm shadow-2xl rounded-2xl border border-gray-200 p-8 space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Team Sheet</h2>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {/* Fixture */}
+      <fieldset>
+        <legend className="text-sm font-semibold text-gray-900">Fixture</legend>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-2">
+          {playedFixtures.length > 0 && (
+            <div className="md:col-span-3">
+              <label htmlFor="sheet-fixture" className="block text-sm font-medium text-gray-700">Add to</label>
+              <select
+                id="sheet-fixture"
+                value={fixtureId}
+                onChange={(e) => handleFixtureSelect(e.target.value)}
+                disabled={submitting}
+                className={inputClass}
+              >
+                <option value="">New fixture</option>
+                {playedFixtures.map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>
+                    {formatMatchDate(candidate.date, { timeZone: candidate.timeZone })} · {describeMatchContext(candidate)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="sheet-sport" className="block text-sm font-medium text-gray-700">Sport *</label>
+            <select
+              id="sheet-sport"
+              value={sportId}
+              onChange={(e) => handleSportChange(e.target.value)}
+              disabled={submitting}
+              className={inputClass}
+            >
+              {sportIds.map(id => (
+                <option key={id} value={id}>{getSport(id)?.name || id}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="sheet-date" className="block text-sm font-medium text-gray-700">Date and Time *</label>
+            <input
+              type="datetime-local"
+              id="sheet-date"
+              value={matchDate}
+              onChange={(e) => setMatchDate(e.target.value)}
+              max={toDateTimeInputValue(new Date())}
+              disabled={submitting || linked}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="sheet-opponent" className="block text-sm font-medium text-gray-700">Opponent *</label>
+            <input
+              type="text"
+              id="sheet-opponent"
+              value={fixture.opponent}
+              onChange={(e) => setFixture(prev => ({ ...prev, opponent: e.target.value }))}
+              maxLength={100}
+              disabled={submitting}
+              className={inputClass}
+              placeholder="e.g., Riverside CC"
+            />
+          </div>
+          <div>
+            <label htmlFor="sheet-competition" className="block text-sm font-medium text-gray-700">Competition</label>
+            <input
+              type="text"
+              id="sheet-competition"
+              value={fixture.competition}
+              onChange={(e) => setFixture(prev => ({ ...prev, competition: e.target.value }))}
+              maxLength={100}
+              disabled={submitting}
+              className={inputClass}
+              placeholder="e.g., League, Cup, Friendly"
+            />
+          </div>
+          <div>
+            <label htmlFor="sheet-venue" className="block text-sm font-medium text-gray-700">Venue</label>
+            <select
+              id="sheet-venue"
+              value={fixture.venue}
+              onChange={(e) => setFixture(prev => ({ ...prev, venue: e.target.value }))}
+              disabled={submitting}
+              className={inputClass}
+            >
+              <option value="">Not recorded</option>
+              {MATCH_VENUES.map(venue => (
+                <option key={venue.id} value={venue.id}>{venue.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="sheet-result" className="block text-sm font-medium text-gray-700">Result</label>
+            <select
+              id="sheet-result"
+              value={fixture.result}
+              onChange={(e) => setFixture(prev => ({ ...prev, result: e.target.value }))}
+              disabled={submitting}
+              className={inputClass}
+            >
+              <option value="">Not recorded</option>
+              {MATCH_RESULTS.map(matchResult => (
+                <option key={matchResult.id} value={matchResult.id}>{matchResult.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="sheet-opponent-strength" className="block text-sm font-medium text-gray-700">
+              Opponent Strength
+            </label>
+            <select
+              id="sheet-opponent-strength"
+              value={fixture.opponentStrength}
+              onChange={(e) => setFixture(prev => ({ ...prev, opponentStrength: e.target.value }))}
+              disabled={submitting || linked}
+              className={inputClass}
+            >
+              <option value="">Not rated</option>
+              {OPPONENT_STRENGTHS.map(strength => (
+                <option key={strength.id} value={strength.id}>{strength.id} - {strength.label}</option>
+              ))}
+            </select>
+          </div>
+          {getMatchFormats(sportId).length > 0 && (
+            <div>
+              <label htmlFor="sheet-format" className="block text-sm font-medium text-gray-700">Match Format *</label>
+              <select
+                id="sheet-format"
+                value={formatId}
+                onChange={(e) => setFormatId(e.target.value)}
+                disabled={submitting || linked}
+                className={inputClass}
+              >
+                {getMatchFormats(sportId).map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {format?.customOvers && (
+            <div>
+              <label htmlFor="sheet-custom-overs" className="block text-sm font-medium text-gray-700">
+                Overs per Innings *
+              </label>
+              <input
+                type="number"
+                id="sheet-custom-overs"
+                value={customOvers}
+                onChange={(e) => setCustomOvers(e.target.value)}
+                min={format.customOvers.min}
+                max={format.customOvers.max}
+                disabled={submitting || linked}
+                className={inputClass}
+              />
+            </div>
+          )}
+        </div>
+      </fieldset>
+
+      {/* Squad grid */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-semibold text-gray-500 uppercase">
+              <th className="py-2 pr-3">Played</th>
+              <th className="py-2 pr-3">Player</th>
+              {columns.map(field => (
+                <th key={field} className="py-2 px-1 whitespace-nowrap">
+                  {sport.parameterLabels[field] || field}
+                  {sport.parameterSchema[field].unit ? ` (${sport.parameterSchema[field].unit})` : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {squad.map(player => {
+              const row = rows[player.id];
+              const visible = filterSchemaForRole(sport.parameterSchema, player.playingRole || null);
+              const errors = rowErrors[player.id] || [];
+
+              return [
+                <tr key={player.id} className={errors.length > 0 ? 'bg-red-50' : ''}>
+                  <td className="py-2 pr-3">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(row?.included)}
+                      onChange={() => toggleRow(player.id)}
+                      disabled={submitting}
+                      aria-label={`${player.name} played`}
+                    />
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap text-gray-900">
+                    {player.name}
+                    {getPlayingRole(sportId, player.playingRole) && (
+                      <span className="ml-1 text-xs text-gray-500">
+                        {getPlayingRole(sportId, player.playingRole).name}
+                      </span>
+                    )}
+                  </td>
+                  {columns.map(field => {
+                    const rules = sport.parameterSchema[field];
+                    const scale = rules.inputScale || 1;
+
+                    return (
+                      <td key={field} className="py-2 px-1">
+                        {visible[field] && rules.type === 'boolean' ? (
+                          <input
+                            type="checkbox"
+                            checked={Boolean(row?.values?.[field])}
+                            onChange={(e) => handleCellChange(player.id, field, e.target.checked)}
+                            disabled={submitting || !row?.included}
+                            aria-label={`${player.name} ${sport.parameterLabels[field] || field}`}
+                          />
+                        ) : visible[field] ? (
+                          <input
+                            type="number"
+                            value={row?.values?.[field] ?? ''}
+                            onChange={(e) => handleCellChange(player.id, field, e.target.value)}
+                            min={rules.min * scale}
+                            max={rules.max * scale}
+                            step={rules.step || 1}
+                            disabled={submitting || !row?.included}
+                            aria-label={`${player.name} ${sport.parameterLabels[field] || field}`}
+                            className="w-20 border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                          />
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>,
+                errors.length > 0 && (
+                  <tr key={`${player.id}-errors`} className="bg-red-50">
+                    <td></td>
+                    <td colSpan={columns.length + 1} className="pb-2 text-xs text-red-600">
+                      {errors.join(', ')}
+                    </td>
+                  </tr>
+                )
+              ];
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">{selectedPlayers.length} of {squad.length} players selected</p>
+        <button
+          type="submit"
+          disabled={submitting || selectedPlayers.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : 'Save Team Sheet'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default TeamMatchSheet;
@@ -1,4 +1,13 @@
 // Coach component exports
 export { default as CoachDashboard } from './CoachDashboard.jsx';
 export { default as PlayerManagement } from './PlayerManagement.jsx';
-export { default as MatchEntryForm } from './MatchEntryForm.jsx';
\ No newline at end of file
+export { default as MatchEntryForm } from './MatchEntryForm.jsx';
+export { default as ScoringProfileSettings } from './ScoringProfileSettings.jsx';
+export { default as SuggestionRuleSettings } from './SuggestionRuleSettings.jsx';
+export { default as SuggestionEffectiveness } from './SuggestionEffectiveness.jsx';
+export { default as NeedsAttention } from './NeedsAttention.jsx';
+export { default as PlayerGoals } from './PlayerGoals.jsx';
+export { default as MatchEditor } from './MatchEditor.jsx';
+export { default as TeamMatchSheet } from './TeamMatchSheet.jsx';
+export { default as SeasonManager } from './SeasonManager.jsx';
+export { default as FixtureManager } from './FixtureManager.jsx';
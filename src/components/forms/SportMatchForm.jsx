@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import {
+  validateParametersAgainstSchema,
+  validateParameterConstraints
+} from '../../utils/validators.js';
+import { createFormData, filterSchemaForRole, toInputSchema, toParameters as toStoredParameters } from './parameterForm.js';
+
+/**
+ * Generic match data entry form
+ * Renders inputs, grouping, help text, validation and a performance preview
+ * from the registered sport definition
+ */
+function SportMatchForm({
+  sport,
+  playingRole = null,
+  matchFormat = null,
+  onSubmit,
+  loading = false,
+  disabled = false,
+  initialParameters = null,
+  submitLabel = 'Submit Match Data'
+}) {
+  const {
+    parameterSchema: schema,
+    parameterLabels: labels,
+    defaultParameters,
+    formLayout,
+    parameterConstraints = [],
+    previewMetrics = []
+  } = sport;
+
+  const visibleSchema = filterSchemaForRole(schema, playingRole);
+  const visibleGroups = formLayout
+    .map(group => ({ ...group, fields: group.fields.filter(field => visibleSchema[field]) }))
+    .filter(group => group.fields.length > 0);
+
+  const [formData, setFormData] = useState(() => createFormData(schema, initialParameters));
+  const [errors, setErrors] = useState({});
+
+  /**
+   * Convert the entered values to stored parameter values,
+   * falling back to defaults for blank optional and hidden fields
+   * @returns {Object} Numeric sport parameters
+   */
+  const toParameters = () => toStoredParameters(schema, defaultParameters, formData);
+
+  /**
+   * Handle input changes
+   * @param {Event} e - Input change event
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    // Only allow positive numbers
+    if (value === '' || (Number(value) >= 0 && !isNaN(Number(value)))) {
+      setFormData(prev => ({
+        ...prev,
+        [name]: value
+      }));
+
+      // Clear error for this field
+      if (errors[name]) {
+        setErrors(prev => ({
+          ...prev,
+          [name]: null
+        }));
+      }
+    }
+  };
+
+  /**
+   * Handle a yes/no field's checkbox
+   * @param {Event} e - Checkbox change event
+   */
+  const handleCheckboxChange = (e) => {
+    const { name, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: checked
+    }));
+  };
+
+  /**
+   * Validate form data against the sport schema and its cross-field constraints
+   * @returns {Object} Validation result with isValid and errors
+   */
+  const validateForm = () => {
+    let validation = validateParametersAgainstSchema(toInputSchema(visibleSchema), labels, formData);
+
+    if (validation.isValid) {
+      validation = validateParameterConstraints(parameterConstraints, toParameters(), { playingRole, matchFormat });
+    }
+
+    setErrors(validation.errors);
+    return validation;
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validation = validateForm();
+    if (!validation.isValid) {
+      return;
+    }
+
+    onSubmit(toParameters());
+  };
+
+  /**
+   * Reset form to initial state
+   */
+  const resetForm = () => {
+    setFormData(createFormData(schema, initialParameters));
+    setErrors({});
+  };
+
+  /**
+   * Preview metrics that can be computed from the values entered so far
+   * @returns {Array} Metrics with a finite value
+   */
+  const getPreview = () => {
+    const hasInput = Object.values(formData).some(value => value !== '' && value !== false);
+    if (!hasInput) {
+      return [];
+    }
+
+    const parameters = toParameters();
+    return previewMetrics
+      .map(metric => ({ ...metric, result: metric.value(parameters) }))
+      .filter(metric => Number.isFinite(metric.result));
+  };
+
+  const renderField = (field) => {
+    const rules = schema[field];
+    const scale = rules.inputScale || 1;
+
+    if (rules.type === 'boolean') {
+      return (
+        <div key={field}>
+          <label htmlFor={field} className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              id={field}
+              name={field}
+              checked={Boolean(formData[field])}
+              onChange={handleCheckboxChange}
+              disabled={disabled}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            {labels[field] || field}
+          </label>
+          {rules.help && (
+            <p className="mt-1 text-xs text-gray-500">{rules.help}</p>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div key={field}>
+        <label htmlFor={field} className="block text-sm font-medium text-gray-700">
+          {labels[field] || field}{rules.unit ? ` (${rules.unit})` : ''}{rules.required ? ' *' : ''}
+        </label>
+        <input
+          type="number"
+          id={field}
+          name={field}
+          value={formData[field]}
+          onChange={handleInputChange}
+          min={rules.min * scale}
+          max={rules.max * scale}
+          step={rules.step || 1}
+          disabled={disabled}
+          className={`mt-1 block w-full border rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 ${
+            errors[field] ? 'border-red-300' : 'border-gray-300'
+          } ${disabled ? 'bg-gray-100' : ''}`}
+          placeholder={rules.placeholder}
+        />
+        {errors[field] && (
+          <p className="mt-1 text-sm text-red-600">{errors[field]}</p>
+        )}
+        {rules.help && (
+          <p className="mt-1 text-xs text-gray-500">{rules.help}</p>
+        )}
+      </div>
+    );
+  };
+
+  const preview = getPreview();
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {visibleGroups.map(group => (
+        <fieldset key={group.id} className="space-y-4">
+          <legend className="text-sm font-semibold text-gray-900 mb-2">{group.title}</legend>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {group.fields.map(renderField)}
+          </div>
+        </fieldset>
+      ))}
+
+      {/* Performance Preview */}
+      {preview.length > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-blue-900 mb-2">Performance Preview</h4>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            {preview.map(metric => (
+              <div key={metric.label}>
+                <span className="text-blue-700">{metric.label}:</span>
+                <span className="ml-1 font-medium">
+                  {metric.result.toFixed(metric.decimals ?? 1)}{metric.suffix || ''}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Form Actions */}
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={resetForm}
+          disabled={disabled}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+        >
+          Reset Form
+        </button>
+        <button
+          type="submit"
+          disabled={disabled || loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md text-sm font-medium disabled:opacity-50 flex items-center"
+        >
+          {loading && (
+            <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+          )}
+          {loading ? 'Submitting...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SportMatchForm;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import SportMatchForm from '../SportMatchForm.jsx';
+import { getSport } from '../../../sports/index.js';
+
+const fillField = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+describe('SportMatchForm', () => {
+  it('renders grouped fields with help text from the sport schema', () => {
+    render(<SportMatchForm sport={getSport('cricket')} onSubmit={vi.fn()} />);
+
+    expect(screen.getByText('Batting')).toBeInTheDocument();
+    expect(screen.getByText('Bowling')).toBeInTheDocument();
+    expect(screen.getByText('Fielding')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Runs Scored/)).toHaveAttribute('max', '500');
+    expect(screen.getByText('Total runs scored in the match')).toBeInTheDocument();
+  });
+
+  it('shows required and cross-field errors without submitting', () => {
+    const onSubmit = vi.fn();
+    render(<SportMatchForm sport={getSport('cricket')} onSubmit={onSubmit} />);
+
+    fireEvent.click(screen.getByText('Submit Match Data'));
+    expect(screen.getByText('Runs Scored is required')).toBeInTheDocument();
+
+    fillField(/Runs Scored/, '20');
+    fillField(/Balls Faced/, '0');
+    fillField(/Wickets Taken/, '0');
+    fillField(/Catches/, '0');
+    fillField(/Overs Bowled/, '0');
+    fireEvent.click(screen.getByText('Submit Match Data'));
+
+    expect(screen.getByText('Cannot score runs without facing balls')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('submits numeric parameters scaled back to the stored units', () => {
+    const onSubmit = vi.fn();
+    render(<SportMatchForm sport={getSport('tennis')} onSubmit={onSubmit} />);
+
+    fillField(/^Aces/, '6');
+    fillField(/Double Faults/, '2');
+    fillField(/First Serve %/, '65');
+    fillField(/^Winners/, '25');
+    fillField(/Unforced Errors/, '20');
+    fillField(/Sets Won/, '2');
+    fillField(/Sets Played/, '3');
+    fireEvent.click(screen.getByText('Submit Match Data'));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      aces: 6,
+      doubleFaults: 2,
+      firstServePercentage: 0.65,
+      winners: 25,
+      unforcedErrors: 20,
+      breakPointsWon: 0,
+      breakPointChances: 0,
+      setsWon: 2,
+      setsPlayed: 3
+    });
+  });
+
+  it('collects a basketball box score', () => {
+    const onSubmit = vi.fn();
+    render(<SportMatchForm sport={getSport('basketball')} onSubmit={onSubmit} />);
+
+    expect(screen.queryByLabelText(/Field Goal %/)).not.toBeInTheDocument();
+
+    fillField(/Field Goals Made/, '9');
+    fillField(/Field Goals Attempted/, '8');
+    fireEvent.click(screen.getByText('Submit Match Data'));
+
+    expect(screen.getByText('Turnovers is required')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('starts from stored parameters when correcting a match', () => {
+    const onSubmit = vi.fn();
+    const stored = {
+      aces: 6,
+      doubleFaults: 2,
+      firstServePercentage: 0.83,
+      winners: 25,
+      unforcedErrors: 20,
+      breakPointsWon: 1,
+      breakPointChances: 4,
+      setsWon: 2,
+      setsPlayed: 3
+    };
+    render(<SportMatchForm sport={getSport('tennis')} initialParameters={stored} submitLabel="Save Correction" onSubmit={onSubmit} />);
+
+    expect(screen.getByLabelText(/First Serve %/)).toHaveValue(83);
+
+    fillField(/^Aces/, '8');
+    fireEvent.click(screen.getByText('Save Correction'));
+
+    expect(onSubmit).toHaveBeenCalledWith({ ...stored, aces: 8 });
+  });
+});
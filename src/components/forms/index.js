@@ -1,4 +1,4 @@
 // Form component exports
-export { default as CricketForm } from './CricketForm.jsx';
-export { default as FootballForm } from './FootballForm.jsx';
-export { default as BasketballForm } from './BasketballForm.jsx';
\ No newline at end of file
+import SportMatchForm from './SportMatchForm.jsx';
+
+export { SportMatchForm };
@@ -0,0 +1,69 @@
+/**
+ * Sport parameter form helpers, shared by the single-player match form and the team sheet
+ * Requirements: 2.4, 2.5 - Multi-sport parameter management
+ */
+
+/**
+ * Build the form state from a sport parameter schema, empty or filled in with
+ * stored parameters (shown in input units, e.g. fractions as percentages).
+ * Yes/no fields hold a boolean for their checkbox.
+ * @param {Object} schema - Sport parameter schema
+ * @param {Object} [parameters] - Stored parameters to start from
+ * @returns {Object} Field values keyed by parameter name
+ */
+export const createFormData = (schema, parameters = null) =>
+  Object.fromEntries(Object.entries(schema).map(([field, rules]) => {
+    const value = parameters?.[field];
+    if (rules.type === 'boolean') {
+      return [field, Boolean(value)];
+    }
+    // Rounded so e.g. 0.83 shows as 83 rather than 83.00000000000001
+    return [field, typeof value === 'number' ? String(Math.round(value * (rules.inputScale || 1) * 1e6) / 1e6) : ''];
+  }));
+
+/**
+ * Express the schema limits in the units the user types in
+ * (e.g. 0-1 fractions entered as 0-100 percentages)
+ * @param {Object} schema - Sport parameter schema
+ * @returns {Object} Schema with min/max multiplied by each field's inputScale
+ */
+export const toInputSchema = (schema) =>
+  Object.fromEntries(Object.entries(schema).map(([field, rules]) => {
+    if (rules.type === 'boolean') {
+      return [field, rules];
+    }
+    const scale = rules.inputScale || 1;
+    return [field, { ...rules, min: rules.min * scale, max: rules.max * scale }];
+  }));
+
+/**
+ * Keep the schema fields that apply to a playing role. Fields without `roles`
+ * apply to everyone; role-specific fields are shown to everyone when no role is known.
+ * @param {Object} schema - Sport parameter schema
+ * @param {string|null} playingRole - Player's playing role
+ * @returns {Object} Schema limited to the visible fields
+ */
+export const filterSchemaForRole = (schema, playingRole) =>
+  Object.fromEntries(Object.entries(schema).filter(([, rules]) =>
+    !playingRole || !rules.roles || rules.roles.includes(playingRole)
+  ));
+
+/**
+ * Convert entered values to stored parameter values,
+ * falling back to defaults for blank optional and hidden fields
+ * @param {Object} schema - Sport parameter schema
+ * @param {Object} defaultParameters - Sport default parameters
+ * @param {Object} formData - Field values as entered
+ * @returns {Object} Sport parameters: numbers, and booleans for yes/no fields
+ */
+export const toParameters = (schema, defaultParameters, formData) =>
+  Object.fromEntries(Object.entries(schema).map(([field, rules]) => {
+    const value = formData[field];
+    if (rules.type === 'boolean') {
+      return [field, Boolean(value ?? defaultParameters[field])];
+    }
+    if (value === '' || value === undefined) {
+      return [field, defaultParameters[field] ?? 0];
+    }
+    return [field, Number(value) / (rules.inputScale || 1)];
+  }));
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { describeGoal, getGoalMetrics } from '../../services/goalProgress.js';
+import { MAX_GOAL_MATCHES } from '../../models/matchData.js';
+
+const STATUS_STYLES = {
+  active: { label: 'In progress', badge: 'bg-blue-100 text-blue-700', bar: 'bg-blue-600' },
+  achieved: { label: 'Achieved', badge: 'bg-green-100 text-green-700', bar: 'bg-green-500' },
+  missed: { label: 'Missed', badge: 'bg-gray-100 text-gray-600', bar: 'bg-gray-400' }
+};
+
+const AGGREGATION_OPTIONS = [
+  { value: 'average', label: 'Average over' },
+  { value: 'total', label: 'Total over' },
+  { value: 'any', label: 'In one of' }
+];
+
+const EMPTY_FORM = { metric: 'score', aggregation: 'average', comparator: '>=', target: '', matchCount: 5 };
+
+/**
+ * GoalTracker component - A player's goals with progress bars and a form to set new ones
+ * Requirements: 5.1 - Player dashboard
+ */
+const GoalTracker = ({
+  goals = [],
+  sport = null,
+  loading = false,
+  saving = false,
+  error = null,
+  canEdit = true,
+  onCreate,
+  onDelete
+}) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const metrics = getGoalMetrics(sport);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await onCreate?.({
+      sport,
+      metric: form.metric,
+      label: metrics.find(metric => metric.id === form.metric)?.label || null,
+      aggregation: form.aggregation,
+      comparator: form.comparator,
+      target: Number(form.target),
+      matchCount: Number(form.matchCount)
+    });
+    if (saved) {
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Goals</h3>
+        <p className="text-sm text-gray-600">Targets for the next matches, updated after every match.</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error.message || String(error)}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="animate-pulse space-y-3">
+          <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+          <div className="h-2 bg-gray-200 rounded"></div>
+        </div>
+      ) : goals.length === 0 ? (
+        <p className="text-sm text-gray-500">No goals yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {goals.map(goal => {
+            const style = STATUS_STYLES[goal.status] || STATUS_STYLES.active;
+            const progress = goal.progress;
+            const percent = Math.round((goal.status === 'achieved' ? 1 : progress?.progress || 0) * 100);
+            return (
+              <li key={goal.id} data-testid={`goal-${goal.id}`}>
+                <div className="flex items-center justify-between gap-3 text-sm">
+                  <span className="font-medium text-gray-800">{describeGoal(goal)}</span>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${style.badge}`}>{style.label}</span>
+                    {canEdit && (
+                      <button
+                        type="button"
+                        onClick={() => onDelete?.(goal.id)}
+                        className="text-xs text-gray-400 hover:text-red-600"
+                        aria-label={`Delete goal ${describeGoal(goal)}`}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div
+                  className="w-full bg-gray-200 rounded-full h-2 mt-2"
+                  role="progressbar"
+                  aria-valuenow={percent}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  data-testid={`goal-progress-${goal.id}`}
+                >
+                  <div className={`${style.bar} h-2 rounded-full`} style={{ width: `${percent}%` }}></div>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>
+                    {progress?.current !== null && progress?.current !== undefined
+                      ? `${progress.current} of ${goal.target}`
+                      : 'No matches yet'}
+                  </span>
+                  <span>{progress?.matchesCounted || 0} of {goal.matchCount} matches</span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {canEdit && sport && (
+        <form onSubmit={handleSubmit} className="border-t pt-4 grid grid-cols-2 md:grid-cols-6 gap-2 items-end text-sm">
+          <label className="col-span-2 flex flex-col gap-1">
+            <span className="text-gray-600">Measure</span>
+            <select value={form.metric} onChange={updateField('metric')} className="border border-gray-300 rounded-md px-2 py-1.5">
+              {metrics.map(metric => <option key={metric.id} value={metric.id}>{metric.label}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Type</span>
+            <select value={form.aggregation} onChange={updateField('aggregation')} className="border border-gray-300 rounded-md px-2 py-1.5">
+              {AGGREGATION_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Matches</span>
+            <input
+              type="number"
+              min="1"
+              max={MAX_GOAL_MATCHES}
+              value={form.matchCount}
+              onChange={updateField('matchCount')}
+              className="border border-gray-300 rounded-md px-2 py-1.5"
+            />
+          </label>
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-600">Target</span>
+            <div className="flex gap-1">
+              <select
+                value={form.comparator}
+                onChange={updateField('comparator')}
+                aria-label="Comparator"
+                className="border border-gray-300 rounded-md px-1 py-1.5"
+              >
+                <option value=">=">≥</option>
+                <option value="<=">≤</option>
+              </select>
+              <input
+                type="number"
+                step="any"
+                required
+                value={form.target}
+                onChange={updateField('target')}
+                aria-label="Target"
+                className="border border-gray-300 rounded-md px-2 py-1.5 w-full"
+              />
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Add Goal'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GoalTracker;
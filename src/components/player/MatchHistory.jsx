@@ -1,14 +1,22 @@
 import React, { useState, useMemo } from 'react';
 import { LoadingSpinner } from '../shared/index.js';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import PeerPercentiles from './PeerPercentiles.jsx';
+import { getMatchFormat, getSport } from '../../sports/index.js';
+import { describeMatchContext, MATCH_RESULTS, MATCH_VENUES } from '../../sports/matchContext.js';
+import { filterMatchesByContext, normalizeSuggestions } from '../../models/matchData.js';
+import { DEFAULT_LANGUAGE, getSuggestionMessage } from '../../i18n/index.js';
+import { formatMatchDate, toMillis } from '../../utils/matchDate.js';
 
 /**
  * MatchHistory component - Displays match history with filtering capabilities
  * Requirements: 5.2, 5.4 - Build match history display with filtering
  */
-const MatchHistory = ({ matches = [], loading = false }) => {
+const MatchHistory = ({ matches = [], loading = false, language = DEFAULT_LANGUAGE }) => {
   const [selectedSport, setSelectedSport] = useState('all');
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [contextFilter, setContextFilter] = useState({ opponent: '', venue: '', competition: '', result: '' });
 
   // Get unique sports from matches
   const availableSports = useMemo(() => {
@@ -16,6 +24,26 @@ const MatchHistory = ({ matches = [], loading = false }) => {
     return sports.sort();
   }, [matches]);
 
+  // Opponents and competitions recorded in the match context, for the context filters
+  const contextOptions = useMemo(() => {
+    const values = (field) => [...new Set(matches.map(match => match.matchContext?.[field]))].filter(Boolean).sort();
+    return {
+      opponent: values('opponent'),
+      competition: values('competition'),
+      hasContext: matches.some(match => match.matchContext)
+    };
+  }, [matches]);
+
+  const isContextFiltered = Object.values(contextFilter).some(Boolean);
+
+  const toOptions = (values) => values.map(value => ({ id: value, label: value }));
+  const contextFilters = [
+    { field: 'opponent', label: 'Opponent', all: 'All Opponents', options: toOptions(contextOptions.opponent) },
+    { field: 'venue', label: 'Venue', all: 'All Venues', options: MATCH_VENUES },
+    { field: 'competition', label: 'Competition', all: 'All Competitions', options: toOptions(contextOptions.competition) },
+    { field: 'result', label: 'Result', all: 'All Results', options: MATCH_RESULTS }
+  ];
+
   // Filter and sort matches
   const filteredMatches = useMemo(() => {
     let filtered = matches;
@@ -25,14 +53,17 @@ const MatchHistory = ({ matches = [], loading = false }) => {
       filtered = filtered.filter(match => match.sport === selectedSport);
     }
 
+    // Filter by opponent, venue, competition and result
+    filtered = filterMatchesByContext(filtered, contextFilter);
+
     // Sort matches
     filtered = [...filtered].sort((a, b) => {
       let aValue, bValue;
 
       switch (sortBy) {
         case 'date':
-          aValue = a.date ? new Date(a.date.seconds * 1000) : new Date(0);
-          bValue = b.date ? new Date(b.date.seconds * 1000) : new Date(0);
+          aValue = toMillis(a.date) ?? 0;
+          bValue = toMillis(b.date) ?? 0;
           break;
         case 'score':
           aValue = a.calculatedScore || 0;
@@ -54,7 +85,7 @@ const MatchHistory = ({ matches = [], loading = false }) => {
     });
 
     return filtered;
-  }, [matches, selectedSport, sortBy, sortOrder]);
+  }, [matches, selectedSport, sortBy, sortOrder, contextFilter]);
 
   // Get score color based on performance
   const getScoreColor = (score) => {
@@ -64,17 +95,13 @@ const MatchHistory = ({ matches = [], loading = false }) => {
   };
 
   // Get sport icon
-  const getSportIcon = (sport) => {
-    switch (sport?.toLowerCase()) {
-      case 'cricket':
-        return '🏏';
-      case 'football':
-        return '⚽';
-      case 'basketball':
-        return '🏀';
-      default:
-        return '🏃';
-    }
+  const getSportIcon = (sport) => getSport(sport)?.icon || '🏃';
+
+  // Get the match format label (e.g. "T20", "30 overs") for sports with formats
+  const getFormatLabel = (match) => {
+    const format = getMatchFormat(match.sport, match.matchFormat?.id);
+    if (!format) return null;
+    return format.customOvers ? `${match.matchFormat.overs} overs` : format.name;
   };
 
   if (loading) {
@@ -150,15 +177,41 @@ const MatchHistory = ({ matches = [], loading = false }) => {
         </div>
       </div>
 
+      {/* Match Context Filters */}
+      {contextOptions.hasContext && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+          {contextFilters.map(({ field, label, all, options }) => (
+            <div key={field}>
+              <label htmlFor={`history-${field}`} className="block text-sm font-medium text-gray-700 mb-1">
+                {label}
+              </label>
+              <select
+                id={`history-${field}`}
+                value={contextFilter[field]}
+                onChange={(e) => setContextFilter(prev => ({ ...prev, [field]: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">{all}</option>
+                {options.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Match List */}
       {filteredMatches.length === 0 ? (
         <div className="text-center py-12">
           <div className="text-gray-400 text-4xl mb-4">📋</div>
           <h4 className="text-lg font-medium text-gray-900 mb-2">No matches found</h4>
           <p className="text-gray-500">
-            {selectedSport === 'all' 
-              ? "No match history available yet. Your coach will add match data to get started."
-              : `No matches found for ${selectedSport}. Try selecting a different sport.`
+            {isContextFiltered
+              ? 'No matches match these filters. Try clearing the opponent, venue, competition or result filter.'
+              : selectedSport === 'all' 
+                ? "No match history available yet. Your coach will add match data to get started."
+                : `No matches found for ${selectedSport}. Try selecting a different sport.`
             }
           </p>
         </div>
@@ -181,17 +234,20 @@ const MatchHistory = ({ matches = [], loading = false }) => {
                   <div>
                     <div className="font-medium text-gray-900 capitalize">
                       {match.sport || 'Match'}
+                      {getFormatLabel(match) && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600 normal-case">
+                          {getFormatLabel(match)}
+                        </span>
+                      )}
                     </div>
                     <div className="text-sm text-gray-500">
-                      {match.date 
-                        ? new Date(match.date.seconds * 1000).toLocaleDateString('en-US', {
-                            year: 'numeric',
-                            month: 'long',
-                            day: 'numeric'
-                          })
-                        : 'Date not available'
-                      }
+                      {formatMatchDate(match.date, { timeZone: match.timeZone }) || 'Date not available'}
                     </div>
+                    {describeMatchContext(match.matchContext) && (
+                      <div className="text-sm text-gray-600">
+                        {describeMatchContext(match.matchContext)}
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -203,6 +259,25 @@ const MatchHistory = ({ matches = [], loading = false }) => {
                 </div>
               </div>
 
+              {/* Peer Percentiles */}
+              {match.percentiles && (
+                <div className="mt-3">
+                  <PeerPercentiles
+                    percentiles={match.percentiles}
+                    sport={match.sport}
+                    playingRole={match.playingRole}
+                  />
+                </div>
+              )}
+
+              {/* Score Breakdown */}
+              {match.scoreBreakdown && (
+                <div className="mt-4 pt-4 border-t border-gray-100">
+                  <div className="text-sm font-medium text-gray-600 mb-2">Score Breakdown:</div>
+                  <ScoreBreakdown breakdown={match.scoreBreakdown} />
+                </div>
+              )}
+
               {/* Match Details */}
               {match.parameters && (
                 <div className="mt-4 pt-4 border-t border-gray-100">
@@ -228,7 +303,7 @@ const MatchHistory = ({ matches = [], loading = false }) => {
                   <div className="text-sm">
                     <div className="font-medium text-gray-700 mb-1">Coach's Suggestion:</div>
                     <div className="text-gray-600 italic">
-                      "{match.suggestions[0]}"
+                      "{getSuggestionMessage(normalizeSuggestions(match.suggestions)[0], language)}"
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,59 @@
+import React from 'react';
+import { getPlayingRole, getSport } from '../../sports/index.js';
+
+/**
+ * Format a percentile as an ordinal (1st, 22nd, 73rd, 11th)
+ * @param {number} value - Percentile (0-100)
+ * @returns {string} Ordinal percentile
+ */
+const toOrdinal = (value) => {
+  const lastTwo = value % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${value}th`;
+  }
+  return `${value}${{ 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th'}`;
+};
+
+/**
+ * Get the badge colour for a percentile
+ * @param {number} value - Percentile (0-100)
+ * @returns {string} CSS classes
+ */
+const getPercentileColor = (value) => {
+  if (value >= 75) return 'bg-green-100 text-green-700';
+  if (value >= 40) return 'bg-yellow-100 text-yellow-700';
+  return 'bg-red-100 text-red-700';
+};
+
+/**
+ * PeerPercentiles component - Where a match score ranks against the squad, the sport and the position
+ * Requirements: 5.2 - Performance score visualization
+ */
+const PeerPercentiles = ({ percentiles, sport, playingRole = null }) => {
+  const role = getPlayingRole(sport, playingRole);
+  const groups = [
+    { id: 'squad', label: 'Squad', result: percentiles?.squad },
+    { id: 'sport', label: `All ${getSport(sport)?.name || sport}`, result: percentiles?.sport },
+    { id: 'position', label: role ? `${role.name}s` : 'Position', result: percentiles?.position }
+  ].filter(group => typeof group.result?.percentile === 'number');
+
+  if (groups.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2" data-testid="peer-percentiles">
+      {groups.map(group => (
+        <span
+          key={group.id}
+          className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium ${getPercentileColor(group.result.percentile)}`}
+          title={`Compared with ${group.result.sampleSize} matches`}
+        >
+          {group.label}: {toOrdinal(group.result.percentile)} percentile
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default PeerPercentiles;
@@ -1,4 +1,12 @@
 import React, { useMemo } from 'react';
+import { analyzeTrend, linearRegression, TREND_WINDOW } from '../../utils/trend.js';
+import { formatMatchDate, sortByMatchDate } from '../../utils/matchDate.js';
+
+const TREND_LABELS = {
+  improving: { label: 'Improving', classes: 'text-green-600' },
+  declining: { label: 'Declining', classes: 'text-red-600' },
+  stable: { label: 'Stable', classes: 'text-gray-600' }
+};
 
 /**
  * PerformanceChart component - Displays performance trends and charts
@@ -9,18 +17,32 @@ const PerformanceChart = ({ matches = [], title = "Performance Trend" }) => {
   const chartData = useMemo(() => {
     if (!matches || matches.length === 0) return [];
     
-    return matches
-      .slice()
-      .reverse() // Show chronological order
+    // Chronological order by match date, so backdated matches sit where they were played
+    return sortByMatchDate(matches)
+      .reverse()
       .slice(-10) // Show last 10 matches
       .map((match, index) => ({
         index: index + 1,
         score: match.calculatedScore || 0,
-        date: match.date ? new Date(match.date.seconds * 1000) : new Date(),
+        date: match.date ?? null,
+        timeZone: match.timeZone,
         sport: match.sport
       }));
   }, [matches]);
 
+  // Trend of the plotted scores, and the fitted line over the trend window
+  const trend = useMemo(() => analyzeTrend(chartData.map(point => point.score)), [chartData]);
+  const trendLine = useMemo(() => {
+    const window = chartData.slice(-TREND_WINDOW).map(point => point.score);
+    if (window.length < 2) return null;
+    const { slope, intercept } = linearRegression(window);
+    return {
+      startIndex: chartData.length - window.length,
+      startScore: intercept,
+      endScore: intercept + slope * (window.length - 1)
+    };
+  }, [chartData]);
+
   // Calculate chart dimensions and scaling
   const chartWidth = 400;
   const chartHeight = 200;
@@ -125,6 +147,25 @@ const PerformanceChart = ({ matches = [], title = "Performance Trend" }) => {
             className="drop-shadow-sm"
           />
           
+          {/* Fitted trend line */}
+          {trendLine && (() => {
+            const xStep = (chartWidth - 2 * padding) / Math.max(chartData.length - 1, 1);
+            const yScale = (chartHeight - 2 * padding) / (maxScore - minScore);
+            const toY = (score) => chartHeight - padding - (Math.min(maxScore, Math.max(minScore, score)) - minScore) * yScale;
+            return (
+              <line
+                x1={padding + trendLine.startIndex * xStep}
+                y1={toY(trendLine.startScore)}
+                x2={padding + (chartData.length - 1) * xStep}
+                y2={toY(trendLine.endScore)}
+                stroke="#9ca3af"
+                strokeWidth="1.5"
+                strokeDasharray="4 4"
+                data-testid="trend-line"
+              />
+            );
+          })()}
+
           {/* Data points */}
           {chartData.map((point, index) => {
             const xStep = (chartWidth - 2 * padding) / Math.max(chartData.length - 1, 1);
@@ -152,7 +193,7 @@ const PerformanceChart = ({ matches = [], title = "Performance Trend" }) => {
                   className="cursor-pointer"
                 >
                   <title>
-                    {`Match ${index + 1}: ${point.score} points (${point.date.toLocaleDateString()})`}
+                    {`Match ${index + 1}: ${point.score} points (${formatMatchDate(point.date, { timeZone: point.timeZone, format: { dateStyle: 'medium' } }) || 'date not available'})`}
                   </title>
                 </circle>
               </g>
@@ -166,13 +207,33 @@ const PerformanceChart = ({ matches = [], title = "Performance Trend" }) => {
             <div key={index} className="text-xs text-gray-500 text-center">
               <div>Match {index + 1}</div>
               <div className="text-gray-400">
-                {point.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                {formatMatchDate(point.date, { timeZone: point.timeZone, format: { month: 'short', day: 'numeric' } })}
               </div>
             </div>
           ))}
         </div>
       </div>
       
+      {/* Trend summary */}
+      {trend.sampleSize >= 2 && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-x-4 gap-y-1 text-sm" data-testid="trend-summary">
+          <span className={`font-semibold ${TREND_LABELS[trend.direction].classes}`}>
+            {TREND_LABELS[trend.direction].label}
+          </span>
+          <span className="text-gray-600">
+            {trend.slope > 0 ? '+' : ''}{trend.slope} pts/match
+          </span>
+          <span className="text-gray-600">{Math.round(trend.confidence * 100)}% confidence</span>
+          <span className="text-gray-600">Weighted average {Math.round(trend.ewma)}</span>
+          {trend.plateau && <span className="text-yellow-700">Plateau</span>}
+          {trend.streak.length >= 3 && (
+            <span className={trend.streak.direction === 'up' ? 'text-green-600' : 'text-red-600'}>
+              {trend.streak.length} {trend.streak.direction === 'up' ? 'rises' : 'drops'} in a row
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Chart Legend */}
       <div className="mt-4 flex items-center justify-center space-x-6 text-sm">
         <div className="flex items-center space-x-2">
@@ -1,20 +1,63 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../../hooks/useAuth.js';
 import { usePerformance } from '../../hooks/usePerformance.js';
+import { useGoals } from '../../hooks/useGoals.js';
+import { useSeasons } from '../../hooks/useSeasons.js';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { describeGoal } from '../../services/goalProgress.js';
+import { getSuggestionMessage } from '../../i18n/index.js';
+import { matchService } from '../../services/matchService.js';
 import { Card, Badge, LoadingSpinner, Alert } from '../ui/index.js';
+import { SeasonSelect } from '../shared/index.js';
+import { getSport } from '../../sports/index.js';
+import { filterMatchesBySeason, normalizeSuggestions } from '../../models/matchData.js';
+import { formatMatchDate, sortByMatchDate } from '../../utils/matchDate.js';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import PeerPercentiles from './PeerPercentiles.jsx';
+import GoalTracker from './GoalTracker.jsx';
 
 /**
  * PlayerDashboard component - Main dashboard for players
  * Requirements: 5.1, 5.5 - Display current performance score prominently and show recent match summary
+ * @param {Object} props
+ * @param {string} [props.seasonId] - Selected season ID ('' for all matches); kept here when not given
+ * @param {Function} [props.onSeasonChange] - Called with the newly selected season ID
  */
-const PlayerDashboard = () => {
+const PlayerDashboard = ({ seasonId: selectedSeasonId, onSeasonChange } = {}) => {
   const { userData } = useAuth();
   const { 
     performanceSummary, 
-    recentMatches, 
+    recentMatches: latestMatches, 
+    allMatches = [],
     loading, 
     error 
   } = usePerformance(userData?.uid);
+  const {
+    goals,
+    loading: goalsLoading,
+    saving: goalSaving,
+    error: goalError,
+    addGoal,
+    removeGoal,
+    markCelebrated
+  } = useGoals(userData?.uid);
+  const { showSuccess } = useToast();
+  // Seasons are set by the player's coach; '' shows all matches
+  const { seasons } = useSeasons(userData?.coachId);
+  const [ownSeasonId, setOwnSeasonId] = useState('');
+  const seasonId = selectedSeasonId ?? ownSeasonId;
+  const setSeasonId = onSeasonChange || setOwnSeasonId;
+  const season = seasons.find(candidate => candidate.id === seasonId) || null;
+
+  // Celebrate goals reached since the player last looked
+  useEffect(() => {
+    goals
+      .filter(goal => goal.status === 'achieved' && !goal.celebrated)
+      .forEach(goal => {
+        showSuccess(`🎯 Goal reached: ${describeGoal(goal)}`, { duration: 8000 });
+        markCelebrated(goal.id);
+      });
+  }, [goals, showSuccess, markCelebrated]);
 
   if (loading) {
     return (
@@ -40,10 +83,18 @@ const PlayerDashboard = () => {
     );
   }
 
-  const currentScore = performanceSummary.currentScore || 0;
-  const averageScore = performanceSummary.averageScore || 0;
-  const matchCount = performanceSummary.matchCount || 0;
-  const trend = performanceSummary.trend || 'stable';
+  // With a season selected every stat is worked out from that season's matches
+  const seasonMatches = season ? sortByMatchDate(filterMatchesBySeason(allMatches, season)) : null;
+  const seasonSummary = seasonMatches ? matchService.summarizeMatches(seasonMatches) : null;
+  const recentMatches = seasonMatches || latestMatches;
+  const recentScores = seasonMatches
+    ? seasonMatches.slice(0, 10).map(match => match.calculatedScore).filter(score => typeof score === 'number')
+    : performanceSummary.recentScores;
+
+  const currentScore = (seasonSummary ? seasonSummary.latestScore : performanceSummary.currentScore) || 0;
+  const averageScore = (seasonSummary ? seasonSummary.averageScore : performanceSummary.averageScore) || 0;
+  const matchCount = (seasonSummary ? seasonSummary.matchesPlayed : performanceSummary.matchCount) || 0;
+  const trend = (seasonSummary ? seasonSummary.trend : performanceSummary.trend) || 'stable';
 
   // Get score color based on performance
   const getScoreColor = (score) => {
@@ -95,9 +146,14 @@ const PlayerDashboard = () => {
         <Card.Header>
           <div className="flex items-center justify-between">
             <Card.Title className="text-xl">Performance Overview</Card.Title>
-            <div className={`flex items-center space-x-2 px-3 py-1 rounded-full bg-gray-100 ${trendInfo.color}`}>
-              <span className="text-lg">{trendInfo.icon}</span>
-              <span className="text-sm font-medium">{trendInfo.text}</span>
+            <div className="flex items-center gap-4">
+              {seasons.length > 0 && (
+                <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} id="player-season-select" />
+              )}
+              <div className={`flex items-center space-x-2 px-3 py-1 rounded-full bg-gray-100 ${trendInfo.color}`}>
+                <span className="text-lg">{trendInfo.icon}</span>
+                <span className="text-sm font-medium">{trendInfo.text}</span>
+              </div>
             </div>
           </div>
         </Card.Header>
@@ -159,6 +215,17 @@ const PlayerDashboard = () => {
         </div>
       </Card>
 
+      {/* Goals */}
+      <GoalTracker
+        goals={goals}
+        sport={performanceSummary.sport || userData?.sport}
+        loading={goalsLoading}
+        saving={goalSaving}
+        error={goalError}
+        onCreate={(goalData) => addGoal({ ...goalData, coachId: userData?.coachId || null, createdBy: userData?.uid })}
+        onDelete={removeGoal}
+      />
+
       {/* Recent Matches Summary */}
       <Card variant="elevated">
         <Card.Header>
@@ -185,14 +252,10 @@ const PlayerDashboard = () => {
                 <div className="flex items-center space-x-4">
                   <div className="flex-shrink-0">
                     <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${
-                      match.sport === 'cricket' ? 'bg-green-100' :
-                      match.sport === 'football' ? 'bg-red-100' :
-                      match.sport === 'basketball' ? 'bg-orange-100' : 'bg-blue-100'
+                      getSport(match.sport)?.badgeClasses.background || 'bg-blue-100'
                     }`}>
                       <span className={`font-bold text-sm ${
-                        match.sport === 'cricket' ? 'text-green-600' :
-                        match.sport === 'football' ? 'text-red-600' :
-                        match.sport === 'basketball' ? 'text-orange-600' : 'text-blue-600'
+                        getSport(match.sport)?.badgeClasses.text || 'text-blue-600'
                       }`}>
                         {match.sport?.charAt(0).toUpperCase() || 'M'}
                       </span>
@@ -203,7 +266,7 @@ const PlayerDashboard = () => {
                       {match.sport || 'Match'}
                     </div>
                     <div className="text-sm text-gray-500">
-                      {match.date ? new Date(match.date.seconds * 1000).toLocaleDateString() : 'Recent'}
+                      {formatMatchDate(match.date, { timeZone: match.timeZone, format: { dateStyle: 'medium' } }) || 'Recent'}
                     </div>
                   </div>
                 </div>
@@ -233,24 +296,24 @@ const PlayerDashboard = () => {
             </Card.Title>
           </Card.Header>
           <Card.Content>
-            {performanceSummary.recentScores && performanceSummary.recentScores.length > 0 ? (
+            {recentScores && recentScores.length > 0 ? (
               <div className="space-y-4">
                 <div className="flex justify-between items-center p-3 bg-green-50 rounded-lg">
                   <span className="text-gray-700 font-medium">Highest Recent Score</span>
                   <Badge variant="success" size="lg">
-                    {Math.max(...performanceSummary.recentScores)}%
+                    {Math.max(...recentScores)}%
                   </Badge>
                 </div>
                 <div className="flex justify-between items-center p-3 bg-red-50 rounded-lg">
                   <span className="text-gray-700 font-medium">Lowest Recent Score</span>
                   <Badge variant="danger" size="lg">
-                    {Math.min(...performanceSummary.recentScores)}%
+                    {Math.min(...recentScores)}%
                   </Badge>
                 </div>
                 <div className="flex justify-between items-center p-3 bg-blue-50 rounded-lg">
                   <span className="text-gray-700 font-medium">Score Consistency</span>
                   <Badge variant="info" size="lg">
-                    ±{Math.max(...performanceSummary.recentScores) - Math.min(...performanceSummary.recentScores)}
+                    ±{Math.max(...recentScores) - Math.min(...recentScores)}
                   </Badge>
                 </div>
               </div>
@@ -289,10 +352,7 @@ const PlayerDashboard = () => {
                 <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                   <span className="text-gray-700 font-medium">Date</span>
                   <span className="font-semibold text-gray-900">
-                    {recentMatches[0].date 
-                      ? new Date(recentMatches[0].date.seconds * 1000).toLocaleDateString()
-                      : 'Recent'
-                    }
+                    {formatMatchDate(recentMatches[0].date, { timeZone: recentMatches[0].timeZone, format: { dateStyle: 'medium' } }) || 'Recent'}
                   </span>
                 </div>
                 <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
@@ -307,6 +367,22 @@ const PlayerDashboard = () => {
                     {Math.round(recentMatches[0].calculatedScore || 0)}%
                   </Badge>
                 </div>
+                {recentMatches[0].percentiles && (
+                  <div className="p-3 bg-gray-50 rounded-lg">
+                    <div className="text-gray-700 font-medium mb-2">Compared With Peers</div>
+                    <PeerPercentiles
+                      percentiles={recentMatches[0].percentiles}
+                      sport={recentMatches[0].sport}
+                      playingRole={recentMatches[0].playingRole}
+                    />
+                  </div>
+                )}
+                {recentMatches[0].scoreBreakdown && (
+                  <div className="p-3 bg-gray-50 rounded-lg">
+                    <div className="text-gray-700 font-medium mb-2">Score Breakdown</div>
+                    <ScoreBreakdown breakdown={recentMatches[0].scoreBreakdown} compact />
+                  </div>
+                )}
                 {recentMatches[0].suggestions && recentMatches[0].suggestions.length > 0 && (
                   <div className="mt-4 p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
                     <div className="flex items-center mb-2">
@@ -316,7 +392,7 @@ const PlayerDashboard = () => {
                       <span className="text-sm font-semibold text-blue-800">Latest Suggestion</span>
                     </div>
                     <p className="text-sm text-blue-700 leading-relaxed">
-                      {recentMatches[0].suggestions[0]}
+                      {getSuggestionMessage(normalizeSuggestions(recentMatches[0].suggestions)[0], userData?.preferredLanguage)}
                     </p>
                   </div>
                 )}
@@ -0,0 +1,99 @@
+import React from 'react';
+
+// Segment colours, assigned to components in order
+const SEGMENT_COLORS = [
+  'bg-blue-500',
+  'bg-green-500',
+  'bg-purple-500',
+  'bg-yellow-500',
+  'bg-pink-500',
+  'bg-indigo-500'
+];
+
+/**
+ * Format a raw rate for display
+ * @param {Object} rate - Rate ({ label, value, unit })
+ * @returns {string} Formatted rate
+ */
+const formatRate = (rate) => {
+  if (rate.value === null || rate.value === undefined) {
+    return `${rate.label}: –`;
+  }
+  return `${rate.label}: ${rate.value}${rate.unit ? ` ${rate.unit}` : ''}`;
+};
+
+/**
+ * ScoreBreakdown component - Stacked bar showing how each component built a match score
+ * Requirements: 5.2 - Performance score visualization
+ */
+const ScoreBreakdown = ({ breakdown, compact = false }) => {
+  if (!breakdown?.components?.length) {
+    return null;
+  }
+
+  const components = breakdown.components.map((component, index) => ({
+    ...component,
+    color: SEGMENT_COLORS[index % SEGMENT_COLORS.length]
+  }));
+  const gains = components.filter(component => component.contribution > 0);
+
+  // Scale the bar to 100, or to the raw total when components add up to more than the cap
+  const scale = Math.max(100, gains.reduce((sum, component) => sum + component.contribution, 0));
+
+  return (
+    <div className="space-y-2" data-testid="score-breakdown">
+      <div className="flex h-3 w-full overflow-hidden rounded-full bg-gray-200">
+        {gains.map(component => (
+          <div
+            key={component.id}
+            className={component.color}
+            style={{ width: `${(component.contribution / scale) * 100}%` }}
+            title={`${component.label}: ${component.contribution} pts`}
+          ></div>
+        ))}
+      </div>
+
+      <div className={`grid gap-2 text-xs ${compact ? 'grid-cols-2' : 'grid-cols-1 sm:grid-cols-2'}`}>
+        {components
+          .filter(component => component.weight > 0 || component.contribution !== 0)
+          .map(component => (
+            <div key={component.id} className="flex items-start space-x-2">
+              <span className={`mt-1 inline-block h-2 w-2 flex-shrink-0 rounded-full ${
+                component.contribution < 0 ? 'bg-red-500' : component.color
+              }`}></span>
+              <div>
+                <div className="font-medium text-gray-700">
+                  {component.label}{' '}
+                  <span className={component.contribution < 0 ? 'text-red-600' : 'text-gray-900'}>
+                    {component.contribution > 0 ? '+' : ''}{component.contribution} pts
+                  </span>
+                  {component.contribution >= 0 && (
+                    <span className="text-gray-500"> ({component.score} × {Math.round(component.weight * 100)}%)</span>
+                  )}
+                </div>
+                {!compact && component.rates?.length > 0 && (
+                  <div className="text-gray-500">
+                    {component.rates.map(formatRate).join(' · ')}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+      </div>
+
+      {breakdown.difficulty && (
+        <p className="text-xs text-gray-500">
+          Opponent strength {breakdown.difficulty.opponentStrength}/5: {breakdown.difficulty.baseTotal} × {breakdown.difficulty.multiplier} = {breakdown.total}
+        </p>
+      )}
+
+      {Math.round(breakdown.total) !== breakdown.score && (
+        <p className="text-xs text-gray-500">
+          Raw total {breakdown.total}, final score {breakdown.score} (scores are limited to 0–100)
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -1,10 +1,121 @@
 import React from 'react';
+import { normalizeSuggestions, SUGGESTION_PRIORITIES } from '../../models/matchData.js';
+import { DEFAULT_LANGUAGE, getRestDescription, getSuggestionMessage, translate } from '../../i18n/index.js';
+import { toMillis } from '../../utils/matchDate.js';
+
+const SUGGESTION_TYPE_ICONS = {
+  rest: '😴',
+  technique: '🎯',
+  training: '💪',
+  general: '💡'
+};
+
+const PRIORITY_GROUPS = {
+  high: { classes: 'bg-red-50 border-red-200' },
+  medium: { classes: 'bg-yellow-50 border-yellow-200' },
+  low: { classes: 'bg-green-50 border-green-200' }
+};
+
+const FEEDBACK_OPTIONS = [
+  { status: 'done', activeClasses: 'bg-green-600 text-white border-green-600' },
+  { status: 'dismissed', activeClasses: 'bg-gray-600 text-white border-gray-600' },
+  { status: 'not-useful', activeClasses: 'bg-red-600 text-white border-red-600' }
+];
+
+const PERFORMANCE_TIPS = ['rest', 'nutrition', 'technique', 'progress'];
+
+/**
+ * SuggestionFeedback - Lets the player say whether they followed a suggestion.
+ * Clicking the selected answer again clears it.
+ */
+const SuggestionFeedback = ({ suggestion, status = null, onFeedback, language = DEFAULT_LANGUAGE }) => (
+  <div className="flex gap-2 mt-2" data-testid={`feedback-${suggestion.ruleId}`}>
+    {FEEDBACK_OPTIONS.map(option => (
+      <button
+        key={option.status}
+        type="button"
+        onClick={() => onFeedback(suggestion, status === option.status ? null : option.status)}
+        aria-pressed={status === option.status}
+        className={`px-2 py-0.5 text-xs rounded-full border ${
+          status === option.status ? option.activeClasses : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+        }`}
+      >
+        {translate(`ui.suggestions.feedback.${option.status}`, {}, language)}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Name of a rest factor in a language, capitalised for the factor list
+ * @param {Object} factor - Rest factor ({ id, label })
+ * @param {string} language - Language id
+ * @returns {string} Factor name
+ */
+const getRestFactorLabel = (factor, language) => {
+  const label = translate(`rest.factor.${factor.id}`, {}, language);
+  return label ? label.charAt(0).toLocaleUpperCase(language) + label.slice(1) : factor.label;
+};
+
+/**
+ * Value of a rest factor in a language (the score trend is stored as a word)
+ * @param {Object} factor - Rest factor ({ id, value })
+ * @param {string} language - Language id
+ * @returns {*} Value to show
+ */
+const getRestFactorValue = (factor, language) =>
+  (factor.id === 'trend' ? translate(`trend.${factor.value}`, {}, language) ?? factor.value : factor.value);
+
+/**
+ * RestFactors - The factors that set the recommended rest hours
+ * (older recommendations were stored without factors and render nothing)
+ */
+const RestFactors = ({ factors = [], language = DEFAULT_LANGUAGE }) => {
+  const shown = factors.filter(factor => factor.id === 'score' || factor.hours !== 0);
+  if (shown.length === 0) return null;
+
+  return (
+    <ul className="mt-2 space-y-1 text-xs text-gray-600" data-testid="rest-factors">
+      {shown.map(factor => (
+        <li key={factor.id} className="flex justify-between">
+          <span>
+            {getRestFactorLabel(factor, language)}
+            {factor.value !== null && factor.value !== undefined ? ` (${getRestFactorValue(factor, language)})` : ''}
+          </span>
+          <span className="font-medium">{factor.hours > 0 && factor.id !== 'score' ? '+' : ''}{factor.hours}h</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
 
 /**
  * SuggestionPanel component - Displays suggestions and rest recommendations
  * Requirements: 5.3, 4.1, 4.2, 4.3 - Create suggestion panel, implement rest recommendation display, add training advice presentation
+ * Text is shown in `language`, the player's preferred language (see i18n/index.js).
  */
-const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatchDate = null, loading = false }) => {
+const SuggestionPanel = ({
+  suggestions = [],
+  restRecommendation = null,
+  lastMatchDate = null,
+  loading = false,
+  feedback = {},
+  onFeedback = null,
+  language = DEFAULT_LANGUAGE
+}) => {
+  const t = (key, params) => translate(key, params, language);
+
+  // Stored suggestions are objects; matches saved before that hold plain strings
+  const sortedSuggestions = normalizeSuggestions(suggestions)
+    .map(suggestion => ({ ...suggestion, message: getSuggestionMessage(suggestion, language) }));
+  const suggestionGroups = SUGGESTION_PRIORITIES
+    .map(priority => ({
+      priority,
+      ...PRIORITY_GROUPS[priority],
+      title: t(`ui.suggestions.group.${priority}`),
+      suggestions: sortedSuggestions.filter(suggestion => suggestion.priority === priority)
+    }))
+    .filter(group => group.suggestions.length > 0);
   
   // Get rest recommendation color and icon based on hours
   const getRestRecommendationStyle = (hours) => {
@@ -14,7 +125,7 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
         bgColor: 'bg-red-50',
         borderColor: 'border-red-200',
         icon: '🛑',
-        priority: 'High Priority'
+        priority: t('ui.suggestions.rest.priority.high')
       };
     } else if (hours >= 24) {
       return {
@@ -22,7 +133,7 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
         bgColor: 'bg-yellow-50',
         borderColor: 'border-yellow-200',
         icon: '⚠️',
-        priority: 'Moderate Priority'
+        priority: t('ui.suggestions.rest.priority.moderate')
       };
     } else {
       return {
@@ -30,42 +141,29 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
         bgColor: 'bg-green-50',
         borderColor: 'border-green-200',
         icon: '✅',
-        priority: 'Light Rest'
+        priority: t('ui.suggestions.rest.priority.light')
       };
     }
   };
 
-  // Get suggestion type icon
-  const getSuggestionIcon = (suggestion) => {
-    const text = suggestion.toLowerCase();
-    if (text.includes('rest') || text.includes('recovery')) return '😴';
-    if (text.includes('training') || text.includes('practice')) return '💪';
-    if (text.includes('nutrition') || text.includes('diet')) return '🥗';
-    if (text.includes('hydration') || text.includes('water')) return '💧';
-    if (text.includes('technique') || text.includes('skill')) return '🎯';
-    if (text.includes('strength') || text.includes('fitness')) return '🏋️';
-    return '💡';
-  };
-
   // Format time since last match
   const getTimeSinceMatch = (matchDate) => {
-    if (!matchDate) return null;
-    
-    const now = new Date();
-    const match = new Date(matchDate.seconds * 1000);
-    const diffHours = Math.floor((now - match) / (1000 * 60 * 60));
+    const matchMillis = toMillis(matchDate);
+    if (matchMillis === null) return null;
+
+    const diffHours = Math.floor((Date.now() - matchMillis) / (1000 * 60 * 60));
     
-    if (diffHours < 1) return 'Less than an hour ago';
-    if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+    if (diffHours < 1) return t('ui.suggestions.time.lessThanHour');
+    if (diffHours < 24) return t('ui.suggestions.time.hoursAgo', { count: diffHours });
     
     const diffDays = Math.floor(diffHours / 24);
-    return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+    return t('ui.suggestions.time.daysAgo', { count: diffDays });
   };
 
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow-sm border p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Performance Suggestions</h3>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('ui.suggestions.title')}</h3>
         <div className="animate-pulse space-y-4">
           <div className="h-4 bg-gray-200 rounded w-3/4"></div>
           <div className="h-4 bg-gray-200 rounded w-1/2"></div>
@@ -80,10 +178,10 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
   return (
     <div className="bg-white rounded-lg shadow-sm border p-6">
       <div className="flex items-center justify-between mb-6">
-        <h3 className="text-lg font-semibold text-gray-900">Performance Suggestions</h3>
+        <h3 className="text-lg font-semibold text-gray-900">{t('ui.suggestions.title')}</h3>
         {lastMatchDate && (
           <div className="text-sm text-gray-500">
-            Last updated: {getTimeSinceMatch(lastMatchDate)}
+            {t('ui.suggestions.lastUpdated', { time: getTimeSinceMatch(lastMatchDate) })}
           </div>
         )}
       </div>
@@ -91,9 +189,9 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
       {!hasData ? (
         <div className="text-center py-8">
           <div className="text-gray-400 text-4xl mb-4">🎯</div>
-          <h4 className="text-lg font-medium text-gray-900 mb-2">No suggestions available</h4>
+          <h4 className="text-lg font-medium text-gray-900 mb-2">{t('ui.suggestions.empty.title')}</h4>
           <p className="text-gray-500">
-            Suggestions will appear after your coach records match data and performance scores are calculated.
+            {t('ui.suggestions.empty.body')}
           </p>
         </div>
       ) : (
@@ -103,7 +201,7 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
             <div className="space-y-4">
               <h4 className="font-semibold text-gray-900 flex items-center">
                 <span className="mr-2">🛌</span>
-                Rest Recommendation
+                {t('ui.suggestions.rest.title')}
               </h4>
               
               <div className={`p-4 rounded-lg border ${getRestRecommendationStyle(restRecommendation.hours).bgColor} ${getRestRecommendationStyle(restRecommendation.hours).borderColor}`}>
@@ -116,13 +214,15 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
                       {getRestRecommendationStyle(restRecommendation.hours).priority}
                     </div>
                     <div className="text-gray-700 mb-2">
-                      <strong>Recommended Rest:</strong> {restRecommendation.hours} hours
+                      <strong>{t('ui.suggestions.rest.recommended')}</strong>{' '}
+                      {t('ui.suggestions.rest.hours', { hours: restRecommendation.hours })}
                     </div>
                     {restRecommendation.description && (
                       <div className="text-gray-600 text-sm">
-                        {restRecommendation.description}
+                        {getRestDescription(restRecommendation, language)}
                       </div>
                     )}
+                    <RestFactors factors={restRecommendation.factors} language={language} />
                   </div>
                 </div>
               </div>
@@ -134,26 +234,37 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
             <div className="space-y-4">
               <h4 className="font-semibold text-gray-900 flex items-center">
                 <span className="mr-2">💡</span>
-                Training Advice
+                {t('ui.suggestions.advice.title')}
               </h4>
               
-              <div className="space-y-3">
-                {suggestions.map((suggestion, index) => (
-                  <div
-                    key={index}
-                    className="flex items-start space-x-3 p-4 bg-blue-50 border border-blue-200 rounded-lg"
-                  >
-                    <div className="text-xl flex-shrink-0 mt-0.5">
-                      {getSuggestionIcon(suggestion)}
-                    </div>
-                    <div className="flex-1">
-                      <div className="text-gray-800 leading-relaxed">
-                        {suggestion}
+              {suggestionGroups.map(group => (
+                <div key={group.priority} className="space-y-3" data-testid={`suggestions-${group.priority}`}>
+                  <h5 className="text-sm font-medium text-gray-700">{group.title}</h5>
+                  {group.suggestions.map((suggestion, index) => (
+                    <div
+                      key={suggestion.ruleId || index}
+                      className={`flex items-start space-x-3 p-4 border rounded-lg ${group.classes}`}
+                    >
+                      <div className="text-xl flex-shrink-0 mt-0.5" title={suggestion.type}>
+                        {SUGGESTION_TYPE_ICONS[suggestion.type] || SUGGESTION_TYPE_ICONS.general}
+                      </div>
+                      <div className="flex-1">
+                        <div className="text-gray-800 leading-relaxed">
+                          {suggestion.message}
+                        </div>
+                        {onFeedback && suggestion.ruleId && (
+                          <SuggestionFeedback
+                            suggestion={suggestion}
+                            status={feedback[suggestion.ruleId] ?? null}
+                            onFeedback={onFeedback}
+                            language={language}
+                          />
+                        )}
                       </div>
                     </div>
-                  </div>
-                ))}
-              </div>
+                  ))}
+                </div>
+              ))}
             </div>
           )}
 
@@ -161,22 +272,22 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
           <div className="bg-gray-50 rounded-lg p-4">
             <h5 className="font-medium text-gray-900 mb-3 flex items-center">
               <span className="mr-2">📋</span>
-              Action Items
+              {t('ui.suggestions.actions.title')}
             </h5>
             <div className="space-y-2 text-sm">
               {restRecommendation && (
                 <div className="flex items-center space-x-2">
                   <input type="checkbox" className="rounded border-gray-300" />
                   <span className="text-gray-700">
-                    Take {restRecommendation.hours} hours of rest before next training
+                    {t('ui.suggestions.actions.rest', { hours: restRecommendation.hours })}
                   </span>
                 </div>
               )}
-              {suggestions.slice(0, 3).map((suggestion, index) => (
+              {sortedSuggestions.slice(0, 3).map(({ message }, index) => (
                 <div key={index} className="flex items-center space-x-2">
                   <input type="checkbox" className="rounded border-gray-300" />
                   <span className="text-gray-700">
-                    {suggestion.length > 60 ? `${suggestion.substring(0, 60)}...` : suggestion}
+                    {message.length > 60 ? `${message.substring(0, 60)}...` : message}
                   </span>
                 </div>
               ))}
@@ -187,13 +298,12 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
           <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-4 border border-blue-200">
             <h5 className="font-medium text-blue-900 mb-2 flex items-center">
               <span className="mr-2">🌟</span>
-              Performance Tips
+              {t('ui.suggestions.tips.title')}
             </h5>
             <div className="text-sm text-blue-800 space-y-1">
-              <p>• Follow your rest recommendations to prevent overtraining</p>
-              <p>• Stay hydrated and maintain proper nutrition</p>
-              <p>• Focus on technique improvements during practice</p>
-              <p>• Track your progress and celebrate improvements</p>
+              {PERFORMANCE_TIPS.map(tip => (
+                <p key={tip}>• {t(`ui.suggestions.tips.${tip}`)}</p>
+              ))}
             </div>
           </div>
         </div>
@@ -205,9 +315,11 @@ const SuggestionPanel = ({ suggestions = [], restRecommendation = null, lastMatc
 /**
  * RestRecommendationCard - Standalone component for displaying rest recommendations
  */
-export const RestRecommendationCard = ({ restRecommendation, compact = false }) => {
+export const RestRecommendationCard = ({ restRecommendation, compact = false, language = DEFAULT_LANGUAGE }) => {
   if (!restRecommendation) return null;
 
+  const t = (key, params) => translate(key, params, language);
+
   const style = (() => {
     const hours = restRecommendation.hours;
     if (hours >= 48) {
@@ -216,7 +328,7 @@ export const RestRecommendationCard = ({ restRecommendation, compact = false })
         bgColor: 'bg-red-50',
         borderColor: 'border-red-200',
         icon: '🛑',
-        title: 'Extended Rest Required'
+        title: t('ui.rest.extended')
       };
     } else if (hours >= 24) {
       return {
@@ -224,7 +336,7 @@ export const RestRecommendationCard = ({ restRecommendation, compact = false })
         bgColor: 'bg-yellow-50',
         borderColor: 'border-yellow-200',
         icon: '⚠️',
-        title: 'Moderate Rest Needed'
+        title: t('ui.rest.moderate')
       };
     } else {
       return {
@@ -232,7 +344,7 @@ export const RestRecommendationCard = ({ restRecommendation, compact = false })
         bgColor: 'bg-green-50',
         borderColor: 'border-green-200',
         icon: '✅',
-        title: 'Light Rest Period'
+        title: t('ui.rest.light')
       };
     }
   })();
@@ -244,7 +356,7 @@ export const RestRecommendationCard = ({ restRecommendation, compact = false })
           <span className="text-lg">{style.icon}</span>
           <div>
             <div className={`font-medium ${style.color}`}>
-              {restRecommendation.hours}h rest
+              {t('ui.rest.compact', { hours: restRecommendation.hours })}
             </div>
             <div className="text-xs text-gray-600">{style.title}</div>
           </div>
@@ -262,13 +374,15 @@ export const RestRecommendationCard = ({ restRecommendation, compact = false })
             {style.title}
           </div>
           <div className="text-gray-700 mb-2">
-            <strong>Recommended Rest:</strong> {restRecommendation.hours} hours
+            <strong>{t('ui.suggestions.rest.recommended')}</strong>{' '}
+            {t('ui.suggestions.rest.hours', { hours: restRecommendation.hours })}
           </div>
           {restRecommendation.description && (
             <div className="text-gray-600 text-sm">
-              {restRecommendation.description}
+              {getRestDescription(restRecommendation, language)}
             </div>
           )}
+          <RestFactors factors={restRecommendation.factors} language={language} />
         </div>
       </div>
     </div>
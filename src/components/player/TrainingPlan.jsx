@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { calculatePlanProgress } from '../../models/matchData.js';
+
+const CATEGORY_ICONS = {
+  skill: '🎯',
+  conditioning: '💪',
+  recovery: '🧘',
+  activation: '⚡',
+  match: '🏟️'
+};
+
+const INTENSITY_CLASSES = {
+  low: 'bg-green-100 text-green-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  high: 'bg-red-100 text-red-700'
+};
+
+const DAY_TYPE_LABELS = {
+  rest: 'Rest day',
+  recovery: 'Recovery day',
+  match: 'Match day'
+};
+
+/**
+ * Read a plan day ('YYYY-MM-DD') as a local date
+ * @param {string} dateKey - Plan day
+ * @returns {Date} Local midnight of the day
+ */
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * TrainingPlan component - A multi-week training plan with a checklist of sessions
+ * Requirements: 5.3, 4.1, 4.2 - Training advice presentation
+ */
+const TrainingPlan = ({
+  plan = null,
+  loading = false,
+  generating = false,
+  error = null,
+  onGenerate,
+  onToggleSession
+}) => {
+  const [weeks, setWeeks] = useState(plan?.weeks || 2);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Training Plan</h3>
+        <div className="animate-pulse space-y-4">
+          <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+          <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const progress = calculatePlanProgress(plan);
+  const planWeeks = plan
+    ? Array.from({ length: Math.ceil(plan.days.length / 7) }, (_, index) => plan.days.slice(index * 7, index * 7 + 7))
+    : [];
+  const today = new Date().toDateString();
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Training Plan</h3>
+          <p className="text-sm text-gray-600">
+            Built from your weakest areas in recent matches, your rest recommendation and upcoming fixtures.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            disabled={generating}
+            aria-label="Plan length"
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            {[1, 2, 3, 4].map(option => (
+              <option key={option} value={option}>{option} week{option > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onGenerate?.({ weeks })}
+            disabled={generating}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+          >
+            {generating ? 'Generating...' : plan ? 'New Plan' : 'Generate Plan'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error.message || String(error)}</p>
+        </div>
+      )}
+
+      {!plan ? (
+        <div className="text-center py-8">
+          <div className="text-gray-400 text-4xl mb-4">🗓️</div>
+          <h4 className="text-lg font-medium text-gray-900 mb-2">No training plan yet</h4>
+          <p className="text-gray-500">Generate a plan to see what to work on each day.</p>
+        </div>
+      ) : (
+        <>
+          {/* Progress and focus areas */}
+          <div className="space-y-3">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">{progress.completed} of {progress.total} sessions done</span>
+              <span className="font-semibold text-blue-600">{progress.percent}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2" data-testid="plan-progress">
+              <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${progress.percent}%` }}></div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {plan.focusAreas.map(area => (
+                <span key={area.id} className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-700">
+                  Focus: {area.label}{area.score !== null ? ` (${Math.round(area.score)})` : ''}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Days by week */}
+          {planWeeks.map((days, weekIndex) => (
+            <div key={weekIndex} className="space-y-2">
+              <h4 className="font-semibold text-gray-900">Week {weekIndex + 1}</h4>
+              {days.map(day => {
+                const date = parseDateKey(day.date);
+                return (
+                  <div
+                    key={day.date}
+                    className={`border rounded-lg p-3 ${date.toDateString() === today ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}
+                    data-testid={`plan-day-${day.date}`}
+                  >
+                    <div className="flex justify-between text-sm">
+                      <span className="font-medium text-gray-800">
+                        {date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+                      </span>
+                      {DAY_TYPE_LABELS[day.type] && <span className="text-gray-500">{DAY_TYPE_LABELS[day.type]}</span>}
+                    </div>
+                    {day.sessions.map(session => (
+                      <label key={session.id} className="flex items-center gap-3 mt-2 text-sm cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={session.completed}
+                          onChange={(e) => onToggleSession?.(session.id, e.target.checked)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{CATEGORY_ICONS[session.category]}</span>
+                        <span className={`flex-1 ${session.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                          {session.title}
+                        </span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${INTENSITY_CLASSES[session.intensity]}`}>
+                          {session.intensity}
+                        </span>
+                        <span className="text-xs text-gray-500">{session.durationMinutes} min</span>
+                      </label>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrainingPlan;
@@ -1,10 +1,15 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import { describe, it, expect, vi } from 'vitest';
 import PlayerDashboard from '../PlayerDashboard.jsx';
 import PerformanceChart from '../PerformanceChart.jsx';
 import MatchHistory from '../MatchHistory.jsx';
 import SuggestionPanel from '../SuggestionPanel.jsx';
+import TrainingPlan from '../TrainingPlan.jsx';
+import GoalTracker from '../GoalTracker.jsx';
+import { calculatePerformanceBreakdown } from '../../../services/performanceCalculator.js';
+import { generateComprehensiveSuggestions, generateTrainingPlan } from '../../../services/suggestionEngine.js';
+import { createGoal } from '../../../models/matchData.js';
 
 // Mock the hooks
 vi.mock('../../hooks/useAuth.js', () => ({
@@ -84,6 +89,24 @@ describe('Player Components', () => {
       
       expect(screen.getByText('No performance data to display')).toBeInTheDocument();
     });
+
+    it('draws the fitted trend and summarises it', () => {
+      // Newest first, as the match service returns them
+      const matches = [85, 80, 75, 70, 65, 60].map((score, index) => ({
+        id: `${index}`,
+        calculatedScore: score,
+        date: { seconds: (Date.now() / 1000) - index * 86400 },
+        sport: 'cricket'
+      }));
+
+      render(<PerformanceChart matches={matches} />);
+
+      expect(screen.getByTestId('trend-line')).toBeInTheDocument();
+      const summary = within(screen.getByTestId('trend-summary'));
+      expect(summary.getByText('Improving')).toBeInTheDocument();
+      expect(summary.getByText('100% confidence')).toBeInTheDocument();
+      expect(summary.getByText('5 rises in a row')).toBeInTheDocument();
+    });
   });
 
   describe('MatchHistory', () => {
@@ -110,6 +133,125 @@ describe('Player Components', () => {
       
       expect(screen.getByText('No matches found')).toBeInTheDocument();
     });
+
+    it('renders the stored score breakdown', () => {
+      const matchWithBreakdown = {
+        ...mockMatches[0],
+        scoreBreakdown: calculatePerformanceBreakdown('cricket', {
+          runsScored: 50,
+          ballsFaced: 30,
+          wicketsTaken: 1,
+          runsConceded: 20,
+          catches: 1,
+          oversBowled: 4
+        })
+      };
+
+      render(<MatchHistory matches={[matchWithBreakdown]} />);
+
+      expect(screen.getByTestId('score-breakdown')).toBeInTheDocument();
+      expect(screen.getByText('Batting')).toBeInTheDocument();
+      expect(screen.getByText('+50 pts')).toBeInTheDocument();
+    });
+
+    it('renders the stored peer percentiles', () => {
+      const matchWithPercentiles = {
+        ...mockMatches[0],
+        playingRole: 'bowler',
+        percentiles: {
+          squad: { percentile: 72, sampleSize: 12 },
+          sport: { percentile: 41, sampleSize: 80 },
+          position: { percentile: null, sampleSize: 3 }
+        }
+      };
+
+      render(<MatchHistory matches={[matchWithPercentiles]} />);
+
+      expect(screen.getByText('Squad: 72nd percentile')).toBeInTheDocument();
+      expect(screen.getByText('All Cricket: 41st percentile')).toBeInTheDocument();
+      expect(screen.queryByText(/Bowlers:/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('GoalTracker', () => {
+    const goal = {
+      ...createGoal({ playerId: 'p1', sport: 'football', metric: 'score', target: 70, matchCount: 5 }),
+      id: 'g1',
+      progress: { current: 63, matchesCounted: 2, remaining: 3, progress: 0.9, required: 74.67 }
+    };
+
+    it('shows goal progress', () => {
+      render(<GoalTracker goals={[goal]} sport="football" />);
+
+      expect(screen.getByText('Average Performance score ≥ 70 over 5 matches')).toBeInTheDocument();
+      expect(screen.getByTestId('goal-progress-g1')).toHaveAttribute('aria-valuenow', '90');
+      expect(screen.getByText('2 of 5 matches')).toBeInTheDocument();
+    });
+
+    it('creates goals from the form', async () => {
+      const onCreate = vi.fn().mockResolvedValue(true);
+      render(<GoalTracker goals={[]} sport="basketball" onCreate={onCreate} />);
+
+      fireEvent.change(screen.getByLabelText('Measure'), { target: { value: 'rebounds' } });
+      fireEvent.change(screen.getByLabelText('Target'), { target: { value: '10' } });
+      fireEvent.click(screen.getByText('Add Goal'));
+
+      expect(onCreate).toHaveBeenCalledWith({
+        sport: 'basketball',
+        metric: 'rebounds',
+        label: 'Rebounds',
+        aggregation: 'average',
+        comparator: '>=',
+        target: 10,
+        matchCount: 5
+      });
+    });
+
+    it('hides editing for read-only views', () => {
+      render(<GoalTracker goals={[goal]} sport="football" canEdit={false} />);
+
+      expect(screen.queryByText('Add Goal')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('TrainingPlan', () => {
+    const plan = generateTrainingPlan([
+      {
+        sport: 'cricket',
+        calculatedScore: 55,
+        date: new Date(2024, 2, 1),
+        scoreBreakdown: { components: [{ id: 'bowling', label: 'Bowling', score: 35, weight: 0.35 }] }
+      }
+    ], { weeks: 1, startDate: new Date(2024, 2, 4) });
+    plan.days[0].sessions[0].completed = true;
+
+    it('renders the plan days, focus areas and progress', () => {
+      render(<TrainingPlan plan={plan} />);
+
+      expect(screen.getByText('Week 1')).toBeInTheDocument();
+      expect(screen.getByText('Focus: Bowling (35)')).toBeInTheDocument();
+      expect(screen.getByText('1 of 5 sessions done')).toBeInTheDocument();
+      expect(screen.getAllByText('Bowling drills')).toHaveLength(3);
+    });
+
+    it('ticks sessions off and generates new plans', () => {
+      const onToggleSession = vi.fn();
+      const onGenerate = vi.fn();
+      render(<TrainingPlan plan={plan} onToggleSession={onToggleSession} onGenerate={onGenerate} />);
+
+      fireEvent.click(screen.getAllByRole('checkbox')[1]);
+      fireEvent.change(screen.getByLabelText('Plan length'), { target: { value: '3' } });
+      fireEvent.click(screen.getByText('New Plan'));
+
+      expect(onToggleSession).toHaveBeenCalledWith('2024-03-05-1', true);
+      expect(onGenerate).toHaveBeenCalledWith({ weeks: 3 });
+    });
+
+    it('shows empty state without a plan', () => {
+      render(<TrainingPlan plan={null} />);
+
+      expect(screen.getByText('No training plan yet')).toBeInTheDocument();
+    });
   });
 
   describe('SuggestionPanel', () => {
@@ -132,10 +274,69 @@ describe('Player Components', () => {
       expect(screen.getByText('Training Advice')).toBeInTheDocument();
     });
 
+    it('groups suggestions by priority', () => {
+      render(
+        <SuggestionPanel
+          suggestions={[
+            { type: 'general', message: 'Keep your routine', priority: 'low' },
+            { type: 'technique', message: 'Improve first serve consistency', priority: 'high' },
+            'Focus on improving batting technique'
+          ]}
+        />
+      );
+
+      expect(screen.getByTestId('suggestions-high')).toHaveTextContent('Improve first serve consistency');
+      expect(screen.getByTestId('suggestions-medium')).toHaveTextContent('Focus on improving batting technique');
+      expect(screen.getByTestId('suggestions-low')).toHaveTextContent('Keep your routine');
+    });
+
+    it('collects feedback on rule suggestions', () => {
+      const onFeedback = vi.fn();
+      const serve = { type: 'technique', message: 'Improve first serve consistency', priority: 'high', ruleId: 'tennis.serve' };
+      render(
+        <SuggestionPanel
+          suggestions={[serve, 'Focus on improving batting technique']}
+          feedback={{ 'tennis.serve': 'done' }}
+          onFeedback={onFeedback}
+        />
+      );
+
+      const buttons = screen.getByTestId('feedback-tennis.serve');
+      fireEvent.click(within(buttons).getByText('Not useful'));
+      fireEvent.click(within(buttons).getByText('Done'));
+
+      expect(within(buttons).getByText('Done')).toHaveAttribute('aria-pressed', 'true');
+      expect(onFeedback).toHaveBeenNthCalledWith(1, expect.objectContaining({ ruleId: 'tennis.serve' }), 'not-useful');
+      expect(onFeedback).toHaveBeenNthCalledWith(2, expect.objectContaining({ ruleId: 'tennis.serve' }), null);
+      expect(screen.getAllByText('Dismiss')).toHaveLength(1); // legacy suggestions have no rule
+    });
+
     it('shows empty state when no suggestions', () => {
       render(<SuggestionPanel suggestions={[]} />);
       
       expect(screen.getByText('No suggestions available')).toBeInTheDocument();
     });
+
+    it('renders suggestions and rest advice in the player\'s language', () => {
+      const { suggestions, restRecommendation } = generateComprehensiveSuggestions(
+        45,
+        'football',
+        { goals: 0, assists: 0, passes: 40, passAccuracy: 80, tackles: 3, shotsOnTarget: 0, minutesPlayed: 90 }
+      );
+      render(
+        <SuggestionPanel
+          suggestions={[...suggestions, 'Focus on improving batting technique']}
+          restRecommendation={restRecommendation}
+          language="es"
+        />
+      );
+
+      expect(screen.getByText('Recomendación de descanso')).toBeInTheDocument();
+      expect(screen.getByText(/^Tu rendimiento indica fatiga\./)).toBeInTheDocument();
+      expect(screen.getByTestId('suggestions-high')).toHaveTextContent('El rendimiento necesita mejorar.');
+      expect(screen.getByTestId('suggestions-high')).toHaveTextContent('Trabaja la definición.');
+      // Stored text without a message key is shown as it is
+      expect(screen.getByTestId('suggestions-medium')).toHaveTextContent('Focus on improving batting technique');
+    });
   });
 });
\ No newline at end of file
@@ -3,4 +3,8 @@ export { default as PlayerDashboard } from './PlayerDashboard.jsx';
 export { default as PerformanceChart } from './PerformanceChart.jsx';
 export { default as MatchHistory } from './MatchHistory.jsx';
 export { default as SuggestionPanel } from './SuggestionPanel.jsx';
+export { default as ScoreBreakdown } from './ScoreBreakdown.jsx';
+export { default as PeerPercentiles } from './PeerPercentiles.jsx';
+export { default as TrainingPlan } from './TrainingPlan.jsx';
+export { default as GoalTracker } from './GoalTracker.jsx';
 export { RestRecommendationCard } from './SuggestionPanel.jsx';
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { formatMatchDate } from '../../utils/matchDate.js';
+
+/**
+ * Season picker that scopes a dashboard; the empty value means all matches
+ * @param {Object} props
+ * @param {Array} props.seasons - Seasons (see createSeason)
+ * @param {string} props.value - Selected season ID, '' for all matches
+ * @param {Function} props.onChange - Called with the selected season ID
+ * @param {string} [props.id] - Select element ID
+ */
+function SeasonSelect({ seasons, value, onChange, id = 'season-select' }) {
+  const formatDay = (date) => formatMatchDate(date, { format: { day: 'numeric', month: 'short', year: 'numeric' } });
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={id} className="text-sm font-semibold text-gray-700">Season</label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="border border-gray-300 rounded-lg px-3 py-2 text-sm shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      >
+        <option value="">All matches</option>
+        {seasons.map(season => (
+          <option key={season.id} value={season.id}>
+            {season.name} ({formatDay(season.startDate)} – {formatDay(season.endDate)})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default SeasonSelect;
@@ -9,4 +9,5 @@ export { default as NotFound } from './NotFound.jsx';
 export { default as OfflineIndicator } from './OfflineIndicator';
 export { default as OfflineStatus } from './OfflineStatus';
 export * from './LoadingStates';
-export { default as AIChatbot } from './AIChatbot.jsx';
\ No newline at end of file
+export { default as AIChatbot } from './AIChatbot.jsx';
+export { default as SeasonSelect } from './SeasonSelect.jsx';
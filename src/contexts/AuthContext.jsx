@@ -12,6 +12,7 @@ const AuthContext = createContext({
   login: async () => {},
   register: async () => {},
   logout: async () => {},
+  updateUserData: async () => {},
   isAuthenticated: false
 });
 
@@ -85,6 +86,16 @@ export function AuthProvider({ children }) {
     }
   };
 
+  /**
+   * Update the signed-in user's profile (e.g. their preferred language)
+   * @param {Object} updates - Profile fields to change
+   * @returns {Promise<void>}
+   */
+  const updateUserData = async (updates) => {
+    const changes = await authService.updateUserData(user.uid, updates);
+    setUserData(prev => ({ ...prev, ...changes }));
+  };
+
   // Compute derived values
   const userRole = userData?.role || null;
   const isAuthenticated = !!user && !!userData;
@@ -97,6 +108,7 @@ export function AuthProvider({ children }) {
     login,
     register,
     logout,
+    updateUserData,
     isAuthenticated
   };
 
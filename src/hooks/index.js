@@ -1,4 +1,9 @@
 // Custom hooks exports
 export { useAuth } from './useAuth.js';
 export { useFirestore, useDocument, useQuery, usePlayerManagement } from './useFirestore.js';
-export { usePerformance, usePerformanceStats } from './usePerformance.js';
\ No newline at end of file
+export { usePerformance, usePerformanceStats } from './usePerformance.js';
+export { useTrainingPlan } from './useTrainingPlan.js';
+export { useSuggestionFeedback } from './useSuggestionFeedback.js';
+export { useGoals } from './useGoals.js';
+export { useSeasons } from './useSeasons.js';
+export { useFixtures } from './useFixtures.js';
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import { seasonService } from '../services/seasonService.js';
+import { sortByMatchDate } from '../utils/matchDate.js';
+
+/**
+ * Custom hook for a coach's fixtures
+ * @param {string} coachId - Coach ID
+ * @returns {Object} Fixtures (newest first) and actions
+ */
+export const useFixtures = (coachId) => {
+  const [fixtures, setFixtures] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the coach's fixtures
+   */
+  const loadFixtures = useCallback(async () => {
+    if (!coachId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFixtures(await seasonService.getCoachFixtures(coachId));
+    } catch (err) {
+      console.error('Error loading fixtures:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [coachId]);
+
+  /**
+   * Create a fixture for the coach, e.g. one scheduled ahead of the game
+   * @param {Object} fixtureData - Fixture fields (see createFixture); coachId is filled in
+   * @returns {Promise<Object|null>} The stored fixture, or null when it was not saved
+   */
+  const addFixture = useCallback(async (fixtureData) => {
+    if (!coachId) return null;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const fixture = await seasonService.createFixture({ ...fixtureData, coachId });
+      setFixtures(prev => sortByMatchDate([fixture, ...prev]));
+      return fixture;
+    } catch (err) {
+      console.error('Error creating fixture:', err);
+      setError(err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [coachId]);
+
+  /**
+   * Change a fixture's opponent, competition, venue or result
+   * @param {string} fixtureId - Fixture ID
+   * @param {Object} changes - New values (see seasonService.updateFixture)
+   * @returns {Promise<Object|null>} The updated fixture, or null when it was not saved
+   */
+  const editFixture = useCallback(async (fixtureId, changes) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const fixture = await seasonService.updateFixture(fixtureId, changes);
+      setFixtures(prev => prev.map(candidate => (candidate.id === fixtureId ? fixture : candidate)));
+      return fixture;
+    } catch (err) {
+      console.error('Error updating fixture:', err);
+      setError(err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  /**
+   * Delete a fixture; its matches are kept
+   * @param {string} fixtureId - Fixture ID
+   */
+  const removeFixture = useCallback(async (fixtureId) => {
+    try {
+      setError(null);
+      await seasonService.deleteFixture(fixtureId);
+      setFixtures(prev => prev.filter(fixture => fixture.id !== fixtureId));
+    } catch (err) {
+      console.error('Error deleting fixture:', err);
+      setError(err);
+    }
+  }, []);
+
+  // Load the fixtures when coachId changes
+  useEffect(() => {
+    loadFixtures();
+  }, [loadFixtures]);
+
+  return {
+    fixtures,
+    loading,
+    saving,
+    error,
+    addFixture,
+    editFixture,
+    removeFixture,
+    refreshFixtures: loadFixtures
+  };
+};
@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+import { goalService } from '../services/goalService.js';
+
+/**
+ * Custom hook for a player's goals
+ * @param {string} playerId - Player ID
+ * @returns {Object} Goals and actions
+ */
+export const useGoals = (playerId) => {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the player's goals
+   */
+  const loadGoals = useCallback(async () => {
+    if (!playerId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setGoals(await goalService.getPlayerGoals(playerId));
+    } catch (err) {
+      console.error('Error loading goals:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [playerId]);
+
+  /**
+   * Set a new goal for the player
+   * @param {Object} goalData - Goal fields (see createGoal); playerId is filled in
+   * @returns {Promise<boolean>} Whether the goal was saved
+   */
+  const addGoal = useCallback(async (goalData) => {
+    if (!playerId) return false;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const goal = await goalService.createGoal({ ...goalData, playerId });
+      setGoals(prev => [goal, ...prev]);
+      return true;
+    } catch (err) {
+      console.error('Error creating goal:', err);
+      setError(err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [playerId]);
+
+  /**
+   * Delete a goal
+   * @param {string} goalId - Goal ID
+   */
+  const removeGoal = useCallback(async (goalId) => {
+    try {
+      setError(null);
+      await goalService.deleteGoal(goalId);
+      setGoals(prev => prev.filter(goal => goal.id !== goalId));
+    } catch (err) {
+      console.error('Error deleting goal:', err);
+      setError(err);
+    }
+  }, []);
+
+  /**
+   * Record that the player has seen a goal's completion
+   * @param {string} goalId - Goal ID
+   */
+  const markCelebrated = useCallback(async (goalId) => {
+    setGoals(prev => prev.map(goal => (goal.id === goalId ? { ...goal, celebrated: true } : goal)));
+    try {
+      await goalService.markCelebrated(goalId);
+    } catch (err) {
+      console.error('Error updating goal:', err);
+    }
+  }, []);
+
+  // Load the goals when playerId changes
+  useEffect(() => {
+    loadGoals();
+  }, [loadGoals]);
+
+  return {
+    goals,
+    loading,
+    saving,
+    error,
+    addGoal,
+    removeGoal,
+    markCelebrated,
+    refreshGoals: loadGoals
+  };
+};
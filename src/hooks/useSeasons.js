@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { seasonService } from '../services/seasonService.js';
+import { toMillis } from '../utils/matchDate.js';
+
+/**
+ * Custom hook for a coach's seasons
+ * @param {string} coachId - Coach ID (the player's coach on the player dashboard)
+ * @returns {Object} Seasons and actions
+ */
+export const useSeasons = (coachId) => {
+  const [seasons, setSeasons] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the coach's seasons
+   */
+  const loadSeasons = useCallback(async () => {
+    if (!coachId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSeasons(await seasonService.getCoachSeasons(coachId));
+    } catch (err) {
+      console.error('Error loading seasons:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [coachId]);
+
+  /**
+   * Create a season for the coach
+   * @param {Object} seasonData - Season fields (see createSeason); coachId is filled in
+   * @returns {Promise<Object|null>} The stored season, or null when it was not saved
+   */
+  const addSeason = useCallback(async (seasonData) => {
+    if (!coachId) return null;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const season = await seasonService.createSeason({ ...seasonData, coachId });
+      setSeasons(prev => [season, ...prev].sort((a, b) => toMillis(b.startDate) - toMillis(a.startDate)));
+      return season;
+    } catch (err) {
+      console.error('Error creating season:', err);
+      setError(err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [coachId]);
+
+  /**
+   * Delete a season
+   * @param {string} seasonId - Season ID
+   */
+  const removeSeason = useCallback(async (seasonId) => {
+    try {
+      setError(null);
+      await seasonService.deleteSeason(seasonId);
+      setSeasons(prev => prev.filter(season => season.id !== seasonId));
+    } catch (err) {
+      console.error('Error deleting season:', err);
+      setError(err);
+    }
+  }, []);
+
+  // Load the seasons when coachId changes
+  useEffect(() => {
+    loadSeasons();
+  }, [loadSeasons]);
+
+  return {
+    seasons,
+    loading,
+    saving,
+    error,
+    addSeason,
+    removeSeason,
+    refreshSeasons: loadSeasons
+  };
+};
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+import { suggestionFeedbackService } from '../services/suggestionFeedbackService.js';
+
+/**
+ * Custom hook for a player's feedback on the suggestions of a match
+ * @param {string} playerId - Player ID
+ * @param {Object|null} match - Match whose suggestions are shown
+ * @returns {Object} Feedback by rule id and an action to change it
+ */
+export const useSuggestionFeedback = (playerId, match) => {
+  const [feedback, setFeedbackState] = useState({});
+  const [error, setError] = useState(null);
+  const matchId = match?.id || null;
+
+  // Load the feedback when the match changes
+  useEffect(() => {
+    if (!matchId) {
+      setFeedbackState({});
+      return;
+    }
+
+    let cancelled = false;
+    suggestionFeedbackService.getMatchFeedback(matchId)
+      .then(result => { if (!cancelled) setFeedbackState(result); })
+      .catch(err => {
+        console.error('Error loading suggestion feedback:', err);
+        if (!cancelled) setError(err);
+      });
+
+    return () => { cancelled = true; };
+  }, [matchId]);
+
+  /**
+   * Mark a suggestion as done, dismissed or not useful (null clears the answer)
+   * @param {Object} suggestion - Suggestion object
+   * @param {string|null} status - Feedback status
+   */
+  const setFeedback = useCallback(async (suggestion, status) => {
+    if (!match || !suggestion.ruleId) return;
+
+    const previous = feedback[suggestion.ruleId] ?? null;
+    setFeedbackState(prev => ({ ...prev, [suggestion.ruleId]: status }));
+    try {
+      setError(null);
+      await suggestionFeedbackService.setFeedback(match, suggestion, status, playerId);
+    } catch (err) {
+      console.error('Error saving suggestion feedback:', err);
+      setFeedbackState(prev => ({ ...prev, [suggestion.ruleId]: previous }));
+      setError(err);
+    }
+  }, [match, feedback, playerId]);
+
+  return {
+    feedback,
+    error,
+    setFeedback
+  };
+};
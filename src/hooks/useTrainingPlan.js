@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import { trainingPlanService } from '../services/trainingPlanService.js';
+
+/**
+ * Custom hook for a player's active training plan
+ * @param {string} playerId - Player ID
+ * @returns {Object} Plan data and actions
+ */
+export const useTrainingPlan = (playerId) => {
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the player's active plan
+   */
+  const loadPlan = useCallback(async () => {
+    if (!playerId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setPlan(await trainingPlanService.getActivePlan(playerId));
+    } catch (err) {
+      console.error('Error loading training plan:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [playerId]);
+
+  /**
+   * Generate a new plan, replacing the active one
+   * @param {Object} [options] - Plan options ({ weeks, fixtures })
+   */
+  const generatePlan = useCallback(async (options = {}) => {
+    if (!playerId) return;
+
+    try {
+      setGenerating(true);
+      setError(null);
+      setPlan(await trainingPlanService.createPlan(playerId, options));
+    } catch (err) {
+      console.error('Error generating training plan:', err);
+      setError(err);
+    } finally {
+      setGenerating(false);
+    }
+  }, [playerId]);
+
+  /**
+   * Tick a session off (or un-tick it)
+   * @param {string} sessionId - Session ID
+   * @param {boolean} completed - Whether the session is done
+   */
+  const toggleSession = useCallback(async (sessionId, completed) => {
+    if (!plan) return;
+
+    try {
+      setError(null);
+      setPlan(await trainingPlanService.setSessionCompleted(plan, sessionId, completed));
+    } catch (err) {
+      console.error('Error updating training plan:', err);
+      setError(err);
+    }
+  }, [plan]);
+
+  // Load the plan when playerId changes
+  useEffect(() => {
+    loadPlan();
+  }, [loadPlan]);
+
+  return {
+    plan,
+    loading,
+    generating,
+    error,
+    generatePlan,
+    toggleSession,
+    refreshPlan: loadPlan
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * Tests for the message catalogues and localised suggestions
+ * Requirements: 4.1, 4.2, 5.3 - Suggestions and rest recommendations in the player's language
+ */
+
+import {
+  getRestDescription,
+  getSuggestionMessage,
+  resolveLanguage,
+  SUPPORTED_LANGUAGES,
+  translate
+} from '../index.js';
+import { en } from '../messages/en.js';
+import { hi } from '../messages/hi.js';
+import { es } from '../messages/es.js';
+import { getSport, getSportIds } from '../../sports/index.js';
+import {
+  generateComprehensiveSuggestions,
+  generateGoalSuggestions,
+  generateRestRecommendation,
+  generateTrainingSuggestions,
+  getMotivationalMessage
+} from '../../services/suggestionEngine.js';
+import { describeGoal, evaluateGoal } from '../../services/goalProgress.js';
+import { createGoal } from '../../models/matchData.js';
+
+const footballParameters = { goals: 0, assists: 0, passes: 40, passAccuracy: 80, tackles: 3, shotsOnTarget: 0, minutesPlayed: 90 };
+
+describe('Message Catalogues', () => {
+  test('should translate keys and fill in placeholders', () => {
+    expect(translate('rest.advice.light', { hours: 12 })).toBe(
+      'Take 12 hours of light rest. You can engage in light training or active recovery activities.'
+    );
+    expect(translate('rest.advice.light', { hours: 12 }, 'hi')).toMatch(/^12 घंटे हल्का आराम करें/);
+    expect(translate('goals.totalMore', { goal: 'G', required: 1.456, matches: 'x' })).toBe('"G": 1.46 more needed in the next x.');
+  });
+
+  test('should pick plural forms and translate nested messages', () => {
+    const matches = (count) => ({ key: 'common.nextMatches', params: { count } });
+
+    expect(translate('goals.totalMore', { goal: 'G', required: 2, matches: matches(1) })).toBe('"G": 2 more needed in the next match.');
+    expect(translate('goals.totalMore', { goal: 'G', required: 2, matches: matches(3) }, 'es'))
+      .toBe('"G": faltan 2 en los próximos 3 partidos.');
+  });
+
+  test('should choose plural forms by each language\'s rules', () => {
+    expect(translate('ui.suggestions.time.hoursAgo', { count: 0 }, 'hi')).toBe('0 घंटा पहले');
+    expect(translate('ui.suggestions.time.hoursAgo', { count: 2 }, 'hi')).toBe('2 घंटे पहले');
+    expect(translate('ui.suggestions.time.hoursAgo', { count: 0 })).toBe('0 hours ago');
+    expect(translate('ui.suggestions.time.hoursAgo', { count: 1 }, 'es')).toBe('Hace 1 hora');
+  });
+
+  test('should fall back to English for unknown languages and return null for unknown keys', () => {
+    expect(resolveLanguage('fr')).toBe('en');
+    expect(resolveLanguage(undefined)).toBe('en');
+    expect(translate('motivation.great', {}, 'fr')).toBe(en['motivation.great']);
+    expect(translate('no.such.key')).toBeNull();
+  });
+
+  test('should translate every English message and built-in rule', () => {
+    // English rule messages live on the rules themselves, so the other catalogues have
+    // exactly the English keys, plural forms included, plus one key per built-in rule
+    const ruleKeys = getSportIds().flatMap(sport => getSport(sport).suggestionRules.map(rule => `suggestions.${rule.id}`));
+    const expectedKeys = [...Object.keys(en), ...ruleKeys].sort();
+
+    [hi, es].forEach(catalogue => {
+      expect(Object.keys(catalogue).sort()).toEqual(expectedKeys);
+    });
+    expect(SUPPORTED_LANGUAGES.map(language => language.id)).toEqual(['en', 'hi', 'es']);
+  });
+});
+
+describe('Localised Suggestions', () => {
+  test('should store suggestions as message keys with their English text', () => {
+    const { suggestions } = generateComprehensiveSuggestions(45, 'football', footballParameters, [80, 70, 60, 50]);
+
+    suggestions.forEach(suggestion => {
+      expect(suggestion.messageKey).toBe(`suggestions.${suggestion.ruleId}`);
+      expect(getSuggestionMessage(suggestion)).toBe(suggestion.message);
+      expect(getSuggestionMessage(suggestion, 'hi')).not.toBe(suggestion.message);
+    });
+    expect(getSuggestionMessage(suggestions[0], 'es')).toBe(es['suggestions.general.score.needs-improvement']);
+  });
+
+  test('should keep the text of coach-written rule messages', () => {
+    const rule = { ...getSport('football').suggestionRules.find(r => r.id === 'football.attack.no-goals'), message: 'Stay late for shooting.' };
+    const [, suggestion] = generateTrainingSuggestions(45, 'football', footballParameters, {}, [rule]);
+
+    expect(suggestion.messageKey).toBeNull();
+    expect(getSuggestionMessage(suggestion, 'hi')).toBe('Stay late for shooting.');
+    expect(getSuggestionMessage('Legacy text', 'hi')).toBe('Legacy text');
+    expect(getSuggestionMessage({ message: 'Legacy text' }, 'es')).toBe('Legacy text');
+  });
+
+  test('should localise rest recommendations including their adjustments', () => {
+    const rest = generateRestRecommendation(45, 'football', {
+      parameters: footballParameters,
+      recentMatches: [{ date: new Date('2024-03-01T12:00:00Z'), calculatedScore: 70, sport: 'football', parameters: footballParameters }],
+      matchDate: new Date('2024-03-02T12:00:00Z')
+    });
+
+    expect(getRestDescription(rest)).toBe(rest.description);
+    expect(getRestDescription(rest, 'es')).toMatch(/^Tu rendimiento indica fatiga\. Descansa por completo \d+ horas/);
+    expect(getRestDescription(rest, 'es')).toContain('Ajustado por días desde el último partido 1 (+');
+    expect(getRestDescription({ description: 'Rest well' }, 'hi')).toBe('Rest well');
+  });
+
+  test('should localise goal suggestions and motivational messages', () => {
+    const goal = createGoal({ playerId: 'p1', sport: 'football', metric: 'score', target: 70, matchCount: 3, startDate: new Date('2024-03-01') });
+    const evaluation = evaluateGoal(goal, [{ sport: 'football', date: new Date('2024-03-02'), calculatedScore: 60, parameters: footballParameters }]);
+    const [suggestion] = generateGoalSuggestions([{ goal, evaluation }]);
+
+    expect(getSuggestionMessage(suggestion, 'es'))
+      .toBe('Para lograr "Performance score medio ≥ 70 en 3 partidos" necesitas una media de al menos 75 en los próximos 2 partidos.');
+    expect(describeGoal(goal, 'hi')).toBe('3 मैचों में औसत Performance score ≥ 70');
+    expect(getMotivationalMessage(95, 'hi')).toBe(hi['motivation.outstanding']);
+    expect(getMotivationalMessage(95, 'xx')).toBe(en['motivation.outstanding']);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Message catalogues and translation helpers
+ * Requirements: 4.1, 4.2, 5.3 - Suggestions and rest recommendations in the player's language
+ *
+ * Generated text is stored as a message key with parameters, e.g.
+ * { key: 'rest.advice.light', params: { hours: 12 } }, next to its English rendering,
+ * so it can be shown in any supported language later.
+ */
+
+import { en } from './messages/en.js';
+import { hi } from './messages/hi.js';
+import { es } from './messages/es.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'hi', label: 'हिन्दी' },
+  { id: 'es', label: 'Español' }
+];
+
+const CATALOGUES = { en, hi, es };
+
+/**
+ * Get a supported language, falling back to English
+ * @param {string} [language] - Language id, e.g. a profile's preferredLanguage
+ * @returns {string} Supported language id
+ */
+export const resolveLanguage = (language) => (CATALOGUES[language] ? language : DEFAULT_LANGUAGE);
+
+// Plural rules per language, created on first use
+const pluralRules = {};
+
+/**
+ * Plural category of a count in a language, e.g. 'one' for 0 and 1 in Hindi
+ * @param {number} count - Count
+ * @param {string} language - Supported language id
+ * @returns {string} Category as named by Intl.PluralRules
+ */
+const selectPlural = (count, language) => {
+  pluralRules[language] ||= new Intl.PluralRules(language);
+  return pluralRules[language].select(count);
+};
+
+/**
+ * Find a message template, trying the plural form for `count` first and English last.
+ * Catalogues hold '.one' and '.other' forms; a category without its own form uses '.other'.
+ * @param {string} key - Message key
+ * @param {string} language - Supported language id
+ * @param {number} [count] - Count selecting the plural form
+ * @returns {string|null} Template
+ */
+const findTemplate = (key, language, count) => {
+  for (const [catalogueLanguage, catalogue] of [[language, CATALOGUES[language]], [DEFAULT_LANGUAGE, en]]) {
+    if (typeof count === 'number') {
+      const template = catalogue[`${key}.${selectPlural(count, catalogueLanguage)}`] ?? catalogue[`${key}.other`];
+      if (template !== undefined) return template;
+    }
+    if (catalogue[key] !== undefined) return catalogue[key];
+  }
+  return null;
+};
+
+/**
+ * Format a message parameter: numbers for the language, nested messages translated
+ * and lists joined with commas
+ * @param {*} value - Parameter value
+ * @param {string} language - Supported language id
+ * @returns {string} Formatted value
+ */
+const formatParam = (value, language) => {
+  if (Array.isArray(value)) {
+    return value.map(item => formatParam(item, language)).join(', ');
+  }
+  if (value && typeof value === 'object' && typeof value.key === 'string') {
+    return translateMessage(value, language) ?? '';
+  }
+  if (typeof value === 'number') {
+    return new Intl.NumberFormat(language, { maximumFractionDigits: 2 }).format(value);
+  }
+  return value === null || value === undefined ? '' : String(value);
+};
+
+/**
+ * Translate a message key, filling in its {placeholders}
+ * @param {string} key - Message key, e.g. 'motivation.great'
+ * @param {Object} [params] - Placeholder values; a numeric `count` picks the plural form
+ * @param {string} [language] - Language id (unsupported languages fall back to English)
+ * @returns {string|null} Text, or null for an unknown key
+ */
+export const translate = (key, params = {}, language = DEFAULT_LANGUAGE) => {
+  const resolved = resolveLanguage(language);
+  const template = findTemplate(key, resolved, params?.count);
+  if (template === null) return null;
+
+  return template.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name) =>
+    (params && name in params ? formatParam(params[name], resolved) : placeholder));
+};
+
+/**
+ * Translate a stored message ({ key, params })
+ * @param {Object} message - Message key with parameters
+ * @param {string} [language] - Language id
+ * @returns {string|null} Text, or null for an unknown key
+ */
+export const translateMessage = (message, language = DEFAULT_LANGUAGE) =>
+  (message?.key ? translate(message.key, message.params || {}, language) : null);
+
+/**
+ * Text of a stored suggestion in a language. Suggestions without a message key
+ * (coach-written rules, older matches) keep their stored text.
+ * @param {Object|string} suggestion - Suggestion ({ message, messageKey, messageParams }) or legacy text
+ * @param {string} [language] - Language id
+ * @returns {string} Suggestion text
+ */
+export const getSuggestionMessage = (suggestion, language = DEFAULT_LANGUAGE) => {
+  if (typeof suggestion === 'string') return suggestion;
+
+  return (suggestion?.messageKey ? translate(suggestion.messageKey, suggestion.messageParams || {}, language) : null) ??
+    suggestion?.message ??
+    '';
+};
+
+/**
+ * Description of a stored rest recommendation in a language. Recommendations saved
+ * without message keys keep their stored description.
+ * @param {Object} restRecommendation - Rest recommendation ({ description, messages })
+ * @param {string} [language] - Language id
+ * @returns {string} Description
+ */
+export const getRestDescription = (restRecommendation, language = DEFAULT_LANGUAGE) => {
+  const parts = (restRecommendation?.messages || []).map(message => translateMessage(message, language));
+  if (parts.length === 0 || parts.includes(null)) {
+    return restRecommendation?.description || '';
+  }
+  return parts.join(' ');
+};
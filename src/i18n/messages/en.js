@@ -0,0 +1,104 @@
+/**
+ * English message catalogue
+ * Requirements: 4.1, 4.2, 5.3 - Suggestion, rest recommendation and suggestion panel text
+ *
+ * English text of the built-in suggestion rules lives with the rules in the sport
+ * definitions; other catalogues translate it under 'suggestions.<rule id>'.
+ */
+
+export const en = {
+  // Motivational messages (getMotivationalMessage)
+  'motivation.outstanding': "Outstanding performance! You're at the top of your game!",
+  'motivation.great': "Great job! You're performing at a high level!",
+  'motivation.good': 'Good work! Keep pushing to reach the next level!',
+  'motivation.solid': 'Solid effort! Focus on improvement areas to boost your performance!',
+  'motivation.beginner': 'Every champion was once a beginner. Keep working hard!',
+
+  // Rest recommendations (generateRestRecommendation)
+  'rest.headline.fatigue': 'Your performance indicates fatigue.',
+  'rest.headline.improve': 'Good performance but room for improvement.',
+  'rest.headline.excellent': 'Excellent performance!',
+  'rest.advice.complete': 'Take {hours} hours of complete rest to recover properly. Focus on sleep, hydration, and light stretching.',
+  'rest.advice.moderate': 'Take {hours} hours of moderate rest. Light activities like walking or yoga are beneficial.',
+  'rest.advice.light': 'Take {hours} hours of light rest. You can engage in light training or active recovery activities.',
+  'rest.adjusted': 'Adjusted for {factors}.',
+  'rest.factorChange': '{label} {value} ({hours}h)',
+  'rest.factor.score': 'performance score',
+  'rest.factor.matchLoad': 'match load',
+  'rest.factor.acwr': 'acute:chronic workload',
+  'rest.factor.trend': 'score trend',
+  'rest.factor.recovery': 'days since last match',
+  'trend.improving': 'improving',
+  'trend.declining': 'declining',
+  'trend.stable': 'stable',
+
+  // Score suggestions (generateTrainingSuggestions)
+  'suggestions.general.score.outstanding': 'Outstanding performance! Maintain your current training routine and focus on consistency.',
+  'suggestions.general.score.very-good': 'Very good performance! Fine-tune specific skills to reach the next level.',
+  'suggestions.general.score.good': 'Good performance with room for improvement. Focus on consistent practice.',
+  'suggestions.general.score.average': 'Average performance. Identify weak areas and dedicate extra practice time.',
+  'suggestions.general.score.needs-improvement': 'Performance needs improvement. Consider working with a coach on fundamentals.',
+
+  // Trend suggestions (generateTrendBasedSuggestions)
+  'suggestions.trend.strong-improvement': 'Excellent improvement trend! Your hard work is paying off. Maintain this momentum.',
+  'suggestions.trend.improvement': 'Good improvement trend! Continue your current training approach.',
+  'suggestions.trend.strong-decline': 'Performance has declined recently. Consider reviewing your training routine and getting adequate rest.',
+  'suggestions.trend.decline': 'Slight decline in performance. Focus on fundamentals and ensure proper recovery.',
+  'suggestions.trend.stable': 'Consistent performance! Consider adding new challenges to break through plateaus.',
+  'suggestions.trend.inconsistent': 'Your scores vary a lot from match to match. Build a consistent pre-match routine to steady your performances.',
+  'suggestions.trend.falling-streak': 'Your score has dropped in each of your last {count} matches. Look at what changed in your preparation and recovery.',
+
+  // Goals (describeGoal, generateGoalSuggestions)
+  'common.matches.one': '{count} match',
+  'common.matches.other': '{count} matches',
+  'common.nextMatches.one': 'match',
+  'common.nextMatches.other': '{count} matches',
+  'goals.describe.average': 'Average {label} {comparator} {target} over {matches}',
+  'goals.describe.total': 'Total {label} {comparator} {target} over {matches}',
+  'goals.describe.any': '{label} {comparator} {target} in one of {matches}',
+  'goals.reached': 'Goal reached: {goal}. Set a new target to keep improving.',
+  'goals.missed': 'Goal missed: {goal} (finished at {current}). Try a smaller step for your next target.',
+  'goals.averageAtLeast': 'To reach "{goal}" you need to average at least {required} over the next {matches}.',
+  'goals.averageAtMost': 'To reach "{goal}" you need to average at most {required} over the next {matches}.',
+  'goals.totalAtMost': '"{goal}": keep to {required} or less over the next {matches}.',
+  'goals.totalMore': '"{goal}": {required} more needed in the next {matches}.',
+  'goals.bestSoFar': '"{goal}": best so far {current}, {matches} left to reach {target}.',
+
+  // Suggestion panel and rest card
+  'ui.language': 'Language',
+  'ui.suggestions.title': 'Performance Suggestions',
+  'ui.suggestions.lastUpdated': 'Last updated: {time}',
+  'ui.suggestions.time.lessThanHour': 'Less than an hour ago',
+  'ui.suggestions.time.hoursAgo.one': '{count} hour ago',
+  'ui.suggestions.time.hoursAgo.other': '{count} hours ago',
+  'ui.suggestions.time.daysAgo.one': '{count} day ago',
+  'ui.suggestions.time.daysAgo.other': '{count} days ago',
+  'ui.suggestions.empty.title': 'No suggestions available',
+  'ui.suggestions.empty.body': 'Suggestions will appear after your coach records match data and performance scores are calculated.',
+  'ui.suggestions.rest.title': 'Rest Recommendation',
+  'ui.suggestions.rest.priority.high': 'High Priority',
+  'ui.suggestions.rest.priority.moderate': 'Moderate Priority',
+  'ui.suggestions.rest.priority.light': 'Light Rest',
+  'ui.suggestions.rest.recommended': 'Recommended Rest:',
+  'ui.suggestions.rest.hours': '{hours} hours',
+  'ui.suggestions.advice.title': 'Training Advice',
+  'ui.suggestions.group.high': 'High Priority',
+  'ui.suggestions.group.medium': 'Medium Priority',
+  'ui.suggestions.group.low': 'Keep It Up',
+  'ui.suggestions.feedback.done': 'Done',
+  'ui.suggestions.feedback.dismissed': 'Dismiss',
+  'ui.suggestions.feedback.not-useful': 'Not useful',
+  'ui.suggestions.actions.title': 'Action Items',
+  'ui.suggestions.actions.rest': 'Take {hours} hours of rest before next training',
+  'ui.suggestions.tips.title': 'Performance Tips',
+  'ui.suggestions.tips.rest': 'Follow your rest recommendations to prevent overtraining',
+  'ui.suggestions.tips.nutrition': 'Stay hydrated and maintain proper nutrition',
+  'ui.suggestions.tips.technique': 'Focus on technique improvements during practice',
+  'ui.suggestions.tips.progress': 'Track your progress and celebrate improvements',
+  'ui.rest.extended': 'Extended Rest Required',
+  'ui.rest.moderate': 'Moderate Rest Needed',
+  'ui.rest.light': 'Light Rest Period',
+  'ui.rest.compact': '{hours}h rest'
+};
+
+export default en;
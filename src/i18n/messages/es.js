@@ -0,0 +1,150 @@
+/**
+ * Spanish message catalogue (keys as in en.js, plus the built-in suggestion rules)
+ * Requirements: 4.1, 4.2, 5.3 - Suggestion, rest recommendation and suggestion panel text
+ */
+
+export const es = {
+  'motivation.outstanding': '¡Rendimiento sobresaliente! ¡Estás en tu mejor nivel!',
+  'motivation.great': '¡Buen trabajo! ¡Estás rindiendo a un nivel alto!',
+  'motivation.good': '¡Bien hecho! ¡Sigue esforzándote para llegar al siguiente nivel!',
+  'motivation.solid': '¡Buen esfuerzo! ¡Céntrate en las áreas de mejora para subir tu rendimiento!',
+  'motivation.beginner': 'Todo campeón fue alguna vez principiante. ¡Sigue trabajando duro!',
+
+  'rest.headline.fatigue': 'Tu rendimiento indica fatiga.',
+  'rest.headline.improve': 'Buen rendimiento, pero con margen de mejora.',
+  'rest.headline.excellent': '¡Rendimiento excelente!',
+  'rest.advice.complete': 'Descansa por completo {hours} horas para recuperarte bien. Prioriza el sueño, la hidratación y estiramientos suaves.',
+  'rest.advice.moderate': 'Descansa de forma moderada {hours} horas. Actividades suaves como caminar o yoga te vendrán bien.',
+  'rest.advice.light': 'Descansa de forma ligera {hours} horas. Puedes hacer entrenamiento suave o recuperación activa.',
+  'rest.adjusted': 'Ajustado por {factors}.',
+  'rest.factorChange': '{label} {value} ({hours} h)',
+  'rest.factor.score': 'puntuación de rendimiento',
+  'rest.factor.matchLoad': 'carga del partido',
+  'rest.factor.acwr': 'carga aguda:crónica',
+  'rest.factor.trend': 'tendencia de puntuación',
+  'rest.factor.recovery': 'días desde el último partido',
+  'trend.improving': 'en mejora',
+  'trend.declining': 'en descenso',
+  'trend.stable': 'estable',
+
+  'suggestions.general.score.outstanding': '¡Rendimiento sobresaliente! Mantén tu rutina de entrenamiento actual y céntrate en la constancia.',
+  'suggestions.general.score.very-good': '¡Muy buen rendimiento! Afina habilidades concretas para llegar al siguiente nivel.',
+  'suggestions.general.score.good': 'Buen rendimiento con margen de mejora. Céntrate en practicar con constancia.',
+  'suggestions.general.score.average': 'Rendimiento medio. Identifica tus puntos débiles y dedícales tiempo extra de práctica.',
+  'suggestions.general.score.needs-improvement': 'El rendimiento necesita mejorar. Trabaja los fundamentos con un entrenador.',
+
+  'suggestions.trend.strong-improvement': '¡Excelente tendencia de mejora! Tu esfuerzo está dando frutos. Mantén este impulso.',
+  'suggestions.trend.improvement': '¡Buena tendencia de mejora! Sigue con tu enfoque de entrenamiento actual.',
+  'suggestions.trend.strong-decline': 'Tu rendimiento ha bajado últimamente. Revisa tu rutina de entrenamiento y descansa lo suficiente.',
+  'suggestions.trend.decline': 'Ligero descenso del rendimiento. Céntrate en los fundamentos y recupérate bien.',
+  'suggestions.trend.stable': '¡Rendimiento constante! Añade nuevos retos para superar el estancamiento.',
+  'suggestions.trend.inconsistent': 'Tus puntuaciones varían mucho de un partido a otro. Crea una rutina previa al partido para estabilizar tu rendimiento.',
+  'suggestions.trend.falling-streak': 'Tu puntuación ha bajado en cada uno de tus últimos {count} partidos. Revisa qué ha cambiado en tu preparación y recuperación.',
+
+  'common.matches.one': '{count} partido',
+  'common.matches.other': '{count} partidos',
+  'common.nextMatches.one': 'partido',
+  'common.nextMatches.other': '{count} partidos',
+  'goals.describe.average': '{label} medio {comparator} {target} en {matches}',
+  'goals.describe.total': '{label} total {comparator} {target} en {matches}',
+  'goals.describe.any': '{label} {comparator} {target} en uno de {matches}',
+  'goals.reached': 'Objetivo cumplido: {goal}. Fija un nuevo objetivo para seguir mejorando.',
+  'goals.missed': 'Objetivo no cumplido: {goal} (terminó en {current}). Prueba con un paso más pequeño la próxima vez.',
+  'goals.averageAtLeast': 'Para lograr "{goal}" necesitas una media de al menos {required} en los próximos {matches}.',
+  'goals.averageAtMost': 'Para lograr "{goal}" necesitas una media de como máximo {required} en los próximos {matches}.',
+  'goals.totalAtMost': '"{goal}": no pases de {required} en los próximos {matches}.',
+  'goals.totalMore': '"{goal}": faltan {required} en los próximos {matches}.',
+  'goals.bestSoFar': '"{goal}": tu mejor marca es {current}; quedan {matches} para llegar a {target}.',
+
+  'suggestions.cricket.batting.low-strike-rate': 'Trabaja la técnica de bateo y la selección de golpes. Practica en la red para mejorar tu strike rate.',
+  'suggestions.cricket.batting.high-strike-rate': '¡Excelente strike rate! Mantén la constancia y juega según la situación del partido.',
+  'suggestions.cricket.batting.boundary-dependent': 'La mayoría de tus carreras llegaron con boundaries. Practica rotar el strike con singles a los huecos.',
+  'suggestions.cricket.bowling.low-wicket-rate': 'Céntrate en la precisión y la variedad al lanzar. Practica distintas entregas y trabaja la línea y la longitud.',
+  'suggestions.cricket.bowling.high-wicket-rate': '¡Gran actuación como lanzador! Sigue trabajando la constancia y desarrolla nuevas variaciones.',
+  'suggestions.cricket.bowling.dot-ball-pressure': 'Genera presión con más dot balls. Trabaja una longitud constante y lanza según tu colocación de campo.',
+  'suggestions.cricket.bowling.maidens': '¡Gran control con los maidens! Sigue presionando desde tu extremo.',
+  'suggestions.cricket.fielding.no-catches': 'Trabaja tus habilidades de fildeo. Haz ejercicios de atrapadas y mejora tu colocación.',
+  'suggestions.cricket.keeping.no-dismissals': 'Afina tu trabajo con los guantes. Practica colocarte pegado a los palos y stumpings con manos rápidas.',
+  'suggestions.cricket.keeping.multiple-dismissals': '¡Excelente trabajo detrás de los palos! Sigue mejorando tu entendimiento con los lanzadores.',
+  'suggestions.cricket.fielding.multiple-catches': '¡Excelente fildeo! Tu capacidad para atrapar es muy valiosa para el equipo.',
+  'suggestions.cricket.fielding.run-outs': '¡Gran trabajo en el campo con tus run-outs! Sigue practicando la recogida y el lanzamiento.',
+  'suggestions.football.attack.no-goals': 'Trabaja la definición. Practica tiros desde distintos ángulos y distancias.',
+  'suggestions.football.attack.multiple-goals': '¡Gran actuación goleadora! Sigue trabajando tus desmarques en el área.',
+  'suggestions.football.passing.low-volume': 'Mejora la precisión y la frecuencia de tus pases. Haz ejercicios de pase corto y largo.',
+  'suggestions.football.passing.high-volume': '¡Excelente juego de pase! Céntrate en crear más ocasiones de gol.',
+  'suggestions.football.defense.low-tackles': 'Trabaja la colocación defensiva y la técnica de entrada. Practica la defensa 1 contra 1.',
+  'suggestions.football.defense.high-tackles': '¡Gran actuación defensiva! Sigue trabajando la lectura del juego.',
+  'suggestions.football.creativity.no-contributions': 'Céntrate en crear ocasiones para tus compañeros. Trabaja la visión de juego y los pases al hueco.',
+  'suggestions.football.finishing.off-target': 'Muy pocas de tus ocasiones van a puerta. Prioriza la colocación sobre la potencia en los ejercicios de definición.',
+  'suggestions.football.passing.accuracy': 'Tu acierto en el pase es bajo. Trabaja la orientación del cuerpo y mira a tu alrededor antes de recibir.',
+  'suggestions.football.goalkeeping.shot-stopping': 'Trabaja las paradas y la colocación. Practica paradas de reflejos y reducir ángulos.',
+  'suggestions.football.goalkeeping.clean-sheet': '¡Portería a cero! Sigue organizando tu defensa y dominando tu área.',
+  'suggestions.football.discipline.cards': 'La indisciplina le está costando al equipo. Trabaja el momento de tus entradas y mantén la calma.',
+  'suggestions.basketball.scoring.low-output': 'Trabaja la técnica de tiro y la selección de tiros. Practica tiros libres y tiros de media distancia.',
+  'suggestions.basketball.scoring.high-output': '¡Excelente eficiencia anotadora! Céntrate también en generar tiros para tus compañeros.',
+  'suggestions.basketball.rebounding.low': 'Mejora el rebote trabajando la colocación y el bloqueo. Practica el momento del salto.',
+  'suggestions.basketball.rebounding.high': '¡Gran trabajo en el rebote! Tu presencia en la pintura es valiosa para el equipo.',
+  'suggestions.basketball.playmaking.low': 'Trabaja la visión de juego y el pase. Practica distintos tipos de pase.',
+  'suggestions.basketball.playmaking.high': '¡Excelente dirección de juego! Sigue desarrollando tu liderazgo en la pista.',
+  'suggestions.basketball.defense.low-steals': 'Céntrate en la anticipación defensiva y en tener las manos activas. Aprende a leer las líneas de pase.',
+  'suggestions.basketball.defense.high-steals': '¡Gran instinto defensivo! Equilibra la agresividad con una buena colocación.',
+  'suggestions.basketball.shooting.low-efficiency': 'La selección de tiros está bajando tu eficiencia. Busca tiros de mayor porcentaje cerca del aro y triples liberados.',
+  'suggestions.basketball.shooting.free-throws': 'Los tiros libres fallados cuestan puntos. Añade una rutina diaria de tiros libres con un ritmo previo constante.',
+  'suggestions.basketball.ball-security.turnovers': 'Reduce las pérdidas. Trabaja el manejo de balón bajo presión y el pase sencillo.',
+  'suggestions.basketball.discipline.fouls': 'Los problemas de faltas limitan tus minutos. Trabaja los pies en defensa y la verticalidad en lugar de meter la mano.',
+  'suggestions.basketball.defense.rim-protection': '¡Gran protección del aro! Sigue midiendo tus tapones y no piques en las fintas.',
+  'suggestions.volleyball.attack.low-efficiency': 'Reduce los errores de ataque. Trabaja el tiempo de la batida y golpear evitando el bloqueo.',
+  'suggestions.volleyball.attack.high-efficiency': '¡Excelente eficacia en ataque! Sigue variando tus golpes para ser impredecible.',
+  'suggestions.volleyball.serving.no-aces': 'Presiona más desde la línea de saque. Practica saques en salto y flotantes a zonas concretas.',
+  'suggestions.volleyball.net.low-blocks': 'Trabaja los desplazamientos de bloqueo y la lectura del colocador para pasar las manos antes por encima de la red.',
+  'suggestions.volleyball.defense.low-digs': 'Mejora la defensa en campo. Practica la posición baja de espera y el control del antebrazo.',
+  'suggestions.volleyball.defense.high-digs': '¡Gran defensa en campo! Tus defensas mantienen vivos los puntos del equipo.',
+  'suggestions.hockey.attack.poor-conversion': 'Trabaja la definición en el área. Practica desvíos, tiros de revés y rechaces.',
+  'suggestions.hockey.attack.multiple-goals': '¡Gran actuación goleadora! Sigue moviéndote para encontrar espacio en el área.',
+  'suggestions.hockey.playmaking.few-circle-entries': 'Intenta entrar en el área más a menudo. Practica regates 1 contra 1 y pases aéreos.',
+  'suggestions.hockey.defense.low-tackles': 'Mejora la canalización defensiva y las entradas de jab. Practica cerrar espacios al portador de la bola.',
+  'suggestions.hockey.defense.high-tackles': '¡Gran actuación defensiva! Sigue leyendo las líneas de pase para forzar pérdidas.',
+  'suggestions.hockey.creativity.no-contributions': 'Céntrate en crear ocasiones para tus compañeros. Trabaja la visión y el pase al área.',
+  'suggestions.tennis.serve.low-first-serve': 'Mejora la regularidad del primer saque. Trabaja la colocación del lanzamiento y un gesto de saque repetible.',
+  'suggestions.tennis.serve.double-faults': 'Reduce las dobles faltas. Practica un segundo saque fiable con más efecto y margen.',
+  'suggestions.tennis.rally.error-prone': 'Reduce los errores no forzados. Construye los puntos con más altura sobre la red y bolas más profundas.',
+  'suggestions.tennis.rally.aggressive': '¡Excelente repertorio de golpes! Sigue equilibrando agresividad y buena selección de golpes.',
+  'suggestions.tennis.return.low-break-conversion': 'Convierte más bolas de break. Practica la colocación al resto y los patrones para los puntos importantes.',
+
+  'ui.language': 'Idioma',
+  'ui.suggestions.title': 'Sugerencias de rendimiento',
+  'ui.suggestions.lastUpdated': 'Última actualización: {time}',
+  'ui.suggestions.time.lessThanHour': 'Hace menos de una hora',
+  'ui.suggestions.time.hoursAgo.one': 'Hace {count} hora',
+  'ui.suggestions.time.hoursAgo.other': 'Hace {count} horas',
+  'ui.suggestions.time.daysAgo.one': 'Hace {count} día',
+  'ui.suggestions.time.daysAgo.other': 'Hace {count} días',
+  'ui.suggestions.empty.title': 'No hay sugerencias',
+  'ui.suggestions.empty.body': 'Las sugerencias aparecerán cuando tu entrenador registre los datos del partido y se calculen tus puntuaciones.',
+  'ui.suggestions.rest.title': 'Recomendación de descanso',
+  'ui.suggestions.rest.priority.high': 'Prioridad alta',
+  'ui.suggestions.rest.priority.moderate': 'Prioridad media',
+  'ui.suggestions.rest.priority.light': 'Descanso ligero',
+  'ui.suggestions.rest.recommended': 'Descanso recomendado:',
+  'ui.suggestions.rest.hours': '{hours} horas',
+  'ui.suggestions.advice.title': 'Consejos de entrenamiento',
+  'ui.suggestions.group.high': 'Prioridad alta',
+  'ui.suggestions.group.medium': 'Prioridad media',
+  'ui.suggestions.group.low': 'Sigue así',
+  'ui.suggestions.feedback.done': 'Hecho',
+  'ui.suggestions.feedback.dismissed': 'Descartar',
+  'ui.suggestions.feedback.not-useful': 'No es útil',
+  'ui.suggestions.actions.title': 'Tareas',
+  'ui.suggestions.actions.rest': 'Descansa {hours} horas antes del próximo entrenamiento',
+  'ui.suggestions.tips.title': 'Consejos de rendimiento',
+  'ui.suggestions.tips.rest': 'Sigue tus recomendaciones de descanso para evitar el sobreentrenamiento',
+  'ui.suggestions.tips.nutrition': 'Mantente hidratado y aliméntate bien',
+  'ui.suggestions.tips.technique': 'Céntrate en mejorar la técnica durante los entrenamientos',
+  'ui.suggestions.tips.progress': 'Sigue tu progreso y celebra tus mejoras',
+  'ui.rest.extended': 'Descanso prolongado necesario',
+  'ui.rest.moderate': 'Descanso moderado necesario',
+  'ui.rest.light': 'Periodo de descanso ligero',
+  'ui.rest.compact': '{hours} h de descanso'
+};
+
+export default es;
@@ -0,0 +1,150 @@
+/**
+ * Hindi message catalogue (keys as in en.js, plus the built-in suggestion rules)
+ * Requirements: 4.1, 4.2, 5.3 - Suggestion, rest recommendation and suggestion panel text
+ */
+
+export const hi = {
+  'motivation.outstanding': 'शानदार प्रदर्शन! आप अपने खेल के शिखर पर हैं!',
+  'motivation.great': 'बहुत बढ़िया! आप ऊँचे स्तर पर खेल रहे हैं!',
+  'motivation.good': 'अच्छा काम! अगले स्तर तक पहुँचने के लिए मेहनत जारी रखें!',
+  'motivation.solid': 'ठोस प्रयास! अपना प्रदर्शन बढ़ाने के लिए सुधार वाले क्षेत्रों पर ध्यान दें!',
+  'motivation.beginner': 'हर चैंपियन कभी शुरुआती था। मेहनत करते रहें!',
+
+  'rest.headline.fatigue': 'आपका प्रदर्शन थकान का संकेत देता है।',
+  'rest.headline.improve': 'अच्छा प्रदर्शन, पर सुधार की गुंजाइश है।',
+  'rest.headline.excellent': 'उत्कृष्ट प्रदर्शन!',
+  'rest.advice.complete': 'ठीक से उबरने के लिए {hours} घंटे पूरा आराम करें। नींद, पानी और हल्की स्ट्रेचिंग पर ध्यान दें।',
+  'rest.advice.moderate': '{hours} घंटे मध्यम आराम करें। टहलना या योग जैसी हल्की गतिविधियाँ फ़ायदेमंद हैं।',
+  'rest.advice.light': '{hours} घंटे हल्का आराम करें। आप हल्की ट्रेनिंग या सक्रिय रिकवरी कर सकते हैं।',
+  'rest.adjusted': 'इनके अनुसार बदला गया: {factors}।',
+  'rest.factorChange': '{label} {value} ({hours} घंटे)',
+  'rest.factor.score': 'प्रदर्शन स्कोर',
+  'rest.factor.matchLoad': 'मैच का भार',
+  'rest.factor.acwr': 'तीव्र:दीर्घकालिक वर्कलोड',
+  'rest.factor.trend': 'स्कोर का रुझान',
+  'rest.factor.recovery': 'पिछले मैच से दिन',
+  'trend.improving': 'सुधर रहा',
+  'trend.declining': 'गिर रहा',
+  'trend.stable': 'स्थिर',
+
+  'suggestions.general.score.outstanding': 'उत्कृष्ट प्रदर्शन! अपनी मौजूदा ट्रेनिंग दिनचर्या बनाए रखें और निरंतरता पर ध्यान दें।',
+  'suggestions.general.score.very-good': 'बहुत अच्छा प्रदर्शन! अगले स्तर तक पहुँचने के लिए खास कौशल निखारें।',
+  'suggestions.general.score.good': 'अच्छा प्रदर्शन, पर सुधार की गुंजाइश है। नियमित अभ्यास पर ध्यान दें।',
+  'suggestions.general.score.average': 'औसत प्रदर्शन। कमज़ोर क्षेत्रों को पहचानें और उन पर अतिरिक्त अभ्यास करें।',
+  'suggestions.general.score.needs-improvement': 'प्रदर्शन में सुधार की ज़रूरत है। बुनियादी बातों पर कोच के साथ काम करें।',
+
+  'suggestions.trend.strong-improvement': 'सुधार का शानदार रुझान! आपकी मेहनत रंग ला रही है। यह रफ़्तार बनाए रखें।',
+  'suggestions.trend.improvement': 'सुधार का अच्छा रुझान! अपनी मौजूदा ट्रेनिंग जारी रखें।',
+  'suggestions.trend.strong-decline': 'हाल में प्रदर्शन गिरा है। अपनी ट्रेनिंग दिनचर्या की समीक्षा करें और पर्याप्त आराम लें।',
+  'suggestions.trend.decline': 'प्रदर्शन में हल्की गिरावट। बुनियादी बातों पर ध्यान दें और ठीक से रिकवरी करें।',
+  'suggestions.trend.stable': 'लगातार एक जैसा प्रदर्शन! ठहराव तोड़ने के लिए नई चुनौतियाँ जोड़ें।',
+  'suggestions.trend.inconsistent': 'आपके स्कोर हर मैच में काफ़ी बदलते हैं। प्रदर्शन स्थिर करने के लिए मैच से पहले की एक तय दिनचर्या बनाएँ।',
+  'suggestions.trend.falling-streak': 'आपका स्कोर पिछले {count} मैचों में लगातार गिरा है। देखें कि आपकी तैयारी और रिकवरी में क्या बदला।',
+
+  'common.matches.one': '{count} मैच',
+  'common.matches.other': '{count} मैचों',
+  'common.nextMatches.one': 'मैच',
+  'common.nextMatches.other': '{count} मैचों',
+  'goals.describe.average': '{matches} में औसत {label} {comparator} {target}',
+  'goals.describe.total': '{matches} में कुल {label} {comparator} {target}',
+  'goals.describe.any': '{matches} में से किसी एक में {label} {comparator} {target}',
+  'goals.reached': 'लक्ष्य पूरा: {goal}। सुधार जारी रखने के लिए नया लक्ष्य तय करें।',
+  'goals.missed': 'लक्ष्य चूक गया: {goal} ({current} पर खत्म)। अगली बार छोटा लक्ष्य रखें।',
+  'goals.averageAtLeast': '"{goal}" तक पहुँचने के लिए अगले {matches} में कम से कम {required} का औसत चाहिए।',
+  'goals.averageAtMost': '"{goal}" तक पहुँचने के लिए अगले {matches} में औसत {required} से ज़्यादा नहीं होना चाहिए।',
+  'goals.totalAtMost': '"{goal}": अगले {matches} में {required} या उससे कम रखें।',
+  'goals.totalMore': '"{goal}": अगले {matches} में {required} और चाहिए।',
+  'goals.bestSoFar': '"{goal}": अब तक सबसे अच्छा {current}, {target} तक पहुँचने के लिए {remaining} मैच बाकी।',
+
+  'suggestions.cricket.batting.low-strike-rate': 'बल्लेबाज़ी तकनीक और शॉट चयन पर काम करें। स्ट्राइक रेट बढ़ाने के लिए नेट्स में अभ्यास करें।',
+  'suggestions.cricket.batting.high-strike-rate': 'शानदार स्ट्राइक रेट! निरंतरता बनाए रखें और मैच की स्थिति के अनुसार खेलें।',
+  'suggestions.cricket.batting.boundary-dependent': 'आपके ज़्यादातर रन बाउंड्री से आए। गैप में सिंगल लेकर स्ट्राइक रोटेट करने का अभ्यास करें।',
+  'suggestions.cricket.bowling.low-wicket-rate': 'गेंदबाज़ी की सटीकता और विविधता पर ध्यान दें। अलग-अलग गेंदें और लाइन-लेंथ का अभ्यास करें।',
+  'suggestions.cricket.bowling.high-wicket-rate': 'शानदार गेंदबाज़ी! निरंतरता पर काम करते रहें और नई विविधताएँ विकसित करें।',
+  'suggestions.cricket.bowling.dot-ball-pressure': 'ज़्यादा डॉट गेंदों से दबाव बनाएँ। एक जैसी लेंथ और अपनी फ़ील्ड के अनुसार गेंदबाज़ी पर काम करें।',
+  'suggestions.cricket.bowling.maidens': 'मेडन ओवरों के साथ बेहतरीन नियंत्रण! अपने छोर से दबाव बनाते रहें।',
+  'suggestions.cricket.fielding.no-catches': 'फ़ील्डिंग कौशल पर काम करें। कैचिंग ड्रिल करें और अपनी पोज़िशनिंग सुधारें।',
+  'suggestions.cricket.keeping.no-dismissals': 'अपनी विकेटकीपिंग निखारें। स्टंप्स के पास खड़े होने और तेज़ स्टंपिंग ड्रिल का अभ्यास करें।',
+  'suggestions.cricket.keeping.multiple-dismissals': 'विकेट के पीछे शानदार काम! गेंदबाज़ों के साथ तालमेल बढ़ाते रहें।',
+  'suggestions.cricket.fielding.multiple-catches': 'शानदार फ़ील्डिंग! आपकी कैचिंग टीम के लिए बहुत कीमती है।',
+  'suggestions.cricket.fielding.run-outs': 'रन-आउट के साथ फ़ील्ड में चुस्त काम! गेंद उठाने और थ्रो का अभ्यास जारी रखें।',
+  'suggestions.football.attack.no-goals': 'फ़िनिशिंग कौशल पर काम करें। अलग-अलग कोणों और दूरियों से शूटिंग का अभ्यास करें।',
+  'suggestions.football.attack.multiple-goals': 'शानदार गोल-स्कोरिंग! बॉक्स में मूवमेंट पर काम करते रहें।',
+  'suggestions.football.passing.low-volume': 'पासिंग की सटीकता और संख्या बढ़ाएँ। छोटे और लंबे पास की ड्रिल करें।',
+  'suggestions.football.passing.high-volume': 'बेहतरीन पासिंग! गोल के ज़्यादा मौके बनाने पर ध्यान दें।',
+  'suggestions.football.defense.low-tackles': 'डिफ़ेंसिव पोज़िशनिंग और टैकलिंग तकनीक पर काम करें। 1v1 डिफ़ेंडिंग का अभ्यास करें।',
+  'suggestions.football.defense.high-tackles': 'मज़बूत डिफ़ेंसिव प्रदर्शन! खेल को पढ़ने पर काम करते रहें।',
+  'suggestions.football.creativity.no-contributions': 'साथियों के लिए मौके बनाने पर ध्यान दें। विज़न और थ्रू बॉल पर काम करें।',
+  'suggestions.football.finishing.off-target': 'आपके बहुत कम शॉट निशाने पर जा रहे हैं। फ़िनिशिंग ड्रिल में ताकत से ज़्यादा सटीकता का अभ्यास करें।',
+  'suggestions.football.passing.accuracy': 'पास पूरे होने की दर कम है। गेंद लेने से पहले बॉडी शेप और आसपास देखने पर काम करें।',
+  'suggestions.football.goalkeeping.shot-stopping': 'शॉट रोकने और पोज़िशनिंग पर काम करें। रिएक्शन सेव और कोण छोटा करने का अभ्यास करें।',
+  'suggestions.football.goalkeeping.clean-sheet': 'क्लीन शीट! अपनी डिफ़ेंस को संगठित रखें और अपने क्षेत्र पर नियंत्रण रखें।',
+  'suggestions.football.discipline.cards': 'अनुशासन की कमी टीम को महँगी पड़ रही है। टैकल के समय पर काम करें और शांत रहें।',
+  'suggestions.basketball.scoring.low-output': 'शूटिंग तकनीक और शॉट चयन पर काम करें। फ़्री थ्रो और मिड-रेंज शॉट का अभ्यास करें।',
+  'suggestions.basketball.scoring.high-output': 'शानदार स्कोरिंग दक्षता! साथियों के लिए भी शॉट बनाने पर ध्यान दें।',
+  'suggestions.basketball.rebounding.low': 'पोज़िशनिंग और बॉक्सिंग आउट पर काम करके रिबाउंडिंग सुधारें। छलांग की टाइमिंग का अभ्यास करें।',
+  'suggestions.basketball.rebounding.high': 'शानदार रिबाउंडिंग! पेंट में आपकी मौजूदगी टीम के लिए कीमती है।',
+  'suggestions.basketball.playmaking.low': 'कोर्ट विज़न और पासिंग कौशल पर काम करें। अलग-अलग तरह के पास का अभ्यास करें।',
+  'suggestions.basketball.playmaking.high': 'बेहतरीन प्लेमेकिंग! कोर्ट पर नेतृत्व विकसित करते रहें।',
+  'suggestions.basketball.defense.low-steals': 'डिफ़ेंसिव अनुमान और सक्रिय हाथों पर ध्यान दें। पासिंग लेन पढ़ने पर काम करें।',
+  'suggestions.basketball.defense.high-steals': 'शानदार डिफ़ेंसिव समझ! आक्रामकता और सही पोज़िशनिंग में संतुलन रखें।',
+  'suggestions.basketball.shooting.low-efficiency': 'शॉट चयन आपकी दक्षता घटा रहा है। रिम के पास और खुले थ्री जैसे ज़्यादा भरोसेमंद शॉट खोजें।',
+  'suggestions.basketball.shooting.free-throws': 'चूके फ़्री थ्रो अंक गँवा रहे हैं। शॉट से पहले एक जैसी लय के साथ रोज़ फ़्री थ्रो का अभ्यास करें।',
+  'suggestions.basketball.ball-security.turnovers': 'टर्नओवर कम करें। दबाव में बॉल हैंडलिंग और आसान पास देने पर काम करें।',
+  'suggestions.basketball.discipline.fouls': 'फ़ाउल की परेशानी आपके मिनट घटाती है। हाथ बढ़ाने के बजाय डिफ़ेंसिव फ़ुटवर्क और सीधी छलांग पर काम करें।',
+  'suggestions.basketball.defense.rim-protection': 'रिम की शानदार सुरक्षा! ब्लॉक की टाइमिंग बनाए रखें और पंप फ़ेक पर संयम रखें।',
+  'suggestions.volleyball.attack.low-efficiency': 'अटैक की गलतियाँ कम करें। अप्रोच की टाइमिंग और ब्लॉक के आसपास हिट करने पर काम करें।',
+  'suggestions.volleyball.attack.high-efficiency': 'शानदार हिटिंग दक्षता! शॉट बदलते रहें ताकि विरोधी अनुमान न लगा सकें।',
+  'suggestions.volleyball.serving.no-aces': 'सर्विस लाइन से दबाव बनाएँ। तय ज़ोन में जंप और फ़्लोट सर्व का अभ्यास करें।',
+  'suggestions.volleyball.net.low-blocks': 'ब्लॉक फ़ुटवर्क और सेटर को पढ़ने पर काम करें ताकि हाथ जल्दी नेट के ऊपर पहुँचें।',
+  'suggestions.volleyball.defense.low-digs': 'फ़्लोर डिफ़ेंस सुधारें। नीची तैयार मुद्रा और प्लेटफ़ॉर्म नियंत्रण की ड्रिल करें।',
+  'suggestions.volleyball.defense.high-digs': 'शानदार फ़्लोर डिफ़ेंस! आपके डिग टीम की रैलियाँ जारी रखते हैं।',
+  'suggestions.hockey.attack.poor-conversion': 'सर्कल में फ़िनिशिंग पर काम करें। डिफ़्लेक्शन, रिवर्स-स्टिक शॉट और रिबाउंड का अभ्यास करें।',
+  'suggestions.hockey.attack.multiple-goals': 'शानदार गोल-स्कोरिंग! सर्कल में जगह बनाने के लिए मूवमेंट पर काम करते रहें।',
+  'suggestions.hockey.playmaking.few-circle-entries': 'सर्कल में ज़्यादा बार घुसने की कोशिश करें। 1v1 एलिमिनेशन और एरियल पास का अभ्यास करें।',
+  'suggestions.hockey.defense.low-tackles': 'डिफ़ेंसिव चैनलिंग और जैब टैकल सुधारें। गेंद वाले खिलाड़ी की जगह घटाने का अभ्यास करें।',
+  'suggestions.hockey.defense.high-tackles': 'मज़बूत डिफ़ेंसिव प्रदर्शन! टर्नओवर बनाने के लिए पासिंग लेन पढ़ते रहें।',
+  'suggestions.hockey.creativity.no-contributions': 'साथियों के लिए मौके बनाने पर ध्यान दें। विज़न और सर्कल में पासिंग पर काम करें।',
+  'suggestions.tennis.serve.low-first-serve': 'पहली सर्व की निरंतरता सुधारें। टॉस और एक जैसे सर्विस एक्शन पर काम करें।',
+  'suggestions.tennis.serve.double-faults': 'डबल फ़ॉल्ट कम करें। ज़्यादा स्पिन और सुरक्षित दूसरी सर्व का अभ्यास करें।',
+  'suggestions.tennis.rally.error-prone': 'अनफ़ोर्स्ड गलतियाँ कम करें। नेट से ऊँचे और गहरे शॉट से पॉइंट बनाएँ।',
+  'suggestions.tennis.rally.aggressive': 'शानदार शॉट-मेकिंग! आक्रामकता और समझदार शॉट चयन में संतुलन बनाए रखें।',
+  'suggestions.tennis.return.low-break-conversion': 'ज़्यादा ब्रेक पॉइंट जीतें। रिटर्न पोज़िशनिंग और अहम पॉइंट के पैटर्न का अभ्यास करें।',
+
+  'ui.language': 'भाषा',
+  'ui.suggestions.title': 'प्रदर्शन सुझाव',
+  'ui.suggestions.lastUpdated': 'पिछला अपडेट: {time}',
+  'ui.suggestions.time.lessThanHour': 'एक घंटे से कम पहले',
+  'ui.suggestions.time.hoursAgo.one': '{count} घंटा पहले',
+  'ui.suggestions.time.hoursAgo.other': '{count} घंटे पहले',
+  'ui.suggestions.time.daysAgo.one': '{count} दिन पहले',
+  'ui.suggestions.time.daysAgo.other': '{count} दिन पहले',
+  'ui.suggestions.empty.title': 'कोई सुझाव उपलब्ध नहीं',
+  'ui.suggestions.empty.body': 'आपके कोच के मैच डेटा दर्ज करने और प्रदर्शन स्कोर की गणना के बाद सुझाव यहाँ दिखेंगे।',
+  'ui.suggestions.rest.title': 'आराम की सलाह',
+  'ui.suggestions.rest.priority.high': 'उच्च प्राथमिकता',
+  'ui.suggestions.rest.priority.moderate': 'मध्यम प्राथमिकता',
+  'ui.suggestions.rest.priority.light': 'हल्का आराम',
+  'ui.suggestions.rest.recommended': 'सुझाया गया आराम:',
+  'ui.suggestions.rest.hours': '{hours} घंटे',
+  'ui.suggestions.advice.title': 'ट्रेनिंग सलाह',
+  'ui.suggestions.group.high': 'उच्च प्राथमिकता',
+  'ui.suggestions.group.medium': 'मध्यम प्राथमिकता',
+  'ui.suggestions.group.low': 'ऐसे ही जारी रखें',
+  'ui.suggestions.feedback.done': 'हो गया',
+  'ui.suggestions.feedback.dismissed': 'हटाएँ',
+  'ui.suggestions.feedback.not-useful': 'उपयोगी नहीं',
+  'ui.suggestions.actions.title': 'करने योग्य काम',
+  'ui.suggestions.actions.rest': 'अगली ट्रेनिंग से पहले {hours} घंटे आराम करें',
+  'ui.suggestions.tips.title': 'प्रदर्शन टिप्स',
+  'ui.suggestions.tips.rest': 'ओवरट्रेनिंग से बचने के लिए आराम की सलाह मानें',
+  'ui.suggestions.tips.nutrition': 'पानी पीते रहें और सही पोषण लें',
+  'ui.suggestions.tips.technique': 'अभ्यास के दौरान तकनीक सुधारने पर ध्यान दें',
+  'ui.suggestions.tips.progress': 'अपनी प्रगति पर नज़र रखें और सुधार का जश्न मनाएँ',
+  'ui.rest.extended': 'लंबा आराम ज़रूरी',
+  'ui.rest.moderate': 'मध्यम आराम चाहिए',
+  'ui.rest.light': 'हल्के आराम का समय',
+  'ui.rest.compact': '{hours} घंटे आराम'
+};
+
+export default hi;
@@ -9,6 +9,7 @@ import {
   createMatchSummary,
   createPlayerPerformanceSummary,
   createSuggestion,
+  normalizeSuggestions,
   calculatePerformanceTrend,
   sortMatchesByDate,
   filterMatchesBySport,
@@ -118,6 +119,26 @@ describe('Match Data Models', () => {
     expect(suggestion).toHaveProperty('message', 'Take 24 hours rest');
     expect(suggestion).toHaveProperty('priority', 'high');
     expect(suggestion).toHaveProperty('createdAt');
+    expect(suggestion).toMatchObject({ ruleId: null, metric: null, threshold: null });
+  });
+
+  test('should read legacy string suggestions and sort by priority, then type', () => {
+    const suggestions = normalizeSuggestions([
+      createSuggestion('general', 'Keep it up', 'low'),
+      'Get plenty of rest and recovery',
+      createSuggestion('general', 'Average performance', 'high'),
+      createSuggestion('technique', 'Work on your serve', 'high', { ruleId: 'tennis.serve.low-first-serve' })
+    ]);
+
+    expect(suggestions.map(s => s.message)).toEqual([
+      'Work on your serve',
+      'Average performance',
+      'Get plenty of rest and recovery',
+      'Keep it up'
+    ]);
+    expect(suggestions[2]).toMatchObject({ type: 'rest', priority: 'medium', legacy: true });
+    expect(suggestions[0].ruleId).toBe('tennis.serve.low-first-serve');
+    expect(normalizeSuggestions(null)).toEqual([]);
   });
 });
 
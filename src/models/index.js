@@ -8,37 +8,77 @@ export {
   cricketParameterSchema,
   footballParameterSchema,
   basketballParameterSchema,
+  volleyballParameterSchema,
+  hockeyParameterSchema,
+  tennisParameterSchema,
   sportParameterSchemas,
   defaultCricketParameters,
   defaultFootballParameters,
   defaultBasketballParameters,
+  defaultVolleyballParameters,
+  defaultHockeyParameters,
+  defaultTennisParameters,
   defaultSportParameters,
   cricketParameterLabels,
   footballParameterLabels,
   basketballParameterLabels,
+  volleyballParameterLabels,
+  hockeyParameterLabels,
+  tennisParameterLabels,
   sportParameterLabels
 } from './sportParameters.js';
 
 // Match data models
 export {
   createMatchData,
+  createMatchContext,
+  createFixture,
+  EDITABLE_FIXTURE_FIELDS,
+  createSeason,
+  createMatchRevision,
+  EDITABLE_MATCH_FIELDS,
   createRestRecommendation,
   createMatchSummary,
   createPlayerPerformanceSummary,
   createSuggestion,
+  normalizeSuggestion,
+  normalizeSuggestions,
+  SUGGESTION_PRIORITIES,
+  SUGGESTION_TYPES,
+  createSuggestionFeedback,
+  SUGGESTION_FEEDBACK_STATUSES,
+  createTrainingSession,
+  createTrainingPlan,
+  calculatePlanProgress,
+  TRAINING_SESSION_CATEGORIES,
+  TRAINING_INTENSITIES,
+  createGoal,
+  GOAL_AGGREGATIONS,
+  GOAL_COMPARATORS,
+  GOAL_STATUSES,
+  MAX_GOAL_MATCHES,
   matchDataSchema,
   calculatePerformanceTrend,
   sortMatchesByDate,
   filterMatchesBySport,
-  filterMatchesByDateRange
+  filterMatchesByContext,
+  filterMatchesByDateRange,
+  filterMatchesBySeason,
+  findSeasonForDate
 } from './matchData.js';
 
 // Re-export validation utilities for convenience
 export {
   validateSportParameters,
+  validateMatchFormat,
+  validateMatchContext,
+  validateFixture,
+  validateSeason,
   validateMatchData,
   validatePlayerData,
   validateRestRecommendation,
   validateSuggestion,
+  validateSuggestionRule,
+  validateGoal,
   validateMatchDataBatch
 } from '../utils/validators.js';
\ No newline at end of file
@@ -3,14 +3,26 @@
  * Requirements: 2.4, 2.5, 7.1 - Match data structure and storage
  */
 
+import { getSportIds } from '../sports/index.js';
+import { analyzeTrend } from '../utils/trend.js';
+import { getDeviceTimeZone, sortByMatchDate, toMillis } from '../utils/matchDate.js';
+
 // Match data structure
 export const createMatchData = ({
   playerId,
   coachId,
   sport,
+  playingRole = null,
+  matchFormat = null,
+  matchContext = null,
+  fixtureId = null,
   parameters,
   date = new Date(),
+  timeZone = getDeviceTimeZone(),
   calculatedScore = null,
+  scoreBreakdown = null,
+  percentiles = null,
+  scoringProfile = null,
   suggestions = [],
   restRecommendation = null
 }) => {
@@ -19,21 +31,127 @@ export const createMatchData = ({
     playerId,
     coachId,
     sport,
-    date: date instanceof Date ? date : new Date(date),
+    playingRole, // Player's role when the match was played (sports with roles only)
+    matchFormat, // { id, overs } for sports with match formats, e.g. { id: 't20', overs: 20 }
+    matchContext, // Opponent, venue, competition, result and opponent strength (see createMatchContext)
+    fixtureId, // Fixture the match was entered from on a team sheet (see createFixture)
+    date: date instanceof Date ? date : new Date(toMillis(date) ?? date),
+    timeZone, // IANA time zone the date was entered in, used to display it (see utils/matchDate.js)
     parameters,
     calculatedScore,
+    scoreBreakdown, // Components behind calculatedScore (see sports/breakdown.js)
+    percentiles, // { squad, sport, position } percentile of calculatedScore among peers
+    scoringProfile, // { id, version } of the team profile that produced calculatedScore
     suggestions,
     restRecommendation,
+    revision: 0, // Number of corrections (see createMatchRevision)
     createdAt: new Date(),
     updatedAt: new Date()
   };
 };
 
+// Match context structure; every field is optional
+export const createMatchContext = ({
+  opponent = '',
+  venue = null,
+  competition = '',
+  result = null,
+  opponentStrength = null
+} = {}) => {
+  return {
+    opponent: (opponent || '').trim(),
+    venue, // 'home', 'away' or 'neutral' (see sports/matchContext.js)
+    competition: (competition || '').trim(),
+    result, // 'win', 'draw' or 'loss'
+    opponentStrength: opponentStrength === null || opponentStrength === '' ? null : Number(opponentStrength) // 1-5, 3 = similar
+  };
+};
+
+// Fixture structure: one game of the team, entered for the whole squad on a team sheet.
+// Its matches link back to it with `fixtureId` and take its date and match context.
+export const createFixture = ({
+  coachId,
+  sport,
+  date = new Date(),
+  timeZone = getDeviceTimeZone(),
+  matchFormat = null,
+  opponent = '',
+  venue = null,
+  competition = '',
+  result = null,
+  opponentStrength = null,
+  matchIds = []
+}) => {
+  return {
+    coachId,
+    sport,
+    date: date instanceof Date ? date : new Date(toMillis(date) ?? date),
+    timeZone,
+    matchFormat, // { id, overs } for sports with match formats
+    ...createMatchContext({ opponent, venue, competition, result, opponentStrength }),
+    matchIds, // IDs of the players' matches
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+};
+
+// Fixture fields that can change after saving. They only describe the game, so the
+// change is copied to its matches' context without rescoring; a different date, format
+// or opponent strength is a correction to each match (see matchService.updateMatch).
+export const EDITABLE_FIXTURE_FIELDS = ['opponent', 'competition', 'venue', 'result'];
+
+// Season structure: a coach's named date range, e.g. '2024 Summer'. A match belongs to
+// the season its date falls in (see filterMatchesBySeason).
+export const createSeason = ({
+  coachId,
+  name = '',
+  startDate,
+  endDate
+}) => {
+  return {
+    coachId,
+    name: (name || '').trim(),
+    startDate, // First day, from its start
+    endDate, // Last day, to its end
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+};
+
+// Match fields a coach can correct after saving (see matchService.updateMatch)
+export const EDITABLE_MATCH_FIELDS = ['parameters', 'date', 'matchFormat', 'matchContext'];
+
+// Match revision structure: an immutable record of one correction to a match
+export const createMatchRevision = ({
+  matchId,
+  playerId,
+  coachId,
+  number,
+  editedBy,
+  changedFields = [],
+  before,
+  after
+}) => {
+  return {
+    matchId,
+    playerId,
+    coachId,
+    number, // 1 for the first correction
+    editedBy, // UID of the coach who made the correction
+    editedAt: new Date(),
+    changedFields, // Which of EDITABLE_MATCH_FIELDS changed
+    before, // Editable fields and calculatedScore before the correction
+    after // ...and after it
+  };
+};
+
 // Rest recommendation structure
-export const createRestRecommendation = (hours, description) => {
+export const createRestRecommendation = (hours, description, factors = [], messages = []) => {
   return {
     hours,
-    description,
+    description, // English text
+    factors,
+    messages, // Message keys of the description's sentences ([{ key, params }], see i18n/index.js)
     createdAt: new Date()
   };
 };
@@ -75,73 +193,291 @@ export const createPlayerPerformanceSummary = ({
 };
 
 // Suggestion structure
-export const createSuggestion = (type, message, priority = 'medium') => {
+export const createSuggestion = (type, message, priority = 'medium', {
+  ruleId = null,
+  metric = null,
+  comparator = null,
+  threshold = null,
+  value = null,
+  messageKey = null,
+  messageParams = null
+} = {}) => {
   return {
     type, // 'rest', 'training', 'technique', 'general'
-    message,
+    message, // English text
+    messageKey, // Catalogue key for other languages, e.g. 'suggestions.trend.decline' (see i18n/index.js)
+    messageParams, // Values for the key's placeholders
     priority, // 'high', 'medium', 'low'
+    ruleId, // Id of the rule that produced it, e.g. 'tennis.serve.low-first-serve'
+    metric, // Stat the rule checked, e.g. 'firstServePercentage'
+    comparator, // How the stat was compared with the threshold, e.g. '<'
+    threshold, // Value the stat was compared with
+    value, // The stat's value in the match
     createdAt: new Date()
   };
 };
 
+export const SUGGESTION_PRIORITIES = ['high', 'medium', 'low'];
+export const SUGGESTION_TYPES = ['rest', 'technique', 'training', 'general'];
+
+/**
+ * Guess the type of a legacy suggestion from its text
+ * @param {string} message - Suggestion text
+ * @returns {string} Suggestion type
+ */
+const inferSuggestionType = (message) => {
+  const text = message.toLowerCase();
+  if (text.includes('rest') || text.includes('recovery')) return 'rest';
+  if (text.includes('technique') || text.includes('skill')) return 'technique';
+  if (text.includes('training') || text.includes('practice')) return 'training';
+  return 'general';
+};
+
+/**
+ * Read a stored suggestion. Matches saved before suggestions were stored as objects
+ * hold plain message strings; these become medium-priority suggestions marked `legacy`.
+ * @param {Object|string} suggestion - Stored suggestion
+ * @returns {Object} Suggestion object
+ */
+export const normalizeSuggestion = (suggestion) => {
+  if (typeof suggestion === 'string') {
+    return {
+      ...createSuggestion(inferSuggestionType(suggestion), suggestion),
+      createdAt: null,
+      legacy: true
+    };
+  }
+
+  return {
+    ...createSuggestion(suggestion.type || 'general', suggestion.message || '', suggestion.priority || 'medium', suggestion),
+    createdAt: suggestion.createdAt || null
+  };
+};
+
+/**
+ * Read a match's stored suggestions and order them by priority, then type
+ * @param {Array} [suggestions] - Stored suggestions (objects or legacy strings)
+ * @returns {Array} Sorted suggestion objects
+ */
+export const normalizeSuggestions = (suggestions = []) => {
+  const rank = (list, value) => {
+    const index = list.indexOf(value);
+    return index === -1 ? list.length : index;
+  };
+
+  return (suggestions || [])
+    .map(normalizeSuggestion)
+    .map((suggestion, index) => ({ suggestion, index }))
+    .sort((a, b) =>
+      rank(SUGGESTION_PRIORITIES, a.suggestion.priority) - rank(SUGGESTION_PRIORITIES, b.suggestion.priority) ||
+      rank(SUGGESTION_TYPES, a.suggestion.type) - rank(SUGGESTION_TYPES, b.suggestion.type) ||
+      a.index - b.index
+    )
+    .map(({ suggestion }) => suggestion);
+};
+
+// Player feedback on a suggestion, stored in suggestionFeedback/{matchId}_{ruleId}
+export const SUGGESTION_FEEDBACK_STATUSES = ['done', 'dismissed', 'not-useful'];
+
+export const createSuggestionFeedback = ({
+  matchId,
+  playerId,
+  coachId = null,
+  sport,
+  suggestion,
+  status
+}) => {
+  return {
+    matchId,
+    playerId,
+    coachId,
+    sport,
+    ruleId: suggestion.ruleId,
+    metric: suggestion.metric ?? null,
+    comparator: suggestion.comparator ?? null,
+    threshold: suggestion.threshold ?? null,
+    value: suggestion.value ?? null, // Metric in the match the suggestion came from
+    status, // 'done', 'dismissed' or 'not-useful'
+    createdAt: new Date()
+  };
+};
+
+// Training plan structure
+export const TRAINING_SESSION_CATEGORIES = ['skill', 'conditioning', 'recovery', 'activation', 'match'];
+export const TRAINING_INTENSITIES = ['low', 'medium', 'high'];
+
+// One session of a training plan day; `focus` is the score component it works on
+export const createTrainingSession = ({
+  id,
+  date,
+  category,
+  title,
+  focus = null,
+  intensity = 'medium',
+  durationMinutes
+}) => {
+  return {
+    id,
+    date, // Local calendar day, 'YYYY-MM-DD'
+    category,
+    title,
+    focus,
+    intensity,
+    durationMinutes,
+    completed: false,
+    completedAt: null
+  };
+};
+
+// Multi-week training plan, stored in the trainingPlans collection
+export const createTrainingPlan = ({
+  playerId,
+  coachId = null,
+  sport,
+  weeks,
+  startDate,
+  focusAreas = [],
+  restHours = null,
+  fixtures = [],
+  days = []
+}) => {
+  return {
+    id: null, // Will be set by Firestore
+    playerId,
+    coachId,
+    sport,
+    weeks,
+    startDate, // 'YYYY-MM-DD'
+    focusAreas, // Weakest score components over recent matches ({ id, label, score })
+    restHours, // Rest recommendation of the latest match
+    fixtures, // Upcoming match days the plan was built around ('YYYY-MM-DD')
+    days, // [{ date, type, sessions }]; type is 'training', 'rest', 'recovery' or 'match'
+    status: 'active', // 'active' or 'replaced'
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+};
+
+// Progress of a training plan's checklist
+export const calculatePlanProgress = (plan) => {
+  const sessions = (plan?.days || []).flatMap(day => day.sessions || []);
+  const completed = sessions.filter(session => session.completed).length;
+
+  return {
+    completed,
+    total: sessions.length,
+    percent: sessions.length > 0 ? Math.round((completed / sessions.length) * 100) : 0
+  };
+};
+
+// Goal structure
+export const GOAL_AGGREGATIONS = ['average', 'total', 'any'];
+export const GOAL_COMPARATORS = ['>=', '<='];
+export const GOAL_STATUSES = ['active', 'achieved', 'missed'];
+export const MAX_GOAL_MATCHES = 20;
+
+// Measurable target over the player's next matches, stored in the goals collection.
+// `metric` is a rule expression (see sports/suggestionRules.js), e.g. 'score' or 'strikeRate'.
+export const createGoal = ({
+  playerId,
+  coachId = null,
+  sport,
+  metric,
+  label = null,
+  comparator = '>=',
+  target,
+  aggregation = 'average',
+  matchCount = 5,
+  createdBy = null,
+  startDate = new Date()
+}) => {
+  return {
+    playerId,
+    coachId,
+    sport,
+    metric,
+    label, // Display name, e.g. 'Average score'
+    comparator, // '>=' or '<='
+    target,
+    aggregation, // 'average', 'total' or 'any' (a single match)
+    matchCount, // Matches the goal covers, counted from startDate
+    createdBy, // UID of the player or coach who set it
+    startDate,
+    status: 'active', // 'active', 'achieved' or 'missed'
+    progress: null, // Latest evaluation, see services/goalProgress.js
+    achievedAt: null,
+    celebrated: false // Whether the player has seen the completion toast
+  };
+};
+
 // Match validation schema
 export const matchDataSchema = {
   playerId: { type: 'string', required: true },
   coachId: { type: 'string', required: true },
-  sport: { type: 'string', required: true, enum: ['cricket', 'football', 'basketball'] },
+  sport: { type: 'string', required: true, enum: getSportIds() },
+  playingRole: { type: 'string', required: false },
+  matchFormat: { type: 'object', required: false },
+  matchContext: { type: 'object', required: false },
+  fixtureId: { type: 'string', required: false },
   parameters: { type: 'object', required: true },
   date: { type: 'date', required: true },
+  timeZone: { type: 'string', required: false },
   calculatedScore: { type: 'number', min: 0, max: 100, required: false },
+  scoreBreakdown: { type: 'object', required: false },
+  percentiles: { type: 'object', required: false },
+  scoringProfile: { type: 'object', required: false },
   suggestions: { type: 'array', required: false },
-  restRecommendation: { type: 'object', required: false }
+  restRecommendation: { type: 'object', required: false },
+  revision: { type: 'number', min: 0, required: false }
 };
 
-// Performance trend calculation helpers
-export const calculatePerformanceTrend = (recentScores) => {
-  if (!recentScores || recentScores.length < 2) {
-    return 'stable';
-  }
-
-  const recent = recentScores.slice(-3); // Last 3 matches
-  const older = recentScores.slice(-6, -3); // Previous 3 matches
-
-  if (older.length === 0) {
-    return 'stable';
-  }
-
-  const recentAvg = recent.reduce((sum, score) => sum + score, 0) / recent.length;
-  const olderAvg = older.reduce((sum, score) => sum + score, 0) / older.length;
-
-  const difference = recentAvg - olderAvg;
-
-  if (difference > 5) {
-    return 'improving';
-  } else if (difference < -5) {
-    return 'declining';
-  } else {
-    return 'stable';
-  }
-};
+// Performance trend of chronological scores (oldest first): 'improving', 'declining' or 'stable'
+// See utils/trend.js for the full analysis
+export const calculatePerformanceTrend = (recentScores) => analyzeTrend(recentScores).direction;
 
 // Match filtering and sorting utilities
 export const sortMatchesByDate = (matches, ascending = false) => {
-  return [...matches].sort((a, b) => {
-    const dateA = new Date(a.date);
-    const dateB = new Date(b.date);
-    return ascending ? dateA - dateB : dateB - dateA;
-  });
+  const newestFirst = sortByMatchDate(matches);
+  return ascending ? newestFirst.reverse() : newestFirst;
 };
 
 export const filterMatchesBySport = (matches, sport) => {
   return matches.filter(match => match.sport === sport);
 };
 
+// Filter by match context fields; empty criteria match every match. The opponent and
+// competition are matched case-insensitively.
+export const filterMatchesByContext = (matches, { opponent, venue, competition, result } = {}) => {
+  const same = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+  return matches.filter(match => {
+    const context = match.matchContext || {};
+    return (!opponent || same(context.opponent, opponent)) &&
+      (!venue || context.venue === venue) &&
+      (!competition || same(context.competition, competition)) &&
+      (!result || context.result === result);
+  });
+};
+
 export const filterMatchesByDateRange = (matches, startDate, endDate) => {
   const start = new Date(startDate);
   const end = new Date(endDate);
   
   return matches.filter(match => {
-    const matchDate = new Date(match.date);
-    return matchDate >= start && matchDate <= end;
+    const matchMillis = toMillis(match.date);
+    return matchMillis !== null && matchMillis >= start.getTime() && matchMillis <= end.getTime();
   });
-};
\ No newline at end of file
+};
+
+// Matches played within a season; every match when no season is given
+export const filterMatchesBySeason = (matches, season) => {
+  if (!season) return matches;
+  return filterMatchesByDateRange(matches, toMillis(season.startDate), toMillis(season.endDate));
+};
+
+// The season a date falls in, if any
+export const findSeasonForDate = (seasons, date) => {
+  const millis = toMillis(date);
+  return seasons.find(season => millis !== null &&
+    millis >= toMillis(season.startDate) && millis <= toMillis(season.endDate)) || null;
+};
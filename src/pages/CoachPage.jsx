@@ -3,7 +3,10 @@ import { useAuth } from '../hooks/useAuth.js';
 import {
   CoachDashboard,
   PlayerManagement,
-  MatchEntryForm
+  MatchEntryForm,
+  ScoringProfileSettings,
+  SuggestionRuleSettings,
+  SuggestionEffectiveness
 } from '../components/coach/index.js';
 import { LoadingSpinner, Navigation, AIChatbot } from '../components/shared/index.js';
 import { buildCoachSystemPrompt } from '../services/geminiService.js';
@@ -47,7 +50,9 @@ const CoachPage = () => {
   const tabs = [
     { id: 'dashboard', name: 'Dashboard', icon: '📊' },
     { id: 'players', name: 'Players', icon: '👥' },
-    { id: 'match-entry', name: 'Match Entry', icon: '📝' }
+    { id: 'match-entry', name: 'Match Entry', icon: '📝' },
+    { id: 'scoring', name: 'Scoring', icon: '⚖️' },
+    { id: 'advice', name: 'Advice Rules', icon: '💡' }
   ];
 
   return (
@@ -163,6 +168,15 @@ const CoachPage = () => {
             />
           </div>
         )}
+
+        {activeTab === 'scoring' && <ScoringProfileSettings />}
+
+        {activeTab === 'advice' && (
+          <div className="space-y-6">
+            <SuggestionRuleSettings />
+            <SuggestionEffectiveness />
+          </div>
+        )}
       </div>
       <AIChatbot systemPrompt={chatSystemPrompt} role="coach" />
     </div>
@@ -38,7 +38,7 @@ const HomePage = () => {
                 </h1>
                 
                 <p className="text-xl text-gray-600 max-w-2xl">
-                  Elevate your game with intelligent performance tracking across Cricket, Football, and Basketball. 
+                  Elevate your game with intelligent performance tracking across Cricket, Football, Basketball, Volleyball, Hockey, and Tennis. 
                   Get personalized insights and recommendations to optimize your training.
                 </p>
               </div>
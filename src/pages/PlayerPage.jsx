@@ -1,21 +1,29 @@
 import { useState } from 'react';
 import { useAuth } from '../hooks/useAuth.js';
 import { usePerformance } from '../hooks/usePerformance.js';
+import { useTrainingPlan } from '../hooks/useTrainingPlan.js';
+import { useSuggestionFeedback } from '../hooks/useSuggestionFeedback.js';
+import { useSeasons } from '../hooks/useSeasons.js';
 import { 
   PlayerDashboard, 
   PerformanceChart, 
   MatchHistory, 
-  SuggestionPanel 
+  SuggestionPanel,
+  TrainingPlan
 } from '../components/player/index.js';
-import { LoadingSpinner, Navigation, AIChatbot } from '../components/shared/index.js';
+import { LoadingSpinner, Navigation, AIChatbot, SeasonSelect } from '../components/shared/index.js';
 import { buildPlayerSystemPrompt } from '../services/geminiService.js';
+import { matchService } from '../services/matchService.js';
+import { filterMatchesBySeason } from '../models/matchData.js';
+import { sortByMatchDate } from '../utils/matchDate.js';
+import { resolveLanguage, SUPPORTED_LANGUAGES, translate } from '../i18n/index.js';
 
 /**
  * PlayerPage - Complete player interface with dashboard, charts, history, and suggestions
  * Requirements: 5.1, 5.2, 5.3, 5.4, 5.5 - Complete player interface implementation
  */
 const PlayerPage = () => {
-  const { userData, loading: authLoading } = useAuth();
+  const { userData, loading: authLoading, updateUserData } = useAuth();
   const { 
     performanceSummary,
     recentMatches,
@@ -25,8 +33,43 @@ const PlayerPage = () => {
     loading: performanceLoading,
     error
   } = usePerformance(userData?.uid);
+  const {
+    plan,
+    loading: planLoading,
+    generating: planGenerating,
+    error: planError,
+    generatePlan,
+    toggleSession
+  } = useTrainingPlan(userData?.uid);
+  const { feedback: suggestionFeedback, setFeedback: setSuggestionFeedback } =
+    useSuggestionFeedback(userData?.uid, recentMatches[0] || null);
 
   const [activeTab, setActiveTab] = useState('dashboard');
+  const language = resolveLanguage(userData?.preferredLanguage);
+
+  // The season picked on the dashboard also scopes the performance tab; '' shows all matches
+  const { seasons } = useSeasons(userData?.coachId);
+  const [seasonId, setSeasonId] = useState('');
+  const season = seasons.find(candidate => candidate.id === seasonId) || null;
+  const seasonMatches = season ? sortByMatchDate(filterMatchesBySeason(allMatches, season)) : null;
+  const seasonSummary = seasonMatches ? matchService.summarizeMatches(seasonMatches) : null;
+  const performanceStats = seasonSummary
+    ? {
+      currentScore: seasonSummary.latestScore,
+      averageScore: seasonSummary.averageScore,
+      matchCount: seasonSummary.matchesPlayed,
+      trend: seasonSummary.trend
+    }
+    : performanceSummary;
+
+  // Suggestions and rest advice are shown in the player's preferred language
+  const handleLanguageChange = async (event) => {
+    try {
+      await updateUserData({ preferredLanguage: event.target.value });
+    } catch (err) {
+      console.error('Error saving preferred language:', err);
+    }
+  };
 
   // Only build once real data is available so the chatbot session has accurate stats
   const chatSystemPrompt = (!performanceLoading && performanceSummary)
@@ -61,7 +104,8 @@ const PlayerPage = () => {
     { id: 'dashboard', name: 'Dashboard', icon: '📊' },
     { id: 'performance', name: 'Performance', icon: '📈' },
     { id: 'history', name: 'Match History', icon: '📋' },
-    { id: 'suggestions', name: 'Suggestions', icon: '💡' }
+    { id: 'suggestions', name: 'Suggestions', icon: '💡' },
+    { id: 'plan', name: 'Plan', icon: '🗓️' }
   ];
 
   return (
@@ -123,14 +167,20 @@ const PlayerPage = () => {
 
         {/* Tab Content */}
         {activeTab === 'dashboard' && (
-          <PlayerDashboard />
+          <PlayerDashboard seasonId={seasonId} onSeasonChange={setSeasonId} />
         )}
 
         {activeTab === 'performance' && (
           <div className="space-y-6">
+            {seasons.length > 0 && (
+              <div className="flex justify-end">
+                <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} id="performance-season-select" />
+              </div>
+            )}
+
             <PerformanceChart 
-              matches={recentMatches} 
-              title="Performance Trend (Last 10 Matches)" 
+              matches={seasonMatches || recentMatches} 
+              title={season ? `Performance Trend (${season.name}, Last 10 Matches)` : 'Performance Trend (Last 10 Matches)'} 
             />
             
             {performanceSummary && (
@@ -142,29 +192,29 @@ const PlayerPage = () => {
                     <div className="flex justify-between">
                       <span className="text-gray-600">Current Score:</span>
                       <span className="font-semibold text-blue-600">
-                        {Math.round(performanceSummary.currentScore || 0)}
+                        {Math.round(performanceStats.currentScore || 0)}
                       </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Average Score:</span>
                       <span className="font-semibold text-green-600">
-                        {Math.round(performanceSummary.averageScore || 0)}
+                        {Math.round(performanceStats.averageScore || 0)}
                       </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Total Matches:</span>
                       <span className="font-semibold text-gray-900">
-                        {performanceSummary.matchCount || 0}
+                        {performanceStats.matchCount || 0}
                       </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Trend:</span>
                       <span className={`font-semibold capitalize ${
-                        performanceSummary.trend === 'improving' ? 'text-green-600' :
-                        performanceSummary.trend === 'declining' ? 'text-red-600' :
+                        performanceStats.trend === 'improving' ? 'text-green-600' :
+                        performanceStats.trend === 'declining' ? 'text-red-600' :
                         'text-gray-600'
                       }`}>
-                        {performanceSummary.trend || 'stable'}
+                        {performanceStats.trend || 'stable'}
                       </span>
                     </div>
                   </div>
@@ -202,15 +252,46 @@ const PlayerPage = () => {
           <MatchHistory 
             matches={allMatches} 
             loading={performanceLoading} 
+            language={language}
           />
         )}
 
         {activeTab === 'suggestions' && (
-          <SuggestionPanel
-            suggestions={latestSuggestions.suggestions || []}
-            restRecommendation={latestSuggestions.restRecommendation}
-            lastMatchDate={latestSuggestions.matchDate}
-            loading={performanceLoading}
+          <div className="space-y-4">
+            <div className="flex justify-end">
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                {translate('ui.language', {}, language)}
+                <select
+                  value={language}
+                  onChange={handleLanguageChange}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {SUPPORTED_LANGUAGES.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <SuggestionPanel
+              suggestions={latestSuggestions.suggestions || []}
+              restRecommendation={latestSuggestions.restRecommendation}
+              lastMatchDate={latestSuggestions.matchDate}
+              loading={performanceLoading}
+              feedback={suggestionFeedback}
+              onFeedback={setSuggestionFeedback}
+              language={language}
+            />
+          </div>
+        )}
+
+        {activeTab === 'plan' && (
+          <TrainingPlan
+            plan={plan}
+            loading={planLoading}
+            generating={planGenerating}
+            error={planError}
+            onGenerate={generatePlan}
+            onToggleSession={toggleSession}
           />
         )}
       </div>
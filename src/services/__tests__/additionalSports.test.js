@@ -0,0 +1,252 @@
+/**
+ * Tests for volleyball, hockey and tennis scoring, validation and suggestions
+ * Requirements: 3.4, 3.5, 3.6 - Performance score calculation testing
+ */
+
+import {
+  calculateVolleyballScore,
+  calculateHockeyScore,
+  calculateTennisScore,
+  calculatePerformanceScore
+} from '../performanceCalculator.js';
+import { generateTrainingSuggestions } from '../suggestionEngine.js';
+import {
+  validateVolleyballParams,
+  validateHockeyParams,
+  validateTennisParams,
+  validateMatchData
+} from '../../utils/validators.js';
+import { getSport } from '../../sports/index.js';
+
+describe('Additional Sports', () => {
+  describe('Volleyball Score Calculation', () => {
+    const params = {
+      kills: 12,
+      attackErrors: 4,
+      attackAttempts: 30,
+      aces: 2,
+      blocks: 3,
+      digs: 8,
+      setAssists: 0,
+      setsPlayed: 4
+    };
+
+    test('should calculate volleyball score with all parameters', () => {
+      expect(calculateVolleyballScore(params)).toBe(54);
+    });
+
+    test('should reward setters through set assists', () => {
+      const setter = { ...params, kills: 1, attackErrors: 0, attackAttempts: 3, setAssists: 40 };
+      expect(calculateVolleyballScore(setter)).toBeGreaterThan(
+        calculateVolleyballScore({ ...setter, setAssists: 0 })
+      );
+    });
+
+    test('should not go below zero for negative hitting percentage', () => {
+      const score = calculateVolleyballScore({ ...params, kills: 1, attackErrors: 10 });
+      expect(score).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should throw error for invalid parameters', () => {
+      expect(() => calculateVolleyballScore(null)).toThrow('Invalid volleyball parameters provided');
+    });
+  });
+
+  describe('Hockey Score Calculation', () => {
+    const params = {
+      goalsScored: 1,
+      assists: 1,
+      shotsOnTarget: 3,
+      circleEntries: 5,
+      tackles: 6,
+      interceptions: 4,
+      minutesPlayed: 60
+    };
+
+    test('should calculate hockey score with all parameters', () => {
+      expect(calculateHockeyScore(params)).toBe(80);
+    });
+
+    test('should normalize stats for short playing time', () => {
+      const halfMatch = {
+        goalsScored: 0,
+        assists: 0,
+        shotsOnTarget: 1,
+        circleEntries: 2,
+        tackles: 3,
+        interceptions: 2,
+        minutesPlayed: 30
+      };
+      expect(calculateHockeyScore(halfMatch)).toBe(
+        calculateHockeyScore({
+          ...halfMatch,
+          shotsOnTarget: 2,
+          circleEntries: 4,
+          tackles: 6,
+          interceptions: 4,
+          minutesPlayed: 60
+        })
+      );
+    });
+
+    test('should throw error for invalid parameters', () => {
+      expect(() => calculateHockeyScore(undefined)).toThrow('Invalid hockey parameters provided');
+    });
+  });
+
+  describe('Tennis Score Calculation', () => {
+    const params = {
+      aces: 5,
+      doubleFaults: 2,
+      firstServePercentage: 0.62,
+      winners: 20,
+      unforcedErrors: 15,
+      breakPointsWon: 3,
+      breakPointChances: 7,
+      setsWon: 2,
+      setsPlayed: 3
+    };
+
+    test('should calculate tennis score with all parameters', () => {
+      expect(calculateTennisScore(params)).toBe(56);
+    });
+
+    test('should score a straight-sets win above a straight-sets loss', () => {
+      const win = calculateTennisScore({ ...params, setsWon: 2, setsPlayed: 2 });
+      const loss = calculateTennisScore({ ...params, setsWon: 0, setsPlayed: 2 });
+      expect(win).toBeGreaterThan(loss);
+    });
+
+    test('should treat missing break point stats as neutral', () => {
+      const { breakPointsWon, breakPointChances, ...withoutBreakPoints } = params;
+      expect(breakPointsWon).toBeDefined();
+      expect(breakPointChances).toBeDefined();
+      expect(calculateTennisScore(withoutBreakPoints)).toBeGreaterThan(0);
+    });
+
+    test('should throw error for invalid parameters', () => {
+      expect(() => calculateTennisScore('aces')).toThrow('Invalid tennis parameters provided');
+    });
+  });
+
+  describe('Generic Performance Score Calculation', () => {
+    test('should dispatch to the new sports', () => {
+      ['volleyball', 'hockey', 'tennis'].forEach(sport => {
+        const { defaultParameters } = getSport(sport);
+        expect(calculatePerformanceScore(sport, defaultParameters)).toBeGreaterThanOrEqual(0);
+      });
+      expect(calculatePerformanceScore('Hockey', {
+        goalsScored: 1,
+        assists: 1,
+        shotsOnTarget: 3,
+        circleEntries: 5,
+        tackles: 6,
+        interceptions: 4,
+        minutesPlayed: 60
+      })).toBe(80);
+    });
+  });
+
+  describe('Parameter Validation', () => {
+    test('should enforce schema ranges', () => {
+      expect(validateVolleyballParams({ ...getSport('volleyball').defaultParameters, setsPlayed: 6 }).errors)
+        .toHaveProperty('setsPlayed');
+      expect(validateHockeyParams({ ...getSport('hockey').defaultParameters, minutesPlayed: 90 }).errors)
+        .toHaveProperty('minutesPlayed');
+      expect(validateTennisParams({ ...getSport('tennis').defaultParameters, firstServePercentage: 62 }).errors)
+        .toHaveProperty('firstServePercentage');
+    });
+
+    test('should enforce cross-field constraints', () => {
+      const volleyball = validateVolleyballParams({
+        ...getSport('volleyball').defaultParameters,
+        kills: 10,
+        attackErrors: 5,
+        attackAttempts: 12,
+        setsPlayed: 3
+      });
+      expect(volleyball.errors.attackAttempts).toBe('Kills and attack errors cannot exceed attack attempts');
+
+      const hockey = validateHockeyParams({
+        ...getSport('hockey').defaultParameters,
+        goalsScored: 2,
+        shotsOnTarget: 1,
+        minutesPlayed: 60
+      });
+      expect(hockey.errors.shotsOnTarget).toBe('Shots on target cannot be fewer than goals scored');
+
+      const tennis = validateTennisParams({
+        ...getSport('tennis').defaultParameters,
+        setsWon: 3,
+        setsPlayed: 2
+      });
+      expect(tennis.errors.setsWon).toBe('Sets won cannot exceed sets played');
+    });
+
+    test('should accept match data for the new sports', () => {
+      const validation = validateMatchData({
+        playerId: 'player1',
+        coachId: 'coach1',
+        sport: 'tennis',
+        parameters: {
+          aces: 5,
+          doubleFaults: 2,
+          firstServePercentage: 0.62,
+          winners: 20,
+          unforcedErrors: 15,
+          setsWon: 2,
+          setsPlayed: 3
+        },
+        date: new Date('2024-01-01')
+      });
+      expect(validation.isValid).toBe(true);
+    });
+  });
+
+  describe('Training Suggestions', () => {
+    test('should suggest volleyball attack work for low hitting efficiency', () => {
+      const suggestions = generateTrainingSuggestions(40, 'volleyball', {
+        kills: 3,
+        attackErrors: 4,
+        attackAttempts: 20,
+        aces: 0,
+        blocks: 0,
+        digs: 2,
+        setAssists: 0,
+        setsPlayed: 3
+      });
+      expect(suggestions.some(s => s.message.includes('attack errors'))).toBe(true);
+    });
+
+    test('should suggest finishing work for hockey players who do not convert shots', () => {
+      const suggestions = generateTrainingSuggestions(45, 'hockey', {
+        goalsScored: 0,
+        assists: 0,
+        shotsOnTarget: 4,
+        circleEntries: 1,
+        tackles: 1,
+        interceptions: 0,
+        minutesPlayed: 60
+      });
+      expect(suggestions.some(s => s.message.includes('finishing in the circle'))).toBe(true);
+    });
+
+    test('should suggest serve work for a low tennis first serve percentage', () => {
+      const suggestions = generateTrainingSuggestions(50, 'tennis', {
+        aces: 1,
+        doubleFaults: 6,
+        firstServePercentage: 0.45,
+        winners: 10,
+        unforcedErrors: 25,
+        breakPointsWon: 0,
+        breakPointChances: 0,
+        setsWon: 0,
+        setsPlayed: 2
+      });
+      const messages = suggestions.map(s => s.message);
+      expect(messages.some(m => m.includes('first serve consistency'))).toBe(true);
+      expect(messages.some(m => m.includes('double faults'))).toBe(true);
+      expect(messages.some(m => m.includes('unforced errors'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for fatigue and injury-risk flags
+ * Requirements: 4.1, 3.1 - Rest recommendation and coach dashboard testing
+ */
+
+import { assessPlayerFatigue, getPlayersNeedingAttention } from '../fatigueModel.js';
+
+const NOW = new Date('2024-03-30T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const fullMatch = { minutesPlayed: 90, goals: 0, assists: 0, shotsOnTarget: 0, passAccuracy: 0.8 };
+
+const match = (daysAgo, { calculatedScore = 70, restHours = 24, ...extra } = {}) => ({
+  sport: 'football',
+  parameters: fullMatch,
+  calculatedScore,
+  restRecommendation: { hours: restHours },
+  date: new Date(NOW.getTime() - daysAgo * 24 * HOUR_MS),
+  ...extra
+});
+
+const flagIds = (result) => result.flags.map(flag => flag.id);
+
+describe('Fatigue Model', () => {
+  test('should not flag a player with a steady schedule', () => {
+    const result = assessPlayerFatigue([match(1), match(8), match(15), match(22)], NOW);
+
+    expect(result.flags).toEqual([]);
+    expect(result.severity).toBeNull();
+  });
+
+  test('should flag a spike in acute workload', () => {
+    const result = assessPlayerFatigue([match(1), match(3), match(5), match(20)], NOW);
+    const flag = result.flags.find(f => f.id === 'workload-spike');
+
+    expect(flag.severity).toBe('high');
+    expect(flag.value).toBeGreaterThan(1.5);
+    expect(flag.reason).toMatch(/Workload spike/);
+  });
+
+  test('should flag matches played inside the recommended rest window', () => {
+    const result = assessPlayerFatigue([
+      match(1),
+      match(2.5, { restHours: 48 }), // 36h of 48h
+      match(12)
+    ], NOW);
+    const flag = result.flags.find(f => f.id === 'short-rest');
+
+    expect(flag).toMatchObject({ severity: 'medium', value: 0.75 });
+    expect(flag.reason).toBe('A match was played without the recommended rest (36h of 48h)');
+  });
+
+  test('should rate repeated or very short rests as high risk', () => {
+    const twice = assessPlayerFatigue([match(1), match(2, { restHours: 36 }), match(3, { restHours: 36 })], NOW);
+    const halved = assessPlayerFatigue([match(1), match(2, { restHours: 72 })], NOW);
+
+    expect(twice.flags.find(f => f.id === 'short-rest').severity).toBe('high');
+    expect(halved.flags.find(f => f.id === 'short-rest').severity).toBe('high');
+  });
+
+  test('should flag a sustained score decline', () => {
+    const scores = [85, 80, 75, 70, 65, 55];
+    const matches = scores.map((calculatedScore, index) => match((scores.length - index) * 7 - 6, { calculatedScore }));
+    const flag = assessPlayerFatigue(matches, NOW).flags.find(f => f.id === 'score-decline');
+
+    expect(flag.severity).toBe('high');
+    expect(flag.reason).toMatch(/Scores declining/);
+  });
+
+  test('should flag a run of falling scores before it is a trend', () => {
+    const scores = [62, 75, 74, 73, 71];
+    const matches = scores.map((calculatedScore, index) => match((scores.length - index) * 7 - 6, { calculatedScore }));
+    const result = assessPlayerFatigue(matches, NOW);
+
+    expect(flagIds(result)).toEqual(['score-decline']);
+    expect(result.flags[0].reason).toBe('Score has dropped in each of the last 3 matches');
+  });
+
+  test('should ignore players who have not played recently', () => {
+    const result = assessPlayerFatigue([match(20), match(21, { restHours: 72 })], NOW);
+
+    expect(result.flags).toEqual([]);
+    expect(result.lastMatchDate).toEqual(match(20).date);
+  });
+
+  test('should list flagged players, most urgent first', () => {
+    const players = [
+      { id: 'a', name: 'Asha', email: 'asha@example.com' },
+      { id: 'b', name: 'Ben' },
+      { id: 'c', name: 'Chen' }
+    ];
+    const matches = [
+      // Asha: matched by email, scores falling
+      ...[62, 75, 74, 73, 71].map((calculatedScore, index) =>
+        match(29 - index * 7, { playerEmail: 'asha@example.com', calculatedScore })),
+      // Ben: workload spike
+      ...[1, 3, 5, 20].map(days => match(days, { playerId: 'b' })),
+      // Chen: nothing to flag
+      match(1, { playerId: 'c' })
+    ];
+
+    const entries = getPlayersNeedingAttention(players, matches, NOW);
+
+    expect(entries.map(entry => entry.player.id)).toEqual(['b', 'a']);
+    expect(entries[0].severity).toBe('high');
+    expect(entries[1].severity).toBe('medium');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for goal evaluation and goal-aware suggestions
+ * Requirements: 5.1, 4.1 - Player dashboard and suggestion system testing
+ */
+
+import { describeGoal, evaluateGoal, getGoalMetrics } from '../goalProgress.js';
+import { generateComprehensiveSuggestions, generateGoalSuggestions } from '../suggestionEngine.js';
+import { createGoal } from '../../models/matchData.js';
+import { validateGoal } from '../../utils/validators.js';
+
+const START = new Date('2024-03-01T12:00:00Z');
+
+const goal = (overrides = {}) => createGoal({
+  playerId: 'p1',
+  sport: 'football',
+  metric: 'score',
+  target: 70,
+  matchCount: 3,
+  startDate: START,
+  ...overrides
+});
+
+const match = (day, calculatedScore, extra = {}) => ({
+  sport: 'football',
+  date: new Date(START.getTime() + day * 24 * 60 * 60 * 1000),
+  calculatedScore,
+  parameters: { goals: 0, assists: 0, shotsOnTarget: 1, passAccuracy: 0.8, minutesPlayed: 90 },
+  ...extra
+});
+
+describe('Goal Progress', () => {
+  test('should describe goals in words', () => {
+    expect(describeGoal(goal())).toBe('Average Performance score ≥ 70 over 3 matches');
+    expect(describeGoal(goal({ metric: 'goals', aggregation: 'total', target: 4, label: 'Goals' })))
+      .toBe('Total Goals ≥ 4 over 3 matches');
+    expect(describeGoal(goal({ sport: 'cricket', metric: 'strikeRate', aggregation: 'any', target: 120, matchCount: 1 })))
+      .toBe('Strike rate ≥ 120 in one of 1 match');
+  });
+
+  test('should offer the score, rule metrics and parameters as goal metrics', () => {
+    const ids = getGoalMetrics('basketball').map(metric => metric.id);
+
+    expect(ids[0]).toBe('score');
+    expect(ids).toContain('rebounds');
+    expect(ids).toContain('assists');
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('should track an average goal until all its matches are played', () => {
+    const active = evaluateGoal(goal(), [match(1, 60), match(2, 75)]);
+
+    expect(active).toMatchObject({ status: 'active', current: 67.5, matchesCounted: 2, remaining: 1, required: 75 });
+    expect(active.progress).toBeCloseTo(0.96);
+
+    const achieved = evaluateGoal(goal(), [match(1, 60), match(2, 75), match(3, 80), match(4, 10)]);
+    expect(achieved).toMatchObject({ status: 'achieved', current: 71.67, progress: 1, matchesCounted: 3 });
+    expect(achieved.decidedAt).toEqual(match(3).date);
+
+    expect(evaluateGoal(goal(), [match(1, 60), match(2, 65), match(3, 70)]).status).toBe('missed');
+  });
+
+  test('should only count matches of the sport from the start date', () => {
+    const evaluation = evaluateGoal(goal(), [
+      match(-1, 100),
+      match(1, 80, { sport: 'cricket' }),
+      match(2, 72)
+    ]);
+
+    expect(evaluation.matchesCounted).toBe(1);
+    expect(evaluation.current).toBe(72);
+  });
+
+  test('should achieve total goals as soon as they are reached', () => {
+    const totalGoals = goal({ metric: 'goals', aggregation: 'total', target: 3, matchCount: 5 });
+    const scoring = (day, goals) => match(day, 70, { parameters: { ...match(0).parameters, goals } });
+
+    const evaluation = evaluateGoal(totalGoals, [scoring(1, 1), scoring(2, 2), scoring(3, 0)]);
+
+    expect(evaluation).toMatchObject({ status: 'achieved', current: 3, matchesCounted: 2, remaining: 0 });
+  });
+
+  test('should achieve single-match goals on any match and evaluate derived metrics', () => {
+    const strikeRate = goal({ sport: 'cricket', metric: 'strikeRate', aggregation: 'any', target: 120, matchCount: 3 });
+    const innings = (day, runsScored, ballsFaced) => ({
+      sport: 'cricket',
+      date: match(day).date,
+      calculatedScore: 60,
+      parameters: { runsScored, ballsFaced, wicketsTaken: 0, oversBowled: 0, runsConceded: 0, catches: 0 }
+    });
+
+    expect(evaluateGoal(strikeRate, [innings(1, 20, 20)])).toMatchObject({ status: 'active', current: 100, required: 120 });
+    expect(evaluateGoal(strikeRate, [innings(1, 20, 20), innings(2, 30, 20)]).status).toBe('achieved');
+  });
+
+  test('should validate goals', () => {
+    expect(validateGoal(goal()).isValid).toBe(true);
+    expect(validateGoal(goal({ sport: 'basketball', metric: 'rebounds', target: 10 })).isValid).toBe(true);
+
+    const invalid = validateGoal(goal({ metric: 'wickets', comparator: '<', target: 'high', matchCount: 50 }));
+    expect(invalid.isValid).toBe(false);
+    expect(Object.keys(invalid.errors)).toEqual(['metric', 'comparator', 'target', 'matchCount']);
+  });
+});
+
+describe('Goal Suggestions', () => {
+  test('should say what the remaining matches need', () => {
+    const behind = goal({ id: 'g1' });
+    const [suggestion] = generateGoalSuggestions([{ goal: behind, evaluation: evaluateGoal(behind, [match(1, 60)]) }]);
+
+    expect(suggestion.message).toBe('To reach "Average Performance score ≥ 70 over 3 matches" you need to average at least 75 over the next 2 matches.');
+    expect(suggestion.priority).toBe('medium');
+    expect(suggestion.ruleId).toBeNull();
+
+    const [onTrack] = generateGoalSuggestions([{ goal: behind, evaluation: evaluateGoal(behind, [match(1, 90)]) }]);
+    expect(onTrack.priority).toBe('low');
+  });
+
+  test('should report reached and missed goals', () => {
+    const reached = goal();
+    const suggestions = generateGoalSuggestions([
+      { goal: reached, evaluation: evaluateGoal(reached, [match(1, 80), match(2, 80), match(3, 80)]) },
+      { goal: reached, evaluation: evaluateGoal(reached, [match(1, 50), match(2, 50), match(3, 50)]) }
+    ]);
+
+    expect(suggestions[0].message).toMatch(/^Goal reached/);
+    expect(suggestions[1].message).toMatch(/^Goal missed.*finished at 50/);
+  });
+
+  test('should add suggestions for goals of the match sport', () => {
+    const footballGoal = goal();
+    const cricketGoal = goal({ sport: 'cricket' });
+    const evaluations = [footballGoal, cricketGoal].map(g => ({ goal: g, evaluation: evaluateGoal(g, []) }));
+
+    const { suggestions } = generateComprehensiveSuggestions(
+      75, 'football', match(0).parameters, [], {}, {}, null, null, evaluations
+    );
+
+    expect(suggestions.filter(s => s.message.includes('Performance score ≥ 70'))).toHaveLength(1);
+  });
+});
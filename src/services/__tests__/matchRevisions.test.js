@@ -0,0 +1,171 @@
+/**
+ * Tests for correcting and backdating saved matches
+ * Requirements: 3.4, 3.5 - Integration of calculation with data storage
+ */
+
+vi.mock('../firestoreService.js', () => import('../../test/firestoreMock.js'));
+
+const { store } = await import('../../test/firestoreMock.js');
+const { matchService } = await import('../matchService.js');
+
+const cricketParameters = (runsScored) => ({
+  runsScored,
+  ballsFaced: 40,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 0,
+  oversBowled: 0
+});
+
+describe('Match Corrections', () => {
+  let matchId;
+
+  beforeEach(async () => {
+    store.data = {
+      users: { p1: { email: 'p1@example.com' } },
+      players: { p1: { matchCount: 0, totalScore: 0 } }
+    };
+    const match = await matchService.submitMatchData({
+      playerId: 'p1',
+      playerEmail: 'p1@example.com',
+      coachId: 'c1',
+      sport: 'cricket',
+      parameters: cricketParameters(3),
+      date: new Date('2024-03-01T15:00:00Z')
+    });
+    matchId = match.id;
+  });
+
+  test('should rescore the match, refresh statistics and record a revision', async () => {
+    const original = await matchService.getMatchById(matchId);
+    const updated = await matchService.updateMatch(matchId, { parameters: cricketParameters(30) }, 'c1');
+
+    expect(updated.calculatedScore).toBeGreaterThan(original.calculatedScore);
+    expect(updated.revision).toBe(1);
+
+    const stored = await matchService.getMatchById(matchId);
+    expect(stored.parameters.runsScored).toBe(30);
+    expect(stored.calculatedScore).toBe(updated.calculatedScore);
+    expect(stored.date).toEqual(original.date);
+    expect(store.data.players.p1.currentScore).toBe(updated.calculatedScore);
+
+    const [revision] = await matchService.getMatchRevisions(matchId);
+    expect(revision).toMatchObject({
+      matchId,
+      number: 1,
+      editedBy: 'c1',
+      changedFields: ['parameters'],
+      before: { parameters: { runsScored: 3 }, calculatedScore: original.calculatedScore },
+      after: { parameters: { runsScored: 30 }, calculatedScore: updated.calculatedScore }
+    });
+  });
+
+  test('should keep every revision', async () => {
+    await matchService.updateMatch(matchId, { parameters: cricketParameters(30) }, 'c1');
+    await matchService.updateMatch(matchId, { date: new Date('2024-02-28T15:00:00Z') }, 'c1');
+
+    const revisions = await matchService.getMatchRevisions(matchId);
+    expect(revisions.map(revision => revision.number)).toEqual([2, 1]);
+    expect(revisions[0].changedFields).toEqual(['date']);
+    expect(revisions[1].after.parameters.runsScored).toBe(30);
+  });
+
+  test('should never replace a stored revision', async () => {
+    await matchService.updateMatch(matchId, { parameters: cricketParameters(30) }, 'c1');
+    const first = store.data.matchRevisions[`${matchId}_r1`];
+
+    // A resubmit of the same match keeps its correction count
+    const { createdAt } = store.data.matches[matchId];
+    await matchService.submitMatchData({
+      playerId: 'p1',
+      playerEmail: 'p1@example.com',
+      coachId: 'c1',
+      sport: 'cricket',
+      parameters: cricketParameters(12),
+      date: new Date('2024-03-01T15:00:00Z')
+    }, { matchId });
+    expect(store.data.matches[matchId]).toMatchObject({ revision: 1, createdAt });
+
+    await matchService.updateMatch(matchId, { parameters: cricketParameters(40) }, 'c1');
+    expect(store.data.matchRevisions[`${matchId}_r1`]).toBe(first);
+    expect(store.data.matchRevisions[`${matchId}_r2`].after.parameters.runsScored).toBe(40);
+
+    store.data.matchRevisions[`${matchId}_r3`] = { matchId, number: 3 };
+    await expect(matchService.updateMatch(matchId, { parameters: cricketParameters(50) }, 'c1'))
+      .rejects.toThrow('Revision 3 of this match already exists');
+    expect(store.data.matches[matchId].parameters.runsScored).toBe(40);
+  });
+
+  test('should reject invalid, unknown and empty changes', async () => {
+    await expect(matchService.updateMatch(matchId, { parameters: cricketParameters(-5) }, 'c1'))
+      .rejects.toThrow('Invalid match data');
+    await expect(matchService.updateMatch(matchId, { date: new Date(Date.now() + 86400000) }, 'c1'))
+      .rejects.toThrow('Match date cannot be in the future');
+    await expect(matchService.updateMatch(matchId, { calculatedScore: 100 }, 'c1'))
+      .rejects.toThrow('Match fields cannot be edited: calculatedScore');
+    await expect(matchService.updateMatch(matchId, { parameters: cricketParameters(3) }, 'c1'))
+      .rejects.toThrow('No changes to save');
+    await expect(matchService.updateMatch('missing', {}, 'c1')).rejects.toThrow('Match not found');
+
+    expect(await matchService.getMatchRevisions(matchId)).toEqual([]);
+  });
+
+  test('should reject a missing or unreadable date instead of storing the epoch', async () => {
+    const storedDate = store.data.matches[matchId].date;
+
+    for (const date of [null, '', 'not a date', new Date('invalid')]) {
+      await expect(matchService.updateMatch(matchId, { date }, 'c1')).rejects.toThrow('Invalid match data');
+    }
+
+    expect(store.data.matches[matchId].date).toEqual(storedDate);
+    expect(await matchService.getMatchRevisions(matchId)).toEqual([]);
+  });
+});
+
+describe('Backdated Matches', () => {
+  const submit = (runsScored, date) => matchService.submitMatchData({
+    playerId: 'p1',
+    playerEmail: 'p1@example.com',
+    coachId: 'c1',
+    sport: 'cricket',
+    parameters: cricketParameters(runsScored),
+    date
+  });
+
+  beforeEach(() => {
+    store.data = {
+      users: { p1: { email: 'p1@example.com' } },
+      players: { p1: { matchCount: 0, totalScore: 0 } }
+    };
+  });
+
+  test('should keep the latest match as current when an earlier one is entered later', async () => {
+    const latest = await submit(40, new Date('2024-03-10T15:00:00Z'));
+    const backdated = await submit(5, new Date('2024-03-01T15:00:00Z'));
+
+    expect(store.data.players.p1).toMatchObject({
+      matchCount: 2,
+      currentScore: latest.calculatedScore,
+      lastMatchDate: new Date('2024-03-10T15:00:00Z')
+    });
+
+    const matches = await matchService.getPlayerRecentMatches('p1');
+    expect(matches.map(match => match.id)).toEqual([latest.id, backdated.id]);
+
+    await matchService.recalculatePlayerStatistics('p1');
+    expect(store.data.players.p1.currentScore).toBe(latest.calculatedScore);
+  });
+
+  test('should judge a backdated match against the matches before it', async () => {
+    await submit(40, new Date('2024-03-10T15:00:00Z'));
+    const backdated = await submit(5, new Date('2024-03-01T15:00:00Z'));
+
+    // The rest window only looks back from the backdated match, which had no earlier matches
+    expect(backdated.restRecommendation.factors.find(factor => factor.id === 'recovery').value).toBeNull();
+    expect(backdated.timeZone).toEqual(expect.any(String));
+  });
+
+  test('should reject matches in the future', async () => {
+    await expect(submit(20, new Date(Date.now() + 60 * 60 * 1000))).rejects.toThrow('Match date cannot be in the future');
+  });
+});
@@ -361,13 +361,16 @@ describe('Match Service Integration', () => {
       ];
 
       firestoreService.read.mockResolvedValue(matchData);
-      firestoreService.delete.mockResolvedValue();
+      firestoreService.batchWrite.mockResolvedValue();
       firestoreService.query.mockResolvedValue(remainingMatches);
       firestoreService.updatePlayerStats.mockResolvedValue();
 
       await matchService.deleteMatch(matchId);
 
-      expect(firestoreService.delete).toHaveBeenCalledWith('matches', matchId);
+      expect(firestoreService.batchWrite).toHaveBeenCalledWith([
+        { type: 'delete', collection: 'matches', docId: matchId },
+        { type: 'delete', collection: 'playerStatisticsUpdates', docId: matchId }
+      ]);
       expect(firestoreService.updatePlayerStats).toHaveBeenCalledWith('player123', {
         currentScore: 80, // Most recent match score
         matchCount: 2,
@@ -8,6 +8,9 @@ import {
   calculateFootballScore,
   calculateBasketballScore,
   calculatePerformanceScore,
+  calculatePerformanceBreakdown,
+  calculatePercentile,
+  calculatePeerPercentiles,
   getPerformanceCategory,
   calculatePerformanceChange
 } from '../performanceCalculator.js';
@@ -281,7 +284,7 @@ describe('Performance Calculator', () => {
 
     test('should throw error for unsupported sport', () => {
       const params = { test: 1 };
-      expect(() => calculatePerformanceScore('tennis', params)).toThrow();
+      expect(() => calculatePerformanceScore('quidditch', params)).toThrow();
     });
 
     test('should throw error for missing parameters', () => {
@@ -290,6 +293,92 @@ describe('Performance Calculator', () => {
     });
   });
 
+  describe('Performance Breakdown', () => {
+    const cricketParams = {
+      runsScored: 50,
+      ballsFaced: 30,
+      wicketsTaken: 1,
+      runsConceded: 20,
+      catches: 1,
+      oversBowled: 4
+    };
+
+    test('should return components whose contributions add up to the score', () => {
+      const breakdown = calculatePerformanceBreakdown('cricket', cricketParams);
+      const total = breakdown.components.reduce((sum, component) => sum + component.contribution, 0);
+
+      expect(breakdown.components.map(component => component.id)).toEqual(['batting', 'bowling', 'fielding']);
+      expect(breakdown.components[0]).toMatchObject({ score: 100, weight: 0.5, contribution: 50 });
+      expect(total).toBeCloseTo(breakdown.total, 1);
+      expect(breakdown.score).toBe(calculatePerformanceScore('cricket', cricketParams));
+    });
+
+    test('should not let an expensive spell go below zero', () => {
+      // An economy of 20 is far past the T20 worst of 12
+      const expensiveSpell = { ...cricketParams, wicketsTaken: 0, runsConceded: 80, oversBowled: 4 };
+      const breakdown = calculatePerformanceBreakdown('cricket', expensiveSpell, null, { matchFormat: { id: 't20', overs: 20 } });
+      const bowling = breakdown.components.find(component => component.id === 'bowling');
+      const total = breakdown.components.reduce((sum, component) => sum + component.contribution, 0);
+
+      expect(bowling).toMatchObject({ score: 0, contribution: 0 });
+      breakdown.components.forEach(component => {
+        expect(component.contribution).toBeGreaterThanOrEqual(0);
+        expect(component.contribution).toBeLessThanOrEqual(component.weight * 100);
+      });
+      expect(total).toBeCloseTo(breakdown.total, 1);
+      expect(breakdown.score).toBe(Math.round(total));
+    });
+
+    test('should include the raw rates behind each component', () => {
+      const breakdown = calculatePerformanceBreakdown('cricket', cricketParams);
+      const bowling = breakdown.components.find(component => component.id === 'bowling');
+
+      expect(breakdown.components[0].rates[0]).toEqual({
+        id: 'strikeRate',
+        label: 'Strike Rate',
+        value: 166.67,
+        unit: 'runs/100 balls'
+      });
+      expect(bowling.rates.map(rate => rate.value)).toEqual([0.25, 5, null]);
+    });
+
+    test('should match the score for every sport', () => {
+      const cases = {
+        football: { goalsScored: 1, assists: 1, passesCompleted: 30, tacklesMade: 3, minutesPlayed: 90 },
+        basketball: {
+          pointsScored: 15, rebounds: 5, assists: 3, steals: 1, minutesPlayed: 24, fieldGoalPercentage: 0.45
+        },
+        volleyball: {
+          kills: 12, attackErrors: 3, attackAttempts: 30, aces: 2, blocks: 2, digs: 8, setAssists: 0, setsPlayed: 4
+        },
+        hockey: {
+          goalsScored: 1, assists: 1, shotsOnTarget: 3, circleEntries: 5, tackles: 4, interceptions: 2, minutesPlayed: 60
+        },
+        tennis: {
+          aces: 6, doubleFaults: 2, firstServePercentage: 0.65, winners: 25, unforcedErrors: 20,
+          breakPointsWon: 3, breakPointChances: 6, setsWon: 2, setsPlayed: 3
+        }
+      };
+
+      Object.entries(cases).forEach(([sport, params]) => {
+        const breakdown = calculatePerformanceBreakdown(sport, params);
+        expect(breakdown.score).toBe(calculatePerformanceScore(sport, params));
+        expect(breakdown.components.length).toBeGreaterThan(0);
+      });
+    });
+
+    test('should store only plain data', () => {
+      const breakdown = calculatePerformanceBreakdown('cricket', { ...cricketParams, ballsFaced: 0, runsScored: 0 });
+
+      expect(breakdown.components[0].rates[0].value).toBeNull();
+      expect(JSON.parse(JSON.stringify(breakdown))).toEqual(breakdown);
+    });
+
+    test('should throw error for unsupported sport', () => {
+      expect(() => calculatePerformanceBreakdown('quidditch', {})).toThrow();
+    });
+  });
+
   describe('Performance Category', () => {
     test('should categorize excellent performance', () => {
       const category = getPerformanceCategory(95);
@@ -322,6 +411,53 @@ describe('Performance Calculator', () => {
     });
   });
 
+  describe('Peer Percentiles', () => {
+    const match = (calculatedScore, coachId, playingRole = null) => ({ calculatedScore, coachId, playingRole });
+    const sportMatches = [
+      match(40, 'coach1', 'bowler'),
+      match(55, 'coach1', 'batter'),
+      match(60, 'coach1', 'bowler'),
+      match(70, 'coach1', 'bowler'),
+      match(90, 'coach1', 'batter'),
+      match(30, 'coach2', 'bowler'),
+      match(45, 'coach2', 'bowler'),
+      match(80, 'coach2', 'batter'),
+      match(null, 'coach2', 'bowler')
+    ];
+
+    test('should rank a score within a population', () => {
+      expect(calculatePercentile(60, [40, 50, 60, 70, 80])).toBe(50);
+      expect(calculatePercentile(100, [40, 50, 60, 70, 80])).toBe(100);
+      expect(calculatePercentile(10, [40, 50, 60, 70, 80])).toBe(0);
+    });
+
+    test('should not report a percentile for too few peers', () => {
+      expect(calculatePercentile(60, [40, 50, 70])).toBeNull();
+      expect(calculatePercentile(60, [])).toBeNull();
+    });
+
+    test('should rank against the squad, the sport and the position', () => {
+      const percentiles = calculatePeerPercentiles(65, {
+        squad: sportMatches.filter(match => match.coachId === 'coach1'),
+        sport: sportMatches,
+        position: sportMatches.filter(match => match.playingRole === 'bowler')
+      });
+
+      expect(percentiles.squad).toEqual({ percentile: 60, sampleSize: 5 });
+      expect(percentiles.sport).toEqual({ percentile: 63, sampleSize: 8 });
+      expect(percentiles.position).toEqual({ percentile: 80, sampleSize: 5 });
+    });
+
+    test('should skip the position without a playing role', () => {
+      const squad = sportMatches.filter(match => match.coachId === 'coach2');
+      expect(calculatePeerPercentiles(65, { squad, sport: sportMatches })).toEqual({
+        squad: { percentile: null, sampleSize: 3 },
+        sport: { percentile: 63, sampleSize: 8 },
+        position: null
+      });
+    });
+  });
+
   describe('Performance Change Calculation', () => {
     test('should calculate improvement', () => {
       const change = calculatePerformanceChange(80, 70);
@@ -0,0 +1,156 @@
+/**
+ * Tests for counting matches in player statistics and repairing drifted statistics
+ * Requirements: 3.4, 3.5 - Integration of calculation with data storage
+ */
+
+vi.mock('../firestoreService.js', () => import('../../test/firestoreMock.js'));
+
+const { store } = await import('../../test/firestoreMock.js');
+const { matchService } = await import('../matchService.js');
+const { goalService } = await import('../goalService.js');
+
+const matchData = {
+  playerId: 'p1',
+  playerEmail: 'p1@example.com',
+  coachId: 'c1',
+  sport: 'cricket',
+  parameters: { runsScored: 45, ballsFaced: 40, wicketsTaken: 0, runsConceded: 0, catches: 0, oversBowled: 0 },
+  date: new Date('2024-03-01T15:00:00Z')
+};
+
+const storedMatch = (calculatedScore, date) => ({
+  playerId: 'p1',
+  playerEmail: 'p1@example.com',
+  coachId: 'c1',
+  sport: 'cricket',
+  calculatedScore,
+  date: new Date(date)
+});
+
+describe('Player Statistics', () => {
+  beforeEach(() => {
+    store.data = {
+      users: { p1: { email: 'p1@example.com' }, p2: { email: 'p2@example.com' } },
+      players: { p1: { coachId: 'c1', matchCount: 0, totalScore: 0 }, p2: { coachId: 'c1', matchCount: 0, totalScore: 0 } }
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('should count a resubmitted match once', async () => {
+    const first = await matchService.submitMatchData(matchData, { matchId: 'm1' });
+    const retry = await matchService.submitMatchData(matchData, { matchId: 'm1' });
+
+    expect(retry.id).toBe('m1');
+    expect(Object.keys(store.data.matches)).toEqual(['m1']);
+    expect(store.data.players.p1).toMatchObject({
+      matchCount: 1,
+      totalScore: first.calculatedScore,
+      currentScore: first.calculatedScore
+    });
+    expect(store.data.playerStatisticsUpdates.m1).toMatchObject({ playerId: 'p1', score: first.calculatedScore });
+  });
+
+  test('should count matches submitted without an ID under new IDs', async () => {
+    const first = await matchService.submitMatchData(matchData);
+    const second = await matchService.submitMatchData({ ...matchData, date: new Date('2024-03-08T15:00:00Z') });
+
+    expect(first.id).not.toBe(second.id);
+    expect(store.data.players.p1.matchCount).toBe(2);
+    await expect(matchService.updatePlayerStatistics('p1', first.calculatedScore, new Date(), first.id)).resolves.toBe(false);
+    expect(store.data.players.p1.matchCount).toBe(2);
+  });
+
+  test('should not let a retry for another player overwrite a partly saved match', async () => {
+    vi.spyOn(goalService, 'saveProgress').mockRejectedValueOnce(new Error('Network unavailable'));
+    await expect(matchService.submitMatchData(matchData, { matchId: 'm1' })).rejects.toThrow('Network unavailable');
+    expect(store.data.players.p1.matchCount).toBe(1);
+
+    const otherPlayer = { ...matchData, playerId: 'p2', playerEmail: 'p2@example.com' };
+    await expect(matchService.submitMatchData(otherPlayer, { matchId: 'm1' }))
+      .rejects.toThrow('Match was already saved for another player');
+    expect(store.data.matches.m1.playerId).toBe('p1');
+    expect(store.data.players.p2.matchCount).toBe(0);
+
+    const saved = await matchService.submitMatchData(otherPlayer);
+    expect(saved.id).not.toBe('m1');
+    expect(store.data.players.p1.matchCount).toBe(1);
+    expect(store.data.players.p2).toMatchObject({ matchCount: 1, totalScore: saved.calculatedScore });
+  });
+
+  test('should replace the counted score when a retry corrects the match', async () => {
+    vi.spyOn(goalService, 'saveProgress').mockRejectedValueOnce(new Error('Network unavailable'));
+    await expect(matchService.submitMatchData(matchData, { matchId: 'm1' })).rejects.toThrow('Network unavailable');
+    const createdAt = store.data.matches.m1.createdAt;
+
+    const corrected = await matchService.submitMatchData(
+      { ...matchData, parameters: { ...matchData.parameters, runsScored: 80 } },
+      { matchId: 'm1' }
+    );
+
+    expect(store.data.matches.m1).toMatchObject({ calculatedScore: corrected.calculatedScore, createdAt });
+    expect(store.data.players.p1).toMatchObject({
+      matchCount: 1,
+      totalScore: corrected.calculatedScore,
+      currentScore: corrected.calculatedScore
+    });
+    expect(store.data.playerStatisticsUpdates.m1.score).toBe(corrected.calculatedScore);
+  });
+
+  test('should keep the counted score in step with corrections and deletions', async () => {
+    const first = await matchService.submitMatchData(matchData, { matchId: 'm1' });
+    const corrected = await matchService.updateMatch(
+      'm1',
+      { parameters: { ...matchData.parameters, runsScored: 80 } },
+      'c1'
+    );
+    expect(store.data.playerStatisticsUpdates.m1.score).toBe(corrected.calculatedScore);
+
+    // A late retry of the original submit replaces the corrected score rather than being skipped
+    await matchService.submitMatchData(matchData, { matchId: 'm1' });
+    expect(store.data.players.p1).toMatchObject({ matchCount: 1, totalScore: first.calculatedScore });
+
+    await matchService.deleteMatch('m1');
+    expect(store.data.playerStatisticsUpdates.m1).toBeUndefined();
+    expect(store.data.players.p1.matchCount).toBe(0);
+
+    await matchService.submitMatchData(matchData, { matchId: 'm1' });
+    expect(store.data.players.p1).toMatchObject({ matchCount: 1, totalScore: first.calculatedScore });
+  });
+
+  test('should report drifted statistics and repair them', async () => {
+    store.data.matches = {
+      m1: storedMatch(60, '2024-03-01'),
+      m2: storedMatch(80, '2024-03-08')
+    };
+    store.data.players.p1 = {
+      ...store.data.players.p1,
+      currentScore: 80,
+      matchCount: 3,
+      totalScore: 200,
+      averageScore: 66.67,
+      lastMatchDate: new Date('2024-03-08')
+    };
+
+    const check = await matchService.checkPlayerStatistics('p1', { repair: false });
+    expect(check).toEqual({
+      playerId: 'p1',
+      consistent: false,
+      drift: {
+        matchCount: { stored: 3, expected: 2 },
+        totalScore: { stored: 200, expected: 140 },
+        averageScore: { stored: 66.67, expected: 70 }
+      },
+      repaired: false
+    });
+    expect(store.data.players.p1.matchCount).toBe(3);
+
+    const [repaired] = await matchService.checkCoachStatistics('c1');
+    expect(repaired).toMatchObject({ playerId: 'p1', repaired: true });
+    expect(store.data.players.p1).toMatchObject({ matchCount: 2, totalScore: 140, averageScore: 70 });
+
+    await expect(matchService.checkCoachStatistics('c1')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for seasons, fixtures and season-scoped aggregates
+ * Requirements: 2.4, 5.2 - Match data storage and match history display
+ */
+
+vi.mock('../firestoreService.js', () => import('../../test/firestoreMock.js'));
+
+const { store } = await import('../../test/firestoreMock.js');
+const { seasonService } = await import('../seasonService.js');
+const { matchService } = await import('../matchService.js');
+
+const season2023 = { coachId: 'c1', name: '2023', startDate: new Date('2023-01-01'), endDate: new Date('2023-12-31T23:59:59Z') };
+const season2024 = { coachId: 'c1', name: '2024', startDate: new Date('2024-01-01'), endDate: new Date('2024-12-31T23:59:59Z') };
+
+const match = (playerId, date, calculatedScore, competition = 'League') => ({
+  coachId: 'c1',
+  playerId,
+  playerEmail: `${playerId}@example.com`,
+  sport: 'cricket',
+  date: new Date(date),
+  calculatedScore,
+  matchContext: { opponent: 'Riverside CC', competition, venue: 'home', result: null }
+});
+
+describe('Seasons and Fixtures', () => {
+  beforeEach(() => {
+    store.data = { users: { p1: { email: 'p1@example.com' } } };
+  });
+
+  test('should store seasons latest first and reject overlapping ones', async () => {
+    await seasonService.createSeason(season2023);
+    await seasonService.createSeason({ ...season2024, name: '  2024  ' });
+
+    const seasons = await seasonService.getCoachSeasons('c1');
+    expect(seasons.map(season => season.name)).toEqual(['2024', '2023']);
+
+    await expect(seasonService.createSeason({ ...season2024, name: 'Summer', startDate: new Date('2024-06-01') }))
+      .rejects.toThrow('Season overlaps 2024');
+    await expect(seasonService.updateSeason(seasons[1].id, { endDate: new Date('2024-02-01') }))
+      .rejects.toThrow('Season overlaps 2024');
+    await expect(seasonService.createSeason({ ...season2024, coachId: 'c2', endDate: new Date('2023-06-01') }))
+      .rejects.toThrow('Invalid season');
+  });
+
+  test('should carry fixture edits to its matches and unlink them when it is deleted', async () => {
+    store.data.fixtures = {
+      f1: {
+        coachId: 'c1',
+        sport: 'cricket',
+        date: new Date('2024-03-01'),
+        timeZone: 'Europe/London',
+        opponent: 'Riverside CC',
+        competition: 'League',
+        venue: 'home',
+        result: null,
+        matchIds: ['m1', 'm2']
+      }
+    };
+    store.data.matches = {
+      m1: { ...match('p1', '2024-03-01', 70), fixtureId: 'f1' },
+      m2: { ...match('p2', '2024-03-01', 50), fixtureId: 'f1' }
+    };
+
+    await seasonService.updateFixture('f1', { competition: 'Cup', result: 'win' });
+    expect(store.data.fixtures.f1).toMatchObject({ competition: 'Cup', result: 'win' });
+    ['m1', 'm2'].forEach(matchId => {
+      expect(store.data.matches[matchId].matchContext).toEqual({ opponent: 'Riverside CC', competition: 'Cup', venue: 'home', result: 'win' });
+    });
+
+    await expect(seasonService.updateFixture('f1', { date: new Date() })).rejects.toThrow('Fixture fields cannot be edited: date');
+
+    await seasonService.deleteFixture('f1');
+    expect(store.data.fixtures.f1).toBeUndefined();
+    expect(store.data.matches.m1).toMatchObject({ fixtureId: null, calculatedScore: 70 });
+  });
+
+  test('should list the fixtures still to be played, soonest first', async () => {
+    const fixture = (date, sport = 'cricket') => ({ coachId: 'c1', sport, date: new Date(date), opponent: 'Riverside CC' });
+    store.data.fixtures = {
+      f1: fixture('2024-03-01'),
+      f2: fixture('2024-04-20'),
+      f3: fixture('2024-04-10'),
+      f4: fixture('2024-04-12', 'football'),
+      f5: { ...fixture('2024-04-15'), coachId: 'c2' }
+    };
+
+    const upcoming = await seasonService.getUpcomingFixtures('c1', { sport: 'cricket', from: new Date('2024-04-01') });
+    expect(upcoming.map(({ id }) => id)).toEqual(['f3', 'f2']);
+  });
+
+  test('should aggregate a season for the team, each player and each competition', async () => {
+    store.data.matches = {
+      m1: match('p1', '2023-09-01', 90),
+      m2: match('p1', '2024-03-01', 60),
+      m3: match('p1', '2024-04-01', 80, 'cup'),
+      m4: match('p2', '2024-05-01', 40, 'Cup')
+    };
+
+    const team = await matchService.getTeamSeasonSummary('c1', season2024);
+    expect(team).toMatchObject({ matchesPlayed: 3, averageScore: 60, latestScore: 40 });
+    expect(team.bestPerformance).toMatchObject({ matchId: 'm3', playerId: 'p1', score: 80 });
+    expect(team.players.p1).toMatchObject({ matchesPlayed: 2, averageScore: 70 });
+    expect(team.competitions.map(({ competition, matchesPlayed }) => [competition, matchesPlayed]))
+      .toEqual([['Cup', 2], ['League', 1]]);
+
+    const player = await matchService.getPlayerSeasonSummary('p1', season2023);
+    expect(player).toMatchObject({ matchesPlayed: 1, averageScore: 90, latestScore: 90 });
+
+    const allMatches = await matchService.getPlayerSeasonSummary('p1');
+    expect(allMatches.matches.map(({ id }) => id)).toEqual(['m3', 'm2', 'm1']);
+  });
+});
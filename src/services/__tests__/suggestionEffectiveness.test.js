@@ -0,0 +1,129 @@
+/**
+ * Tests for suggestion effectiveness tracking
+ * Requirements: 4.1, 4.2 - Intelligent suggestion system testing
+ */
+
+import { calculateRuleEffectiveness, evaluateMatchMetric } from '../suggestionEffectiveness.js';
+import { deprioritizeSuggestions, generateComprehensiveSuggestions } from '../suggestionEngine.js';
+import { createSuggestion, createSuggestionFeedback } from '../../models/matchData.js';
+
+const PASSING_RULE = 'football.passing.accuracy';
+
+const params = (passAccuracy, extra = {}) => ({
+  goals: 0, assists: 0, shotsOnTarget: 1, passAccuracy, minutesPlayed: 90, ...extra
+});
+
+const passingSuggestion = (value) => createSuggestion('technique', 'Pass completion is low.', 'medium', {
+  ruleId: PASSING_RULE, metric: 'passAccuracy', comparator: '<', threshold: 0.7, value
+});
+
+let nextId = 0;
+const match = (day, passAccuracy, { playerId = 'p1', suggestions = [], ...extra } = {}) => ({
+  id: `m${++nextId}`,
+  playerId,
+  coachId: 'c1',
+  sport: 'football',
+  date: new Date(2024, 2, day),
+  parameters: params(passAccuracy),
+  calculatedScore: 60,
+  suggestions,
+  ...extra
+});
+
+const done = (source, suggestion = source.suggestions[0], status = 'done') => createSuggestionFeedback({
+  matchId: source.id, playerId: source.playerId, coachId: 'c1', sport: 'football', suggestion, status
+});
+
+describe('Suggestion Effectiveness', () => {
+  test('should evaluate rule metrics in stored matches', () => {
+    expect(evaluateMatchMetric('passAccuracy * 100', match(1, 0.6))).toBeCloseTo(60);
+    expect(evaluateMatchMetric('passesPerMinute', match(1, 0.6))).toBeNaN();
+    expect(evaluateMatchMetric('score', { sport: 'unknown', parameters: {} })).toBeNaN();
+  });
+
+  test('should count how often each rule was shown and answered', () => {
+    const first = match(1, 0.6, { suggestions: [passingSuggestion(0.6)] });
+    const second = match(3, 0.65, { suggestions: [passingSuggestion(0.65)] });
+
+    const stats = calculateRuleEffectiveness(
+      [done(first, undefined, 'dismissed'), done(second, undefined, 'not-useful')],
+      [first, second]
+    );
+
+    expect(stats[PASSING_RULE]).toMatchObject({
+      sport: 'football', shown: 2, done: 0, dismissed: 1, notUseful: 1, evaluated: 0,
+      improvementRate: null, averageChange: null, deprioritized: false
+    });
+  });
+
+  test('should compare followed suggestions with the next matches of the same player', () => {
+    const source = match(1, 0.6, { suggestions: [passingSuggestion(0.6)] });
+    const matches = [
+      source,
+      match(2, 0.7),
+      match(4, 0.8),
+      match(5, 0.2, { playerId: 'p2' }), // another player
+      match(0, 0.1) // before the suggestion
+    ];
+
+    const stats = calculateRuleEffectiveness([done(source)], matches)[PASSING_RULE];
+
+    expect(stats.evaluated).toBe(1);
+    expect(stats.improved).toBe(1);
+    expect(stats.improvementRate).toBe(1);
+    expect(stats.averageChange).toBeCloseTo(0.15);
+  });
+
+  test('should treat a drop as improvement for rules that fire on high values', () => {
+    const cards = createSuggestion('general', 'Discipline', 'high', {
+      ruleId: 'football.discipline.cards', metric: 'cardPoints', comparator: '>=', threshold: 2, value: 2
+    });
+    const source = { ...match(1, 0.8, { suggestions: [cards] }), parameters: params(0.8, { redCards: 1 }) };
+    const later = { ...match(2, 0.8), parameters: params(0.8, { yellowCards: 1 }) };
+
+    const stats = calculateRuleEffectiveness([done(source)], [source, later])['football.discipline.cards'];
+
+    expect(stats.improved).toBe(1);
+    expect(stats.averageChange).toBe(1);
+  });
+
+  test('should play down rules that do not move the metric', () => {
+    const sources = [1, 3, 5, 7, 9].map(day => match(day, 0.6, { suggestions: [passingSuggestion(0.6)] }));
+    const followUps = [2, 4, 6, 8, 10].map(day => match(day, 0.55));
+
+    const stats = calculateRuleEffectiveness(sources.map(source => done(source)), [...sources, ...followUps]);
+
+    expect(stats[PASSING_RULE].evaluated).toBe(5);
+    expect(stats[PASSING_RULE].improvementRate).toBe(0);
+    expect(stats[PASSING_RULE].deprioritized).toBe(true);
+  });
+
+  test('should play down rules most players find not useful', () => {
+    const sources = [1, 2, 3, 4, 5].map(day => match(day, 0.6, { suggestions: [passingSuggestion(0.6)] }));
+    const feedback = sources.map((source, index) => done(source, undefined, index < 3 ? 'not-useful' : 'dismissed'));
+
+    expect(calculateRuleEffectiveness(feedback, sources)[PASSING_RULE].deprioritized).toBe(true);
+  });
+
+  test('should lower the priority of played-down suggestions', () => {
+    const effectiveness = { [PASSING_RULE]: { deprioritized: true }, 'trend.stable': { deprioritized: false } };
+    const suggestions = [
+      { ...passingSuggestion(0.6), priority: 'high' },
+      createSuggestion('general', 'Stable', 'medium', { ruleId: 'trend.stable' }),
+      { ...passingSuggestion(0.6), priority: 'low' }
+    ];
+
+    expect(deprioritizeSuggestions(suggestions, effectiveness).map(s => s.priority)).toEqual(['medium', 'medium', 'low']);
+    expect(deprioritizeSuggestions(suggestions)).toEqual(suggestions);
+  });
+
+  test('should apply effectiveness when generating suggestions', () => {
+    const generate = (effectiveness) => generateComprehensiveSuggestions(
+      75, 'football', params(0.6), [], {}, {}, null, effectiveness
+    ).suggestions.find(s => s.ruleId === PASSING_RULE);
+
+    expect(generate(null).priority).toBe('medium');
+    expect(generate({ [PASSING_RULE]: { deprioritized: true } }).priority).toBe('low');
+    expect(generate(null).comparator).toBe('<');
+  });
+});
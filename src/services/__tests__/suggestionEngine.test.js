@@ -8,8 +8,11 @@ import {
   generateTrainingSuggestions,
   generateTrendBasedSuggestions,
   generateComprehensiveSuggestions,
+  generateTrainingPlan,
+  getWeakestComponents,
   getMotivationalMessage
 } from '../suggestionEngine.js';
+import { calculatePlanProgress } from '../../models/matchData.js';
 
 describe('Suggestion Engine', () => {
   describe('Rest Recommendation Generation', () => {
@@ -183,12 +186,37 @@ describe('Suggestion Engine', () => {
 
     test('should handle unsupported sport gracefully', () => {
       const params = { test: 1 };
-      const suggestions = generateTrainingSuggestions(70, 'tennis', params);
+      const suggestions = generateTrainingSuggestions(70, 'quidditch', params);
       
       // Should still generate general suggestions
       expect(suggestions.length).toBeGreaterThan(0);
       expect(suggestions.some(s => s.type === 'general')).toBe(true);
     });
+
+    test('should record the rule, metric and threshold behind each suggestion', () => {
+      const params = {
+        aces: 2, doubleFaults: 1, firstServePercentage: 0.5, winners: 20, unforcedErrors: 20,
+        setsWon: 1, setsPlayed: 2
+      };
+      const suggestions = generateTrainingSuggestions(65, 'tennis', params);
+
+      expect(suggestions.find(s => s.ruleId === 'tennis.serve.low-first-serve')).toMatchObject({
+        type: 'technique',
+        priority: 'high',
+        metric: 'firstServePercentage',
+        threshold: 0.55
+      });
+      expect(suggestions[0]).toMatchObject({ ruleId: 'general.score.average', metric: 'score', threshold: 60 });
+    });
+
+    test('should resolve format-relative thresholds', () => {
+      const params = { runsScored: 10, ballsFaced: 20, wicketsTaken: 0, runsConceded: 0, catches: 1, oversBowled: 0 };
+      const suggestion = generateTrainingSuggestions(50, 'cricket', params, { matchFormat: { id: 't20', overs: 20 } })
+        .find(s => s.ruleId === 'cricket.batting.low-strike-rate');
+
+      expect(suggestion.metric).toBe('strikeRate');
+      expect(suggestion.threshold).toBeGreaterThan(0);
+    });
   });
 
   describe('Trend-Based Suggestions', () => {
@@ -217,6 +245,21 @@ describe('Suggestion Engine', () => {
       expect(suggestions.some(s => s.message.includes('Consistent'))).toBe(true);
     });
 
+    test('should flag scores that swing without a trend', () => {
+      const suggestions = generateTrendBasedSuggestions([70, 60, 75, 62, 71, 66], 'football');
+
+      expect(suggestions.map(s => s.ruleId)).toEqual(['trend.inconsistent']);
+    });
+
+    test('should flag a run of falling scores before it becomes a trend', () => {
+      const suggestions = generateTrendBasedSuggestions([62, 75, 74, 73, 71], 'cricket');
+      const streak = suggestions.find(s => s.ruleId === 'trend.falling-streak');
+
+      expect(suggestions.some(s => s.ruleId === 'trend.decline')).toBe(false);
+      expect(streak.value).toBe(3);
+      expect(streak.priority).toBe('medium');
+    });
+
     test('should handle insufficient data', () => {
       const recentScores = [75];
       const suggestions = generateTrendBasedSuggestions(recentScores, 'cricket');
@@ -274,6 +317,110 @@ describe('Suggestion Engine', () => {
     });
   });
 
+  describe('Training Plan Generation', () => {
+    const START = new Date(2024, 2, 4, 9); // Monday 4 March 2024, local time
+
+    const breakdown = (batting, bowling, fielding) => ({
+      components: [
+        { id: 'batting', label: 'Batting', score: batting, weight: 0.5 },
+        { id: 'bowling', label: 'Bowling', score: bowling, weight: 0.35 },
+        { id: 'fielding', label: 'Fielding', score: fielding, weight: 0.15 },
+        { id: 'keeping', label: 'Keeping', score: 0, weight: 0 }
+      ]
+    });
+
+    const match = (daysBefore, scoreBreakdown, extra = {}) => ({
+      sport: 'cricket',
+      calculatedScore: 60,
+      date: new Date(2024, 2, 4 - daysBefore, 18),
+      scoreBreakdown,
+      ...extra
+    });
+
+    const matches = [
+      match(10, breakdown(80, 40, 70)),
+      match(3, breakdown(70, 50, 30)),
+      match(6, breakdown(90, 30, 50))
+    ];
+
+    test('should rank the weakest weighted components over recent matches', () => {
+      expect(getWeakestComponents(matches, 2)).toEqual([
+        { id: 'bowling', label: 'Bowling', score: 40 },
+        { id: 'fielding', label: 'Fielding', score: 50 }
+      ]);
+    });
+
+    test('should build the requested number of weeks of daily sessions', () => {
+      const plan = generateTrainingPlan(matches, { weeks: 3, startDate: START });
+
+      expect(plan.sport).toBe('cricket');
+      expect(plan.weeks).toBe(3);
+      expect(plan.startDate).toBe('2024-03-04');
+      expect(plan.days).toHaveLength(21);
+      expect(plan.days[20].date).toBe('2024-03-24');
+      expect(plan.focusAreas.map(area => area.id)).toEqual(['bowling', 'fielding', 'batting']);
+      expect(plan.days[0].sessions[0]).toMatchObject({
+        id: '2024-03-04-1',
+        category: 'skill',
+        focus: 'bowling',
+        title: 'Bowling drills',
+        intensity: 'medium',
+        durationMinutes: 45,
+        completed: false
+      });
+      expect(plan.days[3]).toEqual({ date: '2024-03-07', type: 'rest', sessions: [] });
+      expect(plan.days[7].sessions[0].intensity).toBe('high');
+    });
+
+    test('should limit plans to one to four weeks', () => {
+      expect(generateTrainingPlan(matches, { weeks: 8, startDate: START }).days).toHaveLength(28);
+      expect(generateTrainingPlan(matches, { weeks: 0, startDate: START }).days).toHaveLength(7);
+    });
+
+    test('should keep the days of the latest rest recommendation for recovery', () => {
+      const rested = [...matches, match(1, breakdown(60, 60, 60), { restRecommendation: { hours: 72 } })];
+      const plan = generateTrainingPlan(rested, { weeks: 1, startDate: START });
+
+      expect(plan.restHours).toBe(72);
+      // Played Sunday 18:00, so the 72 hours run until Wednesday 18:00
+      expect(plan.days.slice(0, 3).map(day => day.type)).toEqual(['rest', 'rest', 'rest']);
+      expect(plan.days[0].sessions[0]).toMatchObject({ category: 'recovery', intensity: 'low' });
+      expect(plan.days[4].type).toBe('training');
+    });
+
+    test('should plan around upcoming fixtures', () => {
+      const plan = generateTrainingPlan(matches, {
+        weeks: 1,
+        startDate: START,
+        fixtures: [{ date: new Date(2024, 2, 8, 14) }]
+      });
+
+      expect(plan.fixtures).toEqual(['2024-03-08']);
+      expect(plan.days[3].sessions[0].category).toBe('activation');
+      expect(plan.days[4]).toMatchObject({ type: 'match', sessions: [{ category: 'match' }] });
+      expect(plan.days[5]).toMatchObject({ type: 'recovery', sessions: [{ category: 'recovery' }] });
+    });
+
+    test('should fall back to general skills without score breakdowns', () => {
+      const plan = generateTrainingPlan([{ sport: 'tennis', calculatedScore: 64, date: new Date(2024, 2, 1) }], {
+        weeks: 1,
+        startDate: START
+      });
+
+      expect(plan.focusAreas).toEqual([{ id: 'general', label: 'General skills', score: 64 }]);
+      expect(plan.days[4].sessions).toHaveLength(1);
+    });
+
+    test('should report checklist progress', () => {
+      const plan = generateTrainingPlan(matches, { weeks: 1, startDate: START });
+      plan.days[0].sessions[0].completed = true;
+      plan.days[1].sessions[0].completed = true;
+
+      expect(calculatePlanProgress(plan)).toEqual({ completed: 2, total: 6, percent: 33 });
+      expect(calculatePlanProgress(null)).toEqual({ completed: 0, total: 0, percent: 0 });
+    });
+  });
+
   describe('Motivational Messages', () => {
     test('should return appropriate message for excellent performance', () => {
       const message = getMotivationalMessage(95);
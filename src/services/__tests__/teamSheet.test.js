@@ -0,0 +1,206 @@
+/**
+ * Tests for entering a whole squad's matches for one fixture
+ * Requirements: 3.4, 3.5 - Integration of calculation with data storage
+ */
+
+vi.mock('../firestoreService.js', () => import('../../test/firestoreMock.js'));
+
+const { store, firestoreService } = await import('../../test/firestoreMock.js');
+const { matchService } = await import('../matchService.js');
+
+const cricketParameters = (runsScored) => ({
+  runsScored,
+  ballsFaced: 40,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 0,
+  oversBowled: 0
+});
+
+const fixture = {
+  coachId: 'c1',
+  sport: 'cricket',
+  date: new Date('2024-03-01T15:00:00Z'),
+  timeZone: 'Europe/London',
+  opponent: 'Riverside CC',
+  competition: 'League',
+  venue: 'away'
+};
+
+describe('Team Match Sheet', () => {
+  beforeEach(() => {
+    store.data = {
+      users: { p1: { email: 'p1@example.com' }, p2: { email: 'p2@example.com' } },
+      players: { p1: { matchCount: 0, totalScore: 0 }, p2: { matchCount: 0, totalScore: 0 } }
+    };
+    firestoreService.batchWrite.mockClear();
+    firestoreService.runTransaction.mockClear();
+  });
+
+  test('should save the fixture and every player\'s match in one transaction', async () => {
+    const result = await matchService.submitTeamSheet(fixture, [
+      { playerId: 'p1', parameters: cricketParameters(60) },
+      { playerId: 'p2', parameters: cricketParameters(5) }
+    ]);
+
+    expect(firestoreService.runTransaction).toHaveBeenCalledTimes(1);
+
+    const storedFixture = store.data.fixtures[result.fixture.id];
+    expect(storedFixture).toMatchObject({ opponent: 'Riverside CC', competition: 'League', venue: 'away' });
+    expect(storedFixture.matchIds).toEqual(result.matches.map(match => match.id));
+
+    result.matches.forEach(match => {
+      expect(store.data.matches[match.id]).toMatchObject({
+        fixtureId: result.fixture.id,
+        date: fixture.date,
+        timeZone: 'Europe/London',
+        matchContext: { opponent: 'Riverside CC', competition: 'League', venue: 'away' }
+      });
+      expect(store.data.players[match.playerId]).toMatchObject({ matchCount: 1, currentScore: match.calculatedScore });
+    });
+
+    const [first, second] = result.matches;
+    expect(result.summary).toEqual({
+      playerCount: 2,
+      averageScore: (first.calculatedScore + second.calculatedScore) / 2,
+      best: { playerId: 'p1', matchId: first.id, score: first.calculatedScore },
+      lowest: { playerId: 'p2', matchId: second.id, score: second.calculatedScore }
+    });
+  });
+
+  test('should report errors per row and save nothing', async () => {
+    const entries = [
+      { playerId: 'p1', parameters: cricketParameters(60) },
+      { playerId: 'p2', parameters: cricketParameters(-5) },
+      { playerId: 'p1', parameters: cricketParameters(10) }
+    ];
+
+    const validation = matchService.validateTeamSheet(fixture, entries);
+    expect(validation.isValid).toBe(false);
+    expect(validation.rows.map(row => row.isValid)).toEqual([true, false, false]);
+    expect(validation.rows[2].errors).toEqual(['Player is already on the team sheet']);
+
+    await expect(matchService.submitTeamSheet(fixture, entries)).rejects.toThrow('Invalid team sheet');
+    expect(firestoreService.batchWrite).not.toHaveBeenCalled();
+    expect(firestoreService.runTransaction).not.toHaveBeenCalled();
+    expect(store.data.matches).toBeUndefined();
+    expect(store.data.players.p1.matchCount).toBe(0);
+  });
+
+  test('should save nothing when a player\'s statistics cannot be counted', async () => {
+    delete store.data.players.p2;
+
+    await expect(matchService.submitTeamSheet(fixture, [
+      { playerId: 'p1', parameters: cricketParameters(60) },
+      { playerId: 'p2', parameters: cricketParameters(5) }
+    ])).rejects.toThrow('Player not found');
+
+    ['fixtures', 'matches', 'playerStatisticsUpdates'].forEach(collection => {
+      expect(store.data[collection] || {}).toEqual({});
+    });
+    expect(store.data.players.p1.matchCount).toBe(0);
+  });
+
+  test('should add a sheet to a scheduled fixture and carry its result to the matches already in it', async () => {
+    store.data.fixtures = { f1: { ...fixture, result: null, matchIds: ['m0'] } };
+    store.data.matches = {
+      m0: {
+        playerId: 'p2',
+        coachId: 'c1',
+        sport: 'cricket',
+        fixtureId: 'f1',
+        calculatedScore: 50,
+        date: fixture.date,
+        matchContext: { opponent: 'Riverside CC', competition: 'League', venue: 'away', result: null }
+      }
+    };
+
+    const result = await matchService.submitTeamSheet(
+      { coachId: 'c1', result: 'win', date: new Date('2024-02-01T15:00:00Z') },
+      [{ playerId: 'p1', parameters: cricketParameters(60) }],
+      { fixtureId: 'f1' }
+    );
+
+    const [match] = result.matches;
+    expect(result.fixture.id).toBe('f1');
+    expect(Object.keys(store.data.fixtures)).toEqual(['f1']);
+    expect(store.data.fixtures.f1).toMatchObject({ result: 'win', matchIds: ['m0', match.id] });
+    expect(store.data.matches[match.id]).toMatchObject({ fixtureId: 'f1', date: fixture.date });
+    expect(store.data.matches[match.id].matchContext.result).toBe('win');
+    expect(store.data.matches.m0.matchContext.result).toBe('win');
+
+    await expect(matchService.submitTeamSheet(
+      { coachId: 'c1' },
+      [{ playerId: 'p2', parameters: cricketParameters(20) }],
+      { fixtureId: 'f1' }
+    )).rejects.toThrow('Row 1: Player already has a match for this fixture');
+  });
+
+  test('should link a single match to a fixture once', async () => {
+    store.data.fixtures = {
+      f1: { ...fixture, matchIds: [] },
+      f2: { ...fixture, sport: 'football', matchIds: [] }
+    };
+    const matchData = {
+      playerId: 'p1',
+      playerEmail: 'p1@example.com',
+      coachId: 'c1',
+      sport: 'cricket',
+      parameters: cricketParameters(60),
+      date: new Date()
+    };
+
+    const match = await matchService.submitMatchData(matchData, { matchId: 'm1', fixtureId: 'f1' });
+    await matchService.submitMatchData(matchData, { matchId: 'm1', fixtureId: 'f1' });
+
+    expect(match).toMatchObject({ fixtureId: 'f1', date: fixture.date });
+    expect(match.matchContext).toMatchObject({ opponent: 'Riverside CC', venue: 'away' });
+    expect(store.data.fixtures.f1.matchIds).toEqual(['m1']);
+    expect(store.data.players.p1.matchCount).toBe(1);
+
+    await expect(matchService.submitMatchData(matchData, { fixtureId: 'f1' }))
+      .rejects.toThrow('Player already has a match for this fixture');
+    await expect(matchService.submitMatchData(matchData, { fixtureId: 'f2' })).rejects.toThrow('Fixture is for another sport');
+    await expect(matchService.submitMatchData({ ...matchData, coachId: 'c2' }, { fixtureId: 'f1' }))
+      .rejects.toThrow('Fixture not found');
+  });
+
+  test('should rank each row against its squad, the sport and its role from one bounded read', async () => {
+    const peer = (coachId, playingRole, calculatedScore, day) => ({
+      coachId,
+      sport: 'cricket',
+      playingRole,
+      calculatedScore,
+      date: new Date(`2024-02-${String(day).padStart(2, '0')}T15:00:00Z`)
+    });
+    store.data.matches = Object.fromEntries([
+      peer('c1', 'batter', 40, 1), peer('c1', 'bowler', 50, 2), peer('c2', 'batter', 60, 3),
+      peer('c2', 'batter', 70, 4), peer('c2', 'bowler', 80, 5), peer('c2', 'batter', 90, 6)
+    ].map((match, index) => [`old-${index}`, match]));
+    firestoreService.query.mockClear();
+
+    const result = await matchService.submitTeamSheet(fixture, [
+      { playerId: 'p1', playingRole: 'batter', parameters: cricketParameters(60) },
+      { playerId: 'p2', playingRole: 'batter', parameters: cricketParameters(5) }
+    ]);
+
+    // One sample of the sport and the coach's matches for the whole sheet, without ordering
+    // so no composite index is needed
+    const matchQueries = firestoreService.query.mock.calls.filter(([collection, filters]) =>
+      collection === 'matches' && ['coachId', 'sport'].includes(filters[0]?.field));
+    expect(matchQueries.map(([, filters, orderByField, , limitCount]) => [filters.map(({ field }) => field), orderByField, limitCount]))
+      .toEqual([[['coachId'], undefined, undefined], [['sport'], null, 501]]);
+    result.matches.forEach(match => {
+      expect(match.percentiles.squad.sampleSize).toBe(2);
+      expect(match.percentiles.sport.sampleSize).toBe(6);
+      expect(match.percentiles.position.sampleSize).toBe(4);
+    });
+  });
+
+  test('should require an opponent, a date and at least one player', () => {
+    const validation = matchService.validateTeamSheet({ ...fixture, opponent: ' ', date: null }, []);
+
+    expect(Object.keys(validation.fixtureErrors).sort()).toEqual(['date', 'opponent', 'players']);
+    expect(validation.isValid).toBe(false);
+  });
+});
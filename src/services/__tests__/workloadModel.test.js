@@ -0,0 +1,142 @@
+/**
+ * Tests for the workload-based rest model
+ * Requirements: 4.1 - Rest recommendation testing
+ */
+
+import { calculateMatchLoad, calculateRestModel, calculateWorkload } from '../workloadModel.js';
+import { generateRestRecommendation } from '../suggestionEngine.js';
+
+const MATCH_DATE = new Date('2024-03-29T18:00:00Z');
+const fullMatch = { minutesPlayed: 90, goals: 0, assists: 0, shotsOnTarget: 0, passAccuracy: 0.8 };
+
+const daysBefore = (days) => new Date(MATCH_DATE.getTime() - days * 24 * 60 * 60 * 1000);
+
+const earlierMatch = (days, calculatedScore = 70, parameters = fullMatch) => ({
+  sport: 'football',
+  parameters,
+  calculatedScore,
+  date: daysBefore(days)
+});
+
+const restFor = (score, recentMatches, parameters = fullMatch) =>
+  calculateRestModel(score, 'football', { parameters, recentMatches, matchDate: MATCH_DATE });
+
+describe('Workload Model', () => {
+  describe('Match Load', () => {
+    test('should measure load against a full match of the sport', () => {
+      expect(calculateMatchLoad('football', { minutesPlayed: 45 })).toBe(0.5);
+      expect(calculateMatchLoad('basketball', { minutesPlayed: 36 })).toBe(0.75);
+      expect(calculateMatchLoad('tennis', { setsPlayed: 5 })).toBe(1.67);
+      expect(calculateMatchLoad('cricket', { oversBowled: 10, ballsFaced: 30 })).toBe(1.55);
+    });
+
+    test('should treat unknown sports and missing parameters as one full match', () => {
+      expect(calculateMatchLoad('general', { minutesPlayed: 45 })).toBe(1);
+      expect(calculateMatchLoad('football', null)).toBe(1);
+    });
+  });
+
+  describe('Acute:Chronic Workload', () => {
+    test('should compare the last week with the four-week average', () => {
+      const workload = calculateWorkload('football', fullMatch, [
+        earlierMatch(1),
+        earlierMatch(4),
+        earlierMatch(14)
+      ], MATCH_DATE);
+
+      expect(workload).toEqual({
+        matchLoad: 1,
+        acuteLoad: 3,
+        chronicLoad: 1,
+        acwr: 3,
+        daysSinceLastMatch: 1
+      });
+    });
+
+    test('should leave the ratio out until there is chronic history', () => {
+      const workload = calculateWorkload('football', fullMatch, [earlierMatch(3)], MATCH_DATE);
+
+      expect(workload.acwr).toBeNull();
+      expect(workload.acuteLoad).toBe(2);
+    });
+
+    test('should ignore matches older than four weeks or after the match', () => {
+      const workload = calculateWorkload('football', fullMatch, [earlierMatch(30), earlierMatch(-2)], MATCH_DATE);
+
+      expect(workload.acuteLoad).toBe(1);
+      expect(workload.daysSinceLastMatch).toBeNull();
+    });
+
+    test('should read Firestore timestamps', () => {
+      const match = { ...earlierMatch(2), date: { seconds: daysBefore(2).getTime() / 1000 } };
+
+      expect(calculateWorkload('football', fullMatch, [match], MATCH_DATE).daysSinceLastMatch).toBe(2);
+    });
+  });
+
+  describe('Rest Hours', () => {
+    test('should derive hours from the score alone without history', () => {
+      expect(calculateRestModel(45, 'football').hours).toBe(54);
+      expect(calculateRestModel(70, 'football').hours).toBe(36);
+      expect(calculateRestModel(90, 'football').hours).toBe(18);
+    });
+
+    test('should add rest for a workload spike and a short turnaround', () => {
+      const result = restFor(70, [earlierMatch(1), earlierMatch(4), earlierMatch(14)]);
+
+      expect(result.hours).toBe(72);
+      expect(result.factors.map(factor => [factor.id, factor.hours])).toEqual([
+        ['score', 36],
+        ['matchLoad', 0],
+        ['acwr', 24],
+        ['trend', 0],
+        ['recovery', 12]
+      ]);
+    });
+
+    test('should shorten rest for a steady schedule with a week off', () => {
+      expect(restFor(70, [earlierMatch(7), earlierMatch(14), earlierMatch(21)]).hours).toBe(30);
+    });
+
+    test('should scale rest with minutes played', () => {
+      expect(restFor(70, [], { ...fullMatch, minutesPlayed: 120 }).hours).toBe(40);
+      expect(restFor(70, [], { ...fullMatch, minutesPlayed: 0 }).hours).toBe(24);
+    });
+
+    test('should add rest when scores are declining', () => {
+      const history = [earlierMatch(20, 80), earlierMatch(16, 80), earlierMatch(12, 80), earlierMatch(8, 60), earlierMatch(4, 60)];
+      const result = restFor(60, history);
+
+      expect(result.trend).toBe('declining');
+      expect(result.factors.find(factor => factor.id === 'trend').hours).toBe(12);
+    });
+
+    test('should keep hours between 12 and 96', () => {
+      expect(restFor(20, [earlierMatch(0.5, 90), earlierMatch(1, 90), earlierMatch(2, 90), earlierMatch(10, 90)]).hours)
+        .toBe(96);
+      expect(restFor(100, [earlierMatch(10)], { ...fullMatch, minutesPlayed: 0 }).hours).toBe(12);
+    });
+  });
+
+  describe('Rest Recommendation', () => {
+    test('should give the same recommendation for the same match', () => {
+      const history = { parameters: fullMatch, recentMatches: [earlierMatch(1)], matchDate: MATCH_DATE };
+
+      expect(generateRestRecommendation(70, 'football', history).hours)
+        .toBe(generateRestRecommendation(70, 'football', history).hours);
+    });
+
+    test('should explain the factors that changed the hours', () => {
+      const rest = generateRestRecommendation(70, 'football', {
+        parameters: fullMatch,
+        recentMatches: [earlierMatch(1), earlierMatch(4), earlierMatch(14)],
+        matchDate: MATCH_DATE
+      });
+
+      expect(rest.description).toContain('Take 72 hours of complete rest');
+      expect(rest.description).toContain('acute:chronic workload 3 (+24h)');
+      expect(rest.description).toContain('days since last match 1 (+12h)');
+      expect(rest.factors).toHaveLength(5);
+    });
+  });
+});
@@ -5,7 +5,7 @@ import {
   onAuthStateChanged,
   updateProfile
 } from 'firebase/auth';
-import { doc, setDoc, getDoc } from 'firebase/firestore';
+import { doc, setDoc, getDoc, updateDoc } from 'firebase/firestore';
 import { auth, db } from '../config/firebase.js';
 
 /**
@@ -133,6 +133,23 @@ class AuthService {
     }
   }
 
+  /**
+   * Update fields of a user's profile document, e.g. { preferredLanguage: 'hi' }
+   * @param {string} uid - User ID
+   * @param {Object} updates - Profile fields to change
+   * @returns {Promise<Object>} The updated fields
+   */
+  async updateUserData(uid, updates) {
+    try {
+      const changes = { ...updates, updatedAt: new Date() };
+      await updateDoc(doc(db, 'users', uid), changes);
+      return changes;
+    } catch (error) {
+      console.error('Update user data error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Set up authentication state listener
    * @param {Function} callback - Callback function to handle auth state changes
@@ -0,0 +1,163 @@
+/**
+ * Fatigue and injury-risk flags for coaches
+ * Requirements: 4.1, 3.1 - Rest recommendations and the coach dashboard
+ *
+ * A player needs attention when one of these holds for their recent matches:
+ * - workload spike: the acute:chronic workload ratio (see workloadModel.js) at their
+ *   latest match is above 1.3 (above 1.5 is high risk)
+ * - short rest: a match was played before the rest window recommended after the
+ *   previous one (its stored restRecommendation.hours) had passed
+ * - score decline: their score trend is declining, or has dropped three matches running
+ * Players whose latest match is older than ATTENTION_WINDOW_DAYS are not flagged.
+ */
+
+import { calculateWorkload } from './workloadModel.js';
+import { analyzeTrend } from '../utils/trend.js';
+import { toMillis } from '../utils/matchDate.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ATTENTION_WINDOW_DAYS = 14;
+export const ACWR_WARNING = 1.3;
+export const ACWR_DANGER = 1.5;
+export const DECLINE_STREAK = 3;
+export const SEVERE_DECLINE = 15;
+
+const SEVERITY_RANK = { high: 2, medium: 1 };
+
+/**
+ * Flag a spike in acute workload at the latest match
+ * @param {Object} latest - Latest match
+ * @param {Array} earlier - The player's earlier matches
+ * @returns {Object|null} Flag or null
+ */
+const getWorkloadFlag = (latest, earlier) => {
+  const { acwr } = calculateWorkload(latest.sport, latest.parameters, earlier, latest.date);
+  if (acwr === null || acwr <= ACWR_WARNING) {
+    return null;
+  }
+
+  return {
+    id: 'workload-spike',
+    severity: acwr > ACWR_DANGER ? 'high' : 'medium',
+    value: acwr,
+    reason: `Workload spike: last 7 days are ${acwr}× the 4-week weekly average`
+  };
+};
+
+/**
+ * Flag matches played before the previous match's recommended rest was over
+ * @param {Array} recent - Matches in the attention window, oldest first
+ * @returns {Object|null} Flag or null (value is the shortest rest as a share of the recommendation)
+ */
+const getRestFlag = (recent) => {
+  const shortRests = [];
+  for (let index = 1; index < recent.length; index++) {
+    const previous = recent[index - 1];
+    const recommended = previous.restRecommendation?.hours;
+    if (!Number.isFinite(recommended) || recommended <= 0) continue;
+
+    const restedHours = (recent[index].millis - previous.millis) / HOUR_MS;
+    if (restedHours < recommended) {
+      shortRests.push({ restedHours, recommended });
+    }
+  }
+  if (shortRests.length === 0) {
+    return null;
+  }
+
+  const worst = shortRests.reduce((min, rest) =>
+    rest.restedHours / rest.recommended < min.restedHours / min.recommended ? rest : min);
+  const share = Math.round((worst.restedHours / worst.recommended) * 100) / 100;
+  const count = shortRests.length === 1 ? 'A match was' : `${shortRests.length} matches were`;
+
+  return {
+    id: 'short-rest',
+    severity: shortRests.length > 1 || share < 0.5 ? 'high' : 'medium',
+    value: share,
+    reason: `${count} played without the recommended rest (${Math.round(worst.restedHours)}h of ${worst.recommended}h)`
+  };
+};
+
+/**
+ * Flag a sustained decline in score
+ * @param {Array} matches - The player's matches, oldest first
+ * @returns {Object|null} Flag or null (value is the fitted score change)
+ */
+const getDeclineFlag = (matches) => {
+  const trend = analyzeTrend(matches.map(match => match.calculatedScore));
+  const falling = trend.streak.direction === 'down' && trend.streak.length >= DECLINE_STREAK;
+
+  if (trend.direction === 'declining') {
+    return {
+      id: 'score-decline',
+      severity: trend.change <= -SEVERE_DECLINE ? 'high' : 'medium',
+      value: trend.change,
+      reason: `Scores declining: ${trend.change} points over the last ${trend.sampleSize} matches`
+    };
+  }
+  if (falling) {
+    return {
+      id: 'score-decline',
+      severity: 'medium',
+      value: trend.change,
+      reason: `Score has dropped in each of the last ${trend.streak.length} matches`
+    };
+  }
+  return null;
+};
+
+/**
+ * Assess one player's fatigue and injury risk from their matches
+ * @param {Array} matches - The player's matches (any order; { sport, parameters, date,
+ *   calculatedScore, restRecommendation })
+ * @param {*} [now] - Reference time (defaults to now)
+ * @returns {Object} { flags, severity, lastMatchDate } where severity is 'high', 'medium'
+ *   or null when nothing is flagged
+ */
+export const assessPlayerFatigue = (matches = [], now = null) => {
+  const nowMillis = toMillis(now) ?? Date.now();
+  const dated = matches
+    .map(match => ({ ...match, millis: toMillis(match.date) }))
+    .filter(match => match.millis !== null && match.millis <= nowMillis)
+    .sort((a, b) => a.millis - b.millis);
+
+  const latest = dated[dated.length - 1];
+  if (!latest || nowMillis - latest.millis > ATTENTION_WINDOW_DAYS * DAY_MS) {
+    return { flags: [], severity: null, lastMatchDate: latest ? new Date(latest.millis) : null };
+  }
+
+  const recent = dated.filter(match => latest.millis - match.millis <= ATTENTION_WINDOW_DAYS * DAY_MS);
+  const flags = [
+    getWorkloadFlag(latest, dated.slice(0, -1)),
+    getRestFlag(recent),
+    getDeclineFlag(dated)
+  ].filter(Boolean);
+
+  const severity = flags.reduce((worst, flag) =>
+    (SEVERITY_RANK[flag.severity] > (SEVERITY_RANK[worst] || 0) ? flag.severity : worst), null);
+
+  return { flags, severity, lastMatchDate: new Date(latest.millis) };
+};
+
+/**
+ * Build the coach's "needs attention" list
+ * @param {Array} players - The coach's players ({ id, email, name, sport })
+ * @param {Array} matches - The coach's matches
+ * @param {*} [now] - Reference time (defaults to now)
+ * @returns {Array} [{ player, flags, severity, lastMatchDate }] for flagged players,
+ *   high severity first, then by number of flags
+ */
+export const getPlayersNeedingAttention = (players = [], matches = [], now = null) =>
+  players
+    .map(player => {
+      const playerMatches = matches.filter(match =>
+        (match.playerId && match.playerId === player.id) || (player.email && match.playerEmail === player.email));
+      return { player, ...assessPlayerFatigue(playerMatches, now) };
+    })
+    .filter(entry => entry.flags.length > 0)
+    .sort((a, b) =>
+      SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+      b.flags.length - a.flags.length ||
+      (a.player.name || '').localeCompare(b.player.name || ''));
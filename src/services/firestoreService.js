@@ -13,7 +13,8 @@ import {
   limit,
   onSnapshot,
   serverTimestamp,
-  writeBatch
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore';
 import { db } from '../config/firebase.js';
 
@@ -66,9 +67,10 @@ class FirestoreService {
       const docSnap = await getDoc(docRef);
 
       if (docSnap.exists()) {
+        // The document ID wins over any `id` field stored in the data (models store id: null)
         return {
-          id: docSnap.id,
-          ...docSnap.data()
+          ...docSnap.data(),
+          id: docSnap.id
         };
       } else {
         return null;
@@ -150,8 +152,8 @@ class FirestoreService {
 
       querySnapshot.forEach((doc) => {
         documents.push({
-          id: doc.id,
-          ...doc.data()
+          ...doc.data(),
+          id: doc.id
         });
       });
 
@@ -176,8 +178,8 @@ class FirestoreService {
       return onSnapshot(docRef, (doc) => {
         if (doc.exists()) {
           callback({
-            id: doc.id,
-            ...doc.data()
+            ...doc.data(),
+            id: doc.id
           });
         } else {
           callback(null);
@@ -215,8 +217,8 @@ class FirestoreService {
         const documents = [];
         querySnapshot.forEach((doc) => {
           documents.push({
-            id: doc.id,
-            ...doc.data()
+            ...doc.data(),
+            id: doc.id
           });
         });
 
@@ -352,6 +354,7 @@ class FirestoreService {
         name: playerProfile.name,
         email: playerProfile.email,
         sport: playerProfile.sport,
+        playingRole: playerProfile.playingRole || null,
         coachId: coachId,
         currentScore: 0,
         matchCount: 0,
@@ -527,9 +530,19 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Generate a document ID without writing, so documents written in one batch can refer to each other
+   * @param {string} collectionName - Name of the collection
+   * @returns {string} New document ID
+   */
+  newDocumentId(collectionName) {
+    return doc(collection(db, collectionName)).id;
+  }
+
   /**
    * Batch operations for multiple documents
-   * @param {Array} operations - Array of operation objects
+   * @param {Array} operations - Array of operation objects `{ type, collection, docId, data }`;
+   *   type is 'create' (a new document, stamped like create()), 'set', 'update' or 'delete'
    * @returns {Promise<void>}
    */
   async batchWrite(operations) {
@@ -541,6 +554,9 @@ class FirestoreService {
         const docRef = doc(db, collectionName, docId);
 
         switch (type) {
+          case 'create':
+            batch.set(docRef, { ...data, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+            break;
           case 'set':
             batch.set(docRef, { ...data, updatedAt: serverTimestamp() });
             break;
@@ -562,6 +578,39 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Read and write documents atomically. Firestore reruns updateFunction when a document
+   * it read changes before the commit, so it must not have other side effects.
+   * @param {Function} updateFunction - Called with a transaction offering
+   *   read(collectionName, docId), create(collectionName, docId, data) for a new document
+   *   (stamped like create()), set(collectionName, docId, data) and
+   *   update(collectionName, docId, data); all reads must come before the writes
+   * @returns {Promise<*>} Whatever updateFunction resolves to
+   */
+  async runTransaction(updateFunction) {
+    try {
+      return await runTransaction(db, (transaction) => updateFunction({
+        read: async (collectionName, docId) => {
+          const docSnap = await transaction.get(doc(db, collectionName, docId));
+          return docSnap.exists() ? { ...docSnap.data(), id: docSnap.id } : null;
+        },
+        create: (collectionName, docId, data) => {
+          const timestamp = serverTimestamp();
+          transaction.set(doc(db, collectionName, docId), { ...data, createdAt: timestamp, updatedAt: timestamp });
+        },
+        set: (collectionName, docId, data) => {
+          transaction.set(doc(db, collectionName, docId), { ...data, updatedAt: serverTimestamp() });
+        },
+        update: (collectionName, docId, data) => {
+          transaction.update(doc(db, collectionName, docId), { ...data, updatedAt: serverTimestamp() });
+        }
+      }));
+    } catch (error) {
+      console.error('Error running transaction:', error);
+      throw this.handleFirestoreError(error);
+    }
+  }
+
   // ==================== ERROR HANDLING ====================
 
   /**
@@ -0,0 +1,159 @@
+/**
+ * Goal progress from the player's matches
+ * Requirements: 5.1, 4.1 - Player dashboard and intelligent suggestion system
+ *
+ * A goal covers the player's first `matchCount` matches of its sport from its start date.
+ * The goal metric is evaluated in each of those matches (see evaluateMatchMetric) and
+ * combined by the goal's aggregation:
+ * - average: the average over all the matches must meet the target, so the goal is
+ *   decided once every match is played
+ * - total: the sum must meet the target; a '>=' goal is achieved as soon as it is
+ *   reached, a '<=' goal missed as soon as it is passed
+ * - any: one match meeting the target achieves the goal
+ */
+
+import { getSport } from '../sports/index.js';
+import { compareValues } from '../sports/suggestionRules.js';
+import { evaluateMatchMetric } from './suggestionEffectiveness.js';
+import { toMillis } from '../utils/matchDate.js';
+import { DEFAULT_LANGUAGE, translateMessage } from '../i18n/index.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Values a goal can track for a sport: the score, the sport's rule metrics and its parameters
+ * @param {string} sport - Sport id
+ * @returns {Array} [{ id, label }]
+ */
+export const getGoalMetrics = (sport) => {
+  const definition = getSport(sport);
+  if (!definition) return [];
+
+  const metrics = [{ id: 'score', label: 'Performance score' }];
+  Object.entries(definition.ruleMetrics || {}).forEach(([id, metric]) => metrics.push({ id, label: metric.label }));
+  Object.keys(definition.parameterSchema).forEach(id => {
+    if (!metrics.some(metric => metric.id === id)) {
+      metrics.push({ id, label: definition.parameterLabels?.[id] || id });
+    }
+  });
+  return metrics;
+};
+
+/**
+ * Catalogue message describing a goal (see i18n/index.js)
+ * @param {Object} goal - Goal ({ sport, metric, label, comparator, target, aggregation, matchCount })
+ * @returns {Object} { key, params }
+ */
+export const getGoalMessage = (goal) => {
+  const label = goal.label || getGoalMetrics(goal.sport).find(metric => metric.id === goal.metric)?.label || goal.metric;
+  const aggregation = ['total', 'any'].includes(goal.aggregation) ? goal.aggregation : 'average';
+
+  return {
+    key: `goals.describe.${aggregation}`,
+    params: {
+      label,
+      comparator: goal.comparator === '<=' ? '≤' : '≥',
+      target: goal.target,
+      matches: { key: 'common.matches', params: { count: goal.matchCount } }
+    }
+  };
+};
+
+/**
+ * Describe a goal, e.g. 'Average Performance score ≥ 70 over 5 matches'
+ * @param {Object} goal - Goal ({ sport, metric, label, comparator, target, aggregation, matchCount })
+ * @param {string} [language] - Language id
+ * @returns {string} Description
+ */
+export const describeGoal = (goal, language = DEFAULT_LANGUAGE) => translateMessage(getGoalMessage(goal), language);
+
+/**
+ * Share of the way from nothing to the target (1 once the target is met)
+ * @param {number|null} current - Current value
+ * @param {string} comparator - '>=' or '<='
+ * @param {number} target - Target
+ * @returns {number} Progress (0-1)
+ */
+const getProgress = (current, comparator, target) => {
+  if (current === null) return 0;
+  if (compareValues(current, comparator, target)) return 1;
+  if (comparator === '<=') return current > 0 ? Math.max(0, target / current) : 0;
+  return target > 0 ? Math.max(0, current / target) : 0;
+};
+
+/**
+ * Evaluate a goal against the player's matches
+ * @param {Object} goal - Goal (see createGoal)
+ * @param {Array} matches - The player's matches, any order ({ sport, parameters, calculatedScore, date })
+ * @returns {Object} {
+ *   status,          // 'active', 'achieved' or 'missed'
+ *   current,         // average, total or best single-match value so far (null before the first match)
+ *   matchesCounted,  // matches evaluated
+ *   remaining,       // matches left in the goal
+ *   progress,        // 0-1 towards the target
+ *   required,        // what the remaining matches need: average per match (average goals),
+ *                    // total (total goals) or single-match value (any goals); null once decided
+ *   decidedAt        // date of the match that decided the goal, or null
+ * }
+ */
+export const evaluateGoal = (goal, matches = []) => {
+  const start = toMillis(goal.startDate) ?? 0;
+  const counted = matches
+    .map(match => ({ match, millis: toMillis(match.date) }))
+    .filter(({ match, millis }) => match.sport === goal.sport && millis !== null && millis >= start)
+    .sort((a, b) => a.millis - b.millis)
+    .map(({ match, millis }) => ({ millis, value: evaluateMatchMetric(goal.metric, match) }))
+    .filter(entry => Number.isFinite(entry.value))
+    .slice(0, goal.matchCount);
+
+  const { comparator, target, aggregation, matchCount } = goal;
+  let status = 'active';
+  let decidedAt = null;
+  let current = null;
+  let sum = 0;
+  let matchesCounted = 0;
+
+  // Walk the matches in order so an early decision keeps the match that made it
+  for (let index = 0; index < counted.length && status === 'active'; index++) {
+    const { value, millis } = counted[index];
+    matchesCounted = index + 1;
+    sum += value;
+
+    if (aggregation === 'any') {
+      current = current === null ? value : comparator === '<=' ? Math.min(current, value) : Math.max(current, value);
+    } else {
+      current = aggregation === 'total' ? sum : sum / matchesCounted;
+    }
+
+    const met = compareValues(current, comparator, target);
+    const complete = matchesCounted === matchCount;
+    if ((aggregation === 'any' && met) || (aggregation === 'total' && comparator === '>=' && met)) {
+      status = 'achieved';
+    } else if (aggregation === 'total' && comparator === '<=' && !met) {
+      status = 'missed';
+    } else if (complete) {
+      status = met ? 'achieved' : 'missed';
+    }
+    if (status !== 'active') {
+      decidedAt = new Date(millis);
+    }
+  }
+
+  const remaining = status === 'active' ? matchCount - matchesCounted : 0;
+  let required = null;
+  if (status === 'active') {
+    if (aggregation === 'average') required = (target * matchCount - sum) / remaining;
+    if (aggregation === 'total') required = target - sum;
+    if (aggregation === 'any') required = target;
+  }
+
+  return {
+    status,
+    current: current === null ? null : round2(current),
+    matchesCounted,
+    remaining,
+    progress: status === 'achieved' ? 1 : round2(getProgress(current, comparator, target)),
+    required: required === null ? null : round2(required),
+    decidedAt
+  };
+};
@@ -0,0 +1,135 @@
+/**
+ * Goal service for player targets
+ * Requirements: 5.1, 4.1 - Player dashboard and intelligent suggestion system
+ *
+ * Goals live in the `goals` collection (see createGoal). They are set by the player or
+ * their coach and re-evaluated by matchService.submitMatchData after every match; see
+ * goalProgress.js for how a goal is evaluated.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import { evaluateGoal } from './goalProgress.js';
+import { toMillis } from '../utils/matchDate.js';
+import { createGoal } from '../models/matchData.js';
+import { validateGoal } from '../utils/validators.js';
+
+const GOALS_COLLECTION = 'goals';
+
+/**
+ * Goal service class for storing goals and recording their progress
+ */
+class GoalService {
+
+  /**
+   * Create a goal
+   * @param {Object} goalData - Goal fields (see createGoal)
+   * @returns {Promise<Object>} Stored goal with its ID
+   */
+  async createGoal(goalData) {
+    try {
+      const goal = createGoal(goalData);
+      const validation = validateGoal(goal);
+      if (!validation.isValid) {
+        throw new Error(`Invalid goal: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const goalId = await firestoreService.create(GOALS_COLLECTION, goal);
+      return { ...goal, id: goalId };
+    } catch (error) {
+      console.error('Error creating goal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a player's goals, newest first
+   * @param {string} playerId - Player ID (user UID)
+   * @returns {Promise<Array>} Goals
+   */
+  async getPlayerGoals(playerId) {
+    try {
+      const goals = await firestoreService.query(GOALS_COLLECTION, [
+        { field: 'playerId', operator: '==', value: playerId }
+      ]);
+      // Sorted in memory to avoid a composite index
+      return goals.sort((a, b) => (toMillis(b.startDate) ?? 0) - (toMillis(a.startDate) ?? 0));
+    } catch (error) {
+      console.error('Error getting player goals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a goal
+   * @param {string} goalId - Goal ID
+   * @returns {Promise<void>}
+   */
+  async deleteGoal(goalId) {
+    try {
+      await firestoreService.delete(GOALS_COLLECTION, goalId);
+    } catch (error) {
+      console.error('Error deleting goal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate a player's active goals against their matches
+   * @param {string} playerId - Player ID (user UID)
+   * @param {Array} matches - The player's matches, including any match not stored yet
+   * @returns {Promise<Array>} [{ goal, evaluation }] (see evaluateGoal)
+   */
+  async evaluateGoals(playerId, matches) {
+    try {
+      const goals = await this.getPlayerGoals(playerId);
+      return goals
+        .filter(goal => goal.status === 'active')
+        .map(goal => ({ goal, evaluation: evaluateGoal(goal, matches) }));
+    } catch (error) {
+      console.error('Error evaluating goals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the evaluations from evaluateGoals on the goals
+   * @param {Array} evaluations - [{ goal, evaluation }]
+   * @returns {Promise<Array>} Goals achieved by these evaluations, as stored
+   */
+  async saveProgress(evaluations) {
+    try {
+      const updated = await Promise.all(evaluations.map(async ({ goal, evaluation }) => {
+        const { status, decidedAt, ...progress } = evaluation;
+        const updates = {
+          status,
+          progress,
+          achievedAt: status === 'achieved' ? decidedAt : null
+        };
+        await firestoreService.update(GOALS_COLLECTION, goal.id, updates);
+        return { ...goal, ...updates };
+      }));
+      return updated.filter(goal => goal.status === 'achieved');
+    } catch (error) {
+      console.error('Error saving goal progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the player has seen a goal's completion
+   * @param {string} goalId - Goal ID
+   * @returns {Promise<void>}
+   */
+  async markCelebrated(goalId) {
+    try {
+      await firestoreService.update(GOALS_COLLECTION, goalId, { celebrated: true });
+    } catch (error) {
+      console.error('Error updating goal:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const goalService = new GoalService();
+export default goalService;
@@ -14,7 +14,13 @@ export {
   calculateCricketScore,
   calculateFootballScore,
   calculateBasketballScore,
+  calculateVolleyballScore,
+  calculateHockeyScore,
+  calculateTennisScore,
   calculatePerformanceScore,
+  calculatePerformanceBreakdown,
+  calculatePercentile,
+  calculatePeerPercentiles,
   getPerformanceCategory,
   calculatePerformanceChange
 } from './performanceCalculator.js';
@@ -24,9 +30,44 @@ export {
   generateRestRecommendation,
   generateTrainingSuggestions,
   generateTrendBasedSuggestions,
+  generateGoalSuggestions,
   generateComprehensiveSuggestions,
+  previewSuggestionRule,
+  deprioritizeSuggestions,
+  getWeakestComponents,
+  generateTrainingPlan,
   getMotivationalMessage
 } from './suggestionEngine.js';
 
+// Multi-week training plans
+export { trainingPlanService } from './trainingPlanService.js';
+
+// Per-coach suggestion rules
+export { suggestionRuleService } from './suggestionRuleService.js';
+
+// Suggestion feedback and effectiveness
+export { suggestionFeedbackService } from './suggestionFeedbackService.js';
+export { calculateRuleEffectiveness, evaluateMatchMetric } from './suggestionEffectiveness.js';
+
+// Workload model for rest recommendations
+export {
+  calculateMatchLoad,
+  calculateWorkload,
+  calculateRestModel
+} from './workloadModel.js';
+
+// Player goals
+export { goalService } from './goalService.js';
+export { describeGoal, evaluateGoal, getGoalMetrics } from './goalProgress.js';
+
+// Fatigue and injury-risk flags
+export { assessPlayerFatigue, getPlayersNeedingAttention } from './fatigueModel.js';
+
+// Seasons and fixtures
+export { seasonService } from './seasonService.js';
+
+// Team scoring profile service
+export { scoringProfileService } from './scoringProfileService.js';
+
 // Integrated match service
 export { matchService } from './matchService.js';
\ No newline at end of file
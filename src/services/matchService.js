@@ -4,10 +4,109 @@
  */
 
 import { firestoreService } from './firestoreService.js';
-import { calculatePerformanceScore } from './performanceCalculator.js';
+import { calculatePeerPercentiles, calculatePerformanceBreakdown } from './performanceCalculator.js';
 import { generateComprehensiveSuggestions } from './suggestionEngine.js';
-import { createMatchData } from '../models/matchData.js';
-import { validateMatchData, validateSportParameters } from '../utils/validators.js';
+import { scoringProfileService } from './scoringProfileService.js';
+import { suggestionRuleService } from './suggestionRuleService.js';
+import { suggestionFeedbackService } from './suggestionFeedbackService.js';
+import { goalService } from './goalService.js';
+import {
+  createFixture,
+  createMatchContext,
+  createMatchData,
+  createMatchRevision,
+  EDITABLE_FIXTURE_FIELDS,
+  EDITABLE_MATCH_FIELDS,
+  filterMatchesBySeason,
+  normalizeSuggestion
+} from '../models/matchData.js';
+import {
+  validateFixture,
+  validateMatchData,
+  validateMatchDataBatch,
+  validateSportParameters
+} from '../utils/validators.js';
+import { analyzeTrend } from '../utils/trend.js';
+import { sortByMatchDate, toMillis } from '../utils/matchDate.js';
+
+// Immutable edit history of matches, one document per revision: `{matchId}_r{number}`
+const REVISIONS_COLLECTION = 'matchRevisions';
+
+// Team games entered on a team sheet; their matches link back with `fixtureId`
+const FIXTURES_COLLECTION = 'fixtures';
+
+// Matches already counted in their player's statistics, one document per match ID, so a
+// resubmitted match is not counted twice (see updatePlayerStatistics)
+const STATISTICS_UPDATES_COLLECTION = 'playerStatisticsUpdates';
+
+// Most matches of the sport a score is ranked against, so scoring a match reads a
+// bounded number of matches however many the sport has
+const PEER_SAMPLE_LIMIT = 500;
+
+// Aggregates stored on a player document, in the order the consistency check reports them
+const PLAYER_STATISTICS_FIELDS = ['currentScore', 'matchCount', 'totalScore', 'averageScore', 'lastMatchDate'];
+
+// Validation errors as a flat list of messages (parameter errors are keyed by field)
+const flattenErrors = (errors) => Object.values(errors)
+  .flatMap(error => (error && typeof error === 'object' ? Object.values(error) : [error]));
+
+// The editable fields of a match, as stored
+const pickEditableFields = (match) =>
+  Object.fromEntries(EDITABLE_MATCH_FIELDS.map(field => [field, match[field] ?? null]));
+
+// Comparable form of a field value: dates (including Firestore Timestamps) as millis
+const toComparable = (value) => (value && (value instanceof Date || typeof value.toMillis === 'function')
+  ? toMillis(value)
+  : value);
+
+/**
+ * Read, inside a transaction, what counting a match in its player's statistics needs and
+ * return the writes to make once every read is done, or null when nothing changes.
+ *
+ * The match's `playerStatisticsUpdates` marker keeps the player and score it was counted
+ * with: a retry with the same score changes nothing, a corrected score replaces the one
+ * counted, and a match ID counted for another player is refused. A backdated match adds
+ * to the totals but leaves the current score and last match date to the latest match.
+ * @param {Object} transaction - Transaction from firestoreService.runTransaction
+ * @param {Object} match - { playerId, score, date, matchId }; without a matchId the match
+ *   is always counted
+ * @returns {Promise<Function|null>} Writes the statistics and the marker
+ */
+const prepareStatisticsUpdate = async (transaction, { playerId, score, date, matchId = null }) => {
+  const player = await transaction.read('players', playerId);
+  const counted = matchId ? await transaction.read(STATISTICS_UPDATES_COLLECTION, matchId) : null;
+  if (!player) {
+    throw new Error('Player not found');
+  }
+  if (counted && counted.playerId !== playerId) {
+    throw new Error('Match was already saved for another player');
+  }
+  if (counted && counted.score === score) {
+    return null;
+  }
+
+  const matchCount = (player.matchCount || 0) + (counted ? 0 : 1);
+  const totalScore = (player.totalScore || 0) - (counted ? counted.score : 0) + score;
+
+  const matchMillis = toMillis(date) ?? Date.now();
+  const lastMillis = toMillis(player.lastMatchDate);
+  const isLatest = lastMillis === null || matchMillis >= lastMillis;
+
+  const updatedStats = {
+    currentScore: isLatest ? score : (player.currentScore ?? score),
+    matchCount,
+    totalScore,
+    averageScore: Math.round((totalScore / matchCount) * 100) / 100, // Round to 2 decimal places
+    lastMatchDate: isLatest ? new Date(matchMillis) : player.lastMatchDate
+  };
+
+  return () => {
+    transaction.update('players', playerId, updatedStats);
+    if (matchId) {
+      transaction.set(STATISTICS_UPDATES_COLLECTION, matchId, { playerId, score, countedAt: new Date() });
+    }
+  };
+};
 
 /**
  * Match service class for handling match operations with performance calculation
@@ -21,57 +120,88 @@ class MatchService {
    * @param {string} matchData.coachId - Coach ID
    * @param {string} matchData.sport - Sport type
    * @param {Object} matchData.parameters - Sport-specific parameters
+   * @param {Object} [matchData.matchFormat] - Match format ({ id, overs }) for sports that define formats
+   * @param {Object} [matchData.matchContext] - Opponent, venue, competition, result and opponent strength
    * @param {Date} matchData.date - Match date (optional, defaults to now)
-   * @returns {Promise<Object>} Created match with calculated score and suggestions
+   * @param {Object} [options]
+   * @param {string} [options.matchId] - ID to save the match under (see
+   *   firestoreService.newDocumentId). Submitting again with the same ID overwrites the
+   *   match and counts it in the player's statistics once, with its latest score; an ID
+   *   already saved for another player is refused.
+   * @param {string} [options.fixtureId] - Fixture the match was played in, e.g. one
+   *   scheduled ahead; its date, time zone, format and match context replace the match's
+   * @returns {Promise<Object>} Created match with calculated score, suggestions and the
+   *   goals this match completed (`completedGoals`)
    */
-  async submitMatchData(matchData) {
+  async submitMatchData(matchData, { matchId = null, fixtureId = null } = {}) {
     try {
+      const id = matchId || firestoreService.newDocumentId('matches');
+      if (fixtureId) {
+        const fixture = await this.getLinkableFixture(fixtureId, matchData, id);
+        matchData = this.createFixtureMatchData(createFixture(fixture), matchData, fixtureId);
+      }
+
       // Validate match data structure
       const matchValidation = validateMatchData(matchData);
       if (!matchValidation.isValid) {
         throw new Error(`Invalid match data: ${Object.values(matchValidation.errors).join(', ')}`);
       }
 
-      // Validate sport-specific parameters
-      const paramValidation = validateSportParameters(matchData.sport, matchData.parameters);
-      if (!paramValidation.isValid) {
-        throw new Error(`Invalid sport parameters: ${Object.values(paramValidation.errors).join(', ')}`);
-      }
-
-      // Calculate performance score
-      const calculatedScore = calculatePerformanceScore(matchData.sport, matchData.parameters);
-
-      // Get recent scores for trend analysis
-      const recentMatches = await this.getPlayerRecentMatches(matchData.playerId, 10);
-      const recentScores = recentMatches.map(match => match.calculatedScore).filter(score => score !== null);
-
-      // Generate comprehensive suggestions
-      const suggestionPackage = generateComprehensiveSuggestions(
-        calculatedScore,
-        matchData.sport,
-        matchData.parameters,
-        recentScores
-      );
+      // Get the matches played before this one: the last 10 scores for trend analysis, and
+      // the last four weeks of workload for the rest recommendation. A backdated match is
+      // judged against the matches before it, and goals against all of the player's matches.
+      // A resubmitted match is left out of its own history.
+      const playerMatches = (await this.getPlayerMatches(matchData.playerId)).filter(match => match.id !== id);
+      const recentMatches = this.getMatchesBefore(playerMatches, matchData.date || new Date()).slice(0, 30);
+      const scoring = await this.scoreMatch(matchData, recentMatches, playerMatches, id);
 
       // Create complete match data object
       const completeMatchData = createMatchData({
         ...matchData,
-        calculatedScore,
-        suggestions: suggestionPackage.suggestions.map(s => s.message),
-        restRecommendation: suggestionPackage.restRecommendation
+        ...scoring.fields
       });
 
-      // Save match data to Firestore
-      const matchId = await firestoreService.create('matches', completeMatchData);
+      // Save the match and count it in the player's statistics in one transaction, so a
+      // retry after a failure further on neither counts it twice nor keeps a stale score
+      await firestoreService.runTransaction(async (transaction) => {
+        const stored = await transaction.read('matches', id);
+        const fixture = fixtureId ? await transaction.read(FIXTURES_COLLECTION, fixtureId) : null;
+        const writeStatistics = await prepareStatisticsUpdate(transaction, {
+          playerId: matchData.playerId,
+          score: scoring.fields.calculatedScore,
+          date: completeMatchData.date,
+          matchId: id
+        });
+        if (stored && stored.playerId !== matchData.playerId) {
+          throw new Error('Match was already saved for another player');
+        }
+
+        // A resubmitted match keeps its creation time and correction count, so its next
+        // correction is numbered after the revisions already stored
+        if (stored) {
+          transaction.set('matches', id, {
+            ...completeMatchData,
+            createdAt: stored.createdAt,
+            revision: stored.revision || 0
+          });
+        } else {
+          transaction.create('matches', id, completeMatchData);
+        }
+        if (fixture && !(fixture.matchIds || []).includes(id)) {
+          transaction.update(FIXTURES_COLLECTION, fixtureId, { matchIds: [...(fixture.matchIds || []), id] });
+        }
+        writeStatistics?.();
+      });
 
-      // Update player statistics
-      await this.updatePlayerStatistics(matchData.playerId, calculatedScore);
+      // Update goal progress
+      const completedGoals = await goalService.saveProgress(scoring.goalEvaluations);
 
       // Return complete match data with ID
       return {
-        id: matchId,
         ...completeMatchData,
-        suggestionPackage
+        id,
+        suggestionPackage: scoring.suggestionPackage,
+        completedGoals
       };
 
     } catch (error) {
@@ -80,6 +210,518 @@ class MatchService {
     }
   }
 
+  /**
+   * Score a validated match: breakdown, peer percentiles, goal progress, suggestions and
+   * rest recommendation. Shared by submitMatchData and updateMatch.
+   * @param {Object} matchData - Match data (see submitMatchData)
+   * @param {Array} recentMatches - The player's earlier matches, newest first
+   * @param {Array} goalMatches - The player's other matches to evaluate goals against
+   * @param {string} [matchId] - ID of the stored match being rescored, left out of the peers
+   * @param {Object} [inputs] - Team inputs already loaded with loadScoringInputs, so a team
+   *   sheet loads them once for the whole squad
+   * @returns {Promise<Object>} { fields, suggestionPackage, goalEvaluations }, where `fields`
+   *   are the calculated match fields (calculatedScore, scoreBreakdown, percentiles,
+   *   scoringProfile, suggestions, restRecommendation)
+   */
+  async scoreMatch(matchData, recentMatches, goalMatches, matchId = null, inputs = null) {
+    // Scoring context: the player's role, so specialists are judged on the disciplines
+    // they play, the match format, so rates are judged against that format's baselines,
+    // and the match context, whose opponent strength can scale the score
+    const scoringContext = {
+      playingRole: matchData.playingRole || null,
+      matchFormat: matchData.matchFormat || null,
+      matchContext: matchData.matchContext || null
+    };
+
+    // Validate sport-specific parameters
+    const paramValidation = validateSportParameters(matchData.sport, matchData.parameters, scoringContext);
+    if (!paramValidation.isValid) {
+      throw new Error(`Invalid sport parameters: ${Object.values(paramValidation.errors).join(', ')}`);
+    }
+
+    const { scoringProfile, peerMatches, suggestionRules, ruleEffectiveness } = inputs ||
+      await this.loadScoringInputs(matchData.coachId, matchData.sport, matchId);
+
+    // Calculate performance score with the team's scoring profile (defaults if none saved)
+    const scoreBreakdown = calculatePerformanceBreakdown(
+      matchData.sport,
+      matchData.parameters,
+      scoringProfile,
+      scoringContext
+    );
+    const calculatedScore = scoreBreakdown.score;
+
+    // Place the score among the squad, the sport and the player's position, so it can be
+    // compared across players and sports
+    const percentiles = calculatePeerPercentiles(calculatedScore, {
+      squad: peerMatches.squad,
+      sport: peerMatches.sport,
+      position: scoringContext.playingRole
+        ? peerMatches.sport.filter(match => match.playingRole === scoringContext.playingRole)
+        : null
+    });
+
+    // The trend reads the last 10 scores oldest first and ends with this match
+    const recentScores = [
+      ...recentMatches
+        .slice(0, 10)
+        .map(match => match.calculatedScore)
+        .filter(score => typeof score === 'number')
+        .reverse(),
+      calculatedScore
+    ];
+
+    // Evaluate the player's active goals including this match
+    const goalEvaluations = await goalService.evaluateGoals(matchData.playerId, [
+      ...goalMatches,
+      {
+        sport: matchData.sport,
+        parameters: matchData.parameters,
+        calculatedScore,
+        ...scoringContext,
+        date: matchData.date || new Date()
+      }
+    ]);
+
+    // Generate comprehensive suggestions with the coach's rules for this sport, played
+    // down where player feedback shows a rule has not been helping the squad, and
+    // with advice on the player's goals
+    const suggestionPackage = generateComprehensiveSuggestions(
+      calculatedScore,
+      matchData.sport,
+      matchData.parameters,
+      recentScores,
+      scoringContext,
+      { recentMatches, matchDate: matchData.date },
+      suggestionRules,
+      ruleEffectiveness,
+      goalEvaluations
+    );
+
+    return {
+      fields: {
+        calculatedScore,
+        scoreBreakdown,
+        percentiles,
+        scoringProfile: scoringProfileService.getProfileReference(scoringProfile),
+        suggestions: suggestionPackage.suggestions,
+        restRecommendation: suggestionPackage.restRecommendation
+      },
+      suggestionPackage,
+      goalEvaluations
+    };
+  }
+
+  /**
+   * Load what scoring a match needs from the team rather than the player: the scoring
+   * profile, the peer matches for percentiles (the squad's matches of the sport and a
+   * sample of the sport's), the coach's suggestion rules and how well those rules have
+   * been working
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @param {string} [matchId] - ID of a stored match being rescored, left out of the peers
+   * @returns {Promise<Object>} { scoringProfile, peerMatches, suggestionRules, ruleEffectiveness },
+   *   where peerMatches is { squad, sport }, each newest first
+   */
+  async loadScoringInputs(coachId, sport, matchId = null) {
+    const scoringProfile = await scoringProfileService.getTeamProfile(coachId, sport);
+    const squadMatches = (await this.getCoachMatches(coachId))
+      .filter(match => match.sport === sport && match.id !== matchId);
+    const peerMatches = {
+      squad: squadMatches.slice(0, PEER_SAMPLE_LIMIT),
+      sport: await this.getPeerMatches(sport, matchId)
+    };
+    const suggestionRules = await suggestionRuleService.getEffectiveRules(coachId, sport);
+    const ruleEffectiveness = await suggestionFeedbackService.getRuleEffectiveness(coachId, squadMatches);
+
+    return { scoringProfile, peerMatches, suggestionRules, ruleEffectiveness };
+  }
+
+  /**
+   * Match data for one row of a team sheet: the player's parameters with the fixture's
+   * date, format and match context
+   * @param {Object} fixture - Fixture (see createFixture)
+   * @param {Object} entry - Row ({ playerId, playerEmail, playingRole, parameters })
+   * @param {string} [fixtureId] - Fixture ID, once known
+   * @returns {Object} Match data for submitMatchData-style validation and scoring
+   */
+  createFixtureMatchData(fixture, entry, fixtureId = null) {
+    return {
+      playerId: entry.playerId,
+      playerEmail: entry.playerEmail || null,
+      coachId: fixture.coachId,
+      sport: fixture.sport,
+      playingRole: entry.playingRole || null,
+      matchFormat: fixture.matchFormat || null,
+      matchContext: createMatchContext(fixture),
+      fixtureId,
+      parameters: entry.parameters,
+      date: fixture.date,
+      timeZone: fixture.timeZone
+    };
+  }
+
+  /**
+   * Get a stored fixture a match is being entered for, checking that it is the team's,
+   * of the match's sport and that the player has no other match in it
+   * @param {string} fixtureId - Fixture ID
+   * @param {Object} matchData - Match data ({ playerId, coachId, sport })
+   * @param {string} [matchId] - ID the match is saved under, which may already be linked
+   * @returns {Promise<Object>} Fixture
+   */
+  async getLinkableFixture(fixtureId, matchData, matchId = null) {
+    const fixture = await firestoreService.read(FIXTURES_COLLECTION, fixtureId);
+    if (!fixture || fixture.coachId !== matchData.coachId) {
+      throw new Error('Fixture not found');
+    }
+    if (fixture.sport !== matchData.sport) {
+      throw new Error('Fixture is for another sport');
+    }
+
+    const linkedMatches = await this.getFixtureMatches(fixture);
+    if (linkedMatches.some(match => match.id !== matchId && match.playerId === matchData.playerId)) {
+      throw new Error('Player already has a match for this fixture');
+    }
+    return fixture;
+  }
+
+  /**
+   * Get the stored matches of a fixture
+   * @param {Object} fixture - Fixture with its matchIds
+   * @returns {Promise<Array>} Matches
+   */
+  async getFixtureMatches(fixture) {
+    const matches = await Promise.all((fixture.matchIds || []).map(matchId => this.getMatchById(matchId)));
+    return matches.filter(Boolean);
+  }
+
+  /**
+   * Check a team sheet: the fixture, then every row as match data (validateMatchDataBatch),
+   * with each player on the sheet once
+   * @param {Object} fixtureData - Fixture fields (see createFixture)
+   * @param {Array<Object>} entries - One row per participating player
+   *   ({ playerId, playerEmail, playingRole, parameters })
+   * @returns {Object} { isValid, fixtureErrors, rows }, where `rows` holds
+   *   { index, playerId, isValid, errors } per row and `errors` is a list of messages
+   */
+  validateTeamSheet(fixtureData, entries) {
+    const fixture = createFixture(fixtureData);
+    // A missing date is an error rather than the default of now
+    const fixtureErrors = validateFixture({
+      ...fixture,
+      date: 'date' in fixtureData ? fixtureData.date : fixture.date
+    }).errors;
+    if (!entries || entries.length === 0) {
+      fixtureErrors.players = 'Add at least one player to the team sheet';
+    }
+
+    const batch = validateMatchDataBatch((entries || []).map(entry => this.createFixtureMatchData(fixture, entry)));
+    const rows = batch.results.map(({ index, errors }) => {
+      const playerId = entries[index].playerId;
+      // Fixture fields are reported once, for the fixture, rather than on every row
+      const rowErrors = flattenErrors(Object.fromEntries(Object.entries(errors)
+        .filter(([field]) => !['coachId', 'sport', 'matchFormat', 'matchContext', 'date', 'timeZone'].includes(field))));
+      if (entries.findIndex(entry => entry.playerId === playerId) < index) {
+        rowErrors.push('Player is already on the team sheet');
+      }
+      return { index, playerId, isValid: rowErrors.length === 0, errors: rowErrors };
+    });
+
+    return {
+      isValid: Object.keys(fixtureErrors).length === 0 && rows.every(row => row.isValid),
+      fixtureErrors,
+      rows
+    };
+  }
+
+  /**
+   * Save a whole squad's matches for one fixture. Every row is validated and scored
+   * first; the fixture, all of its matches and each player's statistics are then written
+   * in one transaction, so either the whole sheet is saved and counted or none of it is.
+   * @param {Object} fixtureData - Fixture fields (see createFixture)
+   * @param {Array<Object>} entries - One row per participating player
+   *   ({ playerId, playerEmail, playingRole, parameters })
+   * @param {Object} [options]
+   * @param {string} [options.fixtureId] - Stored fixture the sheet is for, e.g. one
+   *   scheduled ahead. The sheet keeps its date, time zone and format, may change its
+   *   EDITABLE_FIXTURE_FIELDS (carried to the matches already in it) and adds its matches.
+   * @returns {Promise<Object>} { fixture, matches, summary }: the saved fixture, each
+   *   saved match with its `completedGoals`, and { playerCount, averageScore, best, lowest }
+   */
+  async submitTeamSheet(fixtureData, entries, { fixtureId = null } = {}) {
+    try {
+      const storedFixture = fixtureId ? await firestoreService.read(FIXTURES_COLLECTION, fixtureId) : null;
+      if (fixtureId && (!storedFixture || storedFixture.coachId !== fixtureData.coachId)) {
+        throw new Error('Fixture not found');
+      }
+      if (storedFixture) {
+        fixtureData = {
+          ...storedFixture,
+          ...Object.fromEntries(EDITABLE_FIXTURE_FIELDS.filter(field => field in fixtureData)
+            .map(field => [field, fixtureData[field]]))
+        };
+      }
+
+      const validation = this.validateTeamSheet(fixtureData, entries);
+      if (!validation.isValid) {
+        const problems = [
+          ...Object.values(validation.fixtureErrors),
+          ...validation.rows
+            .filter(row => !row.isValid)
+            .map(row => `Row ${row.index + 1}: ${row.errors.join(', ')}`)
+        ];
+        throw new Error(`Invalid team sheet: ${problems.join('; ')}`);
+      }
+
+      const linkedMatches = storedFixture ? await this.getFixtureMatches(storedFixture) : [];
+      const alreadyEntered = entries
+        .map((entry, index) => (linkedMatches.some(match => match.playerId === entry.playerId) ? index : null))
+        .filter(index => index !== null);
+      if (alreadyEntered.length > 0) {
+        throw new Error(`Invalid team sheet: ${alreadyEntered
+          .map(index => `Row ${index + 1}: Player already has a match for this fixture`).join('; ')}`);
+      }
+
+      // Score every row before writing anything, loading the team's inputs once
+      const fixture = createFixture(fixtureData);
+      const inputs = await this.loadScoringInputs(fixture.coachId, fixture.sport);
+      const sheetFixtureId = fixtureId || firestoreService.newDocumentId(FIXTURES_COLLECTION);
+      const scored = [];
+      for (const entry of entries) {
+        const matchData = this.createFixtureMatchData(fixture, entry, sheetFixtureId);
+        const playerMatches = await this.getPlayerMatches(entry.playerId);
+        const recentMatches = this.getMatchesBefore(playerMatches, fixture.date).slice(0, 30);
+        const scoring = await this.scoreMatch(matchData, recentMatches, playerMatches, null, inputs);
+
+        scored.push({
+          match: {
+            ...createMatchData({ ...matchData, ...scoring.fields }),
+            id: firestoreService.newDocumentId('matches')
+          },
+          scoring
+        });
+      }
+
+      const fixtureUpdates = Object.fromEntries(EDITABLE_FIXTURE_FIELDS.map(field => [field, fixture[field]]));
+      const matchIds = await firestoreService.runTransaction(async (transaction) => {
+        const currentFixture = storedFixture ? await transaction.read(FIXTURES_COLLECTION, sheetFixtureId) : null;
+        if (storedFixture && !currentFixture) {
+          throw new Error('Fixture not found');
+        }
+        const statisticsWrites = [];
+        for (const { match } of scored) {
+          statisticsWrites.push(await prepareStatisticsUpdate(transaction, {
+            playerId: match.playerId,
+            score: match.calculatedScore,
+            date: match.date,
+            matchId: match.id
+          }));
+        }
+
+        // Keep matches linked to the fixture since it was first read
+        const fixtureMatchIds = [
+          ...new Set([...(currentFixture?.matchIds || []), ...scored.map(({ match }) => match.id)])
+        ];
+        if (currentFixture) {
+          transaction.update(FIXTURES_COLLECTION, sheetFixtureId, { ...fixtureUpdates, matchIds: fixtureMatchIds });
+        } else {
+          transaction.create(FIXTURES_COLLECTION, sheetFixtureId, { ...fixture, matchIds: fixtureMatchIds });
+        }
+        linkedMatches.forEach(match => {
+          transaction.update('matches', match.id, { matchContext: { ...match.matchContext, ...fixtureUpdates } });
+        });
+        scored.forEach(({ match }) => transaction.create('matches', match.id, match));
+        statisticsWrites.forEach(writeStatistics => writeStatistics?.());
+        return fixtureMatchIds;
+      });
+
+      // Update each player's goal progress once the sheet is saved
+      const matches = [];
+      for (const { match, scoring } of scored) {
+        const completedGoals = await goalService.saveProgress(scoring.goalEvaluations);
+        matches.push({ ...match, suggestionPackage: scoring.suggestionPackage, completedGoals });
+      }
+
+      const scores = matches.map(match => match.calculatedScore);
+      const byScore = [...matches].sort((a, b) => b.calculatedScore - a.calculatedScore);
+      const pick = (match) => ({ playerId: match.playerId, matchId: match.id, score: match.calculatedScore });
+
+      return {
+        fixture: { ...fixture, matchIds, id: sheetFixtureId },
+        matches,
+        summary: {
+          playerCount: matches.length,
+          averageScore: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100,
+          best: pick(byScore[0]),
+          lowest: pick(byScore[byScore.length - 1])
+        }
+      };
+    } catch (error) {
+      console.error('Error submitting team sheet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correct a stored match: re-validate, rescore with the current team profile and
+   * suggestions, refresh the player's statistics and record an immutable revision
+   * @param {string} matchId - Match ID
+   * @param {Object} changes - New values for any of EDITABLE_MATCH_FIELDS
+   *   (parameters, date, matchFormat, matchContext)
+   * @param {string} editedBy - UID of the coach making the correction
+   * @returns {Promise<Object>} Updated match with its `revision` record and the goals
+   *   the correction completed (`completedGoals`)
+   */
+  async updateMatch(matchId, changes, editedBy) {
+    try {
+      const match = await this.getMatchById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      const unknownFields = Object.keys(changes || {}).filter(field => !EDITABLE_MATCH_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Match fields cannot be edited: ${unknownFields.join(', ')}`);
+      }
+      // A missing or unreadable date would otherwise be stored as the 1970 epoch
+      if (changes && 'date' in changes && toMillis(changes.date) === null) {
+        throw new Error(`Invalid match data: ${changes.date ? 'Invalid date format' : 'Match date is required'}`);
+      }
+
+      // Stored dates are Firestore Timestamps; score and validate with plain Dates
+      const before = pickEditableFields(match);
+      const after = { ...before, ...changes };
+      const changedFields = EDITABLE_MATCH_FIELDS.filter(field =>
+        JSON.stringify(toComparable(before[field])) !== JSON.stringify(toComparable(after[field])));
+      if (changedFields.length === 0) {
+        throw new Error('No changes to save');
+      }
+
+      const matchData = {
+        ...match,
+        ...after,
+        date: new Date(toMillis(after.date))
+      };
+      const matchValidation = validateMatchData(matchData);
+      if (!matchValidation.isValid) {
+        throw new Error(`Invalid match data: ${Object.values(matchValidation.errors).join(', ')}`);
+      }
+
+      // Rescore against the player's other matches: those played before this one for the
+      // trend and workload, all of them for goals
+      const otherMatches = (await this.getPlayerMatches(match.playerId)).filter(other => other.id !== matchId);
+      const earlierMatches = this.getMatchesBefore(otherMatches, matchData.date).slice(0, 30);
+      const scoring = await this.scoreMatch(matchData, earlierMatches, otherMatches, matchId);
+
+      const number = (match.revision || 0) + 1;
+      const revisionId = `${matchId}_r${number}`;
+      const revision = createMatchRevision({
+        matchId,
+        playerId: match.playerId,
+        coachId: match.coachId,
+        number,
+        editedBy,
+        changedFields,
+        before: { ...before, calculatedScore: match.calculatedScore ?? null },
+        after: { ...after, date: matchData.date, calculatedScore: scoring.fields.calculatedScore }
+      });
+
+      const updates = {
+        ...Object.fromEntries(changedFields.map(field => [field, field === 'date' ? matchData.date : after[field]])),
+        ...scoring.fields,
+        revision: number
+      };
+
+      // Update the match and write its revision together. Revisions are immutable: a
+      // correction made meanwhile or a revision already stored under this number is refused
+      // rather than replaced.
+      await firestoreService.runTransaction(async (transaction) => {
+        const current = await transaction.read('matches', matchId);
+        const existing = await transaction.read(REVISIONS_COLLECTION, revisionId);
+        const counted = await transaction.read(STATISTICS_UPDATES_COLLECTION, matchId);
+        if (!current || (current.revision || 0) !== (match.revision || 0)) {
+          throw new Error('Match was changed while it was being corrected');
+        }
+        if (existing) {
+          throw new Error(`Revision ${number} of this match already exists`);
+        }
+
+        transaction.update('matches', matchId, updates);
+        transaction.create(REVISIONS_COLLECTION, revisionId, revision);
+        // The statistics are recalculated below; the marker records the corrected score so
+        // a later resubmit is compared with it
+        if (counted) {
+          transaction.update(STATISTICS_UPDATES_COLLECTION, matchId, {
+            score: scoring.fields.calculatedScore,
+            countedAt: new Date()
+          });
+        }
+      });
+
+      await this.recalculatePlayerStatistics(match.playerId);
+      const completedGoals = await goalService.saveProgress(scoring.goalEvaluations);
+
+      return {
+        ...match,
+        ...updates,
+        revisionRecord: { id: revisionId, ...revision },
+        completedGoals
+      };
+    } catch (error) {
+      console.error('Error updating match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the revision history of a match
+   * @param {string} matchId - Match ID
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async getMatchRevisions(matchId) {
+    try {
+      const revisions = await firestoreService.query(REVISIONS_COLLECTION, [
+        { field: 'matchId', operator: '==', value: matchId }
+      ]);
+      return revisions.sort((a, b) => b.number - a.number);
+    } catch (error) {
+      console.error('Error getting match revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The matches played up to a date, newest first
+   * @param {Array} matches - Player matches
+   * @param {*} date - Match date
+   * @returns {Array} Matches on or before the date
+   */
+  getMatchesBefore(matches, date) {
+    const millis = toMillis(date) ?? Date.now();
+    return sortByMatchDate(matches).filter(match => (toMillis(match.date) ?? 0) <= millis);
+  }
+
+  /**
+   * Get a sample of at most PEER_SAMPLE_LIMIT matches of a sport, the population a score
+   * is ranked against across teams and within a playing role
+   * @param {string} sport - Sport id
+   * @param {string} [excludeMatchId] - Match left out, e.g. the one being rescored
+   * @returns {Promise<Array>} Matches, newest first
+   */
+  async getPeerMatches(sport, excludeMatchId = null) {
+    try {
+      // An equality filter with a limit needs no composite index; ordering by date would.
+      // Once the sport has more matches than the limit, the sample is the ones the query
+      // returns rather than the latest.
+      const filters = [{ field: 'sport', operator: '==', value: sport }];
+      const matches = await firestoreService.query('matches', filters, null, 'asc', PEER_SAMPLE_LIMIT + 1);
+      return sortByMatchDate(matches.filter(match => match.id !== excludeMatchId)).slice(0, PEER_SAMPLE_LIMIT);
+    } catch (error) {
+      console.error('Error getting peer matches:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get recent matches for a player using email-based mapping
    * @param {string} playerId - Player ID (user UID)
@@ -109,14 +751,9 @@ class MatchService {
 
       console.log(`Found ${matches.length} matches for ${playerEmail}`);
 
-      // Sort by date in memory (newest first) and apply limit
-      return matches
-        .sort((a, b) => {
-          const aTime = a.date?.toMillis?.() || 0;
-          const bTime = b.date?.toMillis?.() || 0;
-          return bTime - aTime;
-        })
-        .slice(0, limit);
+      // Sort by match date in memory (newest first), so backdated matches take their
+      // place by when they were played, and apply limit
+      return sortByMatchDate(matches).slice(0, limit);
     } catch (error) {
       console.error('Error getting player recent matches:', error);
       throw error;
@@ -159,12 +796,8 @@ class MatchService {
 
       console.log(`Found ${matches.length} matches for ${playerEmail}${sport ? ` (${sport})` : ''}`);
 
-      // Sort by date in memory (newest first)
-      return matches.sort((a, b) => {
-        const aTime = a.date?.toMillis?.() || 0;
-        const bTime = b.date?.toMillis?.() || 0;
-        return bTime - aTime;
-      });
+      // Sort by match date in memory (newest first)
+      return sortByMatchDate(matches);
     } catch (error) {
       console.error('Error getting player matches:', error);
       throw error;
@@ -182,12 +815,8 @@ class MatchService {
       const filters = [{ field: 'coachId', operator: '==', value: coachId }];
       // Query without ordering to avoid index requirement, then sort and limit in memory
       const matches = await firestoreService.query('matches', filters);
-      // Sort by date in memory (newest first)
-      const sortedMatches = matches.sort((a, b) => {
-        const aTime = a.date?.toMillis?.() || 0;
-        const bTime = b.date?.toMillis?.() || 0;
-        return bTime - aTime;
-      });
+      // Sort by match date in memory (newest first)
+      const sortedMatches = sortByMatchDate(matches);
       // Apply limit if specified
       return limit ? sortedMatches.slice(0, limit) : sortedMatches;
     } catch (error) {
@@ -211,38 +840,29 @@ class MatchService {
   }
 
   /**
-   * Update player statistics after a new match
+   * Update player statistics after a new match whose document is already saved. The
+   * player is read and written in one transaction, so matches entered at the same time
+   * cannot lose each other's increment; with a matchId the match is counted once (see
+   * prepareStatisticsUpdate).
    * @param {string} playerId - Player ID
    * @param {number} newScore - New performance score
-   * @returns {Promise<void>}
+   * @param {*} [matchDate] - Date the match was played (defaults to now)
+   * @param {string} [matchId] - ID of the match being counted
+   * @returns {Promise<boolean>} Whether the statistics changed (false for a match already
+   *   counted with this score)
    */
-  async updatePlayerStatistics(playerId, newScore) {
+  async updatePlayerStatistics(playerId, newScore, matchDate = new Date(), matchId = null) {
     try {
-      // Get current player stats
-      const player = await firestoreService.read('players', playerId);
-      if (!player) {
-        throw new Error('Player not found');
-      }
-
-      // Calculate new statistics
-      const currentMatchCount = player.matchCount || 0;
-      const currentTotalScore = player.totalScore || 0;
-
-      const newMatchCount = currentMatchCount + 1;
-      const newTotalScore = currentTotalScore + newScore;
-      const newAverageScore = newTotalScore / newMatchCount;
-
-      // Update player statistics
-      const updatedStats = {
-        currentScore: newScore,
-        matchCount: newMatchCount,
-        totalScore: newTotalScore,
-        averageScore: Math.round(newAverageScore * 100) / 100, // Round to 2 decimal places
-        lastMatchDate: new Date()
-      };
-
-      await firestoreService.updatePlayerStats(playerId, updatedStats);
-
+      return await firestoreService.runTransaction(async (transaction) => {
+        const writeStatistics = await prepareStatisticsUpdate(transaction, {
+          playerId,
+          score: newScore,
+          date: matchDate,
+          matchId
+        });
+        writeStatistics?.();
+        return Boolean(writeStatistics);
+      });
     } catch (error) {
       console.error('Error updating player statistics:', error);
       throw error;
@@ -287,24 +907,8 @@ class MatchService {
 
       console.log(`Performance summary for ${userProfile.email}: ${recentMatches.length} matches, ${recentScores.length} scores`);
 
-      // Calculate trend
-      let trend = 'stable';
-      if (recentScores.length >= 4) {
-        const recent3 = recentScores.slice(0, 3);
-        const older3 = recentScores.slice(3, 6);
-
-        if (older3.length > 0) {
-          const recentAvg = recent3.reduce((sum, score) => sum + score, 0) / recent3.length;
-          const olderAvg = older3.reduce((sum, score) => sum + score, 0) / older3.length;
-          const difference = recentAvg - olderAvg;
-
-          if (difference > 5) {
-            trend = 'improving';
-          } else if (difference < -5) {
-            trend = 'declining';
-          }
-        }
-      }
+      // Calculate trend (matches are newest first; the trend reads scores oldest first)
+      const trendAnalysis = analyzeTrend([...recentScores].reverse());
 
       // Update calculated values based on actual match data if available
       if (recentScores.length > 0) {
@@ -316,7 +920,8 @@ class MatchService {
       return {
         ...player,
         recentScores: recentScores.slice(0, 5), // Last 5 scores
-        trend,
+        trend: trendAnalysis.direction,
+        trendAnalysis,
         performanceHistory: recentMatches.slice(0, 5).map(match => ({
           date: match.date,
           score: match.calculatedScore,
@@ -382,6 +987,83 @@ class MatchService {
     }
   }
 
+  /**
+   * Aggregate a set of matches: matches played, average, best performance, latest score
+   * and trend
+   * @param {Array} matches - Matches, in any order
+   * @returns {Object} { matchesPlayed, averageScore, bestPerformance, latestScore, trend },
+   *   where bestPerformance is { matchId, playerId, score, date } (null without scored matches)
+   */
+  summarizeMatches(matches) {
+    const scored = sortByMatchDate(matches).filter(match => typeof match.calculatedScore === 'number');
+    const scores = scored.map(match => match.calculatedScore);
+    const best = scored.reduce((top, match) => (!top || match.calculatedScore > top.calculatedScore ? match : top), null);
+
+    return {
+      matchesPlayed: matches.length,
+      averageScore: scores.length > 0
+        ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+        : 0,
+      bestPerformance: best
+        ? { matchId: best.id, playerId: best.playerId, score: best.calculatedScore, date: best.date }
+        : null,
+      latestScore: scores.length > 0 ? scores[0] : null,
+      // The trend reads the last 10 scores oldest first
+      trend: analyzeTrend(scores.slice(0, 10).reverse()).direction
+    };
+  }
+
+  /**
+   * Aggregates of a player's matches in a season
+   * @param {string} playerId - Player ID (user UID)
+   * @param {Object} [season] - Season (see createSeason); all of the player's matches when omitted
+   * @returns {Promise<Object>} summarizeMatches output with the season's `matches`, newest first
+   */
+  async getPlayerSeasonSummary(playerId, season = null) {
+    try {
+      const matches = filterMatchesBySeason(await this.getPlayerMatches(playerId), season);
+      return { ...this.summarizeMatches(matches), matches };
+    } catch (error) {
+      console.error('Error getting player season summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregates of a coach's matches in a season, for the team, per player and per competition
+   * @param {string} coachId - Coach ID
+   * @param {Object} [season] - Season (see createSeason); all of the coach's matches when omitted
+   * @returns {Promise<Object>} summarizeMatches output for the team with the season's
+   *   `matches` (newest first), `players` ({ [playerId]: summary }) and `competitions`
+   *   ([{ competition, ...summary }], most played first; '' for matches without one)
+   */
+  async getTeamSeasonSummary(coachId, season = null) {
+    try {
+      const matches = filterMatchesBySeason(await this.getCoachMatches(coachId), season);
+
+      const groupBy = (keyOf) => matches.reduce((groups, match) => {
+        const key = keyOf(match);
+        (groups[key] ||= []).push(match);
+        return groups;
+      }, {});
+
+      const players = Object.fromEntries(Object.entries(groupBy(match => match.playerId))
+        .map(([playerId, playerMatches]) => [playerId, this.summarizeMatches(playerMatches)]));
+      // Competitions are told apart case-insensitively, like filterMatchesByContext
+      const competitions = Object.values(groupBy(match => (match.matchContext?.competition || '').trim().toLowerCase()))
+        .map(competitionMatches => ({
+          competition: (competitionMatches[0].matchContext?.competition || '').trim(),
+          ...this.summarizeMatches(competitionMatches)
+        }))
+        .sort((a, b) => b.matchesPlayed - a.matchesPlayed);
+
+      return { ...this.summarizeMatches(matches), matches, players, competitions };
+    } catch (error) {
+      console.error('Error getting team season summary:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a match and update player statistics
    * @param {string} matchId - Match ID
@@ -395,8 +1077,12 @@ class MatchService {
         throw new Error('Match not found');
       }
 
-      // Delete the match
-      await firestoreService.delete('matches', matchId);
+      // Delete the match and its statistics marker, so a resubmit under the same ID is
+      // counted again
+      await firestoreService.batchWrite([
+        { type: 'delete', collection: 'matches', docId: matchId },
+        { type: 'delete', collection: STATISTICS_UPDATES_COLLECTION, docId: matchId }
+      ]);
 
       // Recalculate player statistics
       await this.recalculatePlayerStatistics(match.playerId);
@@ -408,47 +1094,149 @@ class MatchService {
   }
 
   /**
-   * Recalculate player statistics from all matches
+   * Player statistics worked out from the player's matches
+   * @param {Array} matches - All of the player's matches, newest first
+   * @returns {Object} { currentScore, matchCount, totalScore, averageScore, lastMatchDate }
+   */
+  calculatePlayerStatistics(matches) {
+    if (matches.length === 0) {
+      // No matches, reset stats
+      return {
+        currentScore: 0,
+        matchCount: 0,
+        totalScore: 0,
+        averageScore: 0,
+        lastMatchDate: null
+      };
+    }
+
+    const validScores = matches.map(m => m.calculatedScore).filter(score => typeof score === 'number');
+    const totalScore = validScores.reduce((sum, score) => sum + score, 0);
+    const averageScore = validScores.length > 0 ? totalScore / validScores.length : 0;
+    const lastMatch = matches[0]; // Most recent match (sorted by date desc)
+
+    return {
+      currentScore: lastMatch.calculatedScore || 0,
+      matchCount: matches.length,
+      totalScore: totalScore,
+      averageScore: Math.round(averageScore * 100) / 100,
+      lastMatchDate: lastMatch.date
+    };
+  }
+
+  /**
+   * Recalculate player statistics from all matches. The matches are queried inside the
+   * transaction: a match counted meanwhile changes the player document, so Firestore
+   * reruns the recalculation with that match included instead of overwriting its count.
    * @param {string} playerId - Player ID
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} The recalculated statistics
    */
   async recalculatePlayerStatistics(playerId) {
     try {
-      // Get all matches for the player
-      const matches = await this.getPlayerMatches(playerId);
+      return await firestoreService.runTransaction(async (transaction) => {
+        const player = await transaction.read('players', playerId);
+        if (!player) {
+          throw new Error('Player not found');
+        }
 
-      if (matches.length === 0) {
-        // No matches, reset stats
-        const resetStats = {
-          currentScore: 0,
-          matchCount: 0,
-          totalScore: 0,
-          averageScore: 0,
-          lastMatchDate: null
-        };
+        const updatedStats = this.calculatePlayerStatistics(await this.getPlayerMatches(playerId));
+        transaction.update('players', playerId, updatedStats);
+        return updatedStats;
+      });
+    } catch (error) {
+      console.error('Error recalculating player statistics:', error);
+      throw error;
+    }
+  }
 
-        await firestoreService.updatePlayerStats(playerId, resetStats);
-        return;
-      }
+  /**
+   * Compare a player's stored statistics with the ones recalculated from their matches,
+   * and by default repair any drift
+   * @param {string} playerId - Player ID
+   * @param {Object} [options]
+   * @param {boolean} [options.repair=true] - Write the recalculated statistics when they differ
+   * @returns {Promise<Object>} { playerId, consistent, drift, repaired }, where `drift` maps
+   *   each differing field to { stored, expected }
+   */
+  async checkPlayerStatistics(playerId, { repair = true } = {}) {
+    try {
+      // Read, recalculate and repair in one transaction, like recalculatePlayerStatistics
+      return await firestoreService.runTransaction(async (transaction) => {
+        const player = await transaction.read('players', playerId);
+        if (!player) {
+          throw new Error('Player not found');
+        }
 
-      // Calculate statistics from all matches
-      const validScores = matches.map(m => m.calculatedScore).filter(score => score !== null);
-      const totalScore = validScores.reduce((sum, score) => sum + score, 0);
-      const averageScore = validScores.length > 0 ? totalScore / validScores.length : 0;
-      const lastMatch = matches[0]; // Most recent match (sorted by date desc)
-
-      const updatedStats = {
-        currentScore: lastMatch.calculatedScore || 0,
-        matchCount: matches.length,
-        totalScore: totalScore,
-        averageScore: Math.round(averageScore * 100) / 100,
-        lastMatchDate: lastMatch.date
-      };
+        const expected = this.calculatePlayerStatistics(await this.getPlayerMatches(playerId));
 
-      await firestoreService.updatePlayerStats(playerId, updatedStats);
+        // Missing statistics count as a player without matches; scores are compared to
+        // 2 decimal places and dates as millis
+        const stored = (field) => player[field] ?? (field === 'lastMatchDate' ? null : 0);
+        const comparable = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : toComparable(value));
 
+        const drift = Object.fromEntries(PLAYER_STATISTICS_FIELDS
+          .filter(field => comparable(stored(field)) !== comparable(expected[field]))
+          .map(field => [field, { stored: player[field] ?? null, expected: expected[field] }]));
+
+        const consistent = Object.keys(drift).length === 0;
+        if (!consistent && repair) {
+          transaction.update('players', playerId, expected);
+        }
+
+        return { playerId, consistent, drift, repaired: !consistent && repair };
+      });
     } catch (error) {
-      console.error('Error recalculating player statistics:', error);
+      console.error('Error checking player statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the statistics of every player of a coach (see checkPlayerStatistics)
+   * @param {string} coachId - Coach ID
+   * @param {Object} [options] - Options for checkPlayerStatistics
+   * @returns {Promise<Array>} Results for the players whose statistics had drifted
+   */
+  async checkCoachStatistics(coachId, options = {}) {
+    try {
+      const players = await firestoreService.getPlayersByCoach(coachId);
+      const results = [];
+      for (const player of players) {
+        results.push(await this.checkPlayerStatistics(player.id, options));
+      }
+      return results.filter(result => !result.consistent);
+    } catch (error) {
+      console.error('Error checking coach statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite a coach's matches that still store suggestions as plain strings
+   * into suggestion objects (see normalizeSuggestion)
+   * @param {string} coachId - Coach ID
+   * @returns {Promise<number>} Number of matches updated
+   */
+  async migrateLegacySuggestions(coachId) {
+    try {
+      const matches = await this.getCoachMatches(coachId);
+      const operations = matches
+        .filter(match => (match.suggestions || []).some(suggestion => typeof suggestion === 'string'))
+        .map(match => ({
+          type: 'update',
+          collection: 'matches',
+          docId: match.id,
+          data: { suggestions: match.suggestions.map(normalizeSuggestion) }
+        }));
+
+      // Firestore batches hold at most 500 writes
+      for (let start = 0; start < operations.length; start += 500) {
+        await firestoreService.batchWrite(operations.slice(start, start + 500));
+      }
+
+      return operations.length;
+    } catch (error) {
+      console.error('Error migrating legacy suggestions:', error);
       throw error;
     }
   }
@@ -1,147 +1,128 @@
 /**
  * Performance calculation engine for sport-specific scoring
  * Requirements: 3.1, 3.2, 3.3 - Performance score calculation
+ *
+ * Sport-specific scorers live in the sport definitions (../sports); this module
+ * dispatches to them and provides sport-agnostic score helpers.
  */
 
+import { getSport } from '../sports/index.js';
+import { applyDifficulty, getDifficultyMultiplier } from '../sports/matchContext.js';
+
+export { calculateCricketScore } from '../sports/cricket.js';
+export { calculateFootballScore } from '../sports/football.js';
+export { calculateBasketballScore } from '../sports/basketball.js';
+export { calculateVolleyballScore } from '../sports/volleyball.js';
+export { calculateHockeyScore } from '../sports/hockey.js';
+export { calculateTennisScore } from '../sports/tennis.js';
+
 /**
- * Calculate cricket performance score based on batting, bowling, and fielding contributions
- * @param {Object} params - Cricket parameters
- * @param {number} params.runsScored - Runs scored by the player
- * @param {number} params.ballsFaced - Balls faced by the player
- * @param {number} params.wicketsTaken - Wickets taken by the player
- * @param {number} params.runsConceded - Runs conceded while bowling
- * @param {number} params.catches - Catches taken by the player
- * @param {number} params.oversBowled - Overs bowled by the player
+ * Calculate performance score for any registered sport
+ * @param {string} sport - Sport id (e.g. 'cricket', 'football', 'tennis')
+ * @param {Object} parameters - Sport-specific parameters
+ * @param {Object} [profile] - Team scoring profile ({ weights, caps, baselines } overrides);
+ *   omitted sections and values fall back to the sport's default profile
+ * @param {Object} [context] - Scoring context passed through to the sport scorer
+ * @param {string} [context.playingRole] - Player's playing role, for sports that define roles
+ * @param {Object} [context.matchContext] - Match context; its opponentStrength scales the
+ *   score when the profile sets a difficultyWeight
  * @returns {number} Performance score (0-100)
  */
-export const calculateCricketScore = (params) => {
-  const { runsScored, ballsFaced, wicketsTaken, runsConceded, catches, oversBowled } = params;
-
-  // Validate inputs
-  if (!params || typeof params !== 'object') {
-    throw new Error('Invalid cricket parameters provided');
+export const calculatePerformanceScore = (sport, parameters, profile = null, context = {}) => {
+  if (!sport || !parameters) {
+    throw new Error('Sport and parameters are required');
   }
 
-  // Batting score: strike rate normalized to 0-100
-  let battingScore = 0;
-  if (ballsFaced > 0) {
-    const strikeRate = (runsScored / ballsFaced) * 100;
-    battingScore = Math.min(100, strikeRate);
+  const definition = getSport(sport);
+  if (!definition) {
+    throw new Error(`Unsupported sport: ${sport}`);
   }
 
-  // Bowling score: wicket rate + economy rate combined
-  let bowlingScore = 0;
-  if (oversBowled > 0) {
-    const wicketsPerOver = wicketsTaken / oversBowled;
-    const wicketScore = Math.min(100, (wicketsPerOver / 0.5) * 100);
-
-    const economy = runsConceded / oversBowled;
-    const economyScore = ((12 - economy) / (12 - 3)) * 100;
-
-    bowlingScore = (0.6 * wicketScore) + (0.4 * economyScore);
+  if (getDifficultyMultiplier(context?.matchContext, profile?.difficultyWeight) !== 1) {
+    return calculatePerformanceBreakdown(sport, parameters, profile, context).score;
   }
 
-  // Fielding score
-  const fieldingScore = Math.min(100, catches * 20);
-
-  // Weighted combination: Batting 50%, Bowling 30%, Fielding 20%
-  const totalScore = (battingScore * 0.5) + (bowlingScore * 0.3) + (fieldingScore * 0.2);
-
-  return Math.round(Math.min(100, Math.max(0, totalScore)));
+  return definition.calculateScore(parameters, profile, context);
 };
 
 /**
- * Calculate football performance score based on goals, assists, passing, and defense
- * @param {Object} params - Football parameters
- * @param {number} params.goalsScored - Goals scored by the player
- * @param {number} params.assists - Assists made by the player
- * @param {number} params.passesCompleted - Passes completed by the player
- * @param {number} params.tacklesMade - Tackles made by the player
- * @param {number} params.minutesPlayed - Minutes played by the player
- * @returns {number} Performance score (0-100)
+ * Calculate a performance score together with the components that produced it
+ * @param {string} sport - Sport id (e.g. 'cricket', 'football', 'tennis')
+ * @param {Object} parameters - Sport-specific parameters
+ * @param {Object} [profile] - Team scoring profile overrides (see calculatePerformanceScore)
+ * @param {Object} [context] - Scoring context passed through to the sport scorer
+ * @returns {Object} Breakdown: { score, total, components: [{ id, label, score, weight, contribution, rates }] },
+ *   plus `difficulty` when the opponent's strength changed the total;
+ *   `score` always equals calculatePerformanceScore for the same inputs
  */
-export const calculateFootballScore = (params) => {
-  const { goalsScored, assists, passesCompleted, tacklesMade, minutesPlayed } = params;
-  
-  // Validate inputs
-  if (!params || typeof params !== 'object') {
-    throw new Error('Invalid football parameters provided');
+export const calculatePerformanceBreakdown = (sport, parameters, profile = null, context = {}) => {
+  if (!sport || !parameters) {
+    throw new Error('Sport and parameters are required');
   }
-  
-  // Prevent division by zero
-  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
 
-  // All stats normalized per 90 minutes
-  const goalsScore = (goalsScored / safeMinutesPlayed) * 90 * 20;
-  const assistsScore = (assists / safeMinutesPlayed) * 90 * 15;
-  const passingScore = Math.min(30, (passesCompleted / safeMinutesPlayed) * 30);
-  const tacklesScore = Math.min(20, (tacklesMade / safeMinutesPlayed) * 90 * 0.22);
-
-  const attack = goalsScore;
-  const playmaking = assistsScore + passingScore;
-  const defense = tacklesScore;
+  const definition = getSport(sport);
+  if (!definition) {
+    throw new Error(`Unsupported sport: ${sport}`);
+  }
 
-  const totalScore = (0.4 * attack) + (0.3 * playmaking) + (0.3 * defense);
+  let breakdown;
+  if (definition.calculateBreakdown) {
+    breakdown = definition.calculateBreakdown(parameters, profile, context);
+  } else {
+    // Sports registered without a breakdown still get a score, just no components
+    const score = definition.calculateScore(parameters, profile, context);
+    breakdown = { score, total: score, components: [] };
+  }
 
-  return Math.round(Math.min(100, Math.max(0, totalScore)));
+  return applyDifficulty(breakdown, context?.matchContext, profile?.difficultyWeight);
 };
 
+// Fewest peer scores a percentile is reported against; below this it is null
+export const MIN_PERCENTILE_SAMPLE = 5;
+
 /**
- * Calculate basketball performance score based on points, rebounds, assists, steals, and field goal %
- * @param {Object} params - Basketball parameters
- * @param {number} params.pointsScored - Points scored by the player
- * @param {number} params.rebounds - Rebounds by the player
- * @param {number} params.assists - Assists by the player
- * @param {number} params.steals - Steals by the player
- * @param {number} params.minutesPlayed - Minutes played by the player
- * @param {number} params.fieldGoalPercentage - Field goal percentage (0-1)
- * @returns {number} Performance score (0-100)
+ * Percentile rank of a score within a population of scores. Ties count as half
+ * above and half below, so a score equal to every peer sits at the 50th percentile.
+ * @param {number} score - Performance score (0-100)
+ * @param {Array<number>} population - Peer scores
+ * @returns {number|null} Percentile (0-100), or null when there are fewer than
+ *   MIN_PERCENTILE_SAMPLE peer scores
  */
-export const calculateBasketballScore = (params) => {
-  const { pointsScored, rebounds, assists, steals, minutesPlayed, fieldGoalPercentage } = params;
-
-  // Validate inputs
-  if (!params || typeof params !== 'object') {
-    throw new Error('Invalid basketball parameters provided');
+export const calculatePercentile = (score, population = []) => {
+  const scores = population.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (typeof score !== 'number' || scores.length < MIN_PERCENTILE_SAMPLE) {
+    return null;
   }
 
-  // Prevent division by zero
-  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
-
-  // All stats normalized per 48 minutes
-  const pointScore = Math.min(40, (pointsScored / safeMinutesPlayed) * 48 * 1);
-  const reboundScore = Math.min(25, (rebounds / safeMinutesPlayed) * 48 * 2.5);
-  const assistScore = Math.min(25, (assists / safeMinutesPlayed) * 48 * 3.125);
-  const stealScore = Math.min(10, (steals / safeMinutesPlayed) * 48 * 5);
-
-  const efficiencyScore = (fieldGoalPercentage || 0) * 100;
+  const below = scores.filter(value => value < score).length;
+  const equal = scores.filter(value => value === score).length;
 
-  const totalScore = pointScore + reboundScore + assistScore + stealScore + (0.2 * efficiencyScore);
-
-  return Math.round(Math.min(100, Math.max(0, totalScore)));
+  return Math.round(((below + (equal / 2)) / scores.length) * 100);
 };
 
 /**
- * Calculate performance score for any sport
- * @param {string} sport - Sport type ('cricket', 'football', 'basketball')
- * @param {Object} parameters - Sport-specific parameters
- * @returns {number} Performance score (0-100)
+ * Place a match score among its peers: the coach's squad, the sport and, when the
+ * player's role is known, the players of that role
+ * @param {number} score - Performance score (0-100)
+ * @param {Object} peers - Stored matches of the same sport in each peer group
+ * @param {Array<Object>} [peers.squad] - The coach's matches
+ * @param {Array<Object>} [peers.sport] - Matches of every team
+ * @param {Array<Object>|null} [peers.position] - Matches played in the player's role, or
+ *   null when no role is known
+ * @returns {Object} { squad, sport, position }, each { percentile, sampleSize };
+ *   position is null when no role is known
  */
-export const calculatePerformanceScore = (sport, parameters) => {
-  if (!sport || !parameters) {
-    throw new Error('Sport and parameters are required');
-  }
-  
-  switch (sport.toLowerCase()) {
-    case 'cricket':
-      return calculateCricketScore(parameters);
-    case 'football':
-      return calculateFootballScore(parameters);
-    case 'basketball':
-      return calculateBasketballScore(parameters);
-    default:
-      throw new Error(`Unsupported sport: ${sport}`);
-  }
+export const calculatePeerPercentiles = (score, { squad = [], sport = [], position = null } = {}) => {
+  const rank = (matches) => {
+    const population = matches.map(match => match.calculatedScore).filter(value => typeof value === 'number');
+    return { percentile: calculatePercentile(score, population), sampleSize: population.length };
+  };
+
+  return {
+    squad: rank(squad),
+    sport: rank(sport),
+    position: position ? rank(position) : null
+  };
 };
 
 /**
@@ -0,0 +1,163 @@
+/**
+ * Scoring profile service for per-team performance score configuration
+ * Requirements: 3.1, 3.2, 3.3, 7.1 - Configurable performance score calculation
+ *
+ * A team is a coach's squad for one sport. The current profile lives in
+ * `scoringProfiles/{coachId}_{sport}`; every saved version is also kept as an
+ * immutable snapshot in `scoringProfileVersions/{coachId}_{sport}_v{version}` so
+ * a match's calculatedScore can always be traced back to the weights that produced it.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import { getSport } from '../sports/index.js';
+import { resolveScoringProfile } from '../sports/scoringProfile.js';
+import { validateScoringProfile } from '../utils/validators.js';
+
+const PROFILES_COLLECTION = 'scoringProfiles';
+const VERSIONS_COLLECTION = 'scoringProfileVersions';
+
+/**
+ * Scoring profile service class for reading and versioning team scoring profiles
+ */
+class ScoringProfileService {
+
+  /**
+   * Build the profile document ID for a team
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {string} Profile document ID
+   */
+  getProfileId(coachId, sport) {
+    return `${coachId}_${getSport(sport)?.id || sport}`;
+  }
+
+  /**
+   * Reference recorded on a match for the profile that produced its score.
+   * Version 0 means the sport's built-in defaults.
+   * @param {Object|null} profile - Team profile document
+   * @returns {Object} Profile reference ({ id, version })
+   */
+  getProfileReference(profile) {
+    return {
+      id: profile?.id || null,
+      version: profile?.version || 0
+    };
+  }
+
+  /**
+   * Get the current scoring profile for a team
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {Promise<Object|null>} Team profile or null when the team uses the defaults
+   */
+  async getTeamProfile(coachId, sport) {
+    try {
+      if (!coachId || !sport) {
+        return null;
+      }
+      return await firestoreService.read(PROFILES_COLLECTION, this.getProfileId(coachId, sport));
+    } catch (error) {
+      console.error('Error getting team scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the effective profile (defaults merged with team overrides) for display
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {Promise<Object>} Effective profile with weights, caps, baselines,
+   *   difficultyWeight and version
+   */
+  async getEffectiveProfile(coachId, sport) {
+    const definition = getSport(sport);
+    if (!definition?.scoringProfile) {
+      throw new Error(`Sport does not support scoring profiles: ${sport}`);
+    }
+
+    const teamProfile = await this.getTeamProfile(coachId, sport);
+    return {
+      ...resolveScoringProfile(definition.scoringProfile, teamProfile),
+      difficultyWeight: teamProfile?.difficultyWeight || 0,
+      ...this.getProfileReference(teamProfile)
+    };
+  }
+
+  /**
+   * Save a new version of a team's scoring profile
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @param {Object} overrides - Profile overrides ({ weights, caps, baselines, difficultyWeight })
+   * @returns {Promise<Object>} Saved profile including its new version number
+   */
+  async saveTeamProfile(coachId, sport, overrides) {
+    try {
+      if (!coachId) {
+        throw new Error('Coach ID is required');
+      }
+
+      const validation = validateScoringProfile(sport, overrides);
+      if (!validation.isValid) {
+        throw new Error(`Invalid scoring profile: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const sportId = getSport(sport).id;
+      const profileId = this.getProfileId(coachId, sportId);
+      const current = await this.getTeamProfile(coachId, sportId);
+      const version = (current?.version || 0) + 1;
+
+      const profile = {
+        coachId,
+        sport: sportId,
+        version,
+        weights: { ...(overrides.weights || {}) },
+        caps: { ...(overrides.caps || {}) },
+        baselines: { ...(overrides.baselines || {}) },
+        difficultyWeight: overrides.difficultyWeight || 0
+      };
+
+      // Write the current profile and its immutable snapshot together
+      await firestoreService.batchWrite([
+        {
+          type: 'set',
+          collection: PROFILES_COLLECTION,
+          docId: profileId,
+          data: { ...profile, createdAt: current?.createdAt || new Date() }
+        },
+        {
+          type: 'set',
+          collection: VERSIONS_COLLECTION,
+          docId: `${profileId}_v${version}`,
+          data: { ...profile, profileId, createdAt: new Date() }
+        }
+      ]);
+
+      return { id: profileId, ...profile };
+    } catch (error) {
+      console.error('Error saving team scoring profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a specific historical version of a team profile
+   * @param {string} profileId - Profile document ID
+   * @param {number} version - Profile version
+   * @returns {Promise<Object|null>} Profile snapshot or null if not found
+   */
+  async getProfileVersion(profileId, version) {
+    try {
+      if (!profileId || !version) {
+        return null;
+      }
+      return await firestoreService.read(VERSIONS_COLLECTION, `${profileId}_v${version}`);
+    } catch (error) {
+      console.error('Error getting scoring profile version:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const scoringProfileService = new ScoringProfileService();
+export default scoringProfileService;
@@ -0,0 +1,295 @@
+/**
+ * Season and fixture service
+ * Requirements: 2.4, 5.2 - Match data storage and match history display
+ *
+ * Seasons live in the `seasons` collection (see createSeason) and fixtures in `fixtures`
+ * (see createFixture). A match links to the fixture it was entered from with `fixtureId`,
+ * and belongs to the season its date falls in; matchService holds the season aggregates.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import {
+  createFixture,
+  createSeason,
+  EDITABLE_FIXTURE_FIELDS,
+  filterMatchesBySeason
+} from '../models/matchData.js';
+import { validateFixture, validateSeason } from '../utils/validators.js';
+import { sortByMatchDate, toMillis } from '../utils/matchDate.js';
+
+const SEASONS_COLLECTION = 'seasons';
+const FIXTURES_COLLECTION = 'fixtures';
+
+// Season fields that can change after saving
+const EDITABLE_SEASON_FIELDS = ['name', 'startDate', 'endDate'];
+
+/**
+ * Season service class for a coach's seasons and fixtures
+ */
+class SeasonService {
+
+  /**
+   * Create a season; a coach's seasons cannot overlap
+   * @param {Object} seasonData - Season fields (see createSeason)
+   * @returns {Promise<Object>} Stored season with its ID
+   */
+  async createSeason(seasonData) {
+    try {
+      const season = createSeason(seasonData);
+      await this.checkSeason(season);
+
+      const seasonId = await firestoreService.create(SEASONS_COLLECTION, season);
+      return { ...season, id: seasonId };
+    } catch (error) {
+      console.error('Error creating season:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a season by ID
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<Object|null>} Season or null if not found
+   */
+  async getSeason(seasonId) {
+    try {
+      return await firestoreService.read(SEASONS_COLLECTION, seasonId);
+    } catch (error) {
+      console.error('Error getting season:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a coach's seasons, latest first
+   * @param {string} coachId - Coach ID
+   * @returns {Promise<Array>} Seasons
+   */
+  async getCoachSeasons(coachId) {
+    try {
+      const seasons = await firestoreService.query(SEASONS_COLLECTION, [
+        { field: 'coachId', operator: '==', value: coachId }
+      ]);
+      // Sorted in memory to avoid a composite index
+      return seasons.sort((a, b) => (toMillis(b.startDate) ?? 0) - (toMillis(a.startDate) ?? 0));
+    } catch (error) {
+      console.error('Error getting coach seasons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a season or change its dates
+   * @param {string} seasonId - Season ID
+   * @param {Object} changes - New values for name, startDate or endDate
+   * @returns {Promise<Object>} Updated season
+   */
+  async updateSeason(seasonId, changes) {
+    try {
+      const season = await this.getSeason(seasonId);
+      if (!season) {
+        throw new Error('Season not found');
+      }
+
+      const unknownFields = Object.keys(changes || {}).filter(field => !EDITABLE_SEASON_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Season fields cannot be edited: ${unknownFields.join(', ')}`);
+      }
+
+      const updated = { ...season, ...changes, name: (changes.name ?? season.name).trim() };
+      await this.checkSeason(updated, seasonId);
+
+      const updates = Object.fromEntries(Object.keys(changes).map(field => [field, updated[field]]));
+      await firestoreService.update(SEASONS_COLLECTION, seasonId, updates);
+      return updated;
+    } catch (error) {
+      console.error('Error updating season:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a season. Its fixtures and matches are kept; they simply no longer fall in a season.
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<void>}
+   */
+  async deleteSeason(seasonId) {
+    try {
+      await firestoreService.delete(SEASONS_COLLECTION, seasonId);
+    } catch (error) {
+      console.error('Error deleting season:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a season and check it does not overlap the coach's other seasons
+   * @param {Object} season - Season
+   * @param {string} [seasonId] - ID of the season being updated
+   * @returns {Promise<void>}
+   */
+  async checkSeason(season, seasonId = null) {
+    const validation = validateSeason(season);
+    if (!validation.isValid) {
+      throw new Error(`Invalid season: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    const overlapping = (await this.getCoachSeasons(season.coachId)).find(other =>
+      other.id !== seasonId &&
+      toMillis(other.startDate) <= toMillis(season.endDate) &&
+      toMillis(season.startDate) <= toMillis(other.endDate));
+    if (overlapping) {
+      throw new Error(`Season overlaps ${overlapping.name}`);
+    }
+  }
+
+  /**
+   * Create a fixture, e.g. one scheduled ahead of the game. Team sheets save their own
+   * fixture together with its matches (see matchService.submitTeamSheet).
+   * @param {Object} fixtureData - Fixture fields (see createFixture)
+   * @returns {Promise<Object>} Stored fixture with its ID
+   */
+  async createFixture(fixtureData) {
+    try {
+      const fixture = createFixture(fixtureData);
+      const validation = validateFixture(fixture, { allowFuture: true });
+      if (!validation.isValid) {
+        throw new Error(`Invalid fixture: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const fixtureId = await firestoreService.create(FIXTURES_COLLECTION, fixture);
+      return { ...fixture, id: fixtureId };
+    } catch (error) {
+      console.error('Error creating fixture:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a fixture by ID
+   * @param {string} fixtureId - Fixture ID
+   * @returns {Promise<Object|null>} Fixture or null if not found
+   */
+  async getFixture(fixtureId) {
+    try {
+      return await firestoreService.read(FIXTURES_COLLECTION, fixtureId);
+    } catch (error) {
+      console.error('Error getting fixture:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a coach's fixtures, newest first
+   * @param {string} coachId - Coach ID
+   * @param {Object} [season] - Only fixtures played in this season
+   * @returns {Promise<Array>} Fixtures
+   */
+  async getCoachFixtures(coachId, season = null) {
+    try {
+      const fixtures = await firestoreService.query(FIXTURES_COLLECTION, [
+        { field: 'coachId', operator: '==', value: coachId }
+      ]);
+      return sortByMatchDate(filterMatchesBySeason(fixtures, season));
+    } catch (error) {
+      console.error('Error getting coach fixtures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fixtures a coach's team has still to play, soonest first
+   * @param {string} coachId - Coach ID
+   * @param {Object} [options]
+   * @param {string} [options.sport] - Only fixtures of this sport
+   * @param {*} [options.from] - Start of the window (defaults to now)
+   * @returns {Promise<Array>} Fixtures
+   */
+  async getUpcomingFixtures(coachId, { sport = null, from = new Date() } = {}) {
+    try {
+      const fromMillis = toMillis(from) ?? Date.now();
+      const fixtures = await this.getCoachFixtures(coachId);
+      return fixtures
+        .filter(fixture => (!sport || fixture.sport === sport) && (toMillis(fixture.date) ?? 0) >= fromMillis)
+        .reverse();
+    } catch (error) {
+      console.error('Error getting upcoming fixtures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a fixture's opponent, competition, venue or result, and the match context of
+   * its matches with it, in one batch
+   * @param {string} fixtureId - Fixture ID
+   * @param {Object} changes - New values for any of EDITABLE_FIXTURE_FIELDS
+   * @returns {Promise<Object>} Updated fixture
+   */
+  async updateFixture(fixtureId, changes) {
+    try {
+      const fixture = await this.getFixture(fixtureId);
+      if (!fixture) {
+        throw new Error('Fixture not found');
+      }
+
+      const unknownFields = Object.keys(changes || {}).filter(field => !EDITABLE_FIXTURE_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Fixture fields cannot be edited: ${unknownFields.join(', ')}`);
+      }
+
+      const updated = createFixture({ ...fixture, ...changes });
+      const validation = validateFixture(updated, { allowFuture: true });
+      if (!validation.isValid) {
+        throw new Error(`Invalid fixture: ${Object.values(validation.errors).join(', ')}`);
+      }
+
+      const updates = Object.fromEntries(EDITABLE_FIXTURE_FIELDS.map(field => [field, updated[field]]));
+      const matches = (await Promise.all((fixture.matchIds || []).map(matchId =>
+        firestoreService.read('matches', matchId)))).filter(Boolean);
+
+      await firestoreService.batchWrite([
+        { type: 'update', collection: FIXTURES_COLLECTION, docId: fixtureId, data: updates },
+        ...matches.map(match => ({
+          type: 'update',
+          collection: 'matches',
+          docId: match.id,
+          data: { matchContext: { ...match.matchContext, ...updates } }
+        }))
+      ]);
+
+      return { ...fixture, ...updates };
+    } catch (error) {
+      console.error('Error updating fixture:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a fixture. Its matches are kept and unlinked from it, in the same batch.
+   * @param {string} fixtureId - Fixture ID
+   * @returns {Promise<void>}
+   */
+  async deleteFixture(fixtureId) {
+    try {
+      const fixture = await this.getFixture(fixtureId);
+      if (!fixture) {
+        throw new Error('Fixture not found');
+      }
+
+      const matches = (await Promise.all((fixture.matchIds || []).map(matchId =>
+        firestoreService.read('matches', matchId)))).filter(Boolean);
+
+      await firestoreService.batchWrite([
+        { type: 'delete', collection: FIXTURES_COLLECTION, docId: fixtureId },
+        ...matches.map(match => ({ type: 'update', collection: 'matches', docId: match.id, data: { fixtureId: null } }))
+      ]);
+    } catch (error) {
+      console.error('Error deleting fixture:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const seasonService = new SeasonService();
+export default seasonService;
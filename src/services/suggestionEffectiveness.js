@@ -0,0 +1,157 @@
+/**
+ * Suggestion effectiveness from player feedback
+ * Requirements: 4.1, 4.2 - Intelligent suggestion system
+ *
+ * A suggestion the player marked 'done' is followed up in their next matches of the
+ * same sport: the rule's metric is evaluated in each of those matches and compared with
+ * its value in the match that produced the suggestion. A follow-up counts as improved
+ * when the metric moved away from the side of the threshold that fired the rule
+ * (up for '<' and '<=' rules, down for '>' and '>='; score-based rules always up).
+ */
+
+import { getSport } from '../sports/index.js';
+import { buildRuleScope, evaluateExpression } from '../sports/suggestionRules.js';
+import { toMillis } from '../utils/matchDate.js';
+
+const FOLLOW_UP_MATCHES = 3;
+
+// A rule is de-prioritised once enough evidence says it does not help
+export const MIN_EVALUATED_SUGGESTIONS = 5;
+export const MIN_IMPROVEMENT_RATE = 0.3;
+export const MIN_RATED_SUGGESTIONS = 5;
+export const MAX_NOT_USEFUL_RATE = 0.5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Which way a rule's metric should move once the player acts on the suggestion
+ * @param {Object} feedback - Feedback entry ({ ruleId, sport, metric, comparator })
+ * @returns {number} 1 (up), -1 (down) or 0 (no direction, e.g. '==' rules)
+ */
+const getImprovementDirection = (feedback) => {
+  const comparator = feedback.comparator ??
+    getSport(feedback.sport)?.suggestionRules?.find(rule => rule.id === feedback.ruleId)?.comparator;
+
+  if (comparator === '<' || comparator === '<=') return 1;
+  if (comparator === '>' || comparator === '>=') return -1;
+  return feedback.metric === 'score' ? 1 : 0;
+};
+
+/**
+ * Evaluate a rule metric in a stored match
+ * @param {string|number} metric - Rule metric expression
+ * @param {Object} match - Stored match ({ sport, parameters, calculatedScore, playingRole, matchFormat })
+ * @returns {number} Metric value (NaN when it cannot be evaluated)
+ */
+export const evaluateMatchMetric = (metric, match) => {
+  const definition = getSport(match?.sport);
+  if (!definition || !match.parameters || metric === null || metric === undefined) {
+    return NaN;
+  }
+
+  const context = { playingRole: match.playingRole || null, matchFormat: match.matchFormat || null };
+  try {
+    return evaluateExpression(metric, buildRuleScope(definition, match.parameters, match.calculatedScore ?? 0, context));
+  } catch {
+    return NaN;
+  }
+};
+
+/**
+ * Check whether two matches belong to the same player
+ * @param {Object} a - Match
+ * @param {Object} b - Match
+ * @returns {boolean} Whether the player matches
+ */
+const isSamePlayer = (a, b) =>
+  Boolean((a.playerEmail && a.playerEmail === b.playerEmail) || (a.playerId && a.playerId === b.playerId));
+
+/**
+ * Follow up one followed suggestion in the player's next matches
+ * @param {Object} feedback - Feedback entry with status 'done'
+ * @param {Object} source - Match the suggestion came from
+ * @param {Array} matches - Matches to search for follow-ups
+ * @returns {Object|null} { change, improved } or null when there is nothing to compare yet
+ */
+const followUp = (feedback, source, matches) => {
+  const sourceMillis = toMillis(source.date) ?? 0;
+  const later = matches
+    .filter(match => match.id !== source.id && match.sport === source.sport && isSamePlayer(match, source))
+    .filter(match => (toMillis(match.date) ?? 0) > sourceMillis)
+    .sort((a, b) => (toMillis(a.date) ?? 0) - (toMillis(b.date) ?? 0))
+    .slice(0, FOLLOW_UP_MATCHES)
+    .map(match => evaluateMatchMetric(feedback.metric, match))
+    .filter(Number.isFinite);
+
+  const before = Number.isFinite(feedback.value) ? feedback.value : evaluateMatchMetric(feedback.metric, source);
+  if (later.length === 0 || !Number.isFinite(before)) {
+    return null;
+  }
+
+  const direction = getImprovementDirection(feedback);
+  const change = (later.reduce((sum, value) => sum + value, 0) / later.length) - before;
+  return {
+    change: change * (direction || 1),
+    improved: direction === 0 ? null : change * direction > 0
+  };
+};
+
+/**
+ * Work out per-rule effectiveness from player feedback and the coach's matches
+ * @param {Array} feedback - Feedback entries (see createSuggestionFeedback)
+ * @param {Array} matches - The coach's stored matches
+ * @returns {Object} Stats by rule id: { ruleId, sport, metric, shown, done, dismissed, notUseful,
+ *   evaluated, improved, improvementRate, averageChange, deprioritized }. averageChange is
+ *   positive when the metric moved the right way; rates are null until there is data.
+ */
+export const calculateRuleEffectiveness = (feedback = [], matches = []) => {
+  const stats = {};
+  const statsFor = (ruleId, sport, metric) => {
+    if (!stats[ruleId]) {
+      stats[ruleId] = {
+        ruleId, sport, metric, shown: 0, done: 0, dismissed: 0, notUseful: 0, evaluated: 0, improved: 0, changes: []
+      };
+    }
+    return stats[ruleId];
+  };
+
+  matches.forEach(match => {
+    (match.suggestions || [])
+      .filter(suggestion => suggestion?.ruleId)
+      .forEach(suggestion => { statsFor(suggestion.ruleId, match.sport, suggestion.metric).shown += 1; });
+  });
+
+  const matchesById = new Map(matches.map(match => [match.id, match]));
+  feedback.forEach(entry => {
+    const entryStats = statsFor(entry.ruleId, entry.sport, entry.metric);
+    if (entry.status === 'dismissed') entryStats.dismissed += 1;
+    if (entry.status === 'not-useful') entryStats.notUseful += 1;
+    if (entry.status !== 'done') return;
+
+    entryStats.done += 1;
+    const source = matchesById.get(entry.matchId);
+    const result = source ? followUp(entry, source, matches) : null;
+    if (!result) return;
+
+    entryStats.changes.push(result.change);
+    if (result.improved !== null) {
+      entryStats.evaluated += 1;
+      entryStats.improved += result.improved ? 1 : 0;
+    }
+  });
+
+  return Object.fromEntries(Object.values(stats).map(({ changes, ...entry }) => {
+    const rated = entry.done + entry.dismissed + entry.notUseful;
+    const improvementRate = entry.evaluated > 0 ? round2(entry.improved / entry.evaluated) : null;
+    const notUsefulRate = rated > 0 ? entry.notUseful / rated : null;
+
+    return [entry.ruleId, {
+      ...entry,
+      improvementRate,
+      averageChange: changes.length > 0 ? round2(changes.reduce((sum, change) => sum + change, 0) / changes.length) : null,
+      deprioritized:
+        (entry.evaluated >= MIN_EVALUATED_SUGGESTIONS && improvementRate < MIN_IMPROVEMENT_RATE) ||
+        (rated >= MIN_RATED_SUGGESTIONS && notUsefulRate >= MAX_NOT_USEFUL_RATE)
+    }];
+  }));
+};
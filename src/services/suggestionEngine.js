@@ -3,409 +3,602 @@
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5 - Intelligent suggestion system
  */
 
-import { createSuggestion, createRestRecommendation } from '../models/matchData.js';
+import {
+  createSuggestion,
+  createRestRecommendation,
+  createTrainingSession,
+  SUGGESTION_PRIORITIES
+} from '../models/matchData.js';
+import { getSport } from '../sports/index.js';
+import { calculateRestModel } from './workloadModel.js';
+import { getGoalMessage } from './goalProgress.js';
+import { DEFAULT_LANGUAGE, translate, translateMessage } from '../i18n/index.js';
+import { analyzeTrend, MIN_TREND_CHANGE, MIN_TREND_SCORES } from '../utils/trend.js';
+import { toMillis } from '../utils/matchDate.js';
+import {
+  buildRuleScope,
+  compareValues,
+  evaluateExpression,
+  evaluateSuggestionRule,
+  renderRuleMessage
+} from '../sports/suggestionRules.js';
+
+// Fitted change across the trend window for a strong improvement or decline
+const STRONG_TREND_CHANGE = 15;
+// Consecutive falling scores flagged even without a declining trend
+const FALLING_STREAK = 3;
+
+/**
+ * Create a suggestion from a catalogue message (see i18n/index.js), storing its English text
+ * @param {string} type - Suggestion type
+ * @param {string} key - Message key
+ * @param {Object} params - Message parameters
+ * @param {string} priority - Suggestion priority
+ * @param {Object} [details] - Rule details (see createSuggestion)
+ * @returns {Object} Suggestion object
+ */
+const createMessageSuggestion = (type, key, params, priority, details = {}) =>
+  createSuggestion(type, translate(key, params), priority, { ...details, messageKey: key, messageParams: params });
+
+/**
+ * Describe a rest factor's value for the explanation
+ * @param {Object} factor - Rest factor ({ id, label, value, hours })
+ * @returns {Object} Message, in English e.g. "acute:chronic workload 1.6 (+24h)"
+ */
+const describeRestFactor = (factor) => ({
+  key: 'rest.factorChange',
+  params: {
+    label: { key: `rest.factor.${factor.id}`, params: {} },
+    value: factor.id === 'trend' ? { key: `trend.${factor.value}`, params: {} } : factor.value,
+    hours: `${factor.hours > 0 ? '+' : ''}${factor.hours}`
+  }
+});
 
 /**
- * Generate rest recommendation based on performance score
+ * Generate rest recommendation from the performance score and the player's workload.
+ * The same match and history always give the same hours.
  * @param {number} score - Performance score (0-100)
  * @param {string} sport - Sport type
- * @returns {Object} Rest recommendation object
+ * @param {Object} [history] - Workload history ({ parameters, recentMatches, matchDate }),
+ *   see calculateRestModel
+ * @returns {Object} Rest recommendation object with the factors that drove the hours
  */
-export const generateRestRecommendation = (score, sport = 'general') => {
-  let hours, description;
-  
+export const generateRestRecommendation = (score, sport = 'general', history = {}) => {
+  const { hours, factors } = calculateRestModel(score, sport, history);
+  let headline, advice;
+
   if (score < 60) {
-    // Below 60% - Extended rest period
-    hours = Math.floor(Math.random() * 24) + 48; // 48-72 hours
-    description = `Your performance indicates fatigue. Take ${hours} hours of complete rest to recover properly. Focus on sleep, hydration, and light stretching.`;
-  } else if (score >= 60 && score < 80) {
-    // 60-80% - Moderate rest period
-    hours = Math.floor(Math.random() * 24) + 24; // 24-48 hours
-    description = `Good performance but room for improvement. Take ${hours} hours of moderate rest. Light activities like walking or yoga are beneficial.`;
+    headline = 'rest.headline.fatigue';
+  } else if (score < 80) {
+    headline = 'rest.headline.improve';
   } else {
-    // Above 80% - Light rest period
-    hours = Math.floor(Math.random() * 12) + 12; // 12-24 hours
-    description = `Excellent performance! Take ${hours} hours of light rest. You can engage in light training or active recovery activities.`;
+    headline = 'rest.headline.excellent';
   }
-  
-  return createRestRecommendation(hours, description);
+
+  if (hours >= 48) {
+    advice = 'rest.advice.complete';
+  } else if (hours >= 24) {
+    advice = 'rest.advice.moderate';
+  } else {
+    advice = 'rest.advice.light';
+  }
+
+  const messages = [{ key: headline, params: {} }, { key: advice, params: { hours } }];
+  const adjustments = factors.filter(factor => factor.id !== 'score' && factor.hours !== 0);
+  if (adjustments.length > 0) {
+    messages.push({ key: 'rest.adjusted', params: { factors: adjustments.map(describeRestFactor) } });
+  }
+
+  const description = messages.map(message => translateMessage(message)).join(' ');
+  return createRestRecommendation(hours, description, factors, messages);
 };
 
 /**
  * Generate training suggestions based on performance score and sport
  * @param {number} score - Performance score (0-100)
- * @param {string} sport - Sport type ('cricket', 'football', 'basketball')
+ * @param {string} sport - Sport id of a registered sport
  * @param {Object} parameters - Sport-specific parameters used in calculation
+ * @param {Object} [context] - Scoring context (e.g. { playingRole })
+ * @param {Array} [rules] - Suggestion rules to evaluate (e.g. a coach's rules);
+ *   defaults to the sport's built-in rules
  * @returns {Array} Array of suggestion objects
  */
-export const generateTrainingSuggestions = (score, sport, parameters) => {
+export const generateTrainingSuggestions = (score, sport, parameters, context = {}, rules = null) => {
   const suggestions = [];
   
   // General performance-based suggestions
   if (score >= 90) {
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Outstanding performance! Maintain your current training routine and focus on consistency.',
-      'low'
+      'suggestions.general.score.outstanding',
+      {},
+      'low',
+      { ruleId: 'general.score.outstanding', metric: 'score', threshold: 90 }
     ));
   } else if (score >= 80) {
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Very good performance! Fine-tune specific skills to reach the next level.',
-      'medium'
+      'suggestions.general.score.very-good',
+      {},
+      'medium',
+      { ruleId: 'general.score.very-good', metric: 'score', threshold: 80 }
     ));
   } else if (score >= 70) {
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Good performance with room for improvement. Focus on consistent practice.',
-      'medium'
+      'suggestions.general.score.good',
+      {},
+      'medium',
+      { ruleId: 'general.score.good', metric: 'score', threshold: 70 }
     ));
   } else if (score >= 60) {
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Average performance. Identify weak areas and dedicate extra practice time.',
-      'high'
+      'suggestions.general.score.average',
+      {},
+      'high',
+      { ruleId: 'general.score.average', metric: 'score', threshold: 60 }
     ));
   } else {
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Performance needs improvement. Consider working with a coach on fundamentals.',
-      'high'
+      'suggestions.general.score.needs-improvement',
+      {},
+      'high',
+      { ruleId: 'general.score.needs-improvement', metric: 'score', threshold: 60 }
     ));
   }
   
   // Sport-specific suggestions
-  switch (sport.toLowerCase()) {
-    case 'cricket':
-      suggestions.push(...generateCricketSuggestions(parameters, score));
-      break;
-    case 'football':
-      suggestions.push(...generateFootballSuggestions(parameters, score));
-      break;
-    case 'basketball':
-      suggestions.push(...generateBasketballSuggestions(parameters, score));
-      break;
-  }
+  suggestions.push(...generateSportSuggestions(sport, parameters, score, context, rules));
   
   return suggestions;
 };
 
 /**
- * Generate cricket-specific training suggestions
- * @param {Object} parameters - Cricket parameters
- * @param {number} score - Performance score
- * @returns {Array} Array of cricket-specific suggestions
+ * Turn a fired rule into a suggestion, filling in its message template. Built-in rules
+ * keep their catalogue key ('suggestions.<rule id>') unless a coach rewrote the message.
+ * @param {Object} definition - Sport definition
+ * @param {Object} rule - Suggestion rule
+ * @param {Object} scope - Named values the rule was evaluated against
+ * @param {Object} result - Evaluation result ({ value, threshold })
+ * @returns {Object} Suggestion object
  */
-const generateCricketSuggestions = (parameters, score) => {
-  const suggestions = [];
-  const { runsScored, ballsFaced, wicketsTaken, catches, oversBowled } = parameters;
-  
-  // Batting suggestions
-  if (ballsFaced > 0) {
-    const strikeRate = (runsScored / ballsFaced) * 100;
-    if (strikeRate < 80) {
-      suggestions.push(createSuggestion(
-        'technique',
-        'Work on batting technique and shot selection. Practice in the nets to improve strike rate.',
-        'high'
-      ));
-    } else if (strikeRate > 150) {
-      suggestions.push(createSuggestion(
-        'technique',
-        'Excellent strike rate! Focus on maintaining consistency and playing according to match situation.',
-        'low'
-      ));
-    }
-  }
-  
-  // Bowling suggestions
-  if (oversBowled > 0) {
-    const wicketsPerOver = wicketsTaken / oversBowled;
-    if (wicketsPerOver < 0.2) {
-      suggestions.push(createSuggestion(
-        'technique',
-        'Focus on bowling accuracy and variation. Practice different deliveries and work on line and length.',
-        'high'
-      ));
-    } else if (wicketsPerOver > 0.5) {
-      suggestions.push(createSuggestion(
-        'technique',
-        'Great bowling performance! Continue working on consistency and developing new variations.',
-        'low'
-      ));
-    }
-  }
-  
-  // Fielding suggestions
-  if (catches === 0 && score < 70) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Work on fielding skills. Practice catching drills and improve positioning.',
-      'medium'
-    ));
-  } else if (catches >= 2) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Excellent fielding! Your catching ability is a valuable asset to the team.',
-      'low'
-    ));
-  }
-  
-  return suggestions;
+const createRuleSuggestion = (definition, rule, scope, { value, threshold }) => {
+  const builtIn = definition.suggestionRules.find(candidate => candidate.id === rule.id);
+  const messageKey = builtIn && builtIn.message === rule.message ? `suggestions.${rule.id}` : null;
+
+  return createSuggestion(rule.type, renderRuleMessage(rule.message, { ...scope, value, threshold }), rule.priority, {
+    ruleId: rule.id,
+    metric: rule.metric,
+    comparator: rule.comparator ?? null,
+    threshold,
+    value,
+    messageKey,
+    messageParams: messageKey ? { value: value ?? null, threshold: threshold ?? null } : null
+  });
 };
 
 /**
- * Generate football-specific training suggestions
- * @param {Object} parameters - Football parameters
+ * Generate sport-specific training suggestions from declarative suggestion rules
+ * (see sports/suggestionRules.js)
+ * @param {string} sport - Sport type
+ * @param {Object} parameters - Sport-specific parameters
  * @param {number} score - Performance score
- * @returns {Array} Array of football-specific suggestions
+ * @param {Object} [context] - Scoring context (e.g. { playingRole })
+ * @param {Array} [rules] - Rules to evaluate; defaults to the sport's built-in rules
+ * @returns {Array} Array of sport-specific suggestions
  */
-const generateFootballSuggestions = (parameters, score) => {
-  const suggestions = [];
-  const { goalsScored, assists, passesCompleted, tacklesMade, minutesPlayed } = parameters;
-  
-  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
-  
-  // Attacking suggestions
-  if (goalsScored === 0 && score < 70) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Work on finishing skills. Practice shooting from different angles and distances.',
-      'high'
-    ));
-  } else if (goalsScored >= 2) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Great goal-scoring performance! Continue working on movement in the box.',
-      'low'
-    ));
-  }
-  
-  // Passing suggestions
-  const passesPerMinute = passesCompleted / safeMinutesPlayed;
-  if (passesPerMinute < 0.5) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Improve passing accuracy and frequency. Work on short and long passing drills.',
-      'medium'
-    ));
-  } else if (passesPerMinute > 1.0) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Excellent passing game! Focus on creating more scoring opportunities.',
-      'low'
-    ));
+const generateSportSuggestions = (sport, parameters, score, context = {}, rules = null) => {
+  const definition = getSport(sport);
+  if (!definition || !parameters) {
+    return [];
   }
-  
-  // Defensive suggestions
-  const tacklesPerMinute = tacklesMade / safeMinutesPlayed;
-  if (tacklesPerMinute < 0.05 && score < 70) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Work on defensive positioning and tackling technique. Practice 1v1 defending.',
-      'medium'
-    ));
-  } else if (tacklesPerMinute > 0.1) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Strong defensive performance! Continue working on reading the game.',
-      'low'
-    ));
-  }
-  
-  // Assist suggestions
-  if (assists === 0 && goalsScored === 0 && score < 60) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Focus on creating chances for teammates. Work on vision and through balls.',
-      'high'
-    ));
-  }
-  
-  return suggestions;
+
+  const scope = buildRuleScope(definition, parameters, score, context);
+  return (rules || definition.suggestionRules).flatMap(rule => {
+    const result = evaluateSuggestionRule(rule, scope, context);
+    return result ? [createRuleSuggestion(definition, rule, scope, result)] : [];
+  });
 };
 
 /**
- * Generate basketball-specific training suggestions
- * @param {Object} parameters - Basketball parameters
- * @param {number} score - Performance score
- * @returns {Array} Array of basketball-specific suggestions
+ * Preview a rule against a past match, e.g. while a coach edits it
+ * @param {string} sport - Sport id
+ * @param {Object} rule - Suggestion rule
+ * @param {Object} match - Stored match ({ parameters, calculatedScore, playingRole, matchFormat })
+ * @returns {Object} { fired, value, threshold, suggestion }; suggestion is null when the rule does not fire
  */
-const generateBasketballSuggestions = (parameters, score) => {
-  const suggestions = [];
-  const { pointsScored, rebounds, assists, steals, minutesPlayed } = parameters;
-  
-  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
-  
-  // Scoring suggestions
-  const pointsPerMinute = pointsScored / safeMinutesPlayed;
-  if (pointsPerMinute < 0.5) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Work on shooting technique and shot selection. Practice free throws and mid-range shots.',
-      'high'
-    ));
-  } else if (pointsPerMinute > 1.0) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Excellent scoring efficiency! Focus on creating shots for teammates as well.',
-      'low'
-    ));
-  }
-  
-  // Rebounding suggestions
-  const reboundsPerMinute = rebounds / safeMinutesPlayed;
-  if (reboundsPerMinute < 0.2) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Improve rebounding by working on positioning and boxing out. Practice timing jumps.',
-      'medium'
-    ));
-  } else if (reboundsPerMinute > 0.4) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Great rebounding! Your presence in the paint is valuable to the team.',
-      'low'
-    ));
-  }
-  
-  // Playmaking suggestions
-  const assistsPerMinute = assists / safeMinutesPlayed;
-  if (assistsPerMinute < 0.1 && score < 70) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Work on court vision and passing skills. Practice different types of passes.',
-      'medium'
-    ));
-  } else if (assistsPerMinute > 0.25) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Excellent playmaking! Continue developing leadership on the court.',
-      'low'
-    ));
+export const previewSuggestionRule = (sport, rule, match) => {
+  const definition = getSport(sport);
+  if (!definition || !match?.parameters) {
+    return { fired: false, value: null, threshold: null, suggestion: null };
   }
-  
-  // Defensive suggestions
-  const stealsPerMinute = steals / safeMinutesPlayed;
-  if (stealsPerMinute < 0.02 && score < 70) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Focus on defensive anticipation and active hands. Work on reading passing lanes.',
-      'medium'
-    ));
-  } else if (stealsPerMinute > 0.08) {
-    suggestions.push(createSuggestion(
-      'technique',
-      'Great defensive instincts! Balance aggression with smart positioning.',
-      'low'
-    ));
+
+  const context = { playingRole: match.playingRole || null, matchFormat: match.matchFormat || null };
+  const scope = buildRuleScope(definition, match.parameters, match.calculatedScore ?? 0, context);
+  const result = evaluateSuggestionRule({ ...rule, enabled: true }, scope, context);
+
+  let value = null;
+  let threshold = null;
+  try {
+    value = evaluateExpression(rule.metric, scope);
+    threshold = evaluateExpression(rule.threshold, scope);
+  } catch {
+    // Malformed expressions are reported by validateSuggestionRule
   }
-  
-  return suggestions;
+
+  return {
+    fired: result !== null,
+    value: Number.isFinite(value) ? value : null,
+    threshold: Number.isFinite(threshold) ? threshold : null,
+    suggestion: result ? createRuleSuggestion(definition, rule, scope, result) : null
+  };
 };
 
 /**
  * Analyze performance trend and generate trend-based suggestions
- * @param {Array} recentScores - Array of recent performance scores
+ * (see utils/trend.js; `value` is the fitted score change across the trend window)
+ * @param {Array} recentScores - Recent performance scores, oldest first
  * @param {string} sport - Sport type
  * @returns {Array} Array of trend-based suggestions
  */
 export const generateTrendBasedSuggestions = (recentScores, sport) => {
   const suggestions = [];
-  
-  if (!recentScores || recentScores.length < 2) {
-    return suggestions;
-  }
-  
-  // Calculate trend
-  const recent = recentScores.slice(-3);
-  const older = recentScores.slice(-6, -3);
-  
-  if (older.length === 0) {
+  const trend = analyzeTrend(recentScores || []);
+
+  if (trend.sampleSize < MIN_TREND_SCORES) {
     return suggestions;
   }
-  
-  const recentAvg = recent.reduce((sum, score) => sum + score, 0) / recent.length;
-  const olderAvg = older.reduce((sum, score) => sum + score, 0) / older.length;
-  const difference = recentAvg - olderAvg;
-  
-  if (difference > 10) {
+
+  const details = (ruleId, threshold) => ({ ruleId, metric: 'scoreChange', threshold, value: trend.change });
+
+  if (trend.direction === 'improving' && trend.change >= STRONG_TREND_CHANGE) {
     // Significant improvement
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Excellent improvement trend! Your hard work is paying off. Maintain this momentum.',
-      'low'
+      'suggestions.trend.strong-improvement',
+      {},
+      'low',
+      details('trend.strong-improvement', STRONG_TREND_CHANGE)
     ));
-  } else if (difference > 5) {
+  } else if (trend.direction === 'improving') {
     // Moderate improvement
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Good improvement trend! Continue your current training approach.',
-      'low'
+      'suggestions.trend.improvement',
+      {},
+      'low',
+      details('trend.improvement', MIN_TREND_CHANGE)
     ));
-  } else if (difference < -10) {
+  } else if (trend.direction === 'declining' && trend.change <= -STRONG_TREND_CHANGE) {
     // Significant decline
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Performance has declined recently. Consider reviewing your training routine and getting adequate rest.',
-      'high'
+      'suggestions.trend.strong-decline',
+      {},
+      'high',
+      details('trend.strong-decline', -STRONG_TREND_CHANGE)
     ));
-  } else if (difference < -5) {
+  } else if (trend.direction === 'declining') {
     // Moderate decline
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Slight decline in performance. Focus on fundamentals and ensure proper recovery.',
-      'medium'
+      'suggestions.trend.decline',
+      {},
+      'medium',
+      details('trend.decline', -MIN_TREND_CHANGE)
     ));
-  } else {
+  } else if (trend.plateau) {
     // Stable performance
-    suggestions.push(createSuggestion(
+    suggestions.push(createMessageSuggestion(
       'general',
-      'Consistent performance! Consider adding new challenges to break through plateaus.',
-      'medium'
+      'suggestions.trend.stable',
+      {},
+      'medium',
+      details('trend.stable', null)
+    ));
+  } else {
+    // No clear trend: scores move around too much to call
+    suggestions.push(createMessageSuggestion(
+      'general',
+      'suggestions.trend.inconsistent',
+      {},
+      'medium',
+      details('trend.inconsistent', null)
     ));
   }
-  
+
+  // A run of falling scores is worth flagging before it shows up as a trend
+  if (trend.direction !== 'declining' && trend.streak.direction === 'down' && trend.streak.length >= FALLING_STREAK) {
+    suggestions.push(createMessageSuggestion(
+      'general',
+      'suggestions.trend.falling-streak',
+      { count: trend.streak.length },
+      'medium',
+      { ruleId: 'trend.falling-streak', metric: 'fallingStreak', threshold: FALLING_STREAK, value: trend.streak.length }
+    ));
+  }
+
   return suggestions;
 };
 
+/**
+ * Lower the priority of suggestions whose rule has not been helping players
+ * (see calculateRuleEffectiveness); high becomes medium and medium becomes low
+ * @param {Array} suggestions - Suggestion objects
+ * @param {Object} [effectiveness] - Rule effectiveness stats by rule id
+ * @returns {Array} Suggestions
+ */
+export const deprioritizeSuggestions = (suggestions, effectiveness = null) =>
+  suggestions.map(suggestion => {
+    if (!effectiveness?.[suggestion.ruleId]?.deprioritized) {
+      return suggestion;
+    }
+    const index = Math.min(SUGGESTION_PRIORITIES.length - 1, SUGGESTION_PRIORITIES.indexOf(suggestion.priority) + 1);
+    return { ...suggestion, priority: SUGGESTION_PRIORITIES[index] };
+  });
+
+/**
+ * Generate suggestions about the player's goals: a goal just reached or missed, or
+ * what the remaining matches of an active goal need
+ * @param {Array} goalEvaluations - [{ goal, evaluation }] (see evaluateGoal)
+ * @returns {Array} Suggestion objects
+ */
+export const generateGoalSuggestions = (goalEvaluations = []) =>
+  goalEvaluations.map(({ goal, evaluation }) => {
+    const goalMessage = getGoalMessage(goal);
+    const { current, remaining, required } = evaluation;
+    const details = { metric: goal.metric, comparator: goal.comparator, threshold: goal.target, value: current };
+    const matches = { key: 'common.nextMatches', params: { count: remaining } };
+
+    if (evaluation.status === 'achieved') {
+      return createMessageSuggestion('general', 'goals.reached', { goal: goalMessage }, 'low', details);
+    }
+    if (evaluation.status === 'missed') {
+      return createMessageSuggestion('general', 'goals.missed', { goal: goalMessage, current }, 'medium', details);
+    }
+    if (goal.aggregation === 'average') {
+      // Behind when the remaining matches need better than the average so far
+      const behind = current === null || !compareValues(current, goal.comparator, required);
+      return createMessageSuggestion(
+        'general',
+        goal.comparator === '<=' ? 'goals.averageAtMost' : 'goals.averageAtLeast',
+        { goal: goalMessage, required, matches },
+        behind ? 'medium' : 'low',
+        details
+      );
+    }
+    if (goal.aggregation === 'total') {
+      return createMessageSuggestion(
+        'general',
+        goal.comparator === '<=' ? 'goals.totalAtMost' : 'goals.totalMore',
+        { goal: goalMessage, required, matches },
+        'medium',
+        details
+      );
+    }
+    return createMessageSuggestion(
+      'general',
+      'goals.bestSoFar',
+      { goal: goalMessage, current: current ?? '-', matches, remaining, target: goal.target },
+      'low',
+      details
+    );
+  });
+
 /**
  * Generate comprehensive suggestions for a player
  * @param {number} score - Current performance score
  * @param {string} sport - Sport type
  * @param {Object} parameters - Sport-specific parameters
  * @param {Array} recentScores - Array of recent scores for trend analysis
+ * @param {Object} [context] - Scoring context (e.g. { playingRole })
+ * @param {Object} [history] - Workload history for the rest recommendation ({ recentMatches, matchDate })
+ * @param {Array} [rules] - Suggestion rules to evaluate; defaults to the sport's built-in rules
+ * @param {Object} [effectiveness] - Rule effectiveness stats by rule id; suggestions from
+ *   rules that have not been helping get a lower priority
+ * @param {Array} [goalEvaluations] - The player's active goals with their evaluation
+ *   including this match ([{ goal, evaluation }], see goalService.evaluateGoals)
  * @returns {Object} Complete suggestion package
  */
-export const generateComprehensiveSuggestions = (score, sport, parameters, recentScores = []) => {
-  const restRecommendation = generateRestRecommendation(score, sport);
-  const trainingSuggestions = generateTrainingSuggestions(score, sport, parameters);
+export const generateComprehensiveSuggestions = (
+  score,
+  sport,
+  parameters,
+  recentScores = [],
+  context = {},
+  history = {},
+  rules = null,
+  effectiveness = null,
+  goalEvaluations = []
+) => {
+  const restRecommendation = generateRestRecommendation(score, sport, { ...history, parameters });
+  const trainingSuggestions = generateTrainingSuggestions(score, sport, parameters, context, rules);
   const trendSuggestions = generateTrendBasedSuggestions(recentScores, sport);
-  
+  const goalSuggestions = generateGoalSuggestions(goalEvaluations.filter(({ goal }) => goal.sport === sport));
+
   return {
     restRecommendation,
-    suggestions: [...trainingSuggestions, ...trendSuggestions],
+    suggestions: deprioritizeSuggestions([...trainingSuggestions, ...trendSuggestions, ...goalSuggestions], effectiveness),
     score,
     sport,
     generatedAt: new Date()
   };
 };
 
+const HOUR_MS = 60 * 60 * 1000;
+const PLAN_MATCH_WINDOW = 5;
+const PLAN_MAX_WEEKS = 4;
+const PLAN_WEEK_INTENSITY = ['medium', 'high', 'high', 'low']; // Week 4 is a deload week
+const SESSION_MINUTES = { low: 30, medium: 45, high: 60 };
+
+// Training days of a plan week. Skill sessions work on the focus areas in turn
+// (`focus` indexes the weakest components); empty days are rest days.
+const WEEKLY_PATTERN = [
+  [{ category: 'skill', focus: 0 }],
+  [{ category: 'conditioning' }],
+  [{ category: 'skill', focus: 1 }],
+  [],
+  [{ category: 'skill', focus: 0 }, { category: 'skill', focus: 2 }],
+  [{ category: 'conditioning' }],
+  []
+];
+
+/**
+ * Format a date as a local calendar day
+ * @param {Date} date - Date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const toDateKey = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+
+/**
+ * Find the player's weakest score components over their recent matches
+ * @param {Array} matches - Matches with a stored scoreBreakdown
+ * @param {number} [count] - Number of components to return
+ * @returns {Array} Components ({ id, label, score }), weakest average score first
+ */
+export const getWeakestComponents = (matches, count = 3) => {
+  const totals = new Map();
+
+  matches.forEach(match => {
+    (match.scoreBreakdown?.components || [])
+      .filter(component => component.weight > 0)
+      .forEach(component => {
+        const entry = totals.get(component.id) || { id: component.id, label: component.label, sum: 0, count: 0 };
+        entry.sum += component.score;
+        entry.count += 1;
+        totals.set(component.id, entry);
+      });
+  });
+
+  return [...totals.values()]
+    .map(entry => ({ id: entry.id, label: entry.label, score: Math.round((entry.sum / entry.count) * 100) / 100 }))
+    .sort((a, b) => a.score - b.score || a.id.localeCompare(b.id))
+    .slice(0, count);
+};
+
+/**
+ * Generate a multi-week training plan from the player's recent matches.
+ * Skill sessions target the weakest score components of the last five matches of the
+ * latest sport, the days covered by the latest rest recommendation are recovery days,
+ * and each fixture gets an activation session the day before and recovery the day after.
+ * @param {Array} recentMatches - The player's recent matches (any order)
+ * @param {Object} [options] - Plan options
+ * @param {number} [options.weeks] - Plan length in weeks (1-4)
+ * @param {*} [options.startDate] - First day of the plan (defaults to today)
+ * @param {Array} [options.fixtures] - Upcoming matches (dates, or objects with a `date`)
+ * @returns {Object} Plan ({ sport, weeks, startDate, focusAreas, restHours, fixtures, days });
+ *   each day is { date, type, sessions } with sessions from createTrainingSession
+ */
+export const generateTrainingPlan = (recentMatches = [], { weeks = 2, startDate = null, fixtures = [] } = {}) => {
+  const planWeeks = Math.min(PLAN_MAX_WEEKS, Math.max(1, Math.round(Number(weeks)) || 1));
+  const matches = [...recentMatches].sort((a, b) => (toMillis(b.date) ?? 0) - (toMillis(a.date) ?? 0));
+  const latest = matches[0] || null;
+  const sport = latest?.sport || 'general';
+
+  const sportMatches = matches.filter(match => match.sport === sport).slice(0, PLAN_MATCH_WINDOW);
+  let focusAreas = getWeakestComponents(sportMatches);
+  if (focusAreas.length === 0) {
+    const scores = sportMatches.map(match => match.calculatedScore).filter(score => typeof score === 'number');
+    focusAreas = [{
+      id: 'general',
+      label: 'General skills',
+      score: scores.length > 0 ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100 : null
+    }];
+  }
+
+  const restHours = latest?.restRecommendation?.hours ?? null;
+  const latestMillis = toMillis(latest?.date);
+  const restUntil = restHours !== null && latestMillis !== null ? latestMillis + restHours * HOUR_MS : null;
+
+  const fixtureDays = new Set(fixtures
+    .map(fixture => toMillis(fixture?.date ?? fixture))
+    .filter(millis => millis !== null)
+    .map(millis => toDateKey(new Date(millis))));
+
+  const first = new Date(toMillis(startDate) ?? Date.now());
+  const dayAt = (offset) => new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset);
+
+  const days = Array.from({ length: planWeeks * 7 }, (_, index) => {
+    const dayStart = dayAt(index);
+    const date = toDateKey(dayStart);
+    const weekIntensity = PLAN_WEEK_INTENSITY[Math.floor(index / 7)];
+    const session = (number, category, title, intensity, focus = null) => createTrainingSession({
+      id: `${date}-${number}`,
+      date,
+      category,
+      title,
+      focus,
+      intensity,
+      durationMinutes: SESSION_MINUTES[intensity]
+    });
+
+    if (fixtureDays.has(date)) {
+      return { date, type: 'match', sessions: [session(1, 'match', 'Match day', 'high')] };
+    }
+    if (restUntil !== null && dayStart.getTime() < restUntil) {
+      return { date, type: 'rest', sessions: [session(1, 'recovery', 'Recovery and mobility', 'low')] };
+    }
+    if (fixtureDays.has(toDateKey(dayAt(index + 1)))) {
+      return { date, type: 'training', sessions: [session(1, 'activation', 'Pre-match activation', 'low')] };
+    }
+    if (fixtureDays.has(toDateKey(dayAt(index - 1)))) {
+      return { date, type: 'recovery', sessions: [session(1, 'recovery', 'Post-match recovery', 'low')] };
+    }
+
+    // With fewer focus areas than skill slots, a day works on each area once
+    const focusIndex = (slot) => slot.focus % focusAreas.length;
+    const slots = WEEKLY_PATTERN[index % 7].filter((slot, position, all) =>
+      slot.category !== 'skill' ||
+      all.findIndex(other => other.category === 'skill' && focusIndex(other) === focusIndex(slot)) === position);
+    if (slots.length === 0) {
+      return { date, type: 'rest', sessions: [] };
+    }
+
+    return {
+      date,
+      type: 'training',
+      sessions: slots.map((slot, number) => {
+        if (slot.category === 'conditioning') {
+          return session(number + 1, 'conditioning', 'Conditioning', weekIntensity === 'high' ? 'medium' : weekIntensity);
+        }
+        const focus = focusAreas[focusIndex(slot)];
+        return session(number + 1, 'skill', `${focus.label} drills`, weekIntensity, focus.id);
+      })
+    };
+  });
+
+  return {
+    sport,
+    weeks: planWeeks,
+    startDate: toDateKey(dayAt(0)),
+    focusAreas,
+    restHours,
+    fixtures: [...fixtureDays].sort(),
+    days
+  };
+};
+
 /**
  * Get motivational message based on performance score
  * @param {number} score - Performance score (0-100)
+ * @param {string} [language] - Language id (see i18n/index.js)
  * @returns {string} Motivational message
  */
-export const getMotivationalMessage = (score) => {
+export const getMotivationalMessage = (score, language = DEFAULT_LANGUAGE) => {
   if (score >= 90) {
-    return "Outstanding performance! You're at the top of your game!";
+    return translate('motivation.outstanding', {}, language);
   } else if (score >= 80) {
-    return "Great job! You're performing at a high level!";
+    return translate('motivation.great', {}, language);
   } else if (score >= 70) {
-    return "Good work! Keep pushing to reach the next level!";
+    return translate('motivation.good', {}, language);
   } else if (score >= 60) {
-    return "Solid effort! Focus on improvement areas to boost your performance!";
+    return translate('motivation.solid', {}, language);
   } else {
-    return "Every champion was once a beginner. Keep working hard!";
+    return translate('motivation.beginner', {}, language);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,126 @@
+/**
+ * Suggestion feedback service for tracking whether suggestions help
+ * Requirements: 4.1, 4.2, 5.3 - Intelligent suggestion system and suggestion panel
+ *
+ * Players mark a suggestion as 'done', 'dismissed' or 'not-useful'. Feedback lives in
+ * `suggestionFeedback/{matchId}_{ruleId}`, so a player has one answer per suggestion.
+ * See suggestionEffectiveness.js for how feedback becomes per-rule stats.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import { calculateRuleEffectiveness } from './suggestionEffectiveness.js';
+import { createSuggestionFeedback, SUGGESTION_FEEDBACK_STATUSES } from '../models/matchData.js';
+
+const FEEDBACK_COLLECTION = 'suggestionFeedback';
+
+/**
+ * Suggestion feedback service class for storing feedback and reporting rule effectiveness
+ */
+class SuggestionFeedbackService {
+
+  /**
+   * Build the feedback document ID for a suggestion
+   * @param {string} matchId - Match ID
+   * @param {string} ruleId - Rule ID of the suggestion
+   * @returns {string} Feedback document ID
+   */
+  getFeedbackId(matchId, ruleId) {
+    return `${matchId}_${ruleId}`;
+  }
+
+  /**
+   * Record the player's feedback on a suggestion, replacing any earlier answer.
+   * A null status removes the feedback.
+   * @param {Object} match - Match the suggestion belongs to ({ id, playerId, coachId, sport })
+   * @param {Object} suggestion - Suggestion object (must have a ruleId)
+   * @param {string|null} status - 'done', 'dismissed', 'not-useful' or null
+   * @param {string} playerId - Player ID (user UID)
+   * @returns {Promise<Object|null>} Stored feedback, or null when removed
+   */
+  async setFeedback(match, suggestion, status, playerId) {
+    try {
+      if (!match?.id || !suggestion?.ruleId) {
+        throw new Error('Feedback needs a stored match and a suggestion with a rule');
+      }
+      const feedbackId = this.getFeedbackId(match.id, suggestion.ruleId);
+
+      if (status === null) {
+        await firestoreService.delete(FEEDBACK_COLLECTION, feedbackId);
+        return null;
+      }
+      if (!SUGGESTION_FEEDBACK_STATUSES.includes(status)) {
+        throw new Error(`Invalid feedback status: ${status}`);
+      }
+
+      const feedback = createSuggestionFeedback({
+        matchId: match.id,
+        playerId,
+        coachId: match.coachId || null,
+        sport: match.sport,
+        suggestion,
+        status
+      });
+      await firestoreService.create(FEEDBACK_COLLECTION, feedback, feedbackId);
+      return { id: feedbackId, ...feedback };
+    } catch (error) {
+      console.error('Error saving suggestion feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the feedback given on a match's suggestions
+   * @param {string} matchId - Match ID
+   * @returns {Promise<Object>} Feedback status by rule id
+   */
+  async getMatchFeedback(matchId) {
+    try {
+      const feedback = await firestoreService.query(FEEDBACK_COLLECTION, [
+        { field: 'matchId', operator: '==', value: matchId }
+      ]);
+      return Object.fromEntries(feedback.map(entry => [entry.ruleId, entry.status]));
+    } catch (error) {
+      console.error('Error getting match suggestion feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all feedback on a coach's matches
+   * @param {string} coachId - Coach ID
+   * @returns {Promise<Array>} Feedback entries
+   */
+  async getCoachFeedback(coachId) {
+    try {
+      return await firestoreService.query(FEEDBACK_COLLECTION, [
+        { field: 'coachId', operator: '==', value: coachId }
+      ]);
+    } catch (error) {
+      console.error('Error getting coach suggestion feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get per-rule effectiveness for a coach's squad
+   * @param {string} coachId - Coach ID
+   * @param {Array} [matches] - The coach's matches, when already loaded
+   * @returns {Promise<Object>} Stats by rule id (see calculateRuleEffectiveness)
+   */
+  async getRuleEffectiveness(coachId, matches = null) {
+    try {
+      const [feedback, coachMatches] = await Promise.all([
+        this.getCoachFeedback(coachId),
+        matches || firestoreService.query('matches', [{ field: 'coachId', operator: '==', value: coachId }])
+      ]);
+      return calculateRuleEffectiveness(feedback, coachMatches);
+    } catch (error) {
+      console.error('Error getting suggestion effectiveness:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const suggestionFeedbackService = new SuggestionFeedbackService();
+export default suggestionFeedbackService;
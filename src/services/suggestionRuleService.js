@@ -0,0 +1,112 @@
+/**
+ * Suggestion rule service for per-coach training advice
+ * Requirements: 4.1, 4.2 - Intelligent suggestion system
+ *
+ * A coach's rules for one sport live in `suggestionRules/{coachId}_{sport}` as
+ * { coachId, sport, rules }. A rule with the id of a built-in rule overrides it
+ * (e.g. { id, enabled: false } switches it off); other rules are the coach's own.
+ * See sports/suggestionRules.js for the rule format.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import { getSport } from '../sports/index.js';
+import { resolveSuggestionRules } from '../sports/suggestionRules.js';
+import { validateSuggestionRule } from '../utils/validators.js';
+
+const RULES_COLLECTION = 'suggestionRules';
+
+/**
+ * Suggestion rule service class for reading and saving coach rule sets
+ */
+class SuggestionRuleService {
+
+  /**
+   * Build the rule set document ID for a coach and sport
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {string} Rule set document ID
+   */
+  getRuleSetId(coachId, sport) {
+    return `${coachId}_${getSport(sport)?.id || sport}`;
+  }
+
+  /**
+   * Get the rules a coach has saved for a sport
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {Promise<Array>} Coach rules (empty when the coach uses the built-in rules)
+   */
+  async getCoachRules(coachId, sport) {
+    try {
+      if (!coachId || !sport) {
+        return [];
+      }
+      const ruleSet = await firestoreService.read(RULES_COLLECTION, this.getRuleSetId(coachId, sport));
+      return ruleSet?.rules || [];
+    } catch (error) {
+      console.error('Error getting coach suggestion rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rules that apply to a coach's matches: the built-in rules with the
+   * coach's overrides, followed by the coach's own rules
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @returns {Promise<Array>} Effective rules
+   */
+  async getEffectiveRules(coachId, sport) {
+    const definition = getSport(sport);
+    if (!definition) {
+      throw new Error(`Unsupported sport: ${sport}`);
+    }
+
+    const coachRules = await this.getCoachRules(coachId, sport);
+    return resolveSuggestionRules(definition.suggestionRules, coachRules);
+  }
+
+  /**
+   * Save a coach's rules for a sport, replacing the previous set
+   * @param {string} coachId - Coach ID
+   * @param {string} sport - Sport id
+   * @param {Array} rules - Rule overrides and custom rules
+   * @returns {Promise<Object>} Saved rule set
+   */
+  async saveCoachRules(coachId, sport, rules) {
+    try {
+      if (!coachId) {
+        throw new Error('Coach ID is required');
+      }
+      if (!getSport(sport)) {
+        throw new Error(`Unsupported sport: ${sport}`);
+      }
+
+      const ids = new Set();
+      rules.forEach(rule => {
+        const validation = validateSuggestionRule(sport, rule);
+        if (!validation.isValid) {
+          throw new Error(`Invalid rule ${rule.id || ''}: ${Object.values(validation.errors).join(', ')}`);
+        }
+        if (ids.has(rule.id)) {
+          throw new Error(`Duplicate rule id: ${rule.id}`);
+        }
+        ids.add(rule.id);
+      });
+
+      const sportId = getSport(sport).id;
+      const ruleSetId = this.getRuleSetId(coachId, sportId);
+      const ruleSet = { coachId, sport: sportId, rules };
+
+      await firestoreService.create(RULES_COLLECTION, ruleSet, ruleSetId);
+      return { id: ruleSetId, ...ruleSet };
+    } catch (error) {
+      console.error('Error saving coach suggestion rules:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const suggestionRuleService = new SuggestionRuleService();
+export default suggestionRuleService;
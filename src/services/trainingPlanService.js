@@ -0,0 +1,112 @@
+/**
+ * Training plan service for multi-week player plans
+ * Requirements: 4.1, 4.2, 5.4 - Intelligent suggestion system and player suggestions
+ *
+ * Plans live in the `trainingPlans` collection (see createTrainingPlan). A player has
+ * at most one active plan; generating a new one marks the previous plans 'replaced'.
+ */
+
+import { firestoreService } from './firestoreService.js';
+import { matchService } from './matchService.js';
+import { seasonService } from './seasonService.js';
+import { generateTrainingPlan } from './suggestionEngine.js';
+import { createTrainingPlan } from '../models/matchData.js';
+
+const PLANS_COLLECTION = 'trainingPlans';
+const PLAN_HISTORY_MATCHES = 10;
+
+/**
+ * Training plan service class for generating plans and tracking their checklist
+ */
+class TrainingPlanService {
+
+  /**
+   * Get the player's active training plan
+   * @param {string} playerId - Player ID (user UID)
+   * @returns {Promise<Object|null>} Active plan or null when the player has none
+   */
+  async getActivePlan(playerId) {
+    try {
+      const plans = await firestoreService.query(PLANS_COLLECTION, [
+        { field: 'playerId', operator: '==', value: playerId },
+        { field: 'status', operator: '==', value: 'active' }
+      ]);
+
+      // Newest first, sorted in memory to avoid a composite index
+      return plans.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))[0] || null;
+    } catch (error) {
+      console.error('Error getting active training plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate and store a new plan from the player's recent matches
+   * @param {string} playerId - Player ID (user UID)
+   * @param {Object} [options] - Plan options
+   * @param {number} [options.weeks] - Plan length in weeks (1-4)
+   * @param {Array} [options.fixtures] - Upcoming matches (dates, or objects with a `date`);
+   *   defaults to the fixtures the player's team still has to play in their latest sport
+   * @returns {Promise<Object>} Stored plan
+   */
+  async createPlan(playerId, { weeks = 2, fixtures = null } = {}) {
+    try {
+      const recentMatches = await matchService.getPlayerRecentMatches(playerId, PLAN_HISTORY_MATCHES);
+      if (recentMatches.length === 0) {
+        throw new Error('Play at least one match before generating a training plan');
+      }
+
+      const coachId = recentMatches[0].coachId || null;
+      const upcomingFixtures = fixtures ?? (coachId
+        ? await seasonService.getUpcomingFixtures(coachId, { sport: recentMatches[0].sport })
+        : []);
+
+      const plan = createTrainingPlan({
+        playerId,
+        coachId,
+        ...generateTrainingPlan(recentMatches, { weeks, fixtures: upcomingFixtures, startDate: new Date() })
+      });
+
+      const previousPlans = await firestoreService.query(PLANS_COLLECTION, [
+        { field: 'playerId', operator: '==', value: playerId },
+        { field: 'status', operator: '==', value: 'active' }
+      ]);
+      await Promise.all(previousPlans.map(previous =>
+        firestoreService.update(PLANS_COLLECTION, previous.id, { status: 'replaced' })));
+
+      const planId = await firestoreService.create(PLANS_COLLECTION, plan);
+      return { ...plan, id: planId };
+    } catch (error) {
+      console.error('Error creating training plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tick a session of a plan off (or un-tick it)
+   * @param {Object} plan - Plan as returned by getActivePlan or createPlan
+   * @param {string} sessionId - Session ID
+   * @param {boolean} completed - Whether the session is done
+   * @returns {Promise<Object>} Updated plan
+   */
+  async setSessionCompleted(plan, sessionId, completed) {
+    try {
+      const days = plan.days.map(day => ({
+        ...day,
+        sessions: day.sessions.map(session => (session.id === sessionId
+          ? { ...session, completed, completedAt: completed ? new Date() : null }
+          : session))
+      }));
+
+      await firestoreService.update(PLANS_COLLECTION, plan.id, { days });
+      return { ...plan, days };
+    } catch (error) {
+      console.error('Error updating training plan session:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const trainingPlanService = new TrainingPlanService();
+export default trainingPlanService;
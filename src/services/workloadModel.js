@@ -0,0 +1,167 @@
+/**
+ * Workload model for rest recommendations
+ * Requirements: 4.1 - Rest recommendations based on performance and workload
+ *
+ * Match load comes from the sport definition (1 = a full match). Acute load is the
+ * load of the last 7 days, chronic load the weekly average of the last 28 days, and
+ * their ratio (ACWR) flags sudden spikes in workload.
+ */
+
+import { calculatePerformanceTrend } from '../models/matchData.js';
+import { getSport } from '../sports/index.js';
+import { toMillis } from '../utils/matchDate.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+export const MIN_REST_HOURS = 12;
+export const MAX_REST_HOURS = 96;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Physical load of one match, where 1 is a full match of the sport
+ * @param {string} sport - Sport id
+ * @param {Object} parameters - Sport-specific parameters
+ * @returns {number} Match load (1 when the sport does not define a load)
+ */
+export const calculateMatchLoad = (sport, parameters) => {
+  const definition = getSport(sport);
+  if (!definition?.calculateLoad || !parameters) {
+    return 1;
+  }
+
+  const load = definition.calculateLoad(parameters);
+  return Number.isFinite(load) ? round2(Math.max(0, load)) : 1;
+};
+
+/**
+ * Calculate the workload around a match
+ * @param {string} sport - Sport id
+ * @param {Object} parameters - Parameters of the current match
+ * @param {Array} recentMatches - The player's earlier matches ({ sport, parameters, date })
+ * @param {*} [matchDate] - Date of the current match (defaults to now)
+ * @returns {Object} { matchLoad, acuteLoad, chronicLoad, acwr, daysSinceLastMatch }
+ *   acwr is null until there is a match between 7 and 28 days before this one
+ */
+export const calculateWorkload = (sport, parameters, recentMatches = [], matchDate = null) => {
+  const now = toMillis(matchDate) ?? Date.now();
+  const matchLoad = calculateMatchLoad(sport, parameters);
+
+  const earlier = recentMatches
+    .map(match => ({ ...match, millis: toMillis(match.date) }))
+    .filter(match => match.millis !== null && match.millis <= now && now - match.millis < CHRONIC_DAYS * DAY_MS)
+    .map(match => ({ ...match, load: calculateMatchLoad(match.sport || sport, match.parameters) }));
+
+  const sumLoad = (matches) => matches.reduce((sum, match) => sum + match.load, 0);
+  const acuteMatches = earlier.filter(match => now - match.millis < ACUTE_DAYS * DAY_MS);
+  const hasChronicHistory = earlier.some(match => now - match.millis >= ACUTE_DAYS * DAY_MS);
+
+  const acuteLoad = matchLoad + sumLoad(acuteMatches);
+  const chronicLoad = (matchLoad + sumLoad(earlier)) / (CHRONIC_DAYS / ACUTE_DAYS);
+  const lastMatch = Math.max(...earlier.map(match => match.millis));
+
+  return {
+    matchLoad,
+    acuteLoad: round2(acuteLoad),
+    chronicLoad: round2(chronicLoad),
+    acwr: hasChronicHistory ? round2(acuteLoad / chronicLoad) : null,
+    daysSinceLastMatch: earlier.length > 0 ? round2((now - lastMatch) / DAY_MS) : null
+  };
+};
+
+/**
+ * Base rest hours for a score: 72h at 0, 48h at 60, 24h at 80, 12h at 100
+ * @param {number} score - Performance score (0-100)
+ * @returns {number} Hours
+ */
+const getScoreHours = (score) => {
+  if (score < 60) return 72 - (score / 60) * 24;
+  if (score < 80) return 48 - ((score - 60) / 20) * 24;
+  return 24 - ((Math.min(score, 100) - 80) / 20) * 12;
+};
+
+/**
+ * Extra hours for the match load: +12h per match above a full one, -12h for a match not played
+ * @param {number} matchLoad - Match load
+ * @returns {number} Hours
+ */
+const getLoadHours = (matchLoad) => clamp((matchLoad - 1) * 12, -12, 24);
+
+/**
+ * Extra hours for the acute:chronic workload ratio
+ * @param {number|null} acwr - Acute:chronic workload ratio
+ * @returns {number} Hours
+ */
+const getAcwrHours = (acwr) => {
+  if (acwr === null) return 0;
+  if (acwr > 1.5) return 24;
+  if (acwr > 1.3) return 12;
+  if (acwr < 0.8) return -6;
+  return 0;
+};
+
+/**
+ * Extra hours for match density
+ * @param {number|null} daysSinceLastMatch - Days since the previous match
+ * @returns {number} Hours
+ */
+const getDensityHours = (daysSinceLastMatch) => {
+  if (daysSinceLastMatch === null) return 0;
+  if (daysSinceLastMatch < 2) return 12;
+  if (daysSinceLastMatch >= 7) return -6;
+  return 0;
+};
+
+/**
+ * Work out rest hours for a match and the factors that drove them
+ * @param {number} score - Performance score (0-100)
+ * @param {string} sport - Sport id
+ * @param {Object} [history] - Workload history
+ * @param {Object} [history.parameters] - Parameters of the current match
+ * @param {Array} [history.recentMatches] - The player's earlier matches
+ * @param {*} [history.matchDate] - Date of the current match
+ * @returns {Object} { hours, factors, workload, trend }; each factor is { id, label, value, hours }
+ */
+export const calculateRestModel = (score, sport, history = {}) => {
+  const { parameters = null, recentMatches = [], matchDate = null } = history;
+  const workload = calculateWorkload(sport, parameters, recentMatches, matchDate);
+
+  const now = toMillis(matchDate) ?? Date.now();
+  const chronologicalScores = recentMatches
+    .filter(match => typeof match.calculatedScore === 'number' && (toMillis(match.date) ?? 0) <= now)
+    .sort((a, b) => (toMillis(a.date) ?? 0) - (toMillis(b.date) ?? 0))
+    .map(match => match.calculatedScore);
+  const trend = calculatePerformanceTrend([...chronologicalScores, score]);
+
+  const factors = [
+    { id: 'score', label: 'Performance score', value: score, hours: getScoreHours(score) }
+  ];
+
+  if (parameters) {
+    factors.push({ id: 'matchLoad', label: 'Match load', value: workload.matchLoad, hours: getLoadHours(workload.matchLoad) });
+  }
+  factors.push(
+    { id: 'acwr', label: 'Acute:chronic workload', value: workload.acwr, hours: getAcwrHours(workload.acwr) },
+    { id: 'trend', label: 'Score trend', value: trend, hours: trend === 'declining' ? 12 : 0 },
+    {
+      id: 'recovery',
+      label: 'Days since last match',
+      value: workload.daysSinceLastMatch,
+      hours: getDensityHours(workload.daysSinceLastMatch)
+    }
+  );
+
+  const roundedFactors = factors.map(factor => ({ ...factor, hours: Math.round(factor.hours) }));
+  const total = roundedFactors.reduce((sum, factor) => sum + factor.hours, 0);
+
+  return {
+    hours: clamp(total, MIN_REST_HOURS, MAX_REST_HOURS),
+    factors: roundedFactors,
+    workload,
+    trend
+  };
+};
@@ -0,0 +1,167 @@
+/**
+ * Tests for basketball box score scoring
+ * Requirements: 2.4, 3.3, 4.4 - Basketball performance calculation and suggestion testing
+ */
+
+import {
+  calculateBasketballBreakdown,
+  calculateBasketballScore,
+  deriveBasketballStats,
+  isLegacyBasketballParameters
+} from '../basketball.js';
+import { generateTrainingSuggestions } from '../../services/suggestionEngine.js';
+import { validateSportParameters } from '../../utils/validators.js';
+
+const boxScore = {
+  fieldGoalsMade: 9,
+  fieldGoalsAttempted: 18,
+  threePointersMade: 2,
+  threePointersAttempted: 5,
+  freeThrowsMade: 4,
+  freeThrowsAttempted: 5,
+  offensiveRebounds: 2,
+  defensiveRebounds: 6,
+  assists: 6,
+  turnovers: 3,
+  steals: 3,
+  blocks: 1,
+  personalFouls: 2,
+  minutesPlayed: 32
+};
+
+const legacyParams = {
+  pointsScored: 20,
+  rebounds: 8,
+  assists: 5,
+  steals: 2,
+  minutesPlayed: 32
+};
+
+const messagesFor = (params, score = 50) =>
+  generateTrainingSuggestions(score, 'basketball', params).map(suggestion => suggestion.message);
+
+describe('Basketball Box Score', () => {
+  test('should derive points, rebounds and shooting rates', () => {
+    const stats = deriveBasketballStats(boxScore);
+
+    // 2 * 9 + 2 + 4
+    expect(stats.points).toBe(24);
+    expect(stats.rebounds).toBe(8);
+    expect(stats.fieldGoalPercentage).toBe(0.5);
+    expect(stats.freeThrowPercentage).toBe(0.8);
+    // 24 / (2 * (18 + 0.44 * 5))
+    expect(stats.trueShootingPercentage).toBeCloseTo(0.594, 3);
+    expect(stats.gameScore).toBeCloseTo(21.9, 5);
+  });
+
+  test('should leave box score rates empty for legacy matches', () => {
+    expect(isLegacyBasketballParameters(legacyParams)).toBe(true);
+    expect(isLegacyBasketballParameters(boxScore)).toBe(false);
+    expect(deriveBasketballStats(legacyParams)).toMatchObject({
+      points: 20,
+      rebounds: 8,
+      trueShootingPercentage: null,
+      gameScore: null
+    });
+  });
+
+  test('should score a box score from Game Score and true shooting', () => {
+    const breakdown = calculateBasketballBreakdown(boxScore);
+
+    expect(breakdown.score).toBe(87);
+    expect(breakdown.gameScore).toBe(21.9);
+    expect(breakdown.components.map(component => component.id))
+      .toEqual(['scoring', 'rebounding', 'playmaking', 'defense', 'ballSecurity', 'shooting']);
+
+    const contributions = breakdown.components.reduce((sum, component) => sum + component.contribution, 0);
+    expect(contributions).toBeCloseTo(breakdown.total, 1);
+  });
+
+  test('should lower the score for turnovers and missed free throws', () => {
+    const sloppy = { ...boxScore, turnovers: 7, freeThrowsMade: 1, freeThrowsAttempted: 8 };
+
+    expect(calculateBasketballScore(sloppy)).toBe(57);
+    expect(calculateBasketballScore({ ...boxScore, personalFouls: 6 })).toBeLessThan(87);
+  });
+
+  test('should move the shooting weight to production when no shots were taken', () => {
+    const breakdown = calculateBasketballBreakdown({
+      ...boxScore,
+      fieldGoalsMade: 0,
+      fieldGoalsAttempted: 0,
+      threePointersMade: 0,
+      threePointersAttempted: 0,
+      freeThrowsMade: 0,
+      freeThrowsAttempted: 0
+    });
+    const shooting = breakdown.components.find(component => component.id === 'shooting');
+
+    expect(shooting.weight).toBe(0);
+    expect(breakdown.components[0].weight).toBe(1);
+  });
+
+  test('should keep scoring legacy matches with the original formula', () => {
+    const breakdown = calculateBasketballBreakdown(legacyParams);
+
+    expect(breakdown.score).toBe(88);
+    expect(breakdown.legacy).toBe(true);
+  });
+
+  describe('Validation', () => {
+    test('should accept a consistent box score and legacy matches', () => {
+      expect(validateSportParameters('basketball', boxScore).isValid).toBe(true);
+      expect(validateSportParameters('basketball', { ...legacyParams, fieldGoalPercentage: 0.45 }).isValid)
+        .toBe(true);
+    });
+
+    test('should reject more makes than attempts', () => {
+      const result = validateSportParameters('basketball', {
+        ...boxScore,
+        freeThrowsMade: 6,
+        threePointersMade: 6
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.freeThrowsMade).toBeDefined();
+      expect(result.errors.threePointersMade).toBeDefined();
+    });
+
+    test('should require the full box score for new matches', () => {
+      const withoutTurnovers = { ...boxScore };
+      delete withoutTurnovers.turnovers;
+      const result = validateSportParameters('basketball', withoutTurnovers);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.turnovers).toBeDefined();
+    });
+  });
+
+  describe('Suggestions', () => {
+    test('should flag turnovers, fouls and poor free throw shooting', () => {
+      const messages = messagesFor({
+        ...boxScore,
+        turnovers: 5,
+        personalFouls: 5,
+        freeThrowsMade: 2,
+        freeThrowsAttempted: 6
+      });
+
+      expect(messages.some(message => message.includes('turnovers'))).toBe(true);
+      expect(messages.some(message => message.includes('Foul trouble'))).toBe(true);
+      expect(messages.some(message => message.includes('free throw routine'))).toBe(true);
+    });
+
+    test('should flag inefficient shot selection', () => {
+      const messages = messagesFor({ ...boxScore, fieldGoalsMade: 4, threePointersMade: 0, fieldGoalsAttempted: 18 });
+
+      expect(messages.some(message => message.includes('Shot selection'))).toBe(true);
+    });
+
+    test('should not raise box score suggestions for legacy matches', () => {
+      const messages = messagesFor(legacyParams);
+
+      expect(messages.some(message => message.includes('turnovers'))).toBe(false);
+      expect(messages.some(message => message.includes('Foul trouble'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for format-aware cricket scoring
+ * Requirements: 3.1, 4.2 - Cricket performance calculation and suggestion testing
+ */
+
+import { ballsFromOvers, calculateCricketBreakdown, calculateCricketScore, resolveCricketFormat } from '../cricket.js';
+import { getMatchFormat, getMatchFormats } from '../index.js';
+import { generateTrainingSuggestions } from '../../services/suggestionEngine.js';
+import { validateMatchData, validateMatchFormat, validateSportParameters } from '../../utils/validators.js';
+
+const T20 = { id: 't20', overs: 20 };
+const ODI = { id: 'odi', overs: 50 };
+const MULTI_DAY = { id: 'multi-day', overs: null };
+
+const innings = {
+  runsScored: 60,
+  ballsFaced: 100,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 0,
+  oversBowled: 0
+};
+
+const spell = {
+  runsScored: 0,
+  ballsFaced: 0,
+  wicketsTaken: 2,
+  runsConceded: 24,
+  catches: 0,
+  oversBowled: 4
+};
+
+const scoreAs = (params, playingRole, matchFormat) =>
+  calculateCricketScore(params, null, { playingRole, matchFormat });
+
+describe('Cricket Match Formats', () => {
+  test('should expose the cricket formats through the registry', () => {
+    expect(getMatchFormats('cricket').map(format => format.id)).toEqual(['t20', 'odi', 'multi-day', 'custom']);
+    expect(getMatchFormat('cricket', 'odi').overs).toBe(50);
+    expect(getMatchFormats('football')).toEqual([]);
+  });
+
+  test('should keep the default baselines when no format is recorded', () => {
+    expect(scoreAs(innings, 'batter', null)).toBe(60);
+    expect(scoreAs(spell, 'bowler', null)).toBe(87);
+    expect(calculateCricketBreakdown(innings).matchFormat).toBeNull();
+  });
+
+  test('should judge a strike rate against the format', () => {
+    expect(scoreAs(innings, 'batter', T20)).toBe(60);
+    expect(scoreAs(innings, 'batter', ODI)).toBe(71);
+    expect(scoreAs(innings, 'batter', MULTI_DAY)).toBe(72);
+  });
+
+  test('should judge economy and wicket rate against the format', () => {
+    // economy 6 is the T20 best; 0.5 wickets per over is the T20 baseline
+    expect(scoreAs(spell, 'bowler', T20)).toBe(100);
+    expect(scoreAs(spell, 'bowler', ODI)).toBe(80);
+  });
+
+  test('should interpolate custom formats between T20 and ODI', () => {
+    const format = resolveCricketFormat({ id: 'custom', overs: 35 });
+
+    expect(format.overs).toBe(35);
+    expect(format.scoringProfile.baselines.strikeRate).toBe(115);
+    expect(resolveCricketFormat({ id: 'custom', overs: 10 }).scoringProfile.baselines.strikeRate).toBe(140);
+    expect(resolveCricketFormat({ id: 'custom' })).toBeNull();
+  });
+
+  test('should reward not-outs, boundaries, maidens, dot balls and run-outs', () => {
+    expect(scoreAs({ ...innings, notOut: true }, 'batter', ODI)).toBe(81);
+    // Older matches store notOut as 0 or 1
+    expect(scoreAs({ ...innings, notOut: 1 }, 'batter', ODI)).toBe(81);
+    expect(scoreAs({ ...innings, fours: 6, sixes: 1 }, 'batter', ODI)).toBe(78);
+    expect(scoreAs({ ...spell, wicketsTaken: 1 }, 'bowler', ODI))
+      .toBeLessThan(scoreAs({ ...spell, wicketsTaken: 1, maidens: 1, dotBalls: 16 }, 'bowler', ODI));
+    expect(calculateCricketScore({ ...innings, runsScored: 0, ballsFaced: 0, runOuts: 2 })).toBe(8);
+  });
+
+  test('should let team overrides win over format baselines', () => {
+    const score = calculateCricketScore(innings, { baselines: { strikeRate: 60 } }, {
+      playingRole: 'batter',
+      matchFormat: T20
+    });
+
+    expect(score).toBe(100);
+  });
+
+  test('should count balls in cricket overs notation', () => {
+    expect(ballsFromOvers(4.2)).toBe(26);
+    expect(ballsFromOvers(25)).toBe(150);
+  });
+
+  test('should work out per-over rates from balls bowled', () => {
+    // 3.3 overs is 21 balls, i.e. 3.5 overs
+    const breakdown = calculateCricketBreakdown({ ...spell, runsConceded: 21, wicketsTaken: 1, oversBowled: 3.3 });
+    const rates = Object.fromEntries(breakdown.components.find(component => component.id === 'bowling').rates
+      .map(rate => [rate.id, rate.value]));
+
+    expect(rates.economy).toBe(6);
+    expect(rates.wicketsPerOver).toBe(0.29);
+  });
+
+  describe('Validation', () => {
+    test('should accept multi-day bowling spells', () => {
+      expect(validateSportParameters('cricket', { ...spell, oversBowled: 40 }, { matchFormat: MULTI_DAY }).isValid)
+        .toBe(true);
+    });
+
+    test('should enforce the per-bowler limit in limited-overs formats', () => {
+      const result = validateSportParameters('cricket', { ...spell, oversBowled: 5 }, { matchFormat: T20 });
+
+      expect(result.errors.oversBowled).toBe('Overs bowled exceed the per-bowler limit for this match format');
+      expect(validateSportParameters('cricket', { ...spell, oversBowled: 5 }, { matchFormat: ODI }).isValid)
+        .toBe(true);
+    });
+
+    test('should reject overs with more than five balls', () => {
+      expect(validateSportParameters('cricket', { ...spell, oversBowled: 3.6 }).errors.oversBowled)
+        .toBe('Overs must be written as overs.balls with at most 5 balls, e.g., 4.5');
+      expect(validateSportParameters('cricket', { ...spell, oversBowled: 3.25 }).isValid).toBe(false);
+      expect(validateSportParameters('cricket', { ...spell, oversBowled: 3.5 }).isValid).toBe(true);
+    });
+
+    test('should accept not out as yes or no', () => {
+      expect(validateSportParameters('cricket', { ...innings, notOut: true }).isValid).toBe(true);
+      expect(validateSportParameters('cricket', { ...innings, notOut: 1 }).isValid).toBe(true);
+      expect(validateSportParameters('cricket', { ...innings, notOut: 2 }).errors.notOut).toBe('Not Out must be yes or no');
+    });
+
+    test('should reject impossible extras', () => {
+      const result = validateSportParameters('cricket', { ...spell, maidens: 5, dotBalls: 30 });
+
+      expect(result.errors.maidens).toBe('Maidens cannot exceed completed overs bowled');
+      expect(result.errors.dotBalls).toBe('Dot balls cannot exceed balls bowled');
+      expect(validateSportParameters('cricket', { ...innings, fours: 10, sixes: 5 }).errors.fours)
+        .toBe('Runs from boundaries cannot exceed runs scored');
+    });
+
+    test('should validate the match format on match data', () => {
+      const matchData = {
+        playerId: 'player1',
+        coachId: 'coach1',
+        sport: 'cricket',
+        parameters: spell,
+        date: new Date('2024-01-01')
+      };
+
+      expect(validateMatchData({ ...matchData, matchFormat: T20 }).isValid).toBe(true);
+      expect(validateMatchData({ ...matchData, matchFormat: { id: 'hundred' } }).errors.matchFormat)
+        .toBe('Invalid match format for this sport');
+      expect(validateMatchFormat('cricket', { id: 'custom', overs: 60 }).error)
+        .toBe('Custom format overs must be between 1 and 50');
+      expect(validateMatchFormat('cricket', { id: 'custom', overs: 30 }).isValid).toBe(true);
+    });
+  });
+
+  describe('Suggestions', () => {
+    test('should judge strike rate advice against the format', () => {
+      const messagesFor = (matchFormat) => generateTrainingSuggestions(50, 'cricket', innings, { matchFormat })
+        .map(suggestion => suggestion.message);
+
+      expect(messagesFor(T20).some(message => message.includes('improve strike rate'))).toBe(true);
+      expect(messagesFor(MULTI_DAY).some(message => message.includes('improve strike rate'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for role-aware cricket scoring
+ * Requirements: 3.1, 3.2 - Cricket performance calculation testing
+ */
+
+import { calculateCricketScore } from '../cricket.js';
+import { getPlayingRole, getPlayingRoles } from '../index.js';
+import { generateTrainingSuggestions } from '../../services/suggestionEngine.js';
+import { validatePlayerData, validateSportParameters } from '../../utils/validators.js';
+
+const bowlerParams = {
+  runsScored: 0,
+  ballsFaced: 0,
+  wicketsTaken: 3,
+  runsConceded: 24,
+  catches: 0,
+  oversBowled: 4
+};
+
+const batterParams = {
+  runsScored: 80,
+  ballsFaced: 60,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 1,
+  oversBowled: 0
+};
+
+const keeperParams = {
+  runsScored: 30,
+  ballsFaced: 30,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 2,
+  stumpings: 1,
+  oversBowled: 0
+};
+
+describe('Cricket Playing Roles', () => {
+  test('should expose the cricket playing roles through the registry', () => {
+    expect(getPlayingRoles('cricket').map(role => role.id))
+      .toEqual(['batter', 'bowler', 'all-rounder', 'wicket-keeper']);
+    expect(getPlayingRole('cricket', 'bowler').disciplines).toEqual(['bowling']);
+    expect(getPlayingRole('cricket', 'goalkeeper')).toBeNull();
+    expect(getPlayingRoles('quidditch')).toEqual([]);
+  });
+
+  test('should keep the blended score when no role is given', () => {
+    expect(calculateCricketScore(bowlerParams)).toBe(26);
+    expect(calculateCricketScore(bowlerParams, null, {})).toBe(26);
+  });
+
+  test('should not cap a bowler who did not bat', () => {
+    // wickets 100, economy 6 -> 66.7; 0.6 * 100 + 0.4 * 66.7
+    expect(calculateCricketScore(bowlerParams, null, { playingRole: 'bowler' })).toBe(87);
+  });
+
+  test('should let a batter reach 100 without bowling', () => {
+    expect(calculateCricketScore(batterParams, null, { playingRole: 'batter' })).toBe(100);
+  });
+
+  test('should only count secondary disciplines that lift the score', () => {
+    const withCameo = { ...bowlerParams, runsScored: 20, ballsFaced: 10 };
+    const withPoorCameo = { ...bowlerParams, runsScored: 1, ballsFaced: 10 };
+
+    // (86.7 * 0.3 + 100 * 0.5) / 0.8
+    expect(calculateCricketScore(withCameo, null, { playingRole: 'bowler' })).toBe(95);
+    expect(calculateCricketScore(withPoorCameo, null, { playingRole: 'bowler' })).toBe(87);
+  });
+
+  test('should judge all-rounders on both batting and bowling', () => {
+    const params = { ...bowlerParams, runsScored: 10, ballsFaced: 20 };
+
+    // (50 * 0.5 + 86.7 * 0.3) / 0.8
+    expect(calculateCricketScore(params, null, { playingRole: 'all-rounder' })).toBe(64);
+    expect(calculateCricketScore(params, null, { playingRole: 'bowler' })).toBe(87);
+  });
+
+  test('should score wicket-keepers on batting and dismissals including stumpings', () => {
+    // keeping = 2 * 20 + 1 * 25 = 65; (100 * 0.5 + 65 * 0.4) / 0.9
+    expect(calculateCricketScore(keeperParams, null, { playingRole: 'wicket-keeper' })).toBe(84);
+    expect(calculateCricketScore({ ...keeperParams, stumpings: 0 }, null, { playingRole: 'wicket-keeper' }))
+      .toBe(73);
+  });
+
+  test('should fall back to the disciplines played when the role was not', () => {
+    expect(calculateCricketScore(batterParams, null, { playingRole: 'bowler' })).toBe(77);
+    expect(calculateCricketScore({ ...bowlerParams, wicketsTaken: 0, oversBowled: 0, runsConceded: 0 }, null, {
+      playingRole: 'batter'
+    })).toBe(0);
+  });
+
+  test('should honour team weights when renormalising', () => {
+    const score = calculateCricketScore(keeperParams, { weights: { keeping: 0.5 } }, {
+      playingRole: 'wicket-keeper'
+    });
+
+    // (100 * 0.5 + 65 * 0.5) / 1.0
+    expect(score).toBe(83);
+  });
+
+  test('should accept stumpings as an optional parameter', () => {
+    expect(validateSportParameters('cricket', bowlerParams).isValid).toBe(true);
+    expect(validateSportParameters('cricket', { ...keeperParams, stumpings: 11 }).isValid).toBe(false);
+  });
+
+  test('should validate the playing role against the player sport', () => {
+    const player = { name: 'Asha', email: 'asha@example.com', sport: 'cricket', coachId: 'coach1' };
+
+    expect(validatePlayerData({ ...player, playingRole: 'wicket-keeper' }).isValid).toBe(true);
+    expect(validatePlayerData({ ...player, playingRole: 'goalkeeper' }).errors.playingRole)
+      .toBe('Invalid playing role for this sport');
+  });
+
+  test('should give keepers glovework suggestions instead of fielding drills', () => {
+    const params = { ...keeperParams, catches: 0, stumpings: 0 };
+    const keeperMessages = generateTrainingSuggestions(50, 'cricket', params, { playingRole: 'wicket-keeper' })
+      .map(suggestion => suggestion.message);
+    const defaultMessages = generateTrainingSuggestions(50, 'cricket', params)
+      .map(suggestion => suggestion.message);
+
+    expect(keeperMessages.some(message => message.includes('glovework'))).toBe(true);
+    expect(keeperMessages.some(message => message.includes('catching drills'))).toBe(false);
+    expect(defaultMessages.some(message => message.includes('catching drills'))).toBe(true);
+  });
+});
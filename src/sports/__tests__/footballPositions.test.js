@@ -0,0 +1,146 @@
+/**
+ * Tests for position-aware football scoring
+ * Requirements: 3.2, 4.3 - Football performance calculation and suggestion testing
+ */
+
+import { calculateFootballScore } from '../football.js';
+import { getPlayingRoles } from '../index.js';
+import { generateTrainingSuggestions } from '../../services/suggestionEngine.js';
+import { validateSportParameters } from '../../utils/validators.js';
+
+const goalkeeperParams = {
+  goalsScored: 0,
+  assists: 0,
+  passesCompleted: 25,
+  tacklesMade: 0,
+  minutesPlayed: 90,
+  saves: 6,
+  cleanSheet: 1,
+  passAccuracy: 0.8
+};
+
+const defenderParams = {
+  goalsScored: 0,
+  assists: 0,
+  passesCompleted: 50,
+  tacklesMade: 6,
+  interceptions: 4,
+  minutesPlayed: 90,
+  cleanSheet: 1,
+  passAccuracy: 0.9
+};
+
+const forwardParams = {
+  goalsScored: 2,
+  assists: 0,
+  passesCompleted: 20,
+  tacklesMade: 1,
+  shotsOnTarget: 4,
+  minutesPlayed: 90,
+  passAccuracy: 0.75
+};
+
+const messagesFor = (params, playingRole, score = 50) =>
+  generateTrainingSuggestions(score, 'football', params, { playingRole })
+    .map(suggestion => suggestion.message);
+
+describe('Football Positions', () => {
+  test('should expose the four football positions', () => {
+    expect(getPlayingRoles('football').map(role => role.id))
+      .toEqual(['goalkeeper', 'defender', 'midfielder', 'forward']);
+    getPlayingRoles('football').forEach(role => {
+      const total = Object.values(role.weights).reduce((sum, weight) => sum + weight, 0);
+      expect(total).toBeCloseTo(1);
+    });
+  });
+
+  test('should keep the original formula when no position is given', () => {
+    expect(calculateFootballScore(goalkeeperParams)).toBe(3);
+    expect(calculateFootballScore({
+      goalsScored: 1,
+      assists: 1,
+      passesCompleted: 45,
+      tacklesMade: 3,
+      minutesPlayed: 90
+    })).toBe(17);
+  });
+
+  test('should reward a goalkeeper for saves and a clean sheet', () => {
+    expect(calculateFootballScore(goalkeeperParams, null, { playingRole: 'goalkeeper' })).toBe(83);
+    expect(calculateFootballScore({ ...goalkeeperParams, cleanSheet: 0 }, null, { playingRole: 'goalkeeper' }))
+      .toBeLessThan(83);
+  });
+
+  test('should reward a defender for defensive actions without goals', () => {
+    expect(calculateFootballScore(defenderParams, null, { playingRole: 'defender' })).toBe(70);
+    expect(calculateFootballScore(defenderParams, null, { playingRole: 'forward' })).toBeLessThan(70);
+  });
+
+  test('should weight finishing for forwards', () => {
+    expect(calculateFootballScore(forwardParams, null, { playingRole: 'forward' })).toBe(62);
+    expect(calculateFootballScore({ ...forwardParams, shotsOnTarget: 2 }, null, { playingRole: 'forward' }))
+      .toBe(51);
+  });
+
+  test('should deduct points for cards', () => {
+    expect(calculateFootballScore({ ...forwardParams, yellowCards: 1 }, null, { playingRole: 'forward' })).toBe(57);
+    expect(calculateFootballScore({ ...forwardParams, yellowCards: 2, redCards: 1 }, null, {
+      playingRole: 'forward'
+    })).toBe(32);
+    expect(calculateFootballScore({ ...forwardParams, redCards: 1 })).toBe(0);
+  });
+
+  test('should honour team baselines in the position formulas', () => {
+    const score = calculateFootballScore(goalkeeperParams, { baselines: { saveValue: 5, cleanSheetValue: 20 } }, {
+      playingRole: 'goalkeeper'
+    });
+
+    expect(score).toBeLessThan(83);
+  });
+
+  describe('Validation', () => {
+    test('should accept legacy matches without the new parameters', () => {
+      expect(validateSportParameters('football', {
+        goalsScored: 1,
+        assists: 0,
+        passesCompleted: 30,
+        tacklesMade: 2,
+        minutesPlayed: 90
+      }).isValid).toBe(true);
+    });
+
+    test('should reject more goals than shots on target', () => {
+      const result = validateSportParameters('football', { ...forwardParams, shotsOnTarget: 1 });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.shotsOnTarget).toBe('Shots on target cannot be fewer than goals scored');
+    });
+
+    test('should require a red card with a second yellow', () => {
+      const result = validateSportParameters('football', { ...forwardParams, yellowCards: 2 });
+
+      expect(result.errors.redCards).toBe('Two yellow cards must be recorded with a red card');
+    });
+  });
+
+  describe('Suggestions', () => {
+    test('should not tell goalkeepers and defenders to work on finishing', () => {
+      expect(messagesFor(defenderParams, 'defender').some(message => message.includes('finishing skills')))
+        .toBe(false);
+      expect(messagesFor(defenderParams, null).some(message => message.includes('finishing skills')))
+        .toBe(true);
+    });
+
+    test('should give goalkeepers shot-stopping advice after conceding', () => {
+      const messages = messagesFor({ ...goalkeeperParams, cleanSheet: 0 }, 'goalkeeper');
+
+      expect(messages.some(message => message.includes('shot-stopping'))).toBe(true);
+    });
+
+    test('should flag discipline problems for every position', () => {
+      const messages = messagesFor({ ...forwardParams, redCards: 1 }, null);
+
+      expect(messages.some(message => message.includes('Discipline'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for match context and opponent difficulty
+ * Requirements: 3.1, 3.2 - Performance score calculation testing
+ */
+
+import { applyDifficulty, describeMatchContext, getDifficultyMultiplier } from '../matchContext.js';
+import {
+  calculatePerformanceBreakdown,
+  calculatePerformanceScore
+} from '../../services/performanceCalculator.js';
+import { createMatchContext, filterMatchesByContext } from '../../models/matchData.js';
+import { validateMatchContext, validateMatchData, validateScoringProfile } from '../../utils/validators.js';
+
+const batterParams = {
+  runsScored: 30,
+  ballsFaced: 40,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 1,
+  oversBowled: 0
+};
+
+describe('Match Context', () => {
+  test('should leave scores unchanged without a difficulty weight or rating', () => {
+    const base = calculatePerformanceBreakdown('cricket', batterParams);
+    const strong = { matchContext: createMatchContext({ opponentStrength: 5 }) };
+
+    expect(calculatePerformanceBreakdown('cricket', batterParams, null, strong)).toEqual(base);
+    expect(calculatePerformanceBreakdown('cricket', batterParams, { difficultyWeight: 0.2 })).toEqual(base);
+    expect(getDifficultyMultiplier(createMatchContext({ opponentStrength: 3 }), 0.2)).toBe(1);
+  });
+
+  test('should scale the total by opponent strength', () => {
+    const profile = { difficultyWeight: 0.2 };
+    const base = calculatePerformanceBreakdown('cricket', batterParams);
+    const against = (opponentStrength) => ({ matchContext: createMatchContext({ opponentStrength }) });
+
+    const strong = calculatePerformanceBreakdown('cricket', batterParams, profile, against(5));
+    const weak = calculatePerformanceBreakdown('cricket', batterParams, profile, against(1));
+
+    expect(strong.difficulty).toEqual({ opponentStrength: 5, weight: 0.2, multiplier: 1.2, baseTotal: base.total });
+    expect(strong.total).toBeCloseTo(base.total * 1.2, 1);
+    expect(weak.total).toBeCloseTo(base.total * 0.8, 1);
+    expect(strong.components).toEqual(base.components);
+    expect(calculatePerformanceScore('cricket', batterParams, profile, against(5))).toBe(strong.score);
+    expect(calculatePerformanceScore('cricket', batterParams, profile, against(1))).toBe(weak.score);
+    expect(strong.score).toBeGreaterThan(weak.score);
+  });
+
+  test('should cap the weight and keep scores within 0-100', () => {
+    const breakdown = { score: 90, total: 90, components: [] };
+    const scaled = applyDifficulty(breakdown, { opponentStrength: 5 }, 2);
+
+    expect(scaled.difficulty.multiplier).toBe(1.5);
+    expect(scaled.total).toBe(135);
+    expect(scaled.score).toBe(100);
+  });
+
+  test('should describe and filter matches by context', () => {
+    const matches = [
+      { id: 'a', matchContext: createMatchContext({ opponent: 'Riverside ', venue: 'away', competition: 'League', result: 'win' }) },
+      { id: 'b', matchContext: createMatchContext({ opponent: 'Hilltop', venue: 'home', competition: 'Cup', result: 'loss' }) },
+      { id: 'c' }
+    ];
+
+    expect(describeMatchContext(matches[0].matchContext)).toBe('vs Riverside (Away) · League · Win');
+    expect(describeMatchContext(null)).toBe('');
+    expect(filterMatchesByContext(matches, {}).map(m => m.id)).toEqual(['a', 'b', 'c']);
+    expect(filterMatchesByContext(matches, { opponent: 'riverside' }).map(m => m.id)).toEqual(['a']);
+    expect(filterMatchesByContext(matches, { venue: 'home', result: 'loss' }).map(m => m.id)).toEqual(['b']);
+    expect(filterMatchesByContext(matches, { competition: 'Friendly' })).toEqual([]);
+  });
+
+  describe('Validation', () => {
+    test('should validate match context fields', () => {
+      expect(validateMatchContext(createMatchContext({ opponent: 'Riverside', opponentStrength: '4' })).isValid).toBe(true);
+      expect(validateMatchContext(createMatchContext()).isValid).toBe(true);
+
+      const { errors } = validateMatchContext({ venue: 'moon', result: 'tie', opponentStrength: 6 });
+      expect(Object.keys(errors).sort()).toEqual(['opponentStrength', 'result', 'venue']);
+      expect(validateMatchContext({ opponentStrength: 2.5 }).isValid).toBe(false);
+    });
+
+    test('should reject an invalid match context on match data', () => {
+      const validation = validateMatchData({
+        playerId: 'p1',
+        coachId: 'c1',
+        sport: 'cricket',
+        parameters: batterParams,
+        date: new Date('2024-03-01'),
+        matchContext: { venue: 'moon' }
+      });
+
+      expect(validation.errors.matchContext).toBe('Venue must be home, away or neutral');
+    });
+
+    test('should validate the scoring profile difficulty weight', () => {
+      expect(validateScoringProfile('cricket', { difficultyWeight: 0.3 }).isValid).toBe(true);
+      expect(validateScoringProfile('cricket', { difficultyWeight: 0.8 }).errors.difficultyWeight).toBeDefined();
+      expect(validateScoringProfile('cricket', { difficultyWeight: '0.2' }).isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the sport definition registry
+ * Requirements: 2.4, 2.5 - Multi-sport parameter management testing
+ */
+
+import {
+  registerSport,
+  getSport,
+  isSupportedSport,
+  getSportIds,
+  getAllSports,
+  mapSports
+} from '../index.js';
+import { calculatePerformanceScore } from '../../services/performanceCalculator.js';
+import { generateTrainingSuggestions } from '../../services/suggestionEngine.js';
+import { validateSportParameters, validateMatchData } from '../../utils/validators.js';
+
+describe('Sport Registry', () => {
+  test('should register the built-in sports', () => {
+    expect(getSportIds()).toEqual(expect.arrayContaining(['cricket', 'football', 'basketball']));
+    getAllSports().forEach(sport => {
+      expect(sport.parameterSchema).toBeDefined();
+      expect(sport.parameterLabels).toBeDefined();
+      expect(sport.defaultParameters).toBeDefined();
+      expect(typeof sport.calculateScore).toBe('function');
+      expect(Array.isArray(sport.suggestionRules)).toBe(true);
+    });
+  });
+
+  test('should look up sports case-insensitively', () => {
+    expect(getSport('Cricket')?.id).toBe('cricket');
+    expect(getSport('unknown')).toBeNull();
+    expect(getSport(null)).toBeNull();
+    expect(isSupportedSport('football')).toBe(true);
+    expect(isSupportedSport('quidditch')).toBe(false);
+  });
+
+  test('should give every form layout field a schema entry and a label', () => {
+    getAllSports().forEach(sport => {
+      sport.formLayout.flatMap(group => group.fields).forEach(field => {
+        expect(sport.parameterSchema).toHaveProperty(field);
+        expect(sport.parameterLabels).toHaveProperty(field);
+      });
+    });
+  });
+
+  test('should build per-sport maps', () => {
+    const icons = mapSports(sport => sport.icon);
+    expect(icons.cricket).toBe('🏏');
+    expect(icons.basketball).toBe('🏀');
+  });
+
+  test('should reject incomplete definitions', () => {
+    expect(() => registerSport(null)).toThrow();
+    expect(() => registerSport({ id: 'broken', name: 'Broken' })).toThrow(/missing/);
+  });
+
+  describe('Registered sport picked up by consumers', () => {
+    const curlingSport = {
+      id: 'curling',
+      name: 'Curling',
+      icon: '🥌',
+      colors: { primary: '#2563eb', light: '#dbeafe', dark: '#1d4ed8' },
+      badgeClasses: { background: 'bg-blue-100', text: 'text-blue-600' },
+      parameterSchema: {
+        stonesThrown: { type: 'number', min: 0, max: 20, required: true },
+        stonesInHouse: { type: 'number', min: 0, max: 20, required: true }
+      },
+      parameterLabels: { stonesThrown: 'Stones Thrown', stonesInHouse: 'Stones In House' },
+      defaultParameters: { stonesThrown: 0, stonesInHouse: 0 },
+      formLayout: [{ id: 'delivery', title: 'Delivery', fields: ['stonesThrown', 'stonesInHouse'] }],
+      calculateScore: ({ stonesThrown, stonesInHouse }) =>
+        Math.round((stonesInHouse / Math.max(stonesThrown, 1)) * 100),
+      suggestionRules: [
+        {
+          id: 'curling.delivery.low-accuracy',
+          type: 'technique',
+          priority: 'high',
+          message: 'Work on delivery weight control.',
+          when: (params) => params.stonesInHouse / Math.max(params.stonesThrown, 1) < 0.5
+        }
+      ]
+    };
+
+    registerSport(curlingSport);
+
+    test('should score, validate and suggest for the new sport', () => {
+      const parameters = { stonesThrown: 8, stonesInHouse: 2 };
+
+      expect(calculatePerformanceScore('curling', parameters)).toBe(25);
+      expect(validateSportParameters('curling', parameters).isValid).toBe(true);
+      expect(validateSportParameters('curling', { stonesThrown: 30 }).errors)
+        .toHaveProperty('stonesThrown');
+
+      const suggestions = generateTrainingSuggestions(25, 'curling', parameters);
+      expect(suggestions.some(s => s.message.includes('delivery weight'))).toBe(true);
+
+      const matchValidation = validateMatchData({
+        playerId: 'player1',
+        coachId: 'coach1',
+        sport: 'curling',
+        parameters,
+        date: new Date('2024-01-01')
+      });
+      expect(matchValidation.isValid).toBe(true);
+    });
+  });
+});
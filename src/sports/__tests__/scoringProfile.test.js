@@ -0,0 +1,96 @@
+/**
+ * Tests for configurable scoring profiles
+ * Requirements: 3.1, 3.2, 3.3 - Configurable performance score calculation testing
+ */
+
+import { resolveScoringProfile } from '../scoringProfile.js';
+import { getAllSports, getSport } from '../index.js';
+import { calculatePerformanceScore } from '../../services/performanceCalculator.js';
+import { validateScoringProfile } from '../../utils/validators.js';
+
+const bowlerParams = {
+  runsScored: 4,
+  ballsFaced: 10,
+  wicketsTaken: 3,
+  runsConceded: 20,
+  catches: 0,
+  oversBowled: 4
+};
+
+describe('Scoring Profiles', () => {
+  test('should merge team overrides over the sport defaults', () => {
+    const resolved = resolveScoringProfile(getSport('cricket').scoringProfile, {
+      weights: { batting: 0.2 }
+    });
+
+    expect(resolved.weights.batting).toBe(0.2);
+    expect(resolved.weights.bowling).toBe(0.3);
+    expect(resolved.baselines.economyWorst).toBe(12);
+  });
+
+  test('should give every built-in sport a default profile', () => {
+    getAllSports()
+      .filter(sport => ['cricket', 'football', 'basketball', 'volleyball', 'hockey', 'tennis'].includes(sport.id))
+      .forEach(sport => {
+        expect(sport.scoringProfile).toBeDefined();
+        expect(validateScoringProfile(sport.id, sport.scoringProfile).isValid).toBe(true);
+      });
+  });
+
+  test('should score identically with no profile and an empty profile', () => {
+    expect(calculatePerformanceScore('cricket', bowlerParams, {}))
+      .toBe(calculatePerformanceScore('cricket', bowlerParams));
+  });
+
+  test('should rate bowlers higher with a bowling-heavy profile', () => {
+    const defaultScore = calculatePerformanceScore('cricket', bowlerParams);
+    const bowlingHeavyScore = calculatePerformanceScore('cricket', bowlerParams, {
+      weights: { batting: 0.2, bowling: 0.6, fielding: 0.2 }
+    });
+
+    expect(bowlingHeavyScore).toBeGreaterThan(defaultScore);
+  });
+
+  test('should apply caps and baselines', () => {
+    const params = {
+      goalsScored: 0,
+      assists: 0,
+      passesCompleted: 90,
+      tacklesMade: 0,
+      minutesPlayed: 90
+    };
+
+    expect(calculatePerformanceScore('football', params, { caps: { passing: 10 } }))
+      .toBeLessThan(calculatePerformanceScore('football', params));
+    expect(calculatePerformanceScore('cricket', bowlerParams, {
+      baselines: { economyBest: 2, economyWorst: 6 }
+    })).toBeLessThan(calculatePerformanceScore('cricket', bowlerParams));
+  });
+
+  describe('Validation', () => {
+    test('should reject unknown keys and out-of-range values', () => {
+      const result = validateScoringProfile('cricket', {
+        weights: { batting: 1.5, swagger: 0.1 },
+        baselines: { strikeRate: 0 }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors['weights.batting']).toBe('weights.batting must be between 0 and 1');
+      expect(result.errors['weights.swagger']).toBe('Unknown weights setting: swagger');
+      expect(result.errors['baselines.strikeRate']).toBe('baselines.strikeRate must be greater than 0');
+    });
+
+    test('should apply sport-specific profile constraints', () => {
+      const result = validateScoringProfile('cricket', {
+        baselines: { economyBest: 10, economyWorst: 8 }
+      });
+
+      expect(result.errors['baselines.economyBest'])
+        .toBe('Best economy rate must be lower than worst economy rate');
+    });
+
+    test('should reject sports without a scoring profile', () => {
+      expect(validateScoringProfile('quidditch', {}).errors).toHaveProperty('sport');
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests for declarative suggestion rules
+ * Requirements: 4.1, 4.2 - Intelligent suggestion system testing
+ */
+
+import {
+  compileExpression,
+  compareValues,
+  evaluateExpression,
+  evaluateSuggestionRule,
+  getExpressionNames,
+  renderRuleMessage,
+  resolveSuggestionRules
+} from '../suggestionRules.js';
+import { getSport } from '../index.js';
+import { generateTrainingSuggestions, previewSuggestionRule } from '../../services/suggestionEngine.js';
+import { validateSuggestionRule } from '../../utils/validators.js';
+
+const footballParams = {
+  goals: 0,
+  assists: 0,
+  shotsOnTarget: 1,
+  passAccuracy: 0.8,
+  minutesPlayed: 90
+};
+
+const rule = (overrides = {}) => ({
+  id: 'custom.test',
+  type: 'technique',
+  priority: 'medium',
+  message: 'Value {value} against {threshold}',
+  metric: 'score',
+  comparator: '<',
+  threshold: 50,
+  ...overrides
+});
+
+describe('Suggestion Rules', () => {
+  describe('Expressions', () => {
+    test('should respect precedence, parentheses and unary minus', () => {
+      expect(evaluateExpression('1 + 2 * 3', {})).toBe(7);
+      expect(evaluateExpression('(1 + 2) * 3', {})).toBe(9);
+      expect(evaluateExpression('-a + 10 / 4', { a: 2 })).toBe(0.5);
+    });
+
+    test('should support min, max and abs', () => {
+      expect(evaluateExpression('max(a, b, 3)', { a: 1, b: 2 })).toBe(3);
+      expect(evaluateExpression('min(a, 0.5) + abs(-2)', { a: 1 })).toBe(2.5);
+    });
+
+    test('should return NaN for missing names', () => {
+      expect(evaluateExpression('missing * 2', {})).toBeNaN();
+    });
+
+    test('should list the names an expression reads', () => {
+      expect(getExpressionNames('0.8 * strikeRateBaseline + max(runs, runs)')).toEqual(['strikeRateBaseline', 'runs']);
+      expect(getExpressionNames(12)).toEqual([]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(() => compileExpression('')).toThrow('Expression is empty');
+      expect(() => compileExpression('1 +')).toThrow();
+      expect(() => compileExpression('goals; 1')).toThrow('Unexpected character');
+      expect(() => compileExpression('eval(1)')).toThrow('Unknown function');
+      expect(() => compileExpression('constructor(1)')).toThrow('Unknown function');
+      expect(() => compileExpression('toString(1)')).toThrow('Unknown function');
+    });
+  });
+
+  describe('Comparators', () => {
+    test('should compare finite values', () => {
+      expect(compareValues(1, '<', 2)).toBe(true);
+      expect(compareValues(2, '<=', 2)).toBe(true);
+      expect(compareValues(2, '==', 2)).toBe(true);
+      expect(compareValues(2, '!=', 2)).toBe(false);
+    });
+
+    test('should never hold for missing values', () => {
+      expect(compareValues(NaN, '!=', 2)).toBe(false);
+      expect(compareValues(1, '<', Infinity)).toBe(false);
+    });
+  });
+
+  describe('Evaluation', () => {
+    test('should return the value and threshold when a rule fires', () => {
+      expect(evaluateSuggestionRule(rule({ threshold: 'limit / 2' }), { score: 40, limit: 100 }))
+        .toEqual({ value: 40, threshold: 50 });
+      expect(evaluateSuggestionRule(rule(), { score: 60 })).toBeNull();
+    });
+
+    test('should require every condition and one alternative of a group', () => {
+      const grouped = rule({
+        conditions: [
+          { metric: 'minutes', comparator: '>', threshold: 0 },
+          { any: [{ metric: 'a', comparator: '>=', threshold: 4 }, { metric: 'a', comparator: '>', threshold: 'b' }] }
+        ]
+      });
+
+      expect(evaluateSuggestionRule(grouped, { score: 40, minutes: 10, a: 4, b: 9 })).not.toBeNull();
+      expect(evaluateSuggestionRule(grouped, { score: 40, minutes: 10, a: 2, b: 1 })).not.toBeNull();
+      expect(evaluateSuggestionRule(grouped, { score: 40, minutes: 10, a: 2, b: 3 })).toBeNull();
+      expect(evaluateSuggestionRule(grouped, { score: 40, minutes: 0, a: 5, b: 1 })).toBeNull();
+    });
+
+    test('should apply role filters and the enabled flag', () => {
+      const forwardsOnly = rule({ roles: ['forward'] });
+      const notKeepers = rule({ excludeRoles: ['goalkeeper'] });
+
+      expect(evaluateSuggestionRule(forwardsOnly, { score: 40 }, { playingRole: 'forward' })).not.toBeNull();
+      expect(evaluateSuggestionRule(forwardsOnly, { score: 40 }, {})).toBeNull();
+      expect(evaluateSuggestionRule(notKeepers, { score: 40 }, { playingRole: 'goalkeeper' })).toBeNull();
+      expect(evaluateSuggestionRule(rule({ enabled: false }), { score: 40 })).toBeNull();
+    });
+
+    test('should skip a malformed rule instead of throwing', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(evaluateSuggestionRule(rule({ threshold: '1 +' }), { score: 40 })).toBeNull();
+      expect(consoleSpy).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Messages', () => {
+    test('should fill placeholders and round numbers', () => {
+      expect(renderRuleMessage('Only {value} passes (target {threshold}) in {minutesPlayed} min', {
+        value: 0.41666,
+        threshold: 0.5,
+        minutesPlayed: 60
+      })).toBe('Only 0.42 passes (target 0.5) in 60 min');
+    });
+
+    test('should leave unknown placeholders as they are', () => {
+      expect(renderRuleMessage('Keep going {name}', { value: 1 })).toBe('Keep going {name}');
+    });
+  });
+
+  describe('Coach Rules', () => {
+    const defaults = [rule({ id: 'a' }), rule({ id: 'b', threshold: 30 })];
+
+    test('should override default rules by id and append new ones', () => {
+      const resolved = resolveSuggestionRules(defaults, [
+        { id: 'b', threshold: 40 },
+        { id: 'a', enabled: false },
+        rule({ id: 'custom.c' })
+      ]);
+
+      expect(resolved.map(r => r.id)).toEqual(['a', 'b', 'custom.c']);
+      expect(resolved[0].enabled).toBe(false);
+      expect(resolved[1].threshold).toBe(40);
+      expect(resolved[1].message).toBe(defaults[1].message);
+    });
+
+    test('should keep the defaults without coach rules', () => {
+      expect(resolveSuggestionRules(defaults)).toEqual(defaults);
+      expect(resolveSuggestionRules(defaults, null)).toEqual(defaults);
+    });
+
+    test('should change the suggestions generated for a match', () => {
+      const defaultIds = generateTrainingSuggestions(75, 'football', footballParams).map(s => s.ruleId);
+      const rules = resolveSuggestionRules(getSport('football').suggestionRules, [
+        { id: 'football.passing.low-volume', enabled: false },
+        rule({ id: 'custom.shots', metric: 'shotsOnTarget', threshold: 3, message: 'Only {value} shots on target' })
+      ]);
+      const suggestions = generateTrainingSuggestions(75, 'football', footballParams, {}, rules);
+
+      expect(suggestions.some(s => s.ruleId === 'football.passing.low-volume')).toBe(false);
+      expect(suggestions.find(s => s.ruleId === 'custom.shots')).toMatchObject({
+        message: 'Only 1 shots on target',
+        value: 1,
+        threshold: 3
+      });
+      expect(defaultIds).not.toContain('custom.shots');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept every built-in rule', () => {
+      ['football', 'basketball', 'cricket', 'volleyball', 'hockey', 'tennis'].forEach(sport => {
+        getSport(sport).suggestionRules.forEach(defaultRule => {
+          expect(validateSuggestionRule(sport, defaultRule)).toEqual({ isValid: true, errors: {} });
+        });
+      });
+    });
+
+    test('should accept a partial override of a built-in rule', () => {
+      expect(validateSuggestionRule('football', { id: 'football.discipline.cards', threshold: 3 }).isValid).toBe(true);
+    });
+
+    test('should report unknown names, comparators and roles', () => {
+      const result = validateSuggestionRule('football', rule({
+        metric: 'goals + dribbles',
+        comparator: '=>',
+        conditions: [{ metric: 'score', comparator: '<', threshold: '70 *' }],
+        roles: ['striker']
+      }));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.metric).toContain('dribbles');
+      expect(result.errors.comparator).toBe('Invalid comparator');
+      expect(result.errors['conditions.0.threshold']).toContain('not a valid expression');
+      expect(result.errors.roles).toContain('striker');
+    });
+
+    test('should require an id and a message', () => {
+      expect(validateSuggestionRule('football', { message: 'x' }).errors.id).toBeDefined();
+      expect(validateSuggestionRule('football', rule({ message: '' })).errors.message).toBeDefined();
+    });
+  });
+
+  describe('Preview', () => {
+    const match = { sport: 'football', parameters: footballParams, calculatedScore: 45, playingRole: 'forward' };
+
+    test('should show whether a rule fires for a past match', () => {
+      const preview = previewSuggestionRule('football', rule({ metric: 'shotsOnTarget', threshold: 2 }), match);
+
+      expect(preview.fired).toBe(true);
+      expect(preview.value).toBe(1);
+      expect(preview.threshold).toBe(2);
+      expect(preview.suggestion.message).toBe('Value 1 against 2');
+    });
+
+    test('should report values when a rule does not fire', () => {
+      const preview = previewSuggestionRule('football', rule({ metric: 'passAccuracy', threshold: 0.5 }), match);
+
+      expect(preview).toEqual({ fired: false, value: 0.8, threshold: 0.5, suggestion: null });
+    });
+
+    test('should preview disabled rules as if enabled', () => {
+      expect(previewSuggestionRule('football', rule({ enabled: false }), match).fired).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,656 @@
+/**
+ * Basketball sport definition
+ * Requirements: 2.4, 2.5, 3.3, 4.4 - Basketball parameters, scoring and suggestions
+ *
+ * Matches are entered as a box score. Matches saved before the box score existed
+ * (pointsScored, rebounds, assists, steals, minutesPlayed, fieldGoalPercentage) are
+ * still validated and scored with the original formula; see legacyParameters.
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Basketball box score, including display metadata for the match form.
+// Field goals include three-pointers; points and rebounds are derived.
+export const basketballParameterSchema = {
+  fieldGoalsMade: {
+    type: 'number', min: 0, max: 40, required: true,
+    placeholder: 'e.g., 9', help: 'Field goals made, including three-pointers'
+  },
+  fieldGoalsAttempted: {
+    type: 'number', min: 0, max: 60, required: true,
+    placeholder: 'e.g., 18', help: 'Field goals attempted, including three-pointers'
+  },
+  threePointersMade: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 2', help: 'Three-point field goals made'
+  },
+  threePointersAttempted: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 5', help: 'Three-point field goals attempted'
+  },
+  freeThrowsMade: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 4', help: 'Free throws made'
+  },
+  freeThrowsAttempted: {
+    type: 'number', min: 0, max: 40, required: true,
+    placeholder: 'e.g., 5', help: 'Free throws attempted'
+  },
+  offensiveRebounds: {
+    type: 'number', min: 0, max: 25, required: true,
+    placeholder: 'e.g., 2', help: 'Rebounds off your own team\'s missed shots'
+  },
+  defensiveRebounds: {
+    type: 'number', min: 0, max: 35, required: true,
+    placeholder: 'e.g., 6', help: 'Rebounds off the opponent\'s missed shots'
+  },
+  assists: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 6', help: 'Number of assists provided'
+  },
+  turnovers: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 2', help: 'Possessions lost to the opponent'
+  },
+  steals: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 3', help: 'Number of steals made'
+  },
+  blocks: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 1', help: 'Opponent shots blocked'
+  },
+  personalFouls: {
+    type: 'number', min: 0, max: 6, required: true,
+    placeholder: 'e.g., 2', help: 'Personal fouls committed'
+  },
+  minutesPlayed: {
+    type: 'number', min: 0, max: 48, required: true,
+    unit: 'min', placeholder: 'e.g., 32', help: 'Total minutes played in the game (including overtime)'
+  }
+};
+
+/**
+ * Derive the totals and shooting rates from a box score. Matches saved before the
+ * box score existed only carry pointsScored, rebounds and fieldGoalPercentage.
+ * @param {Object} params - Basketball parameters (box score or legacy)
+ * @returns {Object} points, rebounds, fieldGoalPercentage and, for box scores,
+ *   trueShootingPercentage, freeThrowPercentage and gameScore (null when not computable)
+ */
+export const deriveBasketballStats = (params) => {
+  if (isLegacyBasketballParameters(params)) {
+    return {
+      points: params.pointsScored,
+      rebounds: params.rebounds,
+      fieldGoalPercentage: params.fieldGoalPercentage ?? null,
+      trueShootingPercentage: null,
+      freeThrowPercentage: null,
+      gameScore: null
+    };
+  }
+
+  const {
+    fieldGoalsMade, fieldGoalsAttempted, threePointersMade, freeThrowsMade, freeThrowsAttempted,
+    offensiveRebounds, defensiveRebounds, assists, steals, blocks, turnovers, personalFouls
+  } = params;
+  const points = (2 * fieldGoalsMade) + threePointersMade + freeThrowsMade;
+  const shootingPossessions = fieldGoalsAttempted + (0.44 * freeThrowsAttempted);
+
+  return {
+    points,
+    rebounds: offensiveRebounds + defensiveRebounds,
+    fieldGoalPercentage: fieldGoalsAttempted > 0 ? fieldGoalsMade / fieldGoalsAttempted : null,
+    trueShootingPercentage: shootingPossessions > 0 ? points / (2 * shootingPossessions) : null,
+    freeThrowPercentage: freeThrowsAttempted > 0 ? freeThrowsMade / freeThrowsAttempted : null,
+    // Hollinger's Game Score
+    gameScore: points + (0.4 * fieldGoalsMade) - (0.7 * fieldGoalsAttempted) -
+      (0.4 * (freeThrowsAttempted - freeThrowsMade)) + (0.7 * offensiveRebounds) + (0.3 * defensiveRebounds) +
+      steals + (0.7 * assists) + (0.7 * blocks) - (0.4 * personalFouls) - turnovers
+  };
+};
+
+/**
+ * Whether a parameter set predates the box score (points and a typed-in FG%)
+ * @param {Object} params - Basketball parameters
+ * @returns {boolean} True for legacy match documents
+ */
+export const isLegacyBasketballParameters = (params) =>
+  params?.fieldGoalsAttempted === undefined && params?.pointsScored !== undefined;
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const basketballParameterConstraints = [
+  {
+    id: 'basketball.stats-without-minutes',
+    fields: ['minutesPlayed'],
+    message: 'Cannot have performance stats without playing time',
+    check: (params) => params.minutesPlayed > 0 ||
+      (params.fieldGoalsAttempted + params.freeThrowsAttempted + params.offensiveRebounds +
+        params.defensiveRebounds + params.assists + params.steals + params.blocks + params.turnovers) === 0
+  },
+  {
+    id: 'basketball.field-goals-made',
+    fields: ['fieldGoalsMade'],
+    message: 'Field goals made cannot exceed field goals attempted',
+    check: (params) => params.fieldGoalsMade <= params.fieldGoalsAttempted
+  },
+  {
+    id: 'basketball.three-pointers-made',
+    fields: ['threePointersMade'],
+    message: 'Three-pointers made cannot exceed three-pointers attempted',
+    check: (params) => params.threePointersMade <= params.threePointersAttempted
+  },
+  {
+    id: 'basketball.free-throws-made',
+    fields: ['freeThrowsMade'],
+    message: 'Free throws made cannot exceed free throws attempted',
+    check: (params) => params.freeThrowsMade <= params.freeThrowsAttempted
+  },
+  {
+    id: 'basketball.three-pointers-in-field-goals',
+    fields: ['threePointersAttempted', 'threePointersMade'],
+    message: 'Three-pointers are part of field goals and cannot exceed them',
+    check: (params) => params.threePointersAttempted <= params.fieldGoalsAttempted &&
+      params.threePointersMade <= params.fieldGoalsMade
+  },
+  {
+    id: 'basketball.points-per-minute',
+    fields: ['fieldGoalsMade'],
+    message: 'Points per minute seems unusually high',
+    check: (params) => deriveBasketballStats(params).points <= params.minutesPlayed * 3
+  },
+  {
+    id: 'basketball.assists-per-minute',
+    fields: ['assists'],
+    message: 'Assists per minute seems unusually high',
+    check: (params) => params.assists <= params.minutesPlayed / 2
+  }
+];
+
+export const basketballParameterLabels = {
+  fieldGoalsMade: 'Field Goals Made',
+  fieldGoalsAttempted: 'Field Goals Attempted',
+  threePointersMade: '3-Pointers Made',
+  threePointersAttempted: '3-Pointers Attempted',
+  freeThrowsMade: 'Free Throws Made',
+  freeThrowsAttempted: 'Free Throws Attempted',
+  offensiveRebounds: 'Offensive Rebounds',
+  defensiveRebounds: 'Defensive Rebounds',
+  assists: 'Assists',
+  turnovers: 'Turnovers',
+  steals: 'Steals',
+  blocks: 'Blocks',
+  personalFouls: 'Personal Fouls',
+  minutesPlayed: 'Minutes Played'
+};
+
+export const defaultBasketballParameters = {
+  fieldGoalsMade: 0,
+  fieldGoalsAttempted: 0,
+  threePointersMade: 0,
+  threePointersAttempted: 0,
+  freeThrowsMade: 0,
+  freeThrowsAttempted: 0,
+  offensiveRebounds: 0,
+  defensiveRebounds: 0,
+  assists: 0,
+  turnovers: 0,
+  steals: 0,
+  blocks: 0,
+  personalFouls: 0,
+  minutesPlayed: 0
+};
+
+// Parameter shape used before the box score; still accepted for existing match documents.
+// fieldGoalPercentage is stored as 0-1.
+export const basketballLegacyParameterSchema = {
+  pointsScored: { type: 'number', min: 0, max: 100, required: true },
+  rebounds: { type: 'number', min: 0, max: 50, required: true },
+  assists: { type: 'number', min: 0, max: 30, required: true },
+  steals: { type: 'number', min: 0, max: 20, required: true },
+  minutesPlayed: { type: 'number', min: 0, max: 48, required: true },
+  fieldGoalPercentage: { type: 'number', min: 0, max: 1, required: false }
+};
+
+export const basketballLegacyParameterConstraints = [
+  {
+    id: 'basketball.legacy.stats-without-minutes',
+    fields: ['minutesPlayed'],
+    message: 'Cannot have performance stats without playing time',
+    check: (params) => params.minutesPlayed > 0 ||
+      (params.pointsScored + params.rebounds + params.assists + params.steals) === 0
+  },
+  {
+    id: 'basketball.legacy.points-per-minute',
+    fields: ['pointsScored'],
+    message: 'Points per minute seems unusually high',
+    check: (params) => params.pointsScored <= params.minutesPlayed * 3
+  },
+  {
+    id: 'basketball.legacy.assists-per-minute',
+    fields: ['assists'],
+    message: 'Assists per minute seems unusually high',
+    check: (params) => params.assists <= params.minutesPlayed / 2
+  }
+];
+
+// Default scoring profile; teams can override any value (see scoringProfile.js).
+// production/shooting score box scores; efficiency and the counting-stat caps and
+// values score legacy matches.
+export const basketballScoringProfile = {
+  weights: { production: 0.7, shooting: 0.3, efficiency: 0.2 },
+  caps: { production: 100, points: 40, rebounds: 25, assists: 25, steals: 10 },
+  // Game Score per 48 minutes and true shooting % treated as elite; legacy points per stat per 48 minutes
+  baselines: {
+    minutes: 48,
+    gameScorePer48: 40,
+    trueShooting: 0.6,
+    pointValue: 1,
+    reboundValue: 2.5,
+    assistValue: 3.125,
+    stealValue: 5
+  }
+};
+
+/**
+ * Score a legacy match (points, rebounds, assists, steals and a typed-in FG%) with the
+ * original formula, so existing match scores stay reproducible
+ * @param {Object} params - Legacy basketball parameters
+ * @param {Object} profile - Resolved scoring profile
+ * @returns {Object} Score breakdown
+ */
+const calculateLegacyBreakdown = (params, { weights, caps, baselines }) => {
+  const { pointsScored, rebounds, assists, steals, minutesPlayed, fieldGoalPercentage } = params;
+
+  // Prevent division by zero
+  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
+  const per48 = (value) => (value / safeMinutesPlayed) * baselines.minutes;
+
+  // All stats normalized per 48 minutes
+  const pointScore = Math.min(caps.points, per48(pointsScored) * baselines.pointValue);
+  const reboundScore = Math.min(caps.rebounds, per48(rebounds) * baselines.reboundValue);
+  const assistScore = Math.min(caps.assists, per48(assists) * baselines.assistValue);
+  const stealScore = Math.min(caps.steals, per48(steals) * baselines.stealValue);
+
+  const efficiencyScore = (fieldGoalPercentage || 0) * 100;
+
+  const totalScore = pointScore + reboundScore + assistScore + stealScore + (weights.efficiency * efficiencyScore);
+
+  // Counting stats are added as points, so they carry a weight of 1
+  return createBreakdown([
+    createComponent({
+      id: 'points',
+      label: 'Points',
+      score: pointScore,
+      weight: 1,
+      rates: [createRate('pointsPer48', 'Points per 48', per48(pointsScored), '/48min')]
+    }),
+    createComponent({
+      id: 'rebounds',
+      label: 'Rebounds',
+      score: reboundScore,
+      weight: 1,
+      rates: [createRate('reboundsPer48', 'Rebounds per 48', per48(rebounds), '/48min')]
+    }),
+    createComponent({
+      id: 'assists',
+      label: 'Assists',
+      score: assistScore,
+      weight: 1,
+      rates: [createRate('assistsPer48', 'Assists per 48', per48(assists), '/48min')]
+    }),
+    createComponent({
+      id: 'steals',
+      label: 'Steals',
+      score: stealScore,
+      weight: 1,
+      rates: [createRate('stealsPer48', 'Steals per 48', per48(steals), '/48min')]
+    }),
+    createComponent({
+      id: 'efficiency',
+      label: 'Efficiency',
+      score: efficiencyScore,
+      weight: weights.efficiency,
+      rates: [createRate('fieldGoalPercentage', 'Field Goal %', (fieldGoalPercentage || 0) * 100, '%')]
+    })
+  ], totalScore, { legacy: true });
+};
+
+/**
+ * Break a basketball performance down into scoring, rebounding, playmaking, defense,
+ * ball security and shooting efficiency. Production is Game Score per 48 minutes against
+ * an elite baseline; shooting is true shooting % against an elite baseline and is left
+ * out (production carries the full weight) when the player took no shots.
+ * @param {Object} params - Basketball box score (see basketballParameterSchema);
+ *   legacy documents with pointsScored/rebounds/fieldGoalPercentage are also accepted
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateBasketballBreakdown = (params, profile = null) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid basketball parameters provided');
+  }
+
+  const resolvedProfile = resolveScoringProfile(basketballScoringProfile, profile);
+  if (isLegacyBasketballParameters(params)) {
+    return calculateLegacyBreakdown(params, resolvedProfile);
+  }
+
+  const { weights, caps, baselines } = resolvedProfile;
+  const {
+    fieldGoalsMade, fieldGoalsAttempted, threePointersMade, freeThrowsMade, freeThrowsAttempted,
+    offensiveRebounds, defensiveRebounds, assists, steals, blocks, turnovers, personalFouls, minutesPlayed
+  } = params;
+  const stats = deriveBasketballStats(params);
+
+  // Prevent division by zero
+  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
+  const per48 = (value) => (value / safeMinutesPlayed) * baselines.minutes;
+
+  // Game Score split into its parts, each as a share of an elite game per 48 minutes
+  const gameScoreParts = {
+    scoring: stats.points + (0.4 * fieldGoalsMade) - (0.7 * fieldGoalsAttempted) -
+      (0.4 * (freeThrowsAttempted - freeThrowsMade)),
+    rebounding: (0.7 * offensiveRebounds) + (0.3 * defensiveRebounds),
+    playmaking: 0.7 * assists,
+    defense: steals + (0.7 * blocks),
+    ballSecurity: -turnovers - (0.4 * personalFouls)
+  };
+  const toProductionScore = (value) => (per48(value) / baselines.gameScorePer48) * 100;
+  const productionScore = toProductionScore(stats.gameScore);
+
+  // Scale the parts down together when production exceeds its cap
+  const capScale = productionScore > caps.production ? caps.production / productionScore : 1;
+
+  const tookShots = fieldGoalsAttempted + freeThrowsAttempted > 0;
+  const shootingWeight = tookShots ? weights.shooting : 0;
+  const productionWeight = tookShots ? weights.production : weights.production + weights.shooting;
+  const shootingScore = tookShots
+    ? Math.min(100, (stats.trueShootingPercentage / baselines.trueShooting) * 100)
+    : 0;
+
+  const totalScore = (Math.min(productionScore, caps.production) * productionWeight) +
+    (shootingScore * shootingWeight);
+
+  const productionComponent = (id, label, rates) => createComponent({
+    id,
+    label,
+    score: toProductionScore(gameScoreParts[id]) * capScale,
+    weight: productionWeight,
+    rates
+  });
+
+  return createBreakdown([
+    productionComponent('scoring', 'Scoring', [
+      createRate('pointsPer48', 'Points per 48', per48(stats.points), '/48min'),
+      createRate('threePointersMade', '3-Pointers Made', threePointersMade, 'per game')
+    ]),
+    productionComponent('rebounding', 'Rebounding', [
+      createRate('reboundsPer48', 'Rebounds per 48', per48(stats.rebounds), '/48min')
+    ]),
+    productionComponent('playmaking', 'Playmaking', [
+      createRate('assistsPer48', 'Assists per 48', per48(assists), '/48min')
+    ]),
+    productionComponent('defense', 'Defense', [
+      createRate('stocksPer48', 'Steals + Blocks per 48', per48(steals + blocks), '/48min')
+    ]),
+    productionComponent('ballSecurity', 'Turnovers & Fouls', [
+      createRate('turnoversPer48', 'Turnovers per 48', per48(turnovers), '/48min'),
+      createRate('personalFouls', 'Personal Fouls', personalFouls, 'per game')
+    ]),
+    createComponent({
+      id: 'shooting',
+      label: 'Shooting Efficiency',
+      score: shootingScore,
+      weight: shootingWeight,
+      rates: [
+        createRate('trueShootingPercentage', 'True Shooting %', (stats.trueShootingPercentage ?? NaN) * 100, '%'),
+        createRate('fieldGoalPercentage', 'Field Goal %', (stats.fieldGoalPercentage ?? NaN) * 100, '%')
+      ]
+    })
+  ], totalScore, {
+    gameScore: Math.round(stats.gameScore * 10) / 10
+  });
+};
+
+/**
+ * Calculate basketball performance score from the box score (or a legacy match)
+ * @param {Object} params - Basketball parameters (see calculateBasketballBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateBasketballScore = (params, profile = null) =>
+  calculateBasketballBreakdown(params, profile).score;
+
+const perMinute = (value, { minutesPlayed }) => value / Math.max(minutesPlayed, 1);
+const pointsPerMinute = (params) => perMinute(deriveBasketballStats(params).points, params);
+const reboundsPerMinute = (params) => perMinute(deriveBasketballStats(params).rebounds, params);
+
+// Values the suggestion rules can refer to besides the parameters
+export const basketballRuleMetrics = {
+  points: { label: 'Points', value: (params) => deriveBasketballStats(params).points },
+  rebounds: { label: 'Rebounds', value: (params) => deriveBasketballStats(params).rebounds },
+  pointsPerMinute: { label: 'Points per minute', value: pointsPerMinute },
+  reboundsPerMinute: { label: 'Rebounds per minute', value: reboundsPerMinute },
+  assistsPerMinute: {
+    label: 'Assists per minute',
+    value: (params) => perMinute(params.assists, params)
+  },
+  stealsPerMinute: {
+    label: 'Steals per minute',
+    value: (params) => perMinute(params.steals, params)
+  },
+  blocksPerMinute: {
+    label: 'Blocks per minute',
+    value: (params) => perMinute(params.blocks || 0, params)
+  },
+  trueShootingPercentage: {
+    label: 'True shooting %',
+    value: (params) => deriveBasketballStats(params).trueShootingPercentage
+  },
+  freeThrowPercentage: {
+    label: 'Free throw %',
+    value: (params) => deriveBasketballStats(params).freeThrowPercentage
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const basketballSuggestionRules = [
+  {
+    id: 'basketball.scoring.low-output',
+    type: 'technique',
+    priority: 'high',
+    message: 'Work on shooting technique and shot selection. Practice free throws and mid-range shots.',
+    metric: 'pointsPerMinute',
+    comparator: '<',
+    threshold: 0.5
+  },
+  {
+    id: 'basketball.scoring.high-output',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent scoring efficiency! Focus on creating shots for teammates as well.',
+    metric: 'pointsPerMinute',
+    comparator: '>',
+    threshold: 1.0
+  },
+  {
+    id: 'basketball.rebounding.low',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Improve rebounding by working on positioning and boxing out. Practice timing jumps.',
+    metric: 'reboundsPerMinute',
+    comparator: '<',
+    threshold: 0.2
+  },
+  {
+    id: 'basketball.rebounding.high',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great rebounding! Your presence in the paint is valuable to the team.',
+    metric: 'reboundsPerMinute',
+    comparator: '>',
+    threshold: 0.4
+  },
+  {
+    id: 'basketball.playmaking.low',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Work on court vision and passing skills. Practice different types of passes.',
+    metric: 'assistsPerMinute',
+    comparator: '<',
+    threshold: 0.1,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'basketball.playmaking.high',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent playmaking! Continue developing leadership on the court.',
+    metric: 'assistsPerMinute',
+    comparator: '>',
+    threshold: 0.25
+  },
+  {
+    id: 'basketball.defense.low-steals',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Focus on defensive anticipation and active hands. Work on reading passing lanes.',
+    metric: 'stealsPerMinute',
+    comparator: '<',
+    threshold: 0.02,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'basketball.defense.high-steals',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great defensive instincts! Balance aggression with smart positioning.',
+    metric: 'stealsPerMinute',
+    comparator: '>',
+    threshold: 0.08
+  },
+  // Box score rules; legacy matches do not record the stats they need
+  {
+    id: 'basketball.shooting.low-efficiency',
+    type: 'technique',
+    priority: 'high',
+    message: 'Shot selection is hurting your efficiency. Look for higher-percentage shots at the rim and open threes.',
+    metric: 'trueShootingPercentage',
+    comparator: '<',
+    threshold: 0.45,
+    conditions: [{ metric: 'fieldGoalsAttempted', comparator: '>=', threshold: 8 }]
+  },
+  {
+    id: 'basketball.shooting.free-throws',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Missed free throws are costing points. Add a daily free throw routine with a consistent pre-shot rhythm.',
+    metric: 'freeThrowPercentage',
+    comparator: '<',
+    threshold: 0.65,
+    conditions: [{ metric: 'freeThrowsAttempted', comparator: '>=', threshold: 4 }]
+  },
+  {
+    id: 'basketball.ball-security.turnovers',
+    type: 'technique',
+    priority: 'high',
+    message: 'Cut down on turnovers. Work on ball handling under pressure and making the simple pass.',
+    metric: 'turnovers',
+    comparator: '>=',
+    threshold: 3,
+    conditions: [
+      { any: [{ metric: 'turnovers', comparator: '>=', threshold: 4 }, { metric: 'turnovers', comparator: '>', threshold: 'assists' }] }
+    ]
+  },
+  {
+    id: 'basketball.discipline.fouls',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Foul trouble limits your minutes. Work on defensive footwork and verticality instead of reaching.',
+    metric: 'personalFouls',
+    comparator: '>=',
+    threshold: 5
+  },
+  {
+    id: 'basketball.defense.rim-protection',
+    type: 'technique',
+    priority: 'low',
+    message: 'Strong rim protection! Keep timing your blocks and staying disciplined on pump fakes.',
+    metric: 'blocksPerMinute',
+    comparator: '>',
+    threshold: 0.08
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is a full 48 minutes
+ * @param {Object} params - Basketball parameters
+ * @returns {number} Match load
+ */
+export const calculateBasketballLoad = ({ minutesPlayed }) => (Number(minutesPlayed) || 0) / 48;
+
+export const basketballSport = {
+  id: 'basketball',
+  name: 'Basketball',
+  icon: '🏀',
+  colors: {
+    primary: '#ea580c', // orange-600
+    light: '#fed7aa',   // orange-100
+    dark: '#c2410c'     // orange-700
+  },
+  badgeClasses: { background: 'bg-orange-100', text: 'text-orange-600' },
+  parameterSchema: basketballParameterSchema,
+  parameterLabels: basketballParameterLabels,
+  defaultParameters: defaultBasketballParameters,
+  formLayout: [
+    {
+      id: 'shooting',
+      title: 'Shooting',
+      fields: [
+        'fieldGoalsMade', 'fieldGoalsAttempted',
+        'threePointersMade', 'threePointersAttempted',
+        'freeThrowsMade', 'freeThrowsAttempted'
+      ]
+    },
+    { id: 'rebounding', title: 'Rebounding', fields: ['offensiveRebounds', 'defensiveRebounds'] },
+    { id: 'playmaking', title: 'Playmaking', fields: ['assists', 'turnovers'] },
+    { id: 'defense', title: 'Defense', fields: ['steals', 'blocks', 'personalFouls'] },
+    { id: 'playingTime', title: 'Playing Time', fields: ['minutesPlayed'] }
+  ],
+  parameterConstraints: basketballParameterConstraints,
+  legacyParameters: {
+    matches: isLegacyBasketballParameters,
+    parameterSchema: basketballLegacyParameterSchema,
+    parameterLabels: {
+      pointsScored: 'Points Scored',
+      rebounds: 'Rebounds',
+      assists: 'Assists',
+      steals: 'Steals',
+      minutesPlayed: 'Minutes Played',
+      fieldGoalPercentage: 'Field Goal %'
+    },
+    defaultParameters: { fieldGoalPercentage: 0 },
+    parameterConstraints: basketballLegacyParameterConstraints
+  },
+  scoringProfile: basketballScoringProfile,
+  previewMetrics: [
+    { label: 'Points', value: (p) => deriveBasketballStats(p).points, decimals: 0 },
+    { label: 'Rebounds', value: (p) => deriveBasketballStats(p).rebounds, decimals: 0 },
+    { label: 'FG%', value: (p) => p.fieldGoalsMade / p.fieldGoalsAttempted * 100, suffix: '%' },
+    {
+      label: 'TS%',
+      value: (p) => (deriveBasketballStats(p).trueShootingPercentage ?? NaN) * 100,
+      suffix: '%'
+    },
+    { label: 'Game Score', value: (p) => deriveBasketballStats(p).gameScore }
+  ],
+  calculateScore: calculateBasketballScore,
+  calculateBreakdown: calculateBasketballBreakdown,
+  calculateLoad: calculateBasketballLoad,
+  suggestionRules: basketballSuggestionRules,
+  ruleMetrics: basketballRuleMetrics
+};
+
+export default basketballSport;
@@ -0,0 +1,59 @@
+/**
+ * Score breakdown helpers shared by the sport definitions
+ * Requirements: 3.1, 3.2, 3.3 - Performance score calculation
+ *
+ * Every scorer builds a breakdown and derives its 0-100 score from it, so the
+ * number shown to players and the components explaining it can never disagree.
+ * A breakdown is plain data (no functions, no NaN) so it can be stored on the
+ * match document as-is.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Describe one raw rate behind a component (e.g. strike rate, tackles per 90)
+ * @param {string} id - Rate identifier
+ * @param {string} label - Display label
+ * @param {number} value - Rate value; non-finite values are stored as null
+ * @param {string} [unit] - Display unit
+ * @returns {Object} Rate ({ id, label, value, unit })
+ */
+export const createRate = (id, label, value, unit = '') => ({
+  id,
+  label,
+  value: Number.isFinite(value) ? round(value) : null,
+  unit
+});
+
+/**
+ * Describe one scoring component
+ * @param {Object} component - Component details
+ * @param {string} component.id - Component identifier (e.g. 'batting')
+ * @param {string} component.label - Display label
+ * @param {number} component.score - Component score before weighting
+ * @param {number} component.weight - Weight applied to the score (0 when excluded)
+ * @param {Array<Object>} [component.rates] - Raw rates behind the score (see createRate)
+ * @returns {Object} Component with its weighted contribution to the total
+ */
+export const createComponent = ({ id, label, score, weight, rates = [] }) => ({
+  id,
+  label,
+  score: round(score),
+  weight: round(weight * 10000) / 10000,
+  contribution: round(score * weight),
+  rates
+});
+
+/**
+ * Assemble a breakdown from its components
+ * @param {Array<Object>} components - Components (see createComponent)
+ * @param {number} total - Unrounded weighted total
+ * @param {Object} [details] - Extra sport-specific fields (e.g. { playingRole })
+ * @returns {Object} Breakdown ({ score, total, components, ... })
+ */
+export const createBreakdown = (components, total, details = {}) => ({
+  ...details,
+  score: Math.round(Math.min(100, Math.max(0, total))),
+  total: round(total),
+  components
+});
@@ -0,0 +1,792 @@
+/**
+ * Cricket sport definition
+ * Requirements: 2.4, 2.5, 3.1, 4.2 - Cricket parameters, scoring and suggestions
+ *
+ * Matches can record their format (T20, ODI, multi-day or a custom number of overs).
+ * Each format layers its own baselines over the default profile, so a strike rate or
+ * economy is judged against what is good in that format. Matches without a format
+ * (including those saved before formats existed) use the default profile.
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Cricket parameter structure. Besides the validation rules, each field carries the
+// display metadata (unit, help, placeholder, step) used by the generic match form.
+export const cricketParameterSchema = {
+  runsScored: {
+    type: 'number', min: 0, max: 500, required: true,
+    unit: 'runs', placeholder: 'e.g., 45', help: 'Total runs scored in the match'
+  },
+  ballsFaced: {
+    type: 'number', min: 0, max: 1000, required: true,
+    unit: 'balls', placeholder: 'e.g., 30', help: 'Number of balls faced while batting'
+  },
+  notOut: {
+    type: 'boolean', required: false,
+    help: 'Tick if the batter was not out at the end of the innings'
+  },
+  fours: {
+    type: 'number', min: 0, max: 100, required: false,
+    placeholder: 'e.g., 4', help: 'Number of fours hit'
+  },
+  sixes: {
+    type: 'number', min: 0, max: 50, required: false,
+    placeholder: 'e.g., 1', help: 'Number of sixes hit'
+  },
+  wicketsTaken: {
+    type: 'number', min: 0, max: 10, required: true,
+    placeholder: 'e.g., 2', help: 'Number of wickets taken while bowling'
+  },
+  runsConceded: {
+    type: 'number', min: 0, max: 500, required: false,
+    unit: 'runs', placeholder: 'e.g., 28', help: 'Runs conceded while bowling'
+  },
+  catches: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 1', help: 'Number of catches taken in the field'
+  },
+  stumpings: {
+    type: 'number', min: 0, max: 10, required: false, roles: ['wicket-keeper'],
+    placeholder: 'e.g., 1', help: 'Number of stumpings effected as wicket-keeper'
+  },
+  runOuts: {
+    type: 'number', min: 0, max: 10, required: false,
+    placeholder: 'e.g., 1', help: 'Number of run-outs effected (direct hits and assists)'
+  },
+  oversBowled: {
+    type: 'number', min: 0, max: 200, required: true, step: 0.1,
+    unit: 'overs', placeholder: 'e.g., 4.2',
+    help: 'Number of overs bowled (use decimals for partial overs, e.g., 4.2 for 4 overs and 2 balls)'
+  },
+  maidens: {
+    type: 'number', min: 0, max: 100, required: false,
+    placeholder: 'e.g., 1', help: 'Number of maiden overs bowled'
+  },
+  dotBalls: {
+    type: 'number', min: 0, max: 1200, required: false,
+    unit: 'balls', placeholder: 'e.g., 10', help: 'Number of dot balls bowled (no runs conceded)'
+  }
+};
+
+/**
+ * Count the legal balls in an overs figure written in cricket notation (4.2 = 4 overs and 2 balls)
+ * @param {number} overs - Overs bowled
+ * @returns {number} Balls bowled
+ */
+export const ballsFromOvers = (overs) => (Math.floor(overs) * 6) + Math.round((overs % 1) * 10);
+
+/**
+ * Overs as a true number of overs, for per-over rates (4.3 overs = 4.5)
+ * @param {number} overs - Overs bowled in cricket notation
+ * @returns {number} Overs bowled
+ */
+const oversAsNumber = (overs) => ballsFromOvers(overs) / 6;
+
+// Match formats. Each format's scoringProfile is layered between the default profile
+// and the team's overrides; custom formats interpolate between T20 and ODI by length.
+export const cricketMatchFormats = [
+  {
+    id: 't20',
+    name: 'T20',
+    overs: 20,
+    scoringProfile: {
+      weights: { strikeRateShare: 0.7 },
+      baselines: {
+        strikeRate: 140,
+        inningsRuns: 50,
+        notOutBonus: 5,
+        pointsPerFour: 1,
+        pointsPerSix: 2,
+        wicketsPerOver: 0.5,
+        economyBest: 6,
+        economyWorst: 12,
+        dotBallPercentage: 0.4,
+        pointsPerMaiden: 15
+      }
+    }
+  },
+  {
+    id: 'odi',
+    name: 'One Day (50 overs)',
+    overs: 50,
+    scoringProfile: {
+      weights: { strikeRateShare: 0.5 },
+      baselines: {
+        strikeRate: 90,
+        inningsRuns: 80,
+        notOutBonus: 10,
+        pointsPerFour: 1,
+        pointsPerSix: 1.5,
+        wicketsPerOver: 0.3,
+        economyBest: 4,
+        economyWorst: 8,
+        dotBallPercentage: 0.5,
+        pointsPerMaiden: 5
+      }
+    }
+  },
+  {
+    id: 'multi-day',
+    name: 'Multi-day',
+    overs: null,
+    scoringProfile: {
+      weights: { strikeRateShare: 0.25 },
+      baselines: {
+        strikeRate: 55,
+        inningsRuns: 100,
+        notOutBonus: 15,
+        pointsPerFour: 0.5,
+        pointsPerSix: 1,
+        wicketsPerOver: 0.2,
+        economyBest: 2,
+        economyWorst: 5,
+        dotBallPercentage: 0.65,
+        pointsPerMaiden: 2
+      }
+    }
+  },
+  {
+    id: 'custom',
+    name: 'Custom Overs',
+    overs: null,
+    customOvers: { min: 1, max: 50 }
+  }
+];
+
+/**
+ * Blend two partial scoring profiles with the same keys
+ * @param {Object} from - Profile at t = 0
+ * @param {Object} to - Profile at t = 1
+ * @param {number} t - Position between the two (0-1)
+ * @returns {Object} Interpolated profile
+ */
+const interpolateProfiles = (from, to, t) => Object.fromEntries(Object.entries(from).map(([section, values]) => [
+  section,
+  Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    value + ((to[section][key] - value) * t)
+  ]))
+]));
+
+/**
+ * Resolve the match format recorded on a match
+ * @param {Object} [matchFormat] - Match format ({ id, overs }); overs is only read for custom formats
+ * @returns {Object|null} Format ({ id, name, overs, scoringProfile }) or null when none was recorded
+ */
+export const resolveCricketFormat = (matchFormat) => {
+  const format = cricketMatchFormats.find(candidate => candidate.id === matchFormat?.id);
+  if (!format) {
+    return null;
+  }
+  if (!format.customOvers) {
+    return format;
+  }
+
+  const overs = Number(matchFormat.overs);
+  if (!Number.isFinite(overs) || overs <= 0) {
+    return null;
+  }
+
+  const t20 = cricketMatchFormats.find(candidate => candidate.id === 't20');
+  const odi = cricketMatchFormats.find(candidate => candidate.id === 'odi');
+  const t = Math.min(1, Math.max(0, (overs - t20.overs) / (odi.overs - t20.overs)));
+
+  return {
+    ...format,
+    overs,
+    scoringProfile: interpolateProfiles(t20.scoringProfile, odi.scoringProfile, t)
+  };
+};
+
+/**
+ * Most overs one bowler may bowl in a limited-overs format (a fifth of the innings)
+ * @param {Object|null} format - Resolved match format
+ * @returns {number|null} Overs per bowler, or null when unlimited
+ */
+const bowlingQuota = (format) => (format?.overs ? Math.ceil(format.overs / 5) : null);
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const cricketParameterConstraints = [
+  {
+    id: 'cricket.overs-notation',
+    fields: ['oversBowled'],
+    message: 'Overs must be written as overs.balls with at most 5 balls, e.g., 4.5',
+    check: (params) => {
+      const tenths = params.oversBowled * 10;
+      return Math.abs(tenths - Math.round(tenths)) < 1e-6 && Math.round(tenths) % 10 <= 5;
+    }
+  },
+  {
+    id: 'cricket.runs-without-balls',
+    fields: ['ballsFaced'],
+    message: 'Cannot score runs without facing balls',
+    check: (params) => !(params.runsScored > 0 && params.ballsFaced === 0)
+  },
+  {
+    id: 'cricket.runs-per-ball',
+    fields: ['runsScored'],
+    message: 'Runs cannot exceed 6 times balls faced',
+    check: (params) => params.runsScored <= params.ballsFaced * 6
+  },
+  {
+    id: 'cricket.wickets-without-overs',
+    fields: ['oversBowled'],
+    message: 'Cannot take wickets without bowling overs',
+    check: (params) => !(params.wicketsTaken > 0 && params.oversBowled === 0)
+  },
+  {
+    id: 'cricket.boundary-runs',
+    fields: ['fours', 'sixes'],
+    message: 'Runs from boundaries cannot exceed runs scored',
+    check: (params) => (params.fours * 4) + (params.sixes * 6) <= params.runsScored
+  },
+  {
+    id: 'cricket.maidens',
+    fields: ['maidens'],
+    message: 'Maidens cannot exceed completed overs bowled',
+    check: (params) => params.maidens <= Math.floor(params.oversBowled)
+  },
+  {
+    id: 'cricket.dot-balls',
+    fields: ['dotBalls'],
+    message: 'Dot balls cannot exceed balls bowled',
+    check: (params) => params.dotBalls <= ballsFromOvers(params.oversBowled)
+  },
+  // Format rules; `context.matchFormat` is the format recorded on the match
+  {
+    id: 'cricket.format.bowling-quota',
+    fields: ['oversBowled'],
+    message: 'Overs bowled exceed the per-bowler limit for this match format',
+    check: (params, context) => {
+      const quota = bowlingQuota(resolveCricketFormat(context?.matchFormat));
+      return quota === null || params.oversBowled <= quota;
+    }
+  },
+  {
+    id: 'cricket.format.innings-length',
+    fields: ['ballsFaced'],
+    message: 'Balls faced exceed the length of an innings in this match format',
+    check: (params, context) => {
+      const format = resolveCricketFormat(context?.matchFormat);
+      return !format?.overs || params.ballsFaced <= format.overs * 6;
+    }
+  }
+];
+
+export const cricketParameterLabels = {
+  runsScored: 'Runs Scored',
+  ballsFaced: 'Balls Faced',
+  notOut: 'Not Out',
+  fours: 'Fours',
+  sixes: 'Sixes',
+  wicketsTaken: 'Wickets Taken',
+  runsConceded: 'Runs Conceded',
+  catches: 'Catches',
+  stumpings: 'Stumpings',
+  runOuts: 'Run-outs',
+  oversBowled: 'Overs Bowled',
+  maidens: 'Maidens',
+  dotBalls: 'Dot Balls'
+};
+
+export const defaultCricketParameters = {
+  runsScored: 0,
+  ballsFaced: 0,
+  notOut: false,
+  fours: 0,
+  sixes: 0,
+  wicketsTaken: 0,
+  runsConceded: 0,
+  catches: 0,
+  stumpings: 0,
+  runOuts: 0,
+  oversBowled: 0,
+  maidens: 0,
+  dotBalls: 0
+};
+
+// Playing roles and the disciplines each one is judged on
+export const cricketPlayingRoles = [
+  { id: 'batter', name: 'Batter', disciplines: ['batting'] },
+  { id: 'bowler', name: 'Bowler', disciplines: ['bowling'] },
+  { id: 'all-rounder', name: 'All-rounder', disciplines: ['batting', 'bowling'] },
+  { id: 'wicket-keeper', name: 'Wicket-keeper', disciplines: ['batting', 'keeping'] }
+];
+
+// Default scoring profile; teams can override any value (see scoringProfile.js)
+export const cricketScoringProfile = {
+  // wicketShare splits the bowling score between wickets and economy, strikeRateShare
+  // splits the batting score between strike rate and runs; keeping replaces fielding
+  // for wicket-keepers
+  weights: { batting: 0.5, bowling: 0.3, fielding: 0.2, keeping: 0.4, wicketShare: 0.6, strikeRateShare: 1 },
+  caps: { batting: 100, bowling: 100, fielding: 100 },
+  baselines: {
+    strikeRate: 100,
+    inningsRuns: 50,
+    notOutBonus: 10,
+    pointsPerFour: 1,
+    pointsPerSix: 2,
+    wicketsPerOver: 0.5,
+    economyBest: 3,
+    economyWorst: 12,
+    dotBallPercentage: 0.4,
+    dotBallBonus: 20,
+    pointsPerMaiden: 10,
+    pointsPerCatch: 20,
+    pointsPerStumping: 25,
+    pointsPerRunOut: 20
+  }
+};
+
+/**
+ * Default profile for a match format, before team overrides
+ * @param {Object} [matchFormat] - Match format recorded on the match ({ id, overs })
+ * @returns {Object} Complete profile with the format's weights and baselines applied
+ */
+const formatProfile = (matchFormat) =>
+  resolveScoringProfile(cricketScoringProfile, resolveCricketFormat(matchFormat)?.scoringProfile);
+
+export const cricketScoringProfileConstraints = [
+  {
+    id: 'cricket.profile.economy-range',
+    fields: ['baselines.economyBest'],
+    message: 'Best economy rate must be lower than worst economy rate',
+    check: (profile) => profile.baselines.economyBest < profile.baselines.economyWorst
+  }
+];
+
+/**
+ * Weighted average of the given discipline scores
+ * @param {Object} components - Discipline scores and weights keyed by discipline
+ * @param {Array<string>} disciplines - Disciplines to include
+ * @returns {Object} Weighted average (0 when the weights sum to 0) and the renormalised
+ *   weight of each included discipline
+ */
+const blendDisciplines = (components, disciplines) => {
+  const totalWeight = disciplines.reduce((sum, discipline) => sum + components[discipline].weight, 0);
+  if (totalWeight === 0) {
+    return { score: 0, weights: {} };
+  }
+
+  return {
+    score: disciplines.reduce(
+      (sum, discipline) => sum + (components[discipline].score * components[discipline].weight),
+      0
+    ) / totalWeight,
+    weights: Object.fromEntries(disciplines.map(discipline => [
+      discipline,
+      components[discipline].weight / totalWeight
+    ]))
+  };
+};
+
+/**
+ * Score a player against their playing role. The role's disciplines that the player took
+ * part in are always scored, with weights renormalised across them; other disciplines the
+ * player took part in (a bowler's innings, a batter's catches) count only when they lift
+ * the score, so a specialist is never dragged down by a cameo.
+ * @param {Object} components - Discipline scores, weights and participation
+ * @param {Object} role - Playing role definition
+ * @returns {Object} Role-aware score before rounding and the effective discipline weights
+ */
+const scoreForRole = (components, role) => {
+  const played = Object.keys(components).filter(discipline => components[discipline].played);
+
+  let core = role.disciplines.filter(discipline => played.includes(discipline));
+  if (core.length === 0) {
+    // The player did none of their role's disciplines; judge what they did do
+    core = played.filter(discipline => discipline !== 'keeping');
+  }
+  if (core.length === 0) {
+    return { score: 0, weights: {} };
+  }
+
+  // Keepers' catches are already part of the keeping score
+  const secondary = played.filter(discipline =>
+    !core.includes(discipline) &&
+    discipline !== 'keeping' &&
+    !(discipline === 'fielding' && role.disciplines.includes('keeping'))
+  );
+
+  // Try every combination of secondary disciplines and keep the best
+  return secondary.reduce(
+    (subsets, discipline) => [...subsets, ...subsets.map(subset => [...subset, discipline])],
+    [[]]
+  ).reduce((best, subset) => {
+    const blend = blendDisciplines(components, [...core, ...subset]);
+    return best && best.score >= blend.score ? best : blend;
+  }, null);
+};
+
+/**
+ * Break a cricket performance down into batting, bowling and fielding (or keeping) components
+ * @param {Object} params - Cricket parameters
+ * @param {number} params.runsScored - Runs scored by the player
+ * @param {number} params.ballsFaced - Balls faced by the player
+ * @param {number} params.wicketsTaken - Wickets taken by the player
+ * @param {number} params.runsConceded - Runs conceded while bowling
+ * @param {number} params.catches - Catches taken by the player
+ * @param {number} params.oversBowled - Overs bowled by the player
+ * @param {number} [params.stumpings] - Stumpings effected as wicket-keeper
+ * @param {boolean} [params.notOut] - Whether the batter was not out (1 or 0 on older matches)
+ * @param {number} [params.fours] - Fours hit
+ * @param {number} [params.sixes] - Sixes hit
+ * @param {number} [params.maidens] - Maiden overs bowled
+ * @param {number} [params.dotBalls] - Dot balls bowled
+ * @param {number} [params.runOuts] - Run-outs effected
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @param {Object} [context] - Scoring context
+ * @param {string} [context.playingRole] - Player's role (batter, bowler, all-rounder, wicket-keeper);
+ *   without a role every discipline is blended with the profile weights
+ * @param {Object} [context.matchFormat] - Match format ({ id, overs }); without a format the
+ *   default baselines apply
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateCricketBreakdown = (params, profile = null, context = {}) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid cricket parameters provided');
+  }
+
+  const {
+    runsScored, ballsFaced, wicketsTaken, runsConceded = 0, catches, stumpings = 0, oversBowled,
+    notOut = false, fours = 0, sixes = 0, maidens = 0, dotBalls = 0, runOuts = 0
+  } = params;
+  const format = resolveCricketFormat(context?.matchFormat);
+  const { weights, caps, baselines } = resolveScoringProfile(formatProfile(context?.matchFormat), profile);
+  // Discipline scores stay within 0 and their cap, so no component pulls the total below zero
+  const clamp = (value, cap) => Math.min(cap, Math.max(0, value));
+
+  // Batting score: strike rate against the format's baseline, blended with runs for formats
+  // that value occupying the crease, plus bonuses for boundaries and finishing not out
+  let battingScore = 0;
+  const battingStrikeRate = ballsFaced > 0 ? (runsScored / ballsFaced) * 100 : null;
+  if (ballsFaced > 0) {
+    const strikeRateScore = (battingStrikeRate / baselines.strikeRate) * 100;
+    const runsScore = Math.min(100, (runsScored / baselines.inningsRuns) * 100);
+    // Matches saved before notOut was a checkbox store it as 0 or 1
+    const bonus = (notOut ? baselines.notOutBonus : 0) + (fours * baselines.pointsPerFour) +
+      (sixes * baselines.pointsPerSix);
+
+    battingScore = clamp(
+      (weights.strikeRateShare * strikeRateScore) + ((1 - weights.strikeRateShare) * runsScore) + bonus,
+      caps.batting
+    );
+  }
+
+  // Bowling score: wicket rate + economy rate combined, plus bonuses for maidens and for
+  // a dot ball percentage above the format's baseline
+  let bowlingScore = 0;
+  const wicketRate = oversBowled > 0 ? wicketsTaken / oversAsNumber(oversBowled) : null;
+  const economy = oversBowled > 0 ? runsConceded / oversAsNumber(oversBowled) : null;
+  const dotBallPercentage = oversBowled > 0 ? dotBalls / ballsFromOvers(oversBowled) : null;
+  if (oversBowled > 0) {
+    const wicketScore = Math.min(100, (wicketRate / baselines.wicketsPerOver) * 100);
+
+    const economyScore = ((baselines.economyWorst - economy) / (baselines.economyWorst - baselines.economyBest)) * 100;
+
+    const dotBallBonus = Math.max(0, (dotBallPercentage - baselines.dotBallPercentage) /
+      (1 - baselines.dotBallPercentage)) * baselines.dotBallBonus;
+
+    bowlingScore = clamp(
+      (weights.wicketShare * wicketScore) + ((1 - weights.wicketShare) * economyScore) +
+        dotBallBonus + (maidens * baselines.pointsPerMaiden),
+      caps.bowling
+    );
+  }
+
+  // Fielding score (stumpings only occur for wicket-keepers)
+  const fieldingScore = clamp(
+    (catches * baselines.pointsPerCatch) + (stumpings * baselines.pointsPerStumping) +
+      (runOuts * baselines.pointsPerRunOut),
+    caps.fielding
+  );
+
+  const role = cricketPlayingRoles.find(candidate => candidate.id === context?.playingRole);
+
+  // Weighted combination (default: Batting 50%, Bowling 30%, Fielding 20%)
+  let totalScore = (battingScore * weights.batting) + (bowlingScore * weights.bowling) +
+    (fieldingScore * weights.fielding);
+  let effectiveWeights = { batting: weights.batting, bowling: weights.bowling, fielding: weights.fielding };
+
+  if (role) {
+    const roleScore = scoreForRole({
+      batting: { score: battingScore, weight: weights.batting, played: ballsFaced > 0 },
+      bowling: { score: bowlingScore, weight: weights.bowling, played: oversBowled > 0 },
+      fielding: { score: fieldingScore, weight: weights.fielding, played: catches + stumpings + runOuts > 0 },
+      keeping: { score: fieldingScore, weight: weights.keeping, played: true }
+    }, role);
+    totalScore = roleScore.score;
+    effectiveWeights = roleScore.weights;
+  }
+
+  const isKeeper = role?.disciplines.includes('keeping');
+
+  return createBreakdown([
+    createComponent({
+      id: 'batting',
+      label: 'Batting',
+      score: battingScore,
+      weight: effectiveWeights.batting || 0,
+      rates: [
+        createRate('strikeRate', 'Strike Rate', battingStrikeRate, 'runs/100 balls'),
+        createRate('boundaries', 'Boundaries', fours + sixes, '4s + 6s')
+      ]
+    }),
+    createComponent({
+      id: 'bowling',
+      label: 'Bowling',
+      score: bowlingScore,
+      weight: effectiveWeights.bowling || 0,
+      rates: [
+        createRate('wicketsPerOver', 'Wickets per Over', wicketRate, 'wkts/over'),
+        createRate('economy', 'Economy', economy, 'runs/over'),
+        // Matches saved before dot balls were recorded show no dot ball rate
+        createRate(
+          'dotBallPercentage',
+          'Dot Balls',
+          params.dotBalls === undefined ? NaN : dotBallPercentage * 100,
+          '%'
+        )
+      ]
+    }),
+    createComponent({
+      id: isKeeper ? 'keeping' : 'fielding',
+      label: isKeeper ? 'Keeping' : 'Fielding',
+      score: fieldingScore,
+      weight: (isKeeper ? effectiveWeights.keeping : effectiveWeights.fielding) || 0,
+      rates: [createRate('dismissals', 'Dismissals', catches + stumpings + runOuts, 'per match')]
+    })
+  ], totalScore, { playingRole: role?.id || null, matchFormat: format?.id || null });
+};
+
+/**
+ * Calculate cricket performance score based on batting, bowling, and fielding contributions
+ * @param {Object} params - Cricket parameters (see calculateCricketBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @param {Object} [context] - Scoring context ({ playingRole, matchFormat })
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateCricketScore = (params, profile = null, context = {}) =>
+  calculateCricketBreakdown(params, profile, context).score;
+
+const strikeRate = ({ runsScored, ballsFaced }) => (runsScored / ballsFaced) * 100;
+const wicketsPerOver = ({ wicketsTaken, oversBowled }) => wicketsTaken / oversAsNumber(oversBowled);
+const boundaryRuns = ({ fours = 0, sixes = 0 }) => (fours * 4) + (sixes * 6);
+// Rules judge rates against the match format's baselines (the defaults when none was recorded)
+const formatBaselines = (context) => formatProfile(context?.matchFormat).baselines;
+
+// Values the suggestion rules can refer to besides the parameters.
+// The baselines follow the match format (the defaults when none was recorded).
+export const cricketRuleMetrics = {
+  strikeRate: { label: 'Strike rate', value: strikeRate },
+  wicketsPerOver: { label: 'Wickets per over', value: wicketsPerOver },
+  ballsBowled: {
+    label: 'Balls bowled',
+    value: (params) => ballsFromOvers(params.oversBowled)
+  },
+  boundaryRunShare: {
+    label: 'Share of runs from boundaries',
+    value: (params) => boundaryRuns(params) / params.runsScored
+  },
+  dotBallPercentage: {
+    label: 'Dot ball %',
+    value: (params) => (params.dotBalls || 0) / ballsFromOvers(params.oversBowled)
+  },
+  dismissals: {
+    label: 'Catches and stumpings',
+    value: (params) => params.catches + (params.stumpings || 0)
+  },
+  strikeRateBaseline: {
+    label: 'Format strike rate baseline',
+    value: (params, context) => formatBaselines(context).strikeRate
+  },
+  wicketsPerOverBaseline: {
+    label: 'Format wickets per over baseline',
+    value: (params, context) => formatBaselines(context).wicketsPerOver
+  },
+  dotBallPercentageBaseline: {
+    label: 'Format dot ball % baseline',
+    value: (params, context) => formatBaselines(context).dotBallPercentage
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const cricketSuggestionRules = [
+  {
+    id: 'cricket.batting.low-strike-rate',
+    type: 'technique',
+    priority: 'high',
+    message: 'Work on batting technique and shot selection. Practice in the nets to improve strike rate.',
+    metric: 'strikeRate',
+    comparator: '<',
+    threshold: '0.8 * strikeRateBaseline',
+    conditions: [{ metric: 'ballsFaced', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'cricket.batting.high-strike-rate',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent strike rate! Focus on maintaining consistency and playing according to match situation.',
+    metric: 'strikeRate',
+    comparator: '>',
+    threshold: '1.5 * strikeRateBaseline',
+    conditions: [{ metric: 'ballsFaced', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'cricket.batting.boundary-dependent',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Most of your runs came in boundaries. Practice rotating the strike with singles into the gaps.',
+    metric: 'boundaryRunShare',
+    comparator: '>',
+    threshold: 0.75,
+    conditions: [
+      { metric: 'runsScored', comparator: '>=', threshold: 20 },
+      { metric: 'strikeRate', comparator: '<', threshold: 'strikeRateBaseline' }
+    ]
+  },
+  {
+    id: 'cricket.bowling.low-wicket-rate',
+    type: 'technique',
+    priority: 'high',
+    message: 'Focus on bowling accuracy and variation. Practice different deliveries and work on line and length.',
+    metric: 'wicketsPerOver',
+    comparator: '<',
+    threshold: '0.4 * wicketsPerOverBaseline',
+    conditions: [{ metric: 'oversBowled', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'cricket.bowling.high-wicket-rate',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great bowling performance! Continue working on consistency and developing new variations.',
+    metric: 'wicketsPerOver',
+    comparator: '>',
+    threshold: 'wicketsPerOverBaseline',
+    conditions: [{ metric: 'oversBowled', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'cricket.bowling.dot-ball-pressure',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Build pressure with more dot balls. Work on hitting a consistent length and bowling to your field.',
+    metric: 'dotBallPercentage',
+    comparator: '<',
+    threshold: '0.75 * dotBallPercentageBaseline',
+    conditions: [
+      { metric: 'dotBalls', comparator: '>', threshold: 0 },
+      { metric: 'ballsBowled', comparator: '>=', threshold: 12 }
+    ]
+  },
+  {
+    id: 'cricket.bowling.maidens',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great control with the maidens! Keep building pressure from your end.',
+    metric: 'maidens',
+    comparator: '>=',
+    threshold: 2
+  },
+  {
+    id: 'cricket.fielding.no-catches',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Work on fielding skills. Practice catching drills and improve positioning.',
+    metric: 'catches',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }],
+    excludeRoles: ['wicket-keeper']
+  },
+  {
+    id: 'cricket.keeping.no-dismissals',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Sharpen your glovework. Practice standing up to the stumps and quick-hands stumping drills.',
+    metric: 'dismissals',
+    comparator: '==',
+    threshold: 0,
+    roles: ['wicket-keeper']
+  },
+  {
+    id: 'cricket.keeping.multiple-dismissals',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent work behind the stumps! Keep building your understanding with the bowlers.',
+    metric: 'dismissals',
+    comparator: '>=',
+    threshold: 3,
+    roles: ['wicket-keeper']
+  },
+  {
+    id: 'cricket.fielding.multiple-catches',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent fielding! Your catching ability is a valuable asset to the team.',
+    metric: 'catches',
+    comparator: '>=',
+    threshold: 2
+  },
+  {
+    id: 'cricket.fielding.run-outs',
+    type: 'technique',
+    priority: 'low',
+    message: 'Sharp work in the field with your run-outs! Keep practicing your pick-up and throw.',
+    metric: 'runOuts',
+    comparator: '>=',
+    threshold: 1
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is roughly a full ODI
+ * bowling spell. Time in the field counts for everyone; bowling dominates.
+ * @param {Object} params - Cricket parameters
+ * @returns {number} Match load
+ */
+export const calculateCricketLoad = ({ oversBowled = 0, ballsFaced = 0 }) =>
+  0.3 + (ballsFromOvers(Number(oversBowled) || 0) / 60) + ((Number(ballsFaced) || 0) / 120);
+
+export const cricketSport = {
+  id: 'cricket',
+  name: 'Cricket',
+  icon: '🏏',
+  colors: {
+    primary: '#059669', // green-600
+    light: '#d1fae5',   // green-100
+    dark: '#047857'     // green-700
+  },
+  badgeClasses: { background: 'bg-green-100', text: 'text-green-600' },
+  parameterSchema: cricketParameterSchema,
+  parameterLabels: cricketParameterLabels,
+  defaultParameters: defaultCricketParameters,
+  formLayout: [
+    { id: 'batting', title: 'Batting', fields: ['runsScored', 'ballsFaced', 'notOut', 'fours', 'sixes'] },
+    {
+      id: 'bowling',
+      title: 'Bowling',
+      fields: ['wicketsTaken', 'runsConceded', 'oversBowled', 'maidens', 'dotBalls']
+    },
+    { id: 'fielding', title: 'Fielding', fields: ['catches', 'stumpings', 'runOuts'] }
+  ],
+  playingRoles: cricketPlayingRoles,
+  matchFormats: cricketMatchFormats,
+  parameterConstraints: cricketParameterConstraints,
+  scoringProfile: cricketScoringProfile,
+  scoringProfileConstraints: cricketScoringProfileConstraints,
+  previewMetrics: [
+    { label: 'Strike Rate', value: (p) => (p.runsScored / p.ballsFaced) * 100 },
+    { label: 'Economy Rate', value: (p) => p.runsConceded / oversAsNumber(p.oversBowled) },
+    { label: 'Bowling Avg', value: (p) => oversAsNumber(p.oversBowled) / p.wicketsTaken, suffix: ' overs/wicket' },
+    { label: 'Dot Ball %', value: (p) => (p.dotBalls / ballsFromOvers(p.oversBowled)) * 100, suffix: '%' }
+  ],
+  calculateScore: calculateCricketScore,
+  calculateBreakdown: calculateCricketBreakdown,
+  calculateLoad: calculateCricketLoad,
+  suggestionRules: cricketSuggestionRules,
+  ruleMetrics: cricketRuleMetrics
+};
+
+export default cricketSport;
@@ -0,0 +1,550 @@
+/**
+ * Football sport definition
+ * Requirements: 2.4, 2.5, 3.2, 4.3 - Football parameters, scoring and suggestions
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Football parameter structure, including display metadata for the match form
+export const footballParameterSchema = {
+  goalsScored: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 2', help: 'Number of goals scored in the match'
+  },
+  assists: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 1', help: 'Number of assists provided'
+  },
+  passesCompleted: {
+    type: 'number', min: 0, max: 200, required: true,
+    placeholder: 'e.g., 45', help: 'Number of successful passes completed'
+  },
+  tacklesMade: {
+    type: 'number', min: 0, max: 50, required: true,
+    placeholder: 'e.g., 8', help: 'Number of successful tackles made'
+  },
+  minutesPlayed: {
+    type: 'number', min: 0, max: 120, required: true,
+    unit: 'min', placeholder: 'e.g., 90', help: 'Total minutes played in the match (including extra time)'
+  },
+  shotsOnTarget: {
+    type: 'number', min: 0, max: 30, required: false,
+    roles: ['defender', 'midfielder', 'forward'],
+    placeholder: 'e.g., 3', help: 'Shots that were on target (including goals)'
+  },
+  passAccuracy: {
+    type: 'number', min: 0, max: 1, required: false, inputScale: 100, step: 0.1,
+    unit: '%', placeholder: 'e.g., 85', help: 'Percentage of attempted passes that were completed'
+  },
+  interceptions: {
+    type: 'number', min: 0, max: 50, required: false,
+    placeholder: 'e.g., 4', help: 'Number of opposition passes intercepted'
+  },
+  saves: {
+    type: 'number', min: 0, max: 30, required: false, roles: ['goalkeeper'],
+    placeholder: 'e.g., 5', help: 'Shots on target saved'
+  },
+  cleanSheet: {
+    type: 'number', min: 0, max: 1, required: false, roles: ['goalkeeper', 'defender'],
+    placeholder: '0 or 1', help: 'Enter 1 if the team conceded no goals while the player was on the pitch'
+  },
+  yellowCards: {
+    type: 'number', min: 0, max: 2, required: false,
+    placeholder: 'e.g., 0', help: 'Yellow cards received'
+  },
+  redCards: {
+    type: 'number', min: 0, max: 1, required: false,
+    placeholder: 'e.g., 0', help: 'Red cards received (a second yellow counts as a red)'
+  }
+};
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const footballParameterConstraints = [
+  {
+    id: 'football.stats-without-minutes',
+    fields: ['minutesPlayed'],
+    message: 'Cannot have performance stats without playing time',
+    check: (params) => params.minutesPlayed > 0 ||
+      (params.goalsScored + params.assists + params.passesCompleted + params.tacklesMade +
+        (params.shotsOnTarget || 0) + (params.interceptions || 0) + (params.saves || 0)) === 0
+  },
+  {
+    id: 'football.goals-on-target',
+    fields: ['shotsOnTarget'],
+    message: 'Shots on target cannot be fewer than goals scored',
+    // Older matches did not record shots on target, so 0 means "not recorded"
+    check: (params) => !params.shotsOnTarget || params.goalsScored <= params.shotsOnTarget
+  },
+  {
+    id: 'football.second-yellow',
+    fields: ['redCards'],
+    message: 'Two yellow cards must be recorded with a red card',
+    check: (params) => (params.yellowCards || 0) < 2 || (params.redCards || 0) === 1
+  },
+  {
+    id: 'football.goal-contributions',
+    fields: ['goalsScored', 'assists'],
+    message: 'Combined goals and assists seems unusually high',
+    check: (params) => params.goalsScored + params.assists <= 15
+  }
+];
+
+export const footballParameterLabels = {
+  goalsScored: 'Goals Scored',
+  assists: 'Assists',
+  passesCompleted: 'Passes Completed',
+  tacklesMade: 'Tackles Made',
+  minutesPlayed: 'Minutes Played',
+  shotsOnTarget: 'Shots on Target',
+  passAccuracy: 'Pass Accuracy',
+  interceptions: 'Interceptions',
+  saves: 'Saves',
+  cleanSheet: 'Clean Sheet',
+  yellowCards: 'Yellow Cards',
+  redCards: 'Red Cards'
+};
+
+export const defaultFootballParameters = {
+  goalsScored: 0,
+  assists: 0,
+  passesCompleted: 0,
+  tacklesMade: 0,
+  minutesPlayed: 0,
+  shotsOnTarget: 0,
+  passAccuracy: 0,
+  interceptions: 0,
+  saves: 0,
+  cleanSheet: 0,
+  yellowCards: 0,
+  redCards: 0
+};
+
+// Positions and how much each scoring component counts for them (weights sum to 1)
+export const footballPlayingRoles = [
+  {
+    id: 'goalkeeper',
+    name: 'Goalkeeper',
+    weights: { goalkeeping: 0.7, passing: 0.2, defending: 0.1 }
+  },
+  {
+    id: 'defender',
+    name: 'Defender',
+    weights: { defending: 0.5, passing: 0.25, creativity: 0.1, finishing: 0.15 }
+  },
+  {
+    id: 'midfielder',
+    name: 'Midfielder',
+    weights: { passing: 0.3, creativity: 0.3, defending: 0.2, finishing: 0.2 }
+  },
+  {
+    id: 'forward',
+    name: 'Forward',
+    weights: { finishing: 0.55, creativity: 0.25, passing: 0.1, defending: 0.1 }
+  }
+];
+
+// Default scoring profile; teams can override any value (see scoringProfile.js)
+// The weights apply when the player has no position; positions use footballPlayingRoles
+export const footballScoringProfile = {
+  weights: { attack: 0.4, playmaking: 0.3, defense: 0.3 },
+  caps: { passing: 30, tackles: 20 },
+  // Per-90 points for each goal/assist/tackle, and points per pass completed per minute.
+  // The remaining baselines feed the position formulas and the card penalties.
+  baselines: {
+    minutes: 90,
+    goalValue: 20,
+    assistValue: 15,
+    passValue: 30,
+    tackleValue: 0.22,
+    positionGoalValue: 40,
+    shotOnTargetValue: 10,
+    positionAssistValue: 35,
+    passesPerMinute: 1,
+    defensiveActionValue: 8,
+    saveValue: 12,
+    cleanSheetValue: 40,
+    defenderCleanSheetValue: 25,
+    yellowCardPenalty: 5,
+    redCardPenalty: 20
+  }
+};
+
+/**
+ * Position component scores (each 0-100), normalised per 90 minutes
+ * @param {Object} params - Football parameters
+ * @param {Object} baselines - Resolved scoring profile baselines
+ * @returns {Object} finishing, creativity, passing, defending and goalkeeping scores
+ */
+const calculatePositionComponents = (params, baselines) => {
+  const {
+    goalsScored, assists, passesCompleted, tacklesMade, minutesPlayed,
+    shotsOnTarget = 0, passAccuracy = 0, interceptions = 0, saves = 0, cleanSheet = 0
+  } = params;
+  const per90 = (value) => (value / Math.max(minutesPlayed, 1)) * baselines.minutes;
+  const clamp = (value) => Math.min(100, Math.max(0, value));
+
+  // Pass volume on its own for older matches without an accuracy figure
+  const volumeScore = clamp(
+    (passesCompleted / Math.max(minutesPlayed, 1) / baselines.passesPerMinute) * 100
+  );
+  const passing = passAccuracy > 0 ? (volumeScore + (clamp(passAccuracy * 100))) / 2 : volumeScore;
+
+  return {
+    finishing: clamp(
+      (per90(goalsScored) * baselines.positionGoalValue) +
+      (per90(Math.max(shotsOnTarget - goalsScored, 0)) * baselines.shotOnTargetValue)
+    ),
+    creativity: clamp((per90(assists) * baselines.positionAssistValue) + (volumeScore / 4)),
+    passing,
+    defending: clamp(
+      (per90(tacklesMade + interceptions) * baselines.defensiveActionValue) +
+      (cleanSheet * baselines.defenderCleanSheetValue)
+    ),
+    goalkeeping: clamp((per90(saves) * baselines.saveValue) + (cleanSheet * baselines.cleanSheetValue))
+  };
+};
+
+const POSITION_COMPONENT_LABELS = {
+  finishing: 'Finishing',
+  creativity: 'Creativity',
+  passing: 'Passing',
+  defending: 'Defending',
+  goalkeeping: 'Goalkeeping'
+};
+
+/**
+ * Break a football performance down into attack, playmaking and defense, or into the
+ * player's position components when a position is known
+ * @param {Object} params - Football parameters
+ * @param {number} params.goalsScored - Goals scored by the player
+ * @param {number} params.assists - Assists made by the player
+ * @param {number} params.passesCompleted - Passes completed by the player
+ * @param {number} params.tacklesMade - Tackles made by the player
+ * @param {number} params.minutesPlayed - Minutes played by the player
+ * @param {number} [params.shotsOnTarget] - Shots on target (including goals)
+ * @param {number} [params.passAccuracy] - Pass completion rate (0-1)
+ * @param {number} [params.interceptions] - Interceptions made
+ * @param {number} [params.saves] - Saves made (goalkeepers)
+ * @param {number} [params.cleanSheet] - 1 if no goals were conceded while on the pitch
+ * @param {number} [params.yellowCards] - Yellow cards received
+ * @param {number} [params.redCards] - Red cards received
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @param {Object} [context] - Scoring context
+ * @param {string} [context.playingRole] - Player's position (goalkeeper, defender, midfielder, forward);
+ *   without a position the original attack/playmaking/defense formula is used
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateFootballBreakdown = (params, profile = null, context = {}) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid football parameters provided');
+  }
+
+  const {
+    goalsScored, assists, passesCompleted, tacklesMade, minutesPlayed,
+    shotsOnTarget = 0, passAccuracy = 0, interceptions = 0, saves = 0, yellowCards = 0, redCards = 0
+  } = params;
+  const { weights, caps, baselines } = resolveScoringProfile(footballScoringProfile, profile);
+
+  // Prevent division by zero
+  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
+  const per90 = (value) => (value / safeMinutesPlayed) * baselines.minutes;
+
+  // Cards cost the same whatever the position
+  const cardPenalty = (yellowCards * baselines.yellowCardPenalty) + (redCards * baselines.redCardPenalty);
+  const disciplineComponent = createComponent({
+    id: 'discipline',
+    label: 'Discipline',
+    score: -cardPenalty,
+    weight: 1,
+    rates: [createRate('cards', 'Cards', yellowCards + redCards, 'per match')]
+  });
+
+  const position = footballPlayingRoles.find(role => role.id === context?.playingRole);
+  if (position) {
+    const scores = calculatePositionComponents(params, baselines);
+    const rates = {
+      finishing: [
+        createRate('goalsPer90', 'Goals per 90', per90(goalsScored), '/90min'),
+        createRate('shotsOnTargetPer90', 'Shots on Target per 90', per90(shotsOnTarget), '/90min')
+      ],
+      creativity: [createRate('assistsPer90', 'Assists per 90', per90(assists), '/90min')],
+      passing: [
+        createRate('passesPerMinute', 'Passes per Minute', passesCompleted / safeMinutesPlayed, '/min'),
+        createRate('passAccuracy', 'Pass Accuracy', passAccuracy > 0 ? passAccuracy * 100 : null, '%')
+      ],
+      defending: [
+        createRate('defensiveActionsPer90', 'Tackles + Interceptions per 90', per90(tacklesMade + interceptions), '/90min')
+      ],
+      goalkeeping: [createRate('savesPer90', 'Saves per 90', per90(saves), '/90min')]
+    };
+
+    const components = Object.entries(position.weights).map(([id, weight]) => createComponent({
+      id,
+      label: POSITION_COMPONENT_LABELS[id],
+      score: scores[id],
+      weight,
+      rates: rates[id]
+    }));
+    const positionScore = Object.entries(position.weights)
+      .reduce((sum, [component, weight]) => sum + (scores[component] * weight), 0);
+
+    return createBreakdown(
+      [...components, disciplineComponent],
+      positionScore - cardPenalty,
+      { playingRole: position.id }
+    );
+  }
+
+  // All stats normalized per 90 minutes (baselines.minutes)
+  const goalsScore = (goalsScored / safeMinutesPlayed) * baselines.minutes * baselines.goalValue;
+  const assistsScore = (assists / safeMinutesPlayed) * baselines.minutes * baselines.assistValue;
+  const passingScore = Math.min(caps.passing, (passesCompleted / safeMinutesPlayed) * baselines.passValue);
+  const tacklesScore = Math.min(
+    caps.tackles,
+    (tacklesMade / safeMinutesPlayed) * baselines.minutes * baselines.tackleValue
+  );
+
+  const attack = goalsScore;
+  const playmaking = assistsScore + passingScore;
+  const defense = tacklesScore;
+
+  const totalScore = (weights.attack * attack) + (weights.playmaking * playmaking) + (weights.defense * defense) -
+    cardPenalty;
+
+  return createBreakdown([
+    createComponent({
+      id: 'attack',
+      label: 'Attack',
+      score: attack,
+      weight: weights.attack,
+      rates: [createRate('goalsPer90', 'Goals per 90', per90(goalsScored), '/90min')]
+    }),
+    createComponent({
+      id: 'playmaking',
+      label: 'Playmaking',
+      score: playmaking,
+      weight: weights.playmaking,
+      rates: [
+        createRate('assistsPer90', 'Assists per 90', per90(assists), '/90min'),
+        createRate('passesPerMinute', 'Passes per Minute', passesCompleted / safeMinutesPlayed, '/min')
+      ]
+    }),
+    createComponent({
+      id: 'defense',
+      label: 'Defense',
+      score: defense,
+      weight: weights.defense,
+      rates: [createRate('tacklesPer90', 'Tackles per 90', per90(tacklesMade), '/90min')]
+    }),
+    disciplineComponent
+  ], totalScore, { playingRole: null });
+};
+
+/**
+ * Calculate football performance score based on goals, assists, passing, and defense
+ * @param {Object} params - Football parameters (see calculateFootballBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @param {Object} [context] - Scoring context ({ playingRole })
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateFootballScore = (params, profile = null, context = {}) =>
+  calculateFootballBreakdown(params, profile, context).score;
+
+const perMinute = (value, { minutesPlayed }) => value / Math.max(minutesPlayed, 1);
+
+// Values the suggestion rules can refer to besides the parameters
+export const footballRuleMetrics = {
+  passesPerMinute: {
+    label: 'Passes per minute',
+    value: (params) => perMinute(params.passesCompleted, params)
+  },
+  tacklesPerMinute: {
+    label: 'Tackles per minute',
+    value: (params) => perMinute(params.tacklesMade, params)
+  },
+  defensiveActionsPerMinute: {
+    label: 'Tackles and interceptions per minute',
+    value: (params) => perMinute(params.tacklesMade + (params.interceptions || 0), params)
+  },
+  goalContributions: {
+    label: 'Goals and assists',
+    value: (params) => params.goalsScored + params.assists
+  },
+  cardPoints: {
+    label: 'Card points (yellow 1, red 2)',
+    value: (params) => (params.yellowCards || 0) + (2 * (params.redCards || 0))
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const footballSuggestionRules = [
+  {
+    id: 'football.attack.no-goals',
+    type: 'technique',
+    priority: 'high',
+    message: 'Work on finishing skills. Practice shooting from different angles and distances.',
+    metric: 'goalsScored',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }],
+    excludeRoles: ['goalkeeper', 'defender']
+  },
+  {
+    id: 'football.attack.multiple-goals',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great goal-scoring performance! Continue working on movement in the box.',
+    metric: 'goalsScored',
+    comparator: '>=',
+    threshold: 2
+  },
+  {
+    id: 'football.passing.low-volume',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Improve passing accuracy and frequency. Work on short and long passing drills.',
+    metric: 'passesPerMinute',
+    comparator: '<',
+    threshold: 0.5
+  },
+  {
+    id: 'football.passing.high-volume',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent passing game! Focus on creating more scoring opportunities.',
+    metric: 'passesPerMinute',
+    comparator: '>',
+    threshold: 1.0
+  },
+  {
+    id: 'football.defense.low-tackles',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Work on defensive positioning and tackling technique. Practice 1v1 defending.',
+    metric: 'defensiveActionsPerMinute',
+    comparator: '<',
+    threshold: 0.05,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }],
+    excludeRoles: ['goalkeeper', 'forward']
+  },
+  {
+    id: 'football.defense.high-tackles',
+    type: 'technique',
+    priority: 'low',
+    message: 'Strong defensive performance! Continue working on reading the game.',
+    metric: 'tacklesPerMinute',
+    comparator: '>',
+    threshold: 0.1
+  },
+  {
+    id: 'football.creativity.no-contributions',
+    type: 'technique',
+    priority: 'high',
+    message: 'Focus on creating chances for teammates. Work on vision and through balls.',
+    metric: 'goalContributions',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 60 }],
+    excludeRoles: ['goalkeeper', 'defender']
+  },
+  {
+    id: 'football.finishing.off-target',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Too few of your chances are hitting the target. Practice placement over power in finishing drills.',
+    metric: 'shotsOnTarget',
+    comparator: '<',
+    threshold: 2,
+    conditions: [{ metric: 'minutesPlayed', comparator: '>=', threshold: 45 }],
+    roles: ['forward']
+  },
+  {
+    id: 'football.passing.accuracy',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Pass completion is low. Work on body shape and scanning before receiving the ball.',
+    metric: 'passAccuracy',
+    comparator: '<',
+    threshold: 0.7,
+    conditions: [{ metric: 'passAccuracy', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'football.goalkeeping.shot-stopping',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Work on shot-stopping and positioning. Practice reaction saves and narrowing angles.',
+    metric: 'score',
+    comparator: '<',
+    threshold: 60,
+    conditions: [{ metric: 'cleanSheet', comparator: '==', threshold: 0 }],
+    roles: ['goalkeeper']
+  },
+  {
+    id: 'football.goalkeeping.clean-sheet',
+    type: 'technique',
+    priority: 'low',
+    message: 'Clean sheet! Keep organising your defence and commanding your area.',
+    metric: 'cleanSheet',
+    comparator: '==',
+    threshold: 1,
+    roles: ['goalkeeper', 'defender']
+  },
+  {
+    id: 'football.discipline.cards',
+    type: 'general',
+    priority: 'high',
+    message: 'Discipline is costing your team. Work on timing your challenges and staying composed.',
+    metric: 'cardPoints',
+    comparator: '>=',
+    threshold: 2
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is a full 90 minutes
+ * @param {Object} params - Football parameters
+ * @returns {number} Match load
+ */
+export const calculateFootballLoad = ({ minutesPlayed }) => (Number(minutesPlayed) || 0) / 90;
+
+export const footballSport = {
+  id: 'football',
+  name: 'Football',
+  icon: '⚽',
+  colors: {
+    primary: '#dc2626', // red-600
+    light: '#fee2e2',   // red-100
+    dark: '#b91c1c'     // red-700
+  },
+  badgeClasses: { background: 'bg-red-100', text: 'text-red-600' },
+  parameterSchema: footballParameterSchema,
+  parameterLabels: footballParameterLabels,
+  defaultParameters: defaultFootballParameters,
+  formLayout: [
+    { id: 'attack', title: 'Attack', fields: ['goalsScored', 'assists', 'shotsOnTarget'] },
+    { id: 'possession', title: 'Possession', fields: ['passesCompleted', 'passAccuracy'] },
+    { id: 'defense', title: 'Defense', fields: ['tacklesMade', 'interceptions', 'cleanSheet'] },
+    { id: 'goalkeeping', title: 'Goalkeeping', fields: ['saves'] },
+    { id: 'discipline', title: 'Discipline', fields: ['yellowCards', 'redCards'] },
+    { id: 'playingTime', title: 'Playing Time', fields: ['minutesPlayed'] }
+  ],
+  playingRoles: footballPlayingRoles,
+  playingRoleLabel: 'Position',
+  parameterConstraints: footballParameterConstraints,
+  scoringProfile: footballScoringProfile,
+  previewMetrics: [
+    { label: 'Goals/90min', value: (p) => (p.goalsScored / p.minutesPlayed) * 90 },
+    { label: 'Assists/90min', value: (p) => (p.assists / p.minutesPlayed) * 90 },
+    { label: 'Pass Rate', value: (p) => p.passesCompleted / p.minutesPlayed, suffix: '/min' },
+    { label: 'Tackles/90min', value: (p) => (p.tacklesMade / p.minutesPlayed) * 90 }
+  ],
+  calculateScore: calculateFootballScore,
+  calculateBreakdown: calculateFootballBreakdown,
+  calculateLoad: calculateFootballLoad,
+  suggestionRules: footballSuggestionRules,
+  ruleMetrics: footballRuleMetrics
+};
+
+export default footballSport;
@@ -0,0 +1,296 @@
+/**
+ * Field hockey sport definition
+ * Requirements: 2.4, 2.5, 3.5, 4.6 - Hockey parameters, scoring and suggestions
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Hockey parameter structure, including display metadata for the match form
+export const hockeyParameterSchema = {
+  goalsScored: {
+    type: 'number', min: 0, max: 10, required: true,
+    placeholder: 'e.g., 1', help: 'Number of goals scored in the match'
+  },
+  assists: {
+    type: 'number', min: 0, max: 10, required: true,
+    placeholder: 'e.g., 1', help: 'Number of assists provided'
+  },
+  shotsOnTarget: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 3', help: 'Shots on goal, including those that scored'
+  },
+  circleEntries: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 5', help: 'Times the player carried or passed the ball into the shooting circle'
+  },
+  tackles: {
+    type: 'number', min: 0, max: 40, required: true,
+    placeholder: 'e.g., 6', help: 'Successful tackles made'
+  },
+  interceptions: {
+    type: 'number', min: 0, max: 40, required: true,
+    placeholder: 'e.g., 4', help: 'Opponent passes intercepted'
+  },
+  minutesPlayed: {
+    type: 'number', min: 0, max: 70, required: true,
+    unit: 'min', placeholder: 'e.g., 60', help: 'Total minutes played in the match'
+  }
+};
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const hockeyParameterConstraints = [
+  {
+    id: 'hockey.stats-without-minutes',
+    fields: ['minutesPlayed'],
+    message: 'Cannot have performance stats without playing time',
+    check: (params) => params.minutesPlayed > 0 ||
+      (params.goalsScored + params.assists + params.shotsOnTarget + params.circleEntries +
+        params.tackles + params.interceptions) === 0
+  },
+  {
+    id: 'hockey.goals-without-shots',
+    fields: ['shotsOnTarget'],
+    message: 'Shots on target cannot be fewer than goals scored',
+    check: (params) => params.goalsScored <= params.shotsOnTarget
+  }
+];
+
+export const hockeyParameterLabels = {
+  goalsScored: 'Goals Scored',
+  assists: 'Assists',
+  shotsOnTarget: 'Shots on Target',
+  circleEntries: 'Circle Entries',
+  tackles: 'Tackles',
+  interceptions: 'Interceptions',
+  minutesPlayed: 'Minutes Played'
+};
+
+export const defaultHockeyParameters = {
+  goalsScored: 0,
+  assists: 0,
+  shotsOnTarget: 0,
+  circleEntries: 0,
+  tackles: 0,
+  interceptions: 0,
+  minutesPlayed: 0
+};
+
+// Default scoring profile; teams can override any value (see scoringProfile.js)
+export const hockeyScoringProfile = {
+  weights: { attack: 0.4, playmaking: 0.3, defense: 0.3 },
+  caps: { attack: 100, playmaking: 100, defense: 100 },
+  // Points per stat per 60 minutes (baselines.minutes)
+  baselines: {
+    minutes: 60,
+    goalValue: 50,
+    shotValue: 10,
+    assistValue: 40,
+    circleEntryValue: 8,
+    defensiveActionValue: 8
+  }
+};
+
+/**
+ * Break a hockey performance down into attack, playmaking and defense
+ * @param {Object} params - Hockey parameters
+ * @param {number} params.goalsScored - Goals scored by the player
+ * @param {number} params.assists - Assists made by the player
+ * @param {number} params.shotsOnTarget - Shots on target
+ * @param {number} params.circleEntries - Circle entries
+ * @param {number} params.tackles - Tackles made
+ * @param {number} params.interceptions - Interceptions made
+ * @param {number} params.minutesPlayed - Minutes played by the player
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateHockeyBreakdown = (params, profile = null) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid hockey parameters provided');
+  }
+
+  const { goalsScored, assists, shotsOnTarget, circleEntries, tackles, interceptions, minutesPlayed } = params;
+  const { weights, caps, baselines } = resolveScoringProfile(hockeyScoringProfile, profile);
+
+  // Prevent division by zero
+  const safeMinutesPlayed = Math.max(minutesPlayed, 1);
+  const per60 = (value) => (value / safeMinutesPlayed) * baselines.minutes;
+
+  // All stats normalized per 60 minutes
+  const attack = Math.min(
+    caps.attack,
+    (per60(goalsScored) * baselines.goalValue) + (per60(shotsOnTarget) * baselines.shotValue)
+  );
+  const playmaking = Math.min(
+    caps.playmaking,
+    (per60(assists) * baselines.assistValue) + (per60(circleEntries) * baselines.circleEntryValue)
+  );
+  const defense = Math.min(caps.defense, per60(tackles + interceptions) * baselines.defensiveActionValue);
+
+  const totalScore = (weights.attack * attack) + (weights.playmaking * playmaking) + (weights.defense * defense);
+
+  return createBreakdown([
+    createComponent({
+      id: 'attack',
+      label: 'Attack',
+      score: attack,
+      weight: weights.attack,
+      rates: [
+        createRate('goalsPer60', 'Goals per 60', per60(goalsScored), '/60min'),
+        createRate('shotsOnTargetPer60', 'Shots on Target per 60', per60(shotsOnTarget), '/60min')
+      ]
+    }),
+    createComponent({
+      id: 'playmaking',
+      label: 'Playmaking',
+      score: playmaking,
+      weight: weights.playmaking,
+      rates: [
+        createRate('assistsPer60', 'Assists per 60', per60(assists), '/60min'),
+        createRate('circleEntriesPer60', 'Circle Entries per 60', per60(circleEntries), '/60min')
+      ]
+    }),
+    createComponent({
+      id: 'defense',
+      label: 'Defense',
+      score: defense,
+      weight: weights.defense,
+      rates: [
+        createRate('defensiveActionsPer60', 'Tackles + Interceptions per 60', per60(tackles + interceptions), '/60min')
+      ]
+    })
+  ], totalScore);
+};
+
+/**
+ * Calculate hockey performance score based on attack, playmaking and defense
+ * @param {Object} params - Hockey parameters (see calculateHockeyBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateHockeyScore = (params, profile = null) =>
+  calculateHockeyBreakdown(params, profile).score;
+
+const perMinute = (value, { minutesPlayed }) => value / Math.max(minutesPlayed, 1);
+
+// Values the suggestion rules can refer to besides the parameters
+export const hockeyRuleMetrics = {
+  circleEntriesPerMinute: {
+    label: 'Circle entries per minute',
+    value: (params) => perMinute(params.circleEntries, params)
+  },
+  defensiveActionsPerMinute: {
+    label: 'Tackles and interceptions per minute',
+    value: (params) => perMinute(params.tackles + params.interceptions, params)
+  },
+  goalContributions: {
+    label: 'Goals and assists',
+    value: (params) => params.goalsScored + params.assists
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const hockeySuggestionRules = [
+  {
+    id: 'hockey.attack.poor-conversion',
+    type: 'technique',
+    priority: 'high',
+    message: 'Work on finishing in the circle. Practice deflections, reverse-stick shots and rebounds.',
+    metric: 'goalsScored',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'shotsOnTarget', comparator: '>=', threshold: 3 }]
+  },
+  {
+    id: 'hockey.attack.multiple-goals',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great goal-scoring performance! Keep working on movement to find space in the circle.',
+    metric: 'goalsScored',
+    comparator: '>=',
+    threshold: 2
+  },
+  {
+    id: 'hockey.playmaking.few-circle-entries',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Look to penetrate the circle more often. Practice 1v1 eliminations and aerial passes.',
+    metric: 'circleEntriesPerMinute',
+    comparator: '<',
+    threshold: 0.05,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'hockey.defense.low-tackles',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Improve defensive channelling and jab tackles. Practice closing down space on the ball carrier.',
+    metric: 'defensiveActionsPerMinute',
+    comparator: '<',
+    threshold: 0.1,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'hockey.defense.high-tackles',
+    type: 'technique',
+    priority: 'low',
+    message: 'Strong defensive performance! Keep reading passing lanes to create turnovers.',
+    metric: 'defensiveActionsPerMinute',
+    comparator: '>',
+    threshold: 0.25
+  },
+  {
+    id: 'hockey.creativity.no-contributions',
+    type: 'technique',
+    priority: 'high',
+    message: 'Focus on creating chances for teammates. Work on vision and passing into the circle.',
+    metric: 'goalContributions',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 60 }]
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is a full 60 minutes
+ * @param {Object} params - Hockey parameters
+ * @returns {number} Match load
+ */
+export const calculateHockeyLoad = ({ minutesPlayed }) => (Number(minutesPlayed) || 0) / 60;
+
+export const hockeySport = {
+  id: 'hockey',
+  name: 'Hockey',
+  icon: '🏑',
+  colors: {
+    primary: '#2563eb', // blue-600
+    light: '#dbeafe',   // blue-100
+    dark: '#1d4ed8'     // blue-700
+  },
+  badgeClasses: { background: 'bg-blue-100', text: 'text-blue-600' },
+  parameterSchema: hockeyParameterSchema,
+  parameterLabels: hockeyParameterLabels,
+  defaultParameters: defaultHockeyParameters,
+  formLayout: [
+    { id: 'attack', title: 'Attack', fields: ['goalsScored', 'shotsOnTarget'] },
+    { id: 'playmaking', title: 'Playmaking', fields: ['assists', 'circleEntries'] },
+    { id: 'defense', title: 'Defense', fields: ['tackles', 'interceptions'] },
+    { id: 'playingTime', title: 'Playing Time', fields: ['minutesPlayed'] }
+  ],
+  parameterConstraints: hockeyParameterConstraints,
+  scoringProfile: hockeyScoringProfile,
+  previewMetrics: [
+    { label: 'Goals/60min', value: (p) => (p.goalsScored / p.minutesPlayed) * 60 },
+    { label: 'Shot Conversion', value: (p) => (p.goalsScored / p.shotsOnTarget) * 100, suffix: '%' },
+    { label: 'Circle Entries/60min', value: (p) => (p.circleEntries / p.minutesPlayed) * 60 },
+    { label: 'Tackles + Int/60min', value: (p) => ((p.tackles + p.interceptions) / p.minutesPlayed) * 60 }
+  ],
+  calculateScore: calculateHockeyScore,
+  calculateBreakdown: calculateHockeyBreakdown,
+  calculateLoad: calculateHockeyLoad,
+  suggestionRules: hockeySuggestionRules,
+  ruleMetrics: hockeyRuleMetrics
+};
+
+export default hockeySport;
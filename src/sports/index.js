@@ -0,0 +1,45 @@
+/**
+ * Sports index file - registers the built-in sports and exports the registry
+ * Requirements: 2.4, 2.5 - Multi-sport parameter management
+ *
+ * To add a sport, create a definition module alongside these and register it below.
+ */
+
+import { registerSport } from './registry.js';
+import { cricketSport } from './cricket.js';
+import { footballSport } from './football.js';
+import { basketballSport } from './basketball.js';
+import { volleyballSport } from './volleyball.js';
+import { hockeySport } from './hockey.js';
+import { tennisSport } from './tennis.js';
+
+[
+  cricketSport,
+  footballSport,
+  basketballSport,
+  volleyballSport,
+  hockeySport,
+  tennisSport
+].forEach(registerSport);
+
+export {
+  registerSport,
+  getSport,
+  isSupportedSport,
+  getSportIds,
+  getAllSports,
+  getPlayingRoles,
+  getPlayingRole,
+  getMatchFormats,
+  getMatchFormat,
+  mapSports
+} from './registry.js';
+
+export {
+  cricketSport,
+  footballSport,
+  basketballSport,
+  volleyballSport,
+  hockeySport,
+  tennisSport
+};
@@ -0,0 +1,90 @@
+/**
+ * Match context and opponent difficulty
+ * Requirements: 3.1, 3.2 - Performance score calculation
+ *
+ * A match can record who it was played against and where. When a team's scoring
+ * profile sets a difficultyWeight, the opponent strength rating (1-5, 3 = similar)
+ * scales the breakdown total, so a good performance against a strong side is worth
+ * more than the same numbers against a weak one. The weight is off (0) by default.
+ */
+
+import { createBreakdown } from './breakdown.js';
+
+export const MATCH_VENUES = [
+  { id: 'home', label: 'Home' },
+  { id: 'away', label: 'Away' },
+  { id: 'neutral', label: 'Neutral' }
+];
+
+export const MATCH_RESULTS = [
+  { id: 'win', label: 'Win' },
+  { id: 'draw', label: 'Draw' },
+  { id: 'loss', label: 'Loss' }
+];
+
+export const OPPONENT_STRENGTHS = [
+  { id: 1, label: 'Much weaker' },
+  { id: 2, label: 'Weaker' },
+  { id: 3, label: 'Similar' },
+  { id: 4, label: 'Stronger' },
+  { id: 5, label: 'Much stronger' }
+];
+
+// Rating with no effect on the score
+export const NEUTRAL_OPPONENT_STRENGTH = 3;
+
+// Largest allowed difficultyWeight: a much stronger opponent then adds 50%
+export const MAX_DIFFICULTY_WEIGHT = 0.5;
+
+/**
+ * Multiplier applied to a breakdown total for the opponent's strength
+ * @param {Object} [matchContext] - Match context ({ opponentStrength, ... })
+ * @param {number} [difficultyWeight] - Team profile weight (0 to MAX_DIFFICULTY_WEIGHT)
+ * @returns {number} Multiplier; 1 when the weight or rating is missing
+ */
+export const getDifficultyMultiplier = (matchContext, difficultyWeight = 0) => {
+  const strength = matchContext?.opponentStrength;
+  if (!difficultyWeight || !Number.isFinite(strength)) return 1;
+
+  const weight = Math.min(MAX_DIFFICULTY_WEIGHT, Math.max(0, difficultyWeight));
+  return 1 + (weight * (strength - NEUTRAL_OPPONENT_STRENGTH)) / (NEUTRAL_OPPONENT_STRENGTH - 1);
+};
+
+/**
+ * Scale a breakdown for the opponent's strength
+ * @param {Object} breakdown - Breakdown (see createBreakdown)
+ * @param {Object} [matchContext] - Match context ({ opponentStrength, ... })
+ * @param {number} [difficultyWeight] - Team profile weight
+ * @returns {Object} The breakdown unchanged when the multiplier is 1, otherwise a new
+ *   breakdown with a scaled total and a `difficulty` entry explaining the change
+ */
+export const applyDifficulty = (breakdown, matchContext, difficultyWeight = 0) => {
+  const multiplier = getDifficultyMultiplier(matchContext, difficultyWeight);
+  if (multiplier === 1) return breakdown;
+
+  const { total, components } = breakdown;
+  return createBreakdown(components, total * multiplier, {
+    ...breakdown,
+    difficulty: {
+      opponentStrength: matchContext.opponentStrength,
+      weight: difficultyWeight,
+      multiplier: Math.round(multiplier * 10000) / 10000,
+      baseTotal: total
+    }
+  });
+};
+
+/**
+ * Short display text for a match context, e.g. "vs Riverside (Away) · League · Win"
+ * @param {Object} [matchContext] - Match context
+ * @returns {string} Description; empty when nothing was recorded
+ */
+export const describeMatchContext = (matchContext) => {
+  if (!matchContext) return '';
+
+  const venue = MATCH_VENUES.find(v => v.id === matchContext.venue)?.label;
+  const result = MATCH_RESULTS.find(r => r.id === matchContext.result)?.label;
+  const opponent = matchContext.opponent ? `vs ${matchContext.opponent}${venue ? ` (${venue})` : ''}` : venue;
+
+  return [opponent, matchContext.competition, result].filter(Boolean).join(' · ');
+};
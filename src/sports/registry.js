@@ -0,0 +1,118 @@
+/**
+ * Sport definition registry
+ * Requirements: 2.4, 2.5 - Multi-sport parameter management
+ *
+ * A sport definition is a plain object describing everything the app needs to
+ * know about a sport: parameter schema, labels, defaults, scorer, suggestion
+ * rules, form layout and display metadata. Every sport-aware module reads from
+ * this registry instead of switching on sport ids.
+ */
+
+const REQUIRED_FIELDS = [
+  'id',
+  'name',
+  'icon',
+  'parameterSchema',
+  'parameterLabels',
+  'defaultParameters',
+  'formLayout',
+  'calculateScore',
+  'suggestionRules'
+];
+
+const sports = new Map();
+
+/**
+ * Register a sport definition
+ * @param {Object} definition - Sport definition
+ * @returns {Object} The registered definition
+ */
+export const registerSport = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Sport definition must be an object');
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Sport definition "${definition.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  if (typeof definition.calculateScore !== 'function') {
+    throw new Error(`Sport definition "${definition.id}" must provide a calculateScore function`);
+  }
+
+  sports.set(definition.id.toLowerCase(), definition);
+  return definition;
+};
+
+/**
+ * Get a sport definition by id
+ * @param {string} sportId - Sport identifier (case-insensitive)
+ * @returns {Object|null} Sport definition or null if not registered
+ */
+export const getSport = (sportId) => {
+  if (!sportId || typeof sportId !== 'string') {
+    return null;
+  }
+  return sports.get(sportId.toLowerCase()) || null;
+};
+
+/**
+ * Check whether a sport is registered
+ * @param {string} sportId - Sport identifier
+ * @returns {boolean} True if the sport is supported
+ */
+export const isSupportedSport = (sportId) => getSport(sportId) !== null;
+
+/**
+ * Get all registered sport ids in registration order
+ * @returns {Array<string>} Sport ids
+ */
+export const getSportIds = () => [...sports.keys()];
+
+/**
+ * Get all registered sport definitions in registration order
+ * @returns {Array<Object>} Sport definitions
+ */
+export const getAllSports = () => [...sports.values()];
+
+/**
+ * Get the playing roles (positions) a sport defines for its players
+ * @param {string} sportId - Sport identifier
+ * @returns {Array<Object>} Roles ({ id, name, ... }); empty when the sport has none
+ */
+export const getPlayingRoles = (sportId) => getSport(sportId)?.playingRoles || [];
+
+/**
+ * Look up one playing role of a sport
+ * @param {string} sportId - Sport identifier
+ * @param {string} roleId - Playing role id
+ * @returns {Object|null} Role definition or null if the sport has no such role
+ */
+export const getPlayingRole = (sportId, roleId) =>
+  getPlayingRoles(sportId).find(role => role.id === roleId) || null;
+
+/**
+ * Get the match formats a sport defines (e.g. cricket's T20, ODI and multi-day)
+ * @param {string} sportId - Sport identifier
+ * @returns {Array<Object>} Formats ({ id, name, ... }); empty when the sport has none
+ */
+export const getMatchFormats = (sportId) => getSport(sportId)?.matchFormats || [];
+
+/**
+ * Look up one match format of a sport
+ * @param {string} sportId - Sport identifier
+ * @param {string} formatId - Match format id
+ * @returns {Object|null} Format definition or null if the sport has no such format
+ */
+export const getMatchFormat = (sportId, formatId) =>
+  getMatchFormats(sportId).find(format => format.id === formatId) || null;
+
+/**
+ * Build an object keyed by sport id from a per-sport selector
+ * @param {Function} selector - Receives a sport definition, returns the value to store
+ * @returns {Object} Map of sport id to selected value
+ */
+export const mapSports = (selector) => {
+  return Object.fromEntries(getAllSports().map(sport => [sport.id, selector(sport)]));
+};
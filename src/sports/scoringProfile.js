@@ -0,0 +1,25 @@
+/**
+ * Scoring profile helpers shared by the sport definitions
+ * Requirements: 3.1, 3.2, 3.3 - Configurable performance score calculation
+ *
+ * A scoring profile has three sections, each a flat map of numbers:
+ * - weights:   how much each component contributes to the final score
+ * - caps:      upper limits applied to individual components
+ * - baselines: normalisation constants (e.g. the economy range for cricket)
+ * Each sport publishes its defaults; a team profile only needs to hold overrides.
+ */
+
+export const SCORING_PROFILE_SECTIONS = ['weights', 'caps', 'baselines'];
+
+/**
+ * Merge a (partial) team profile over a sport's default profile
+ * @param {Object} defaults - Sport default scoring profile
+ * @param {Object} [profile] - Team overrides
+ * @returns {Object} Complete profile with weights, caps and baselines
+ */
+export const resolveScoringProfile = (defaults, profile = null) => {
+  return Object.fromEntries(SCORING_PROFILE_SECTIONS.map(section => [
+    section,
+    { ...(defaults?.[section] || {}), ...(profile?.[section] || {}) }
+  ]));
+};
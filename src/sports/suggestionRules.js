@@ -0,0 +1,351 @@
+/**
+ * Declarative suggestion rules shared by the sport definitions
+ * Requirements: 4.1, 4.2 - Intelligent suggestion system
+ *
+ * A rule is plain data, so coaches can author their own and store them in Firestore:
+ *
+ *   {
+ *     id: 'football.passing.low-volume',
+ *     type: 'technique',            // 'rest', 'training', 'technique', 'general'
+ *     priority: 'medium',           // 'high', 'medium', 'low'
+ *     message: 'Only {value} passes per minute ...',
+ *     metric: 'passesPerMinute',    // expression over parameters, rule metrics and `score`
+ *     comparator: '<',
+ *     threshold: 0.5,               // number or expression, e.g. '0.8 * strikeRateBaseline'
+ *     conditions: [{ metric: 'score', comparator: '<', threshold: 70 }], // all must hold
+ *     roles: ['forward'],           // optional: only these playing roles
+ *     excludeRoles: ['goalkeeper'], // optional: not these playing roles
+ *     enabled: true
+ *   }
+ *
+ * A condition may instead be { any: [conditions] }, which holds when one of them does.
+ * Sport modules may still give a rule a `when(params, score, context)` function instead of
+ * metric/comparator/threshold; such rules cannot be stored or edited by coaches.
+ * Expressions support numbers, names, + - * /, parentheses and min(), max(), abs().
+ * Each sport publishes `ruleMetrics`, named values derived from its parameters.
+ */
+
+export const RULE_COMPARATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+const FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([\s\S]))/y;
+
+/**
+ * Split an expression into number, name and symbol tokens
+ * @param {string} source - Expression source
+ * @returns {Array} Tokens ({ type, value })
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) break;
+    const [, number, name, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else if (symbol !== undefined) {
+      if (!'+-*/(),'.includes(symbol)) {
+        throw new Error(`Unexpected character "${symbol}"`);
+      }
+      tokens.push({ type: 'symbol', value: symbol });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree (recursive descent)
+ * @param {string} source - Expression source
+ * @returns {Object} Syntax tree
+ */
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek()?.type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position += 1;
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+    position += 1;
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      if (!isSymbol('(')) {
+        return { type: 'name', name: token.value };
+      }
+      // Own names only, so 'constructor' or 'toString' are not taken for functions
+      if (!Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new Error(`Unknown function "${token.value}"`);
+      }
+      expect('(');
+      const args = [parseSum()];
+      while (isSymbol(',')) {
+        position += 1;
+        args.push(parseSum());
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '-') {
+      return { type: 'negate', operand: parseFactor() };
+    }
+    if (token.value === '(') {
+      const inner = parseSum();
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseBinary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (peek()?.type === 'symbol' && operators.includes(peek().value)) {
+      const operator = peek().value;
+      position += 1;
+      left = { type: 'binary', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseProduct = parseBinary(parseFactor, ['*', '/']);
+  const parseSum = parseBinary(parseProduct, ['+', '-']);
+
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+  const tree = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return tree;
+};
+
+const compiled = new Map();
+
+/**
+ * Parse an expression, caching the result
+ * @param {string|number} expression - Expression source or a number
+ * @returns {Object} Syntax tree
+ * @throws {Error} When the expression is malformed
+ */
+export const compileExpression = (expression) => {
+  if (typeof expression === 'number') {
+    return { type: 'number', value: expression };
+  }
+  const source = String(expression ?? '');
+  if (!compiled.has(source)) {
+    compiled.set(source, parse(source));
+  }
+  return compiled.get(source);
+};
+
+/**
+ * List the names an expression reads
+ * @param {string|number} expression - Expression source
+ * @returns {Array<string>} Names, without duplicates
+ */
+export const getExpressionNames = (expression) => {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.type === 'name') names.add(node.name);
+    if (node.type === 'negate') visit(node.operand);
+    if (node.type === 'binary') { visit(node.left); visit(node.right); }
+    if (node.type === 'call') node.args.forEach(visit);
+  };
+  visit(compileExpression(expression));
+  return [...names];
+};
+
+/**
+ * Evaluate an expression against a scope of named values
+ * @param {string|number} expression - Expression source or a number
+ * @param {Object} scope - Named values
+ * @returns {number} Result (NaN when a name is missing or not a number)
+ */
+export const evaluateExpression = (expression, scope) => {
+  const visit = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'name':
+        return typeof scope[node.name] === 'number' ? scope[node.name] : NaN;
+      case 'negate':
+        return -visit(node.operand);
+      case 'call':
+        return Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name](...node.args.map(visit)) : NaN;
+      default: {
+        const left = visit(node.left);
+        const right = visit(node.right);
+        if (node.operator === '+') return left + right;
+        if (node.operator === '-') return left - right;
+        if (node.operator === '*') return left * right;
+        return left / right;
+      }
+    }
+  };
+  return visit(compileExpression(expression));
+};
+
+/**
+ * Compare two values. Missing or non-finite values never satisfy a comparison.
+ * @param {number} value - Left-hand value
+ * @param {string} comparator - One of RULE_COMPARATORS
+ * @param {number} threshold - Right-hand value
+ * @returns {boolean} Whether the comparison holds
+ */
+export const compareValues = (value, comparator, threshold) => {
+  if (!Number.isFinite(value) || !Number.isFinite(threshold)) {
+    return false;
+  }
+  switch (comparator) {
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Build the values rules can refer to: the parameters (defaults filled in),
+ * the sport's rule metrics and the match score
+ * @param {Object} definition - Sport definition
+ * @param {Object} parameters - Match parameters
+ * @param {number} score - Performance score
+ * @param {Object} [context] - Scoring context ({ playingRole, matchFormat })
+ * @returns {Object} Named values
+ */
+export const buildRuleScope = (definition, parameters, score, context = {}) => {
+  const scope = { ...(definition.defaultParameters || {}), ...parameters, score };
+
+  Object.entries(definition.ruleMetrics || {}).forEach(([name, metric]) => {
+    const value = metric.value(parameters, context);
+    scope[name] = Number.isFinite(value) ? value : NaN;
+  });
+
+  return scope;
+};
+
+/**
+ * Check a condition ({ metric, comparator, threshold } or { any: [conditions] })
+ * @param {Object} condition - Rule condition
+ * @param {Object} scope - Named values
+ * @returns {boolean} Whether the condition holds
+ */
+const conditionHolds = (condition, scope) => {
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(inner => conditionHolds(inner, scope));
+  }
+  return compareValues(
+    evaluateExpression(condition.metric, scope),
+    condition.comparator,
+    evaluateExpression(condition.threshold, scope)
+  );
+};
+
+/**
+ * Check whether a rule applies to the player's role
+ * @param {Object} rule - Suggestion rule
+ * @param {string|null} playingRole - Player's playing role
+ * @returns {boolean} Whether the rule applies
+ */
+const appliesToRole = (rule, playingRole) => {
+  if (rule.roles?.length > 0 && !rule.roles.includes(playingRole)) {
+    return false;
+  }
+  return !(rule.excludeRoles || []).includes(playingRole);
+};
+
+/**
+ * Evaluate a rule against a match
+ * @param {Object} rule - Suggestion rule
+ * @param {Object} scope - Named values (see buildRuleScope)
+ * @param {Object} [context] - Scoring context ({ playingRole })
+ * @returns {Object|null} { value, threshold } when the rule fires, otherwise null
+ *   (also null when the rule has a malformed expression)
+ */
+export const evaluateSuggestionRule = (rule, scope, context = {}) => {
+  if (rule.enabled === false || !appliesToRole(rule, context?.playingRole ?? null)) {
+    return null;
+  }
+
+  try {
+    if (typeof rule.when === 'function') {
+      return rule.when(scope, scope.score, context) ? { value: null, threshold: null } : null;
+    }
+
+    const value = evaluateExpression(rule.metric, scope);
+    const threshold = evaluateExpression(rule.threshold, scope);
+    if (!compareValues(value, rule.comparator, threshold)) {
+      return null;
+    }
+    if (!(rule.conditions || []).every(condition => conditionHolds(condition, scope))) {
+      return null;
+    }
+
+    return { value, threshold };
+  } catch (error) {
+    // A malformed stored rule must not stop the other suggestions
+    console.error(`Error evaluating suggestion rule ${rule.id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Format a number for a suggestion message (at most two decimals)
+ * @param {*} value - Value to format
+ * @returns {string} Formatted value
+ */
+const formatRuleValue = (value) =>
+  (typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value));
+
+/**
+ * Fill a message template. {value} and {threshold} are the rule's metric and
+ * threshold; any other {name} is looked up in the scope. Unknown names are left as is.
+ * @param {string} template - Message template
+ * @param {Object} values - Named values
+ * @returns {string} Message
+ */
+export const renderRuleMessage = (template, values) =>
+  String(template).replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name) =>
+    (Number.isFinite(values[name]) ? formatRuleValue(values[name]) : placeholder));
+
+/**
+ * Merge a coach's rules over a sport's default rules. A coach rule with the id of a
+ * default rule overrides its fields (e.g. { id, enabled: false } switches it off);
+ * other coach rules are added after the defaults.
+ * @param {Array} defaults - Sport default rules
+ * @param {Array} [coachRules] - Coach rules
+ * @returns {Array} Effective rules
+ */
+export const resolveSuggestionRules = (defaults, coachRules = []) => {
+  const overrides = new Map((coachRules || []).map(rule => [rule.id, rule]));
+  const defaultIds = new Set(defaults.map(rule => rule.id));
+
+  return [
+    ...defaults.map(rule => (overrides.has(rule.id) ? { ...rule, ...overrides.get(rule.id) } : rule)),
+    ...(coachRules || []).filter(rule => !defaultIds.has(rule.id))
+  ];
+};
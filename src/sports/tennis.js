@@ -0,0 +1,317 @@
+/**
+ * Tennis sport definition
+ * Requirements: 2.4, 2.5, 3.6, 4.7 - Tennis parameters, scoring and suggestions
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Tennis parameter structure, including display metadata for the match form.
+// firstServePercentage is stored as 0-1 but entered as 0-100 (inputScale).
+export const tennisParameterSchema = {
+  aces: {
+    type: 'number', min: 0, max: 50, required: true,
+    placeholder: 'e.g., 5', help: 'Serves the opponent could not touch'
+  },
+  doubleFaults: {
+    type: 'number', min: 0, max: 30, required: true,
+    placeholder: 'e.g., 2', help: 'Points lost by missing both serves'
+  },
+  firstServePercentage: {
+    type: 'number', min: 0, max: 1, required: true, step: 0.1, inputScale: 100,
+    unit: '%', placeholder: 'e.g., 62', help: 'Share of first serves that landed in (0–100)'
+  },
+  winners: {
+    type: 'number', min: 0, max: 100, required: true,
+    placeholder: 'e.g., 20', help: 'Clean winners hit, excluding aces'
+  },
+  unforcedErrors: {
+    type: 'number', min: 0, max: 100, required: true,
+    placeholder: 'e.g., 15', help: 'Points lost on unforced errors'
+  },
+  breakPointsWon: {
+    type: 'number', min: 0, max: 20, required: false,
+    placeholder: 'e.g., 3', help: 'Break points converted on the opponent\'s serve'
+  },
+  breakPointChances: {
+    type: 'number', min: 0, max: 40, required: false,
+    placeholder: 'e.g., 7', help: 'Break point opportunities on the opponent\'s serve'
+  },
+  setsWon: {
+    type: 'number', min: 0, max: 3, required: true,
+    unit: 'sets', placeholder: 'e.g., 2', help: 'Sets won in the match'
+  },
+  setsPlayed: {
+    type: 'number', min: 0, max: 5, required: true,
+    unit: 'sets', placeholder: 'e.g., 3', help: 'Total sets played in the match'
+  }
+};
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const tennisParameterConstraints = [
+  {
+    id: 'tennis.stats-without-sets',
+    fields: ['setsPlayed'],
+    message: 'Cannot have performance stats without playing a set',
+    check: (params) => params.setsPlayed > 0 ||
+      (params.aces + params.doubleFaults + params.winners + params.unforcedErrors) === 0
+  },
+  {
+    id: 'tennis.sets-won',
+    fields: ['setsWon'],
+    message: 'Sets won cannot exceed sets played',
+    check: (params) => params.setsWon <= params.setsPlayed
+  },
+  {
+    id: 'tennis.break-points',
+    fields: ['breakPointsWon'],
+    message: 'Break points won cannot exceed break point chances',
+    check: (params) => params.breakPointsWon <= params.breakPointChances
+  }
+];
+
+export const tennisParameterLabels = {
+  aces: 'Aces',
+  doubleFaults: 'Double Faults',
+  firstServePercentage: 'First Serve %',
+  winners: 'Winners',
+  unforcedErrors: 'Unforced Errors',
+  breakPointsWon: 'Break Points Won',
+  breakPointChances: 'Break Point Chances',
+  setsWon: 'Sets Won',
+  setsPlayed: 'Sets Played'
+};
+
+export const defaultTennisParameters = {
+  aces: 0,
+  doubleFaults: 0,
+  firstServePercentage: 0,
+  winners: 0,
+  unforcedErrors: 0,
+  breakPointsWon: 0,
+  breakPointChances: 0,
+  setsWon: 0,
+  setsPlayed: 0
+};
+
+// Default scoring profile; teams can override any value (see scoringProfile.js)
+export const tennisScoringProfile = {
+  weights: { serve: 0.3, shotMaking: 0.3, breakPoints: 0.15, result: 0.25 },
+  caps: { serve: 100 },
+  // Serve points per unit of first serve percentage and per net ace per set;
+  // neutralBreakPointScore is used when there were no break point chances
+  baselines: { firstServeValue: 70, netAceValue: 10, neutralBreakPointScore: 50 }
+};
+
+/**
+ * Break a tennis performance down into serving, shot-making, break points and result
+ * @param {Object} params - Tennis parameters
+ * @param {number} params.aces - Aces served
+ * @param {number} params.doubleFaults - Double faults
+ * @param {number} params.firstServePercentage - First serve percentage (0-1)
+ * @param {number} params.winners - Winners hit
+ * @param {number} params.unforcedErrors - Unforced errors
+ * @param {number} [params.breakPointsWon] - Break points converted
+ * @param {number} [params.breakPointChances] - Break point opportunities
+ * @param {number} params.setsWon - Sets won
+ * @param {number} params.setsPlayed - Sets played
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateTennisBreakdown = (params, profile = null) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid tennis parameters provided');
+  }
+
+  const {
+    aces,
+    doubleFaults,
+    firstServePercentage,
+    winners,
+    unforcedErrors,
+    breakPointsWon = 0,
+    breakPointChances = 0,
+    setsWon,
+    setsPlayed
+  } = params;
+  const { weights, caps, baselines } = resolveScoringProfile(tennisScoringProfile, profile);
+
+  // Prevent division by zero
+  const safeSetsPlayed = Math.max(setsPlayed, 1);
+
+  // Serve: first serve percentage plus net aces per set
+  const netAcesPerSet = (aces - doubleFaults) / safeSetsPlayed;
+  const serveScore = Math.min(caps.serve, Math.max(0,
+    ((firstServePercentage || 0) * baselines.firstServeValue) + (netAcesPerSet * baselines.netAceValue)
+  ));
+
+  // Shot-making: share of decisive shots that were winners
+  const decisiveShots = winners + unforcedErrors;
+  const shotScore = decisiveShots > 0 ? (winners / decisiveShots) * 100 : 0;
+
+  // Break points: conversion rate, neutral when there were no chances
+  const breakPointScore = breakPointChances > 0
+    ? (breakPointsWon / breakPointChances) * 100
+    : baselines.neutralBreakPointScore;
+
+  // Result: share of sets won
+  const resultScore = (setsWon / safeSetsPlayed) * 100;
+
+  // Weighted combination (default: Serve 30%, Shot-making 30%, Break points 15%, Result 25%)
+  const totalScore = (serveScore * weights.serve) + (shotScore * weights.shotMaking) +
+    (breakPointScore * weights.breakPoints) + (resultScore * weights.result);
+
+  return createBreakdown([
+    createComponent({
+      id: 'serve',
+      label: 'Serve',
+      score: serveScore,
+      weight: weights.serve,
+      rates: [
+        createRate('firstServePercentage', 'First Serve %', (firstServePercentage || 0) * 100, '%'),
+        createRate('netAcesPerSet', 'Aces - Double Faults per Set', netAcesPerSet, '/set')
+      ]
+    }),
+    createComponent({
+      id: 'shotMaking',
+      label: 'Shot-making',
+      score: shotScore,
+      weight: weights.shotMaking,
+      rates: [createRate('winnerShare', 'Winner Share', decisiveShots > 0 ? (winners / decisiveShots) * 100 : null, '%')]
+    }),
+    createComponent({
+      id: 'breakPoints',
+      label: 'Break Points',
+      score: breakPointScore,
+      weight: weights.breakPoints,
+      rates: [createRate(
+        'breakPointConversion',
+        'Break Point Conversion',
+        breakPointChances > 0 ? (breakPointsWon / breakPointChances) * 100 : null,
+        '%'
+      )]
+    }),
+    createComponent({
+      id: 'result',
+      label: 'Result',
+      score: resultScore,
+      weight: weights.result,
+      rates: [createRate('setsWonShare', 'Sets Won', resultScore, '%')]
+    })
+  ], totalScore);
+};
+
+/**
+ * Calculate tennis performance score based on serving, shot-making, break point conversion and result
+ * @param {Object} params - Tennis parameters (see calculateTennisBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateTennisScore = (params, profile = null) =>
+  calculateTennisBreakdown(params, profile).score;
+
+const winnerRatio = ({ winners, unforcedErrors }) => winners / Math.max(unforcedErrors, 1);
+
+// Values the suggestion rules can refer to besides the parameters
+export const tennisRuleMetrics = {
+  winnerRatio: { label: 'Winners per unforced error', value: winnerRatio },
+  breakPointConversion: {
+    label: 'Break point conversion',
+    value: ({ breakPointsWon, breakPointChances }) => breakPointsWon / breakPointChances
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const tennisSuggestionRules = [
+  {
+    id: 'tennis.serve.low-first-serve',
+    type: 'technique',
+    priority: 'high',
+    message: 'Improve first serve consistency. Work on toss placement and a repeatable service motion.',
+    metric: 'firstServePercentage',
+    comparator: '<',
+    threshold: 0.55
+  },
+  {
+    id: 'tennis.serve.double-faults',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Cut down double faults. Practice a reliable second serve with more spin and margin.',
+    metric: 'doubleFaults',
+    comparator: '>',
+    threshold: 'aces'
+  },
+  {
+    id: 'tennis.rally.error-prone',
+    type: 'technique',
+    priority: 'high',
+    message: 'Reduce unforced errors. Build points with higher net clearance and deeper targets.',
+    metric: 'winnerRatio',
+    comparator: '<',
+    threshold: 0.8,
+    conditions: [{ metric: 'unforcedErrors', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'tennis.rally.aggressive',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent shot-making! Keep balancing aggression with smart shot selection.',
+    metric: 'winnerRatio',
+    comparator: '>',
+    threshold: 1.5,
+    conditions: [{ metric: 'winners', comparator: '>', threshold: 0 }]
+  },
+  {
+    id: 'tennis.return.low-break-conversion',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Convert more break points. Practice return positioning and pressure-point patterns.',
+    metric: 'breakPointConversion',
+    comparator: '<',
+    threshold: 0.3,
+    conditions: [{ metric: 'breakPointChances', comparator: '>=', threshold: 3 }]
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is a three-set match
+ * @param {Object} params - Tennis parameters
+ * @returns {number} Match load
+ */
+export const calculateTennisLoad = ({ setsPlayed }) => (Number(setsPlayed) || 0) / 3;
+
+export const tennisSport = {
+  id: 'tennis',
+  name: 'Tennis',
+  icon: '🎾',
+  colors: {
+    primary: '#65a30d', // lime-600
+    light: '#ecfccb',   // lime-100
+    dark: '#4d7c0f'     // lime-700
+  },
+  badgeClasses: { background: 'bg-lime-100', text: 'text-lime-600' },
+  parameterSchema: tennisParameterSchema,
+  parameterLabels: tennisParameterLabels,
+  defaultParameters: defaultTennisParameters,
+  formLayout: [
+    { id: 'serve', title: 'Serve', fields: ['aces', 'doubleFaults', 'firstServePercentage'] },
+    { id: 'rally', title: 'Rally', fields: ['winners', 'unforcedErrors'] },
+    { id: 'return', title: 'Return', fields: ['breakPointsWon', 'breakPointChances'] },
+    { id: 'result', title: 'Result', fields: ['setsWon', 'setsPlayed'] }
+  ],
+  parameterConstraints: tennisParameterConstraints,
+  scoringProfile: tennisScoringProfile,
+  previewMetrics: [
+    { label: 'Winner/Error Ratio', value: (p) => p.winners / p.unforcedErrors, decimals: 2 },
+    { label: 'Break Point Conversion', value: (p) => (p.breakPointsWon / p.breakPointChances) * 100, suffix: '%' },
+    { label: 'Aces/Set', value: (p) => p.aces / p.setsPlayed }
+  ],
+  calculateScore: calculateTennisScore,
+  calculateBreakdown: calculateTennisBreakdown,
+  calculateLoad: calculateTennisLoad,
+  suggestionRules: tennisSuggestionRules,
+  ruleMetrics: tennisRuleMetrics
+};
+
+export default tennisSport;
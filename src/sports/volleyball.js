@@ -0,0 +1,308 @@
+/**
+ * Volleyball sport definition
+ * Requirements: 2.4, 2.5, 3.4, 4.5 - Volleyball parameters, scoring and suggestions
+ */
+
+import { resolveScoringProfile } from './scoringProfile.js';
+import { createBreakdown, createComponent, createRate } from './breakdown.js';
+
+// Volleyball parameter structure, including display metadata for the match form
+export const volleyballParameterSchema = {
+  kills: {
+    type: 'number', min: 0, max: 60, required: true,
+    placeholder: 'e.g., 12', help: 'Attacks that directly won the rally'
+  },
+  attackErrors: {
+    type: 'number', min: 0, max: 60, required: true,
+    placeholder: 'e.g., 4', help: 'Attacks hit out, into the net or blocked for a point'
+  },
+  attackAttempts: {
+    type: 'number', min: 0, max: 150, required: true,
+    placeholder: 'e.g., 30', help: 'Total attacks attempted, including kills and errors'
+  },
+  aces: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 2', help: 'Serves that directly won the rally'
+  },
+  blocks: {
+    type: 'number', min: 0, max: 20, required: true,
+    placeholder: 'e.g., 3', help: 'Blocks that directly won the rally (solo or assisted)'
+  },
+  digs: {
+    type: 'number', min: 0, max: 60, required: true,
+    placeholder: 'e.g., 8', help: 'Opponent attacks successfully kept in play'
+  },
+  setAssists: {
+    type: 'number', min: 0, max: 80, required: false,
+    placeholder: 'e.g., 20', help: 'Sets that led directly to a kill'
+  },
+  setsPlayed: {
+    type: 'number', min: 0, max: 5, required: true,
+    unit: 'sets', placeholder: 'e.g., 4', help: 'Number of sets the player was on court'
+  }
+};
+
+// Cross-field rules; `check` returns true when the parameters are consistent
+export const volleyballParameterConstraints = [
+  {
+    id: 'volleyball.stats-without-sets',
+    fields: ['setsPlayed'],
+    message: 'Cannot have performance stats without playing a set',
+    check: (params) => params.setsPlayed > 0 ||
+      (params.kills + params.attackAttempts + params.aces + params.blocks + params.digs + params.setAssists) === 0
+  },
+  {
+    id: 'volleyball.attack-attempts',
+    fields: ['attackAttempts'],
+    message: 'Kills and attack errors cannot exceed attack attempts',
+    check: (params) => params.kills + params.attackErrors <= params.attackAttempts
+  }
+];
+
+export const volleyballParameterLabels = {
+  kills: 'Kills',
+  attackErrors: 'Attack Errors',
+  attackAttempts: 'Attack Attempts',
+  aces: 'Service Aces',
+  blocks: 'Blocks',
+  digs: 'Digs',
+  setAssists: 'Set Assists',
+  setsPlayed: 'Sets Played'
+};
+
+export const defaultVolleyballParameters = {
+  kills: 0,
+  attackErrors: 0,
+  attackAttempts: 0,
+  aces: 0,
+  blocks: 0,
+  digs: 0,
+  setAssists: 0,
+  setsPlayed: 0
+};
+
+// Default scoring profile; teams can override any value (see scoringProfile.js)
+export const volleyballScoringProfile = {
+  // efficiencyShare splits the attack score between hitting efficiency and kill volume
+  weights: { attack: 0.35, net: 0.2, defense: 0.25, setting: 0.2, efficiencyShare: 0.5 },
+  caps: { attack: 100, net: 100, defense: 100, setting: 100 },
+  // Per-set values that earn a full component score
+  baselines: { hittingPercentage: 0.4, killsPerSet: 4, netPointsPerSet: 1.5, digsPerSet: 4, setAssistsPerSet: 10 }
+};
+
+/**
+ * Break a volleyball performance down into attacking, net play, defense and setting
+ * @param {Object} params - Volleyball parameters
+ * @param {number} params.kills - Attack kills
+ * @param {number} params.attackErrors - Attack errors
+ * @param {number} params.attackAttempts - Total attack attempts
+ * @param {number} params.aces - Service aces
+ * @param {number} params.blocks - Blocks for a point
+ * @param {number} params.digs - Digs
+ * @param {number} [params.setAssists] - Set assists
+ * @param {number} params.setsPlayed - Sets played
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {Object} Score breakdown (see breakdown.js)
+ */
+export const calculateVolleyballBreakdown = (params, profile = null) => {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error('Invalid volleyball parameters provided');
+  }
+
+  const { kills, attackErrors, attackAttempts, aces, blocks, digs, setAssists = 0, setsPlayed } = params;
+  const { weights, caps, baselines } = resolveScoringProfile(volleyballScoringProfile, profile);
+
+  // Prevent division by zero
+  const safeSetsPlayed = Math.max(setsPlayed, 1);
+  const perSetScore = (value, baseline) => (value / safeSetsPlayed / baseline) * 100;
+
+  // Attack: hitting efficiency ((kills - errors) / attempts, .400 is elite) and kills per set
+  let attackScore = 0;
+  const hittingPercentage = attackAttempts > 0 ? (kills - attackErrors) / attackAttempts : null;
+  if (attackAttempts > 0) {
+    const efficiencyScore = Math.min(100, Math.max(0, (hittingPercentage / baselines.hittingPercentage) * 100));
+    const volumeScore = Math.min(100, perSetScore(kills, baselines.killsPerSet));
+    attackScore = Math.min(
+      caps.attack,
+      (weights.efficiencyShare * efficiencyScore) + ((1 - weights.efficiencyShare) * volumeScore)
+    );
+  }
+
+  // Net play: aces and blocks per set, 1.5 per set is elite
+  const netScore = Math.min(caps.net, perSetScore(aces + blocks, baselines.netPointsPerSet));
+
+  // Defense: digs per set, 4 per set is elite
+  const defenseScore = Math.min(caps.defense, perSetScore(digs, baselines.digsPerSet));
+
+  // Setting: assists per set, 10 per set is elite
+  const settingScore = Math.min(caps.setting, perSetScore(setAssists, baselines.setAssistsPerSet));
+
+  // Weighted combination (default: Attack 35%, Net 20%, Defense 25%, Setting 20%)
+  const totalScore = (attackScore * weights.attack) + (netScore * weights.net) +
+    (defenseScore * weights.defense) + (settingScore * weights.setting);
+
+  return createBreakdown([
+    createComponent({
+      id: 'attack',
+      label: 'Attack',
+      score: attackScore,
+      weight: weights.attack,
+      rates: [
+        createRate('hittingPercentage', 'Hitting %', hittingPercentage, ''),
+        createRate('killsPerSet', 'Kills per Set', kills / safeSetsPlayed, '/set')
+      ]
+    }),
+    createComponent({
+      id: 'net',
+      label: 'Net Play',
+      score: netScore,
+      weight: weights.net,
+      rates: [createRate('netPointsPerSet', 'Aces + Blocks per Set', (aces + blocks) / safeSetsPlayed, '/set')]
+    }),
+    createComponent({
+      id: 'defense',
+      label: 'Defense',
+      score: defenseScore,
+      weight: weights.defense,
+      rates: [createRate('digsPerSet', 'Digs per Set', digs / safeSetsPlayed, '/set')]
+    }),
+    createComponent({
+      id: 'setting',
+      label: 'Setting',
+      score: settingScore,
+      weight: weights.setting,
+      rates: [createRate('setAssistsPerSet', 'Set Assists per Set', setAssists / safeSetsPlayed, '/set')]
+    })
+  ], totalScore);
+};
+
+/**
+ * Calculate volleyball performance score based on attacking, net play, defense and setting
+ * @param {Object} params - Volleyball parameters (see calculateVolleyballBreakdown)
+ * @param {Object} [profile] - Team scoring profile overrides
+ * @returns {number} Performance score (0-100)
+ */
+export const calculateVolleyballScore = (params, profile = null) =>
+  calculateVolleyballBreakdown(params, profile).score;
+
+const perSet = (value, { setsPlayed }) => value / Math.max(setsPlayed, 1);
+const hittingPercentage = ({ kills, attackErrors, attackAttempts }) => (kills - attackErrors) / attackAttempts;
+
+// Values the suggestion rules can refer to besides the parameters
+export const volleyballRuleMetrics = {
+  hittingPercentage: { label: 'Hitting %', value: hittingPercentage },
+  blocksPerSet: {
+    label: 'Blocks per set',
+    value: (params) => perSet(params.blocks, params)
+  },
+  digsPerSet: {
+    label: 'Digs per set',
+    value: (params) => perSet(params.digs, params)
+  }
+};
+
+// Default training suggestion rules (see suggestionRules.js), evaluated in order
+export const volleyballSuggestionRules = [
+  {
+    id: 'volleyball.attack.low-efficiency',
+    type: 'technique',
+    priority: 'high',
+    message: 'Reduce attack errors. Work on approach timing and hitting around the block.',
+    metric: 'hittingPercentage',
+    comparator: '<',
+    threshold: 0.1,
+    conditions: [{ metric: 'attackAttempts', comparator: '>=', threshold: 5 }]
+  },
+  {
+    id: 'volleyball.attack.high-efficiency',
+    type: 'technique',
+    priority: 'low',
+    message: 'Excellent hitting efficiency! Keep varying shot selection to stay unpredictable.',
+    metric: 'hittingPercentage',
+    comparator: '>',
+    threshold: 0.35,
+    conditions: [{ metric: 'attackAttempts', comparator: '>=', threshold: 5 }]
+  },
+  {
+    id: 'volleyball.serving.no-aces',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Add pressure from the service line. Practice jump and float serves to target zones.',
+    metric: 'aces',
+    comparator: '==',
+    threshold: 0,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'volleyball.net.low-blocks',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Work on block footwork and reading the setter to get hands over the net sooner.',
+    metric: 'blocksPerSet',
+    comparator: '<',
+    threshold: 0.3,
+    conditions: [{ metric: 'score', comparator: '<', threshold: 70 }]
+  },
+  {
+    id: 'volleyball.defense.low-digs',
+    type: 'technique',
+    priority: 'medium',
+    message: 'Improve floor defense. Practice low ready position and platform control drills.',
+    metric: 'digsPerSet',
+    comparator: '<',
+    threshold: 1
+  },
+  {
+    id: 'volleyball.defense.high-digs',
+    type: 'technique',
+    priority: 'low',
+    message: 'Great floor defense! Your digs keep rallies alive for the team.',
+    metric: 'digsPerSet',
+    comparator: '>',
+    threshold: 3
+  }
+];
+
+/**
+ * Physical load of a match for workload tracking, where 1 is a four-set match
+ * @param {Object} params - Volleyball parameters
+ * @returns {number} Match load
+ */
+export const calculateVolleyballLoad = ({ setsPlayed }) => (Number(setsPlayed) || 0) / 4;
+
+export const volleyballSport = {
+  id: 'volleyball',
+  name: 'Volleyball',
+  icon: '🏐',
+  colors: {
+    primary: '#d97706', // amber-600
+    light: '#fef3c7',   // amber-100
+    dark: '#b45309'     // amber-700
+  },
+  badgeClasses: { background: 'bg-amber-100', text: 'text-amber-600' },
+  parameterSchema: volleyballParameterSchema,
+  parameterLabels: volleyballParameterLabels,
+  defaultParameters: defaultVolleyballParameters,
+  formLayout: [
+    { id: 'attack', title: 'Attack', fields: ['kills', 'attackErrors', 'attackAttempts'] },
+    { id: 'serveAndBlock', title: 'Serve & Block', fields: ['aces', 'blocks'] },
+    { id: 'defense', title: 'Defense & Setting', fields: ['digs', 'setAssists'] },
+    { id: 'playingTime', title: 'Playing Time', fields: ['setsPlayed'] }
+  ],
+  parameterConstraints: volleyballParameterConstraints,
+  scoringProfile: volleyballScoringProfile,
+  previewMetrics: [
+    { label: 'Hitting %', value: (p) => hittingPercentage(p), decimals: 3 },
+    { label: 'Kills/Set', value: (p) => p.kills / p.setsPlayed },
+    { label: 'Digs/Set', value: (p) => p.digs / p.setsPlayed },
+    { label: 'Blocks/Set', value: (p) => p.blocks / p.setsPlayed }
+  ],
+  calculateScore: calculateVolleyballScore,
+  calculateBreakdown: calculateVolleyballBreakdown,
+  calculateLoad: calculateVolleyballLoad,
+  suggestionRules: volleyballSuggestionRules,
+  ruleMetrics: volleyballRuleMetrics
+};
+
+export default volleyballSport;
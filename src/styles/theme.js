@@ -3,6 +3,8 @@
  * Defines consistent colors, typography, and spacing for the application
  */
 
+import { mapSports } from '../sports/index.js';
+
 export const theme = {
   colors: {
     // Primary brand colors
@@ -135,24 +137,8 @@ export const theme = {
   }
 };
 
-// Sport-specific color mappings
-export const sportColors = {
-  cricket: {
-    primary: '#059669', // green-600
-    light: '#d1fae5',   // green-100
-    dark: '#047857'     // green-700
-  },
-  football: {
-    primary: '#dc2626', // red-600
-    light: '#fee2e2',   // red-100
-    dark: '#b91c1c'     // red-700
-  },
-  basketball: {
-    primary: '#ea580c', // orange-600
-    light: '#fed7aa',   // orange-100
-    dark: '#c2410c'     // orange-700
-  }
-};
+// Sport-specific color mappings, taken from the sport definitions
+export const sportColors = mapSports(sport => sport.colors);
 
 // Performance score color mappings
 export const performanceColors = {
@@ -0,0 +1,75 @@
+/**
+ * In-memory stand-in for firestoreService, shared by the service tests
+ *
+ * Usage:
+ *   vi.mock('../firestoreService.js', () => import('../../test/firestoreMock.js'));
+ *   const { store } = await import('../../test/firestoreMock.js');
+ *
+ * Documents live in store.data as { collection: { docId: data } }; tests seed
+ * it directly and assert against it.
+ */
+
+export const store = { data: {}, nextId: 0 };
+
+const docs = (collection) => (store.data[collection] ||= {});
+
+const read = async (collection, docId) => (docs(collection)[docId] ? { ...docs(collection)[docId], id: docId } : null);
+
+const set = (collection, docId, data) => {
+  docs(collection)[docId] = data;
+};
+
+const create = (collection, docId, data) => set(collection, docId, { ...data, createdAt: new Date() });
+
+const update = (collection, docId, data) => {
+  docs(collection)[docId] = { ...docs(collection)[docId], ...data };
+};
+
+const remove = (collection, docId) => {
+  delete docs(collection)[docId];
+};
+
+const newDocumentId = (collection) => `${collection}-${++store.nextId}`;
+
+export const firestoreService = {
+  create: vi.fn(async (collection, data, docId) => {
+    const id = docId || newDocumentId(collection);
+    create(collection, id, data);
+    return id;
+  }),
+  read: vi.fn(read),
+  update: vi.fn(async (collection, docId, data) => update(collection, docId, data)),
+  delete: vi.fn(async (collection, docId) => remove(collection, docId)),
+  query: vi.fn(async (collection, filters = [], orderByField = null, orderDirection = 'asc', limitCount = null) => {
+    const matching = Object.entries(docs(collection))
+      .map(([id, data]) => ({ ...data, id }))
+      .filter(doc => filters.every(({ field, value }) => doc[field] === value));
+    if (orderByField) {
+      const sign = orderDirection === 'desc' ? -1 : 1;
+      matching.sort((a, b) => sign * (a[orderByField] > b[orderByField] ? 1 : a[orderByField] < b[orderByField] ? -1 : 0));
+    }
+    return limitCount ? matching.slice(0, limitCount) : matching;
+  }),
+  newDocumentId: vi.fn(newDocumentId),
+  batchWrite: vi.fn(async (operations) => {
+    operations.forEach(({ type, collection, docId, data }) => {
+      if (type === 'delete') {
+        remove(collection, docId);
+      } else if (type === 'create') {
+        create(collection, docId, data);
+      } else if (type === 'set') {
+        set(collection, docId, data);
+      } else {
+        update(collection, docId, data);
+      }
+    });
+  }),
+  runTransaction: vi.fn(async (updateFunction) => updateFunction({ read, create, set, update })),
+  getUserProfile: vi.fn(async (uid) => read('users', uid)),
+  getPlayersByCoach: vi.fn(async (coachId) => Object.entries(docs('players'))
+    .map(([id, data]) => ({ ...data, id }))
+    .filter(player => player.coachId === coachId)),
+  updatePlayerStats: vi.fn(async (playerId, stats) => update('players', playerId, stats))
+};
+
+export default firestoreService;
@@ -0,0 +1,58 @@
+/**
+ * Tests for match date helpers
+ * Requirements: 2.4, 5.2 - Match data storage and match history display
+ */
+
+import {
+  formatMatchDate,
+  isValidTimeZone,
+  parseDateTimeInput,
+  sortByMatchDate,
+  toDateTimeInputValue,
+  toMillis
+} from '../matchDate.js';
+
+describe('Match Dates', () => {
+  test('should read Timestamps, Dates, strings and seconds', () => {
+    const millis = Date.UTC(2024, 2, 1, 15, 30);
+
+    expect(toMillis({ toMillis: () => millis })).toBe(millis);
+    expect(toMillis({ seconds: millis / 1000, nanoseconds: 0 })).toBe(millis);
+    expect(toMillis(new Date(millis))).toBe(millis);
+    expect(toMillis('2024-03-01T15:30:00Z')).toBe(millis);
+    expect(toMillis('not a date')).toBeNull();
+    expect(toMillis(null)).toBeNull();
+  });
+
+  test('should show a match on the day it was played in its own time zone', () => {
+    // 21:00 on 1 March in Mumbai is 15:30 UTC and already 2 March in Auckland
+    const date = { seconds: Date.UTC(2024, 2, 1, 15, 30) / 1000 };
+
+    expect(formatMatchDate(date, { timeZone: 'Asia/Kolkata' })).toBe('March 1, 2024');
+    expect(formatMatchDate(date, { timeZone: 'Pacific/Auckland' })).toBe('March 2, 2024');
+    expect(formatMatchDate(null)).toBe('');
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+
+  test('should round-trip datetime-local input values', () => {
+    const date = parseDateTimeInput('2024-03-01T21:05');
+
+    expect(date).toEqual(new Date(2024, 2, 1, 21, 5));
+    expect(toDateTimeInputValue(date)).toBe('2024-03-01T21:05');
+    expect(parseDateTimeInput('2024-02-31T10:00')).toBeNull();
+    expect(parseDateTimeInput('2024-03-01')).toBeNull();
+  });
+
+  test('should sort matches entered out of order by when they were played', () => {
+    const matches = [
+      { id: 'entered-first', date: { seconds: 200 }, createdAt: { seconds: 1000 } },
+      { id: 'backdated', date: new Date(100 * 1000), createdAt: { seconds: 3000 } },
+      { id: 'undated', createdAt: { seconds: 4000 } },
+      { id: 'same-time-later', date: { seconds: 200 }, createdAt: { seconds: 2000 } }
+    ];
+
+    expect(sortByMatchDate(matches).map(match => match.id))
+      .toEqual(['same-time-later', 'entered-first', 'backdated', 'undated']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for trend detection
+ * Requirements: 5.2, 5.4, 4.1 - Performance trend testing
+ */
+
+import {
+  analyzeTrend,
+  calculateEwma,
+  calculateTrendConfidence,
+  detectPlateau,
+  detectStreak,
+  linearRegression
+} from '../trend.js';
+import { calculatePerformanceTrend } from '../../models/matchData.js';
+
+describe('Trend Detection', () => {
+  describe('Linear Regression', () => {
+    test('should fit a line through evenly spaced values', () => {
+      const fit = linearRegression([10, 12, 14, 16]);
+
+      expect(fit.slope).toBeCloseTo(2);
+      expect(fit.intercept).toBeCloseTo(10);
+      expect(fit.rSquared).toBeCloseTo(1);
+      expect(fit.standardError).toBeCloseTo(0);
+    });
+
+    test('should handle short series', () => {
+      expect(linearRegression([])).toEqual({ slope: 0, intercept: 0, rSquared: 0, standardError: null });
+      expect(linearRegression([70]).intercept).toBe(70);
+      expect(linearRegression([70, 80]).standardError).toBeNull();
+    });
+  });
+
+  describe('Confidence', () => {
+    test('should match a t-test on the slope', () => {
+      // t = 3.82 with 4 degrees of freedom, two-sided p = 0.019
+      expect(calculateTrendConfidence([1, 3, 2, 5, 4, 6])).toBeCloseTo(0.981, 3);
+    });
+
+    test('should be low for noise and zero without enough data', () => {
+      expect(calculateTrendConfidence([70, 60, 75, 62, 71, 66])).toBeLessThan(0.5);
+      expect(calculateTrendConfidence([60, 80])).toBe(0);
+      expect(calculateTrendConfidence([70, 70, 70, 70])).toBe(0);
+    });
+  });
+
+  describe('Smoothing, Streaks and Plateaus', () => {
+    test('should weight recent values more heavily', () => {
+      expect(calculateEwma([50, 100], 0.4)).toEqual([50, 70]);
+      expect(calculateEwma([])).toEqual([]);
+    });
+
+    test('should find the run of rises or falls ending with the latest value', () => {
+      expect(detectStreak([70, 60, 65, 68, 72])).toEqual({ direction: 'up', length: 3 });
+      expect(detectStreak([70, 75, 72, 70])).toEqual({ direction: 'down', length: 2 });
+      expect(detectStreak([70, 70])).toEqual({ direction: null, length: 0 });
+    });
+
+    test('should detect scores stuck in a narrow band', () => {
+      expect(detectPlateau([50, 72, 74, 71, 73, 75])).toBe(true);
+      expect(detectPlateau([72, 74, 71, 80, 75])).toBe(false);
+      expect(detectPlateau([72, 74, 71])).toBe(false);
+    });
+  });
+
+  describe('Trend Analysis', () => {
+    test('should call clear, confident trends', () => {
+      expect(analyzeTrend([60, 65, 70, 75, 80, 85])).toMatchObject({
+        direction: 'improving', slope: 5, change: 25, confidence: 1, sampleSize: 6
+      });
+      expect(analyzeTrend([80, 80, 80, 60, 60, 60]).direction).toBe('declining');
+    });
+
+    test('should not call a trend from noise or a single swing', () => {
+      expect(analyzeTrend([70, 60, 75, 62, 71, 66]).direction).toBe('stable');
+      expect(analyzeTrend([70, 90]).direction).toBe('stable');
+    });
+
+    test('should only use the last six scores', () => {
+      const analysis = analyzeTrend([20, 30, 40, 75, 76, 74, 75, 76, 74]);
+
+      expect(analysis.sampleSize).toBe(6);
+      expect(analysis.direction).toBe('stable');
+      expect(analysis.plateau).toBe(true);
+    });
+
+    test('should ignore missing scores', () => {
+      expect(analyzeTrend([60, null, 65, undefined, 70, 75, 80]).sampleSize).toBe(5);
+      expect(analyzeTrend(null).ewma).toBeNull();
+    });
+
+    test('should agree with the model trend helper', () => {
+      [[60, 65, 70, 75, 80, 85], [85, 80, 75, 70, 65, 60], [75, 76, 74, 75, 76, 74]].forEach(scores => {
+        expect(calculatePerformanceTrend(scores)).toBe(analyzeTrend(scores).direction);
+      });
+    });
+  });
+});
@@ -1,17 +1,15 @@
 // Application constants
 
+import { getSportIds } from '../sports/index.js';
+
 // User roles
 export const USER_ROLES = {
   COACH: 'coach',
   PLAYER: 'player'
 };
 
-// Sports
-export const SPORTS = {
-  CRICKET: 'cricket',
-  FOOTBALL: 'football',
-  BASKETBALL: 'basketball'
-};
+// Sports, keyed by upper-cased id (e.g. SPORTS.CRICKET === 'cricket')
+export const SPORTS = Object.fromEntries(getSportIds().map(id => [id.toUpperCase(), id]));
 
 // Performance score thresholds
 export const PERFORMANCE_THRESHOLDS = {
@@ -1,3 +1,5 @@
 // Utility exports
 export * from './constants';
-export * from './validators';
\ No newline at end of file
+export * from './validators';
+export * from './trend';
+export * from './matchDate';
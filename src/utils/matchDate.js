@@ -0,0 +1,137 @@
+/**
+ * Match date helpers
+ * Requirements: 2.4, 5.2 - Match data storage and match history display
+ *
+ * A match date is stored as an instant (a Firestore Timestamp once saved) together
+ * with the IANA time zone it was entered in (`timeZone`). Displaying it in that
+ * zone keeps a match played at 21:00 in Mumbai on the day it was played, whatever
+ * the viewer's own time zone.
+ */
+
+/**
+ * Convert a stored match date (Firestore Timestamp, Date, string or millis) to millis
+ * @param {*} date - Match date
+ * @returns {number|null} Milliseconds since epoch, or null when unknown
+ */
+export const toMillis = (date) => {
+  if (date === null || date === undefined) return null;
+  if (typeof date.toMillis === 'function') return date.toMillis();
+  if (typeof date.seconds === 'number') return date.seconds * 1000;
+  const millis = new Date(date).getTime();
+  return Number.isFinite(millis) ? millis : null;
+};
+
+/**
+ * Time zone of this device, e.g. 'Asia/Kolkata'
+ * @returns {string} IANA time zone ('UTC' when unknown)
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timeZone - Time zone, e.g. 'Europe/London'
+ * @returns {boolean} Whether Intl recognises it
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Format a match date in the time zone it was recorded in
+ * @param {*} date - Stored match date
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Match time zone; the viewer's own when missing or invalid
+ * @param {boolean} [options.withTime] - Include the time of day
+ * @param {string} [options.locale] - Locale for the formatting
+ * @param {Object} [options.format] - Intl date options replacing the default long date
+ * @returns {string} Formatted date, or '' when the date is unknown
+ */
+export const formatMatchDate = (date, {
+  timeZone,
+  withTime = false,
+  locale = 'en-US',
+  format = { year: 'numeric', month: 'long', day: 'numeric' }
+} = {}) => {
+  const millis = toMillis(date);
+  if (millis === null) return '';
+
+  return new Intl.DateTimeFormat(locale, {
+    ...format,
+    ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {}),
+    ...(isValidTimeZone(timeZone) ? { timeZone } : {})
+  }).format(new Date(millis));
+};
+
+/**
+ * Value of a datetime-local input for a date, in this device's time zone
+ * @param {*} date - Date
+ * @returns {string} 'YYYY-MM-DDTHH:mm', or '' when the date is unknown
+ */
+export const toDateTimeInputValue = (date) => {
+  const millis = toMillis(date);
+  if (millis === null) return '';
+
+  const value = new Date(millis);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` +
+    `T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
+
+/**
+ * Read a datetime-local input value as a date in this device's time zone
+ * @param {string} value - 'YYYY-MM-DDTHH:mm'
+ * @returns {Date|null} Date, or null when the value is incomplete or invalid
+ */
+export const parseDateTimeInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+  // Reject values the Date constructor rolled over, e.g. 31 February
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Value of a date input for a date, in this device's time zone
+ * @param {*} date - Date
+ * @returns {string} 'YYYY-MM-DD', or '' when the date is unknown
+ */
+export const toDateInputValue = (date) => toDateTimeInputValue(date).slice(0, 10);
+
+/**
+ * Read a date input value as the start (or end) of that day in this device's time zone
+ * @param {string} value - 'YYYY-MM-DD'
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay] - Return the last millisecond of the day instead
+ * @returns {Date|null} Date, or null when the value is incomplete or invalid
+ */
+export const parseDateInput = (value, { endOfDay = false } = {}) => {
+  const date = parseDateTimeInput(`${value || ''}T00:00`);
+  if (date && endOfDay) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Sort matches by date, newest first; matches without a date go last. Matches on the
+ * same instant keep the order they were recorded in (newest first).
+ * @param {Array} matches - Matches
+ * @returns {Array} Sorted copy
+ */
+export const sortByMatchDate = (matches) => [...matches].sort((a, b) =>
+  ((toMillis(b.date) ?? -Infinity) - (toMillis(a.date) ?? -Infinity)) ||
+  ((toMillis(b.createdAt) ?? 0) - (toMillis(a.createdAt) ?? 0)));
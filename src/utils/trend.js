@@ -0,0 +1,227 @@
+/**
+ * Trend detection for performance scores
+ * Requirements: 5.2, 5.4, 4.1 - Performance trend visualization and trend-based suggestions
+ *
+ * Every function takes scores in chronological order (oldest first). The trend is the
+ * slope of a least-squares line through the last TREND_WINDOW scores; it only counts as
+ * improving or declining when the fitted change across the window is at least
+ * MIN_TREND_CHANGE points and a t-test on the slope gives at least MIN_TREND_CONFIDENCE.
+ */
+
+export const TREND_WINDOW = 6;
+export const MIN_TREND_SCORES = 4;
+export const MIN_TREND_CHANGE = 5;
+export const MIN_TREND_CONFIDENCE = 0.8;
+export const PLATEAU_WINDOW = 5;
+export const PLATEAU_RANGE = 6;
+export const EWMA_ALPHA = 0.4;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const shifted = x - 1;
+  const t = shifted + 7.5;
+  const series = coefficients.slice(1).reduce((sum, c, i) => sum + c / (shifted + i + 1), coefficients[0]);
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(series);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Shape parameter
+ * @param {number} b - Shape parameter
+ * @returns {number} Continued fraction value
+ */
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+
+    const odd = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+/**
+ * Regularised incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Shape parameter
+ * @param {number} b - Shape parameter
+ * @returns {number} I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Fit a least-squares line through values at x = 0, 1, 2, ...
+ * @param {Array<number>} values - Values in order
+ * @returns {Object} { slope, intercept, rSquared, standardError } (slope per step;
+ *   standardError is the slope's standard error, null with fewer than 3 values)
+ */
+export const linearRegression = (values) => {
+  const n = values.length;
+  if (n < 2) {
+    return { slope: 0, intercept: values[0] ?? 0, rSquared: 0, standardError: null };
+  }
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  values.forEach((value, x) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (value - meanY);
+    syy += (value - meanY) ** 2;
+  });
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = Math.max(0, syy - slope * sxy);
+
+  return {
+    slope,
+    intercept,
+    rSquared: syy === 0 ? 0 : 1 - residual / syy,
+    standardError: n > 2 ? Math.sqrt(residual / (n - 2) / sxx) : null
+  };
+};
+
+/**
+ * Exponentially-weighted moving average of a series
+ * @param {Array<number>} values - Values in order
+ * @param {number} [alpha] - Weight of the newest value (0-1)
+ * @returns {Array<number>} Smoothed series, same length as values
+ */
+export const calculateEwma = (values, alpha = EWMA_ALPHA) =>
+  values.reduce((series, value, index) => {
+    series.push(index === 0 ? value : alpha * value + (1 - alpha) * series[index - 1]);
+    return series;
+  }, []);
+
+/**
+ * Confidence that a series has a real (non-zero) slope: 1 minus the two-sided
+ * p-value of a t-test on the regression slope
+ * @param {Array<number>} values - Values in order
+ * @returns {number} Confidence (0-1); 0 with fewer than 3 values
+ */
+export const calculateTrendConfidence = (values) => {
+  const { slope, standardError } = linearRegression(values);
+  if (standardError === null || slope === 0) {
+    return 0;
+  }
+  if (standardError === 0) {
+    return 1;
+  }
+
+  const degreesOfFreedom = values.length - 2;
+  const t = slope / standardError;
+  const pValue = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+  return Math.min(1, Math.max(0, 1 - pValue));
+};
+
+/**
+ * Find the run of consecutive rises or falls that ends with the latest value
+ * @param {Array<number>} values - Values in order
+ * @returns {Object} { direction: 'up' | 'down' | null, length } where length counts the changes
+ */
+export const detectStreak = (values) => {
+  let direction = null;
+  let length = 0;
+
+  for (let index = values.length - 1; index > 0; index--) {
+    const change = values[index] - values[index - 1];
+    const step = change > 0 ? 'up' : change < 0 ? 'down' : null;
+    if (step === null || (direction !== null && step !== direction)) break;
+    direction = step;
+    length += 1;
+  }
+
+  return { direction, length };
+};
+
+/**
+ * Check whether the latest values sit on a plateau: PLATEAU_WINDOW values within
+ * PLATEAU_RANGE points of each other
+ * @param {Array<number>} values - Values in order
+ * @returns {boolean} Whether the series has plateaued
+ */
+export const detectPlateau = (values) => {
+  if (values.length < PLATEAU_WINDOW) {
+    return false;
+  }
+  const recent = values.slice(-PLATEAU_WINDOW);
+  return Math.max(...recent) - Math.min(...recent) <= PLATEAU_RANGE;
+};
+
+/**
+ * Analyse the trend of a score series
+ * @param {Array<number>} scores - Scores in chronological order (oldest first);
+ *   non-numeric entries are ignored
+ * @returns {Object} {
+ *   direction,   // 'improving', 'declining' or 'stable'
+ *   slope,       // points per match over the last TREND_WINDOW scores
+ *   change,      // fitted change across that window
+ *   confidence,  // 0-1, see calculateTrendConfidence
+ *   ewma,        // latest exponentially-weighted average
+ *   plateau,     // see detectPlateau
+ *   streak,      // see detectStreak
+ *   sampleSize   // scores in the window
+ * }
+ */
+export const analyzeTrend = (scores = []) => {
+  const series = (scores || []).filter(score => typeof score === 'number' && Number.isFinite(score));
+  const window = series.slice(-TREND_WINDOW);
+  const { slope } = linearRegression(window);
+  const change = slope * Math.max(0, window.length - 1);
+  const confidence = calculateTrendConfidence(window);
+
+  let direction = 'stable';
+  if (window.length >= MIN_TREND_SCORES && confidence >= MIN_TREND_CONFIDENCE && Math.abs(change) >= MIN_TREND_CHANGE) {
+    direction = change > 0 ? 'improving' : 'declining';
+  }
+
+  const ewma = calculateEwma(series);
+  return {
+    direction,
+    slope: round2(slope),
+    change: round2(change),
+    confidence: round2(confidence),
+    ewma: ewma.length > 0 ? round2(ewma[ewma.length - 1]) : null,
+    plateau: direction === 'stable' && detectPlateau(series),
+    streak: detectStreak(series),
+    sampleSize: window.length
+  };
+};
@@ -1,5 +1,12 @@
 // Validation utilities
 
+import { getMatchFormat, getPlayingRole, getSport, isSupportedSport } from '../sports/index.js';
+import { resolveScoringProfile, SCORING_PROFILE_SECTIONS } from '../sports/scoringProfile.js';
+import { MATCH_RESULTS, MATCH_VENUES, MAX_DIFFICULTY_WEIGHT, OPPONENT_STRENGTHS } from '../sports/matchContext.js';
+import { getExpressionNames, RULE_COMPARATORS } from '../sports/suggestionRules.js';
+import { isValidTimeZone, toMillis } from './matchDate.js';
+import { GOAL_AGGREGATIONS, GOAL_COMPARATORS, MAX_GOAL_MATCHES } from '../models/matchData.js';
+
 export const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
@@ -19,113 +26,173 @@ export const validateNumeric = (value, min = 0, max = Infinity) => {
   return !isNaN(num) && num >= min && num <= max;
 };
 
-// Sport-specific parameter validation
-export const validateCricketParams = (params) => {
+// Validate parameters against a sport parameter schema
+export const validateParametersAgainstSchema = (schema, labels = {}, params = {}) => {
   const errors = {};
-  
-  if (!validateNumeric(params.runsScored, 0, 500)) {
-    errors.runsScored = 'Runs scored must be between 0 and 500';
-  }
-  
-  if (!validateNumeric(params.ballsFaced, 0, 600)) {
-    errors.ballsFaced = 'Balls faced must be between 0 and 600';
-  }
-  
-  if (!validateNumeric(params.wicketsTaken, 0, 10)) {
-    errors.wicketsTaken = 'Wickets taken must be between 0 and 10';
-  }
-  
-  if (!validateNumeric(params.catches, 0, 20)) {
-    errors.catches = 'Catches must be between 0 and 20';
-  }
-  
-  if (!validateNumeric(params.oversBowled, 0, 50)) {
-    errors.oversBowled = 'Overs bowled must be between 0 and 50';
-  }
-  
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    const value = params[field];
+    const label = labels[field] || field;
+
+    if (value === undefined || value === null || value === '') {
+      if (rules.required) {
+        errors[field] = `${label} is required`;
+      }
+      return;
+    }
+
+    // Yes/no fields; matches saved before a field became one store it as 0 or 1
+    if (rules.type === 'boolean') {
+      if (![true, false, 0, 1].includes(value)) {
+        errors[field] = `${label} must be yes or no`;
+      }
+      return;
+    }
+
+    if (!validateNumeric(value, rules.min, rules.max)) {
+      errors[field] = `${label} must be between ${rules.min} and ${rules.max}`;
+    }
+  });
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors
   };
 };
 
-export const validateFootballParams = (params) => {
+// Cross-field checks declared by a sport definition; the first failing
+// constraint for a field wins. `context` carries match details such as the
+// match format for constraints that depend on them.
+export const validateParameterConstraints = (constraints = [], params = {}, context = {}) => {
   const errors = {};
-  
-  if (!validateNumeric(params.goalsScored, 0, 20)) {
-    errors.goalsScored = 'Goals scored must be between 0 and 20';
-  }
-  
-  if (!validateNumeric(params.assists, 0, 20)) {
-    errors.assists = 'Assists must be between 0 and 20';
-  }
-  
-  if (!validateNumeric(params.passesCompleted, 0, 200)) {
-    errors.passesCompleted = 'Passes completed must be between 0 and 200';
-  }
-  
-  if (!validateNumeric(params.tacklesMade, 0, 50)) {
-    errors.tacklesMade = 'Tackles made must be between 0 and 50';
-  }
-  
-  if (!validateNumeric(params.minutesPlayed, 0, 120)) {
-    errors.minutesPlayed = 'Minutes played must be between 0 and 120';
-  }
-  
+
+  constraints.forEach(constraint => {
+    if (constraint.check(params, context)) {
+      return;
+    }
+    constraint.fields.forEach(field => {
+      if (!errors[field]) {
+        errors[field] = constraint.message;
+      }
+    });
+  });
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors
   };
 };
 
-export const validateBasketballParams = (params) => {
+// Generic sport parameter validation using the registered sport schema
+export const validateSportParameters = (sport, parameters, context = {}) => {
+  const definition = getSport(sport);
+  if (!definition) {
+    return {
+      isValid: false,
+      errors: { sport: 'Invalid sport type' }
+    };
+  }
+
+  // Sports whose parameters changed shape keep validating existing match documents
+  // against the shape they were saved with
+  const format = definition.legacyParameters?.matches(parameters || {})
+    ? definition.legacyParameters
+    : definition;
+
+  const schemaValidation = validateParametersAgainstSchema(
+    format.parameterSchema,
+    format.parameterLabels,
+    parameters || {}
+  );
+
+  // Cross-field constraints only make sense once every value is in range
+  if (!schemaValidation.isValid) {
+    return schemaValidation;
+  }
+
+  const numericParameters = Object.fromEntries(
+    Object.entries({ ...format.defaultParameters, ...parameters })
+      .map(([field, value]) => [field, Number(value)])
+  );
+
+  return validateParameterConstraints(format.parameterConstraints, numericParameters, context);
+};
+
+// Match format validation; custom formats must give their length in overs
+export const validateMatchFormat = (sport, matchFormat) => {
+  const format = getMatchFormat(sport, matchFormat?.id);
+  if (!format) {
+    return { isValid: false, error: 'Invalid match format for this sport' };
+  }
+
+  if (format.customOvers) {
+    const { min, max } = format.customOvers;
+    if (!Number.isInteger(Number(matchFormat.overs)) || !validateNumeric(matchFormat.overs, min, max)) {
+      return { isValid: false, error: `Custom format overs must be between ${min} and ${max}` };
+    }
+  }
+
+  return { isValid: true, error: null };
+};
+
+// Match context validation; every field is optional
+export const validateMatchContext = (matchContext) => {
   const errors = {};
-  
-  if (!validateNumeric(params.pointsScored, 0, 100)) {
-    errors.pointsScored = 'Points scored must be between 0 and 100';
+
+  if (typeof matchContext !== 'object' || Array.isArray(matchContext)) {
+    return { isValid: false, errors: { matchContext: 'Match context must be an object' } };
   }
-  
-  if (!validateNumeric(params.rebounds, 0, 50)) {
-    errors.rebounds = 'Rebounds must be between 0 and 50';
+
+  const { opponent, venue, competition, result, opponentStrength } = matchContext;
+
+  if (opponent && (typeof opponent !== 'string' || opponent.length > 100)) {
+    errors.opponent = 'Opponent must be text of at most 100 characters';
+  }
+  if (competition && (typeof competition !== 'string' || competition.length > 100)) {
+    errors.competition = 'Competition must be text of at most 100 characters';
   }
-  
-  if (!validateNumeric(params.assists, 0, 30)) {
-    errors.assists = 'Assists must be between 0 and 30';
+  if (venue && !MATCH_VENUES.some(v => v.id === venue)) {
+    errors.venue = 'Venue must be home, away or neutral';
   }
-  
-  if (!validateNumeric(params.steals, 0, 20)) {
-    errors.steals = 'Steals must be between 0 and 20';
+  if (result && !MATCH_RESULTS.some(r => r.id === result)) {
+    errors.result = 'Result must be win, draw or loss';
   }
-  
-  if (!validateNumeric(params.minutesPlayed, 0, 48)) {
-    errors.minutesPlayed = 'Minutes played must be between 0 and 48';
+  if (opponentStrength !== null && opponentStrength !== undefined &&
+    !OPPONENT_STRENGTHS.some(s => s.id === opponentStrength)) {
+    errors.opponentStrength = `Opponent strength must be a whole number from 1 to ${OPPONENT_STRENGTHS.length}`;
   }
-  
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors
   };
 };
 
-// Generic sport parameter validation using schema
-export const validateSportParameters = (sport, parameters) => {
-  const validators = {
-    cricket: validateCricketParams,
-    football: validateFootballParams,
-    basketball: validateBasketballParams
-  };
-
-  const validator = validators[sport];
-  if (!validator) {
-    return {
-      isValid: false,
-      errors: { sport: 'Invalid sport type' }
-    };
+// Match date check (a Date, string or stored Firestore Timestamp); returns the error, if any
+const validateMatchDate = (date, allowFuture = false) => {
+  if (!date) {
+    return 'Match date is required';
   }
-
-  return validator(parameters);
+  const matchMillis = toMillis(date);
+  if (matchMillis === null) {
+    return 'Invalid date format';
+  }
+  return !allowFuture && matchMillis > Date.now() ? 'Match date cannot be in the future' : null;
 };
 
+// Sport-specific parameter validation
+export const validateCricketParams = (params) => validateSportParameters('cricket', params);
+
+export const validateFootballParams = (params) => validateSportParameters('football', params);
+
+export const validateBasketballParams = (params) => validateSportParameters('basketball', params);
+
+export const validateVolleyballParams = (params) => validateSportParameters('volleyball', params);
+
+export const validateHockeyParams = (params) => validateSportParameters('hockey', params);
+
+export const validateTennisParams = (params) => validateSportParameters('tennis', params);
+
 // Match data validation
 export const validateMatchData = (matchData) => {
   const errors = {};
@@ -141,31 +208,47 @@ export const validateMatchData = (matchData) => {
 
   if (!validateRequired(matchData.sport)) {
     errors.sport = 'Sport is required';
-  } else if (!['cricket', 'football', 'basketball'].includes(matchData.sport)) {
+  } else if (!isSupportedSport(matchData.sport)) {
     errors.sport = 'Invalid sport type';
+  } else {
+    if (matchData.playingRole && !getPlayingRole(matchData.sport, matchData.playingRole)) {
+      errors.playingRole = 'Invalid playing role for this sport';
+    }
+    if (matchData.matchFormat) {
+      const formatValidation = validateMatchFormat(matchData.sport, matchData.matchFormat);
+      if (!formatValidation.isValid) {
+        errors.matchFormat = formatValidation.error;
+      }
+    }
+  }
+
+  if (matchData.matchContext) {
+    const contextValidation = validateMatchContext(matchData.matchContext);
+    if (!contextValidation.isValid) {
+      errors.matchContext = Object.values(contextValidation.errors).join(', ');
+    }
   }
 
   if (!matchData.parameters || typeof matchData.parameters !== 'object') {
     errors.parameters = 'Parameters are required';
   } else {
     // Validate sport-specific parameters
-    const paramValidation = validateSportParameters(matchData.sport, matchData.parameters);
+    const paramValidation = validateSportParameters(matchData.sport, matchData.parameters, {
+      playingRole: matchData.playingRole || null,
+      matchFormat: matchData.matchFormat || null
+    });
     if (!paramValidation.isValid) {
       errors.parameters = paramValidation.errors;
     }
   }
 
-  // Validate date
-  if (!matchData.date) {
-    errors.date = 'Match date is required';
-  } else {
-    const matchDate = new Date(matchData.date);
-    const now = new Date();
-    if (isNaN(matchDate.getTime())) {
-      errors.date = 'Invalid date format';
-    } else if (matchDate > now) {
-      errors.date = 'Match date cannot be in the future';
-    }
+  const dateError = validateMatchDate(matchData.date);
+  if (dateError) {
+    errors.date = dateError;
+  }
+
+  if (matchData.timeZone && !isValidTimeZone(matchData.timeZone)) {
+    errors.timeZone = 'Unknown time zone';
   }
 
   // Validate calculated score if provided
@@ -181,6 +264,75 @@ export const validateMatchData = (matchData) => {
   };
 };
 
+// Fixture validation (see createFixture); the opponent is required. A fixture can be
+// scheduled ahead (allowFuture), but matches can only be entered for one already played.
+export const validateFixture = (fixture, { allowFuture = false } = {}) => {
+  const errors = {};
+
+  if (!validateRequired(fixture.coachId)) {
+    errors.coachId = 'Coach ID is required';
+  }
+
+  if (!validateRequired(fixture.sport)) {
+    errors.sport = 'Sport is required';
+  } else if (!isSupportedSport(fixture.sport)) {
+    errors.sport = 'Invalid sport type';
+  } else if (fixture.matchFormat) {
+    const formatValidation = validateMatchFormat(fixture.sport, fixture.matchFormat);
+    if (!formatValidation.isValid) {
+      errors.matchFormat = formatValidation.error;
+    }
+  }
+
+  if (!validateRequired(fixture.opponent)) {
+    errors.opponent = 'Opponent is required';
+  }
+  Object.assign(errors, validateMatchContext(fixture).errors);
+
+  const dateError = validateMatchDate(fixture.date, allowFuture);
+  if (dateError) {
+    errors.date = dateError;
+  }
+  if (fixture.timeZone && !isValidTimeZone(fixture.timeZone)) {
+    errors.timeZone = 'Unknown time zone';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+// Season validation (see createSeason)
+export const validateSeason = (season) => {
+  const errors = {};
+
+  if (!validateRequired(season.coachId)) {
+    errors.coachId = 'Coach ID is required';
+  }
+  if (!validateRequired(season.name)) {
+    errors.name = 'Season name is required';
+  } else if (season.name.length > 100) {
+    errors.name = 'Season name must be at most 100 characters';
+  }
+
+  const start = toMillis(season.startDate);
+  const end = toMillis(season.endDate);
+  if (start === null) {
+    errors.startDate = 'Start date is required';
+  }
+  if (end === null) {
+    errors.endDate = 'End date is required';
+  } else if (start !== null && end < start) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
 // Player data validation
 export const validatePlayerData = (playerData) => {
   const errors = {};
@@ -195,8 +347,10 @@ export const validatePlayerData = (playerData) => {
 
   if (!validateRequired(playerData.sport)) {
     errors.sport = 'Sport is required';
-  } else if (!['cricket', 'football', 'basketball'].includes(playerData.sport)) {
+  } else if (!isSupportedSport(playerData.sport)) {
     errors.sport = 'Invalid sport type';
+  } else if (playerData.playingRole && !getPlayingRole(playerData.sport, playerData.playingRole)) {
+    errors.playingRole = 'Invalid playing role for this sport';
   }
 
   if (!validateRequired(playerData.coachId)) {
@@ -253,6 +407,185 @@ export const validateSuggestion = (suggestion) => {
   };
 };
 
+// Scoring profile validation. Only keys present in the sport's default profile
+// may be overridden; weights are fractions, caps and baselines must be positive.
+// The optional difficultyWeight scales scores by opponent strength (0 = off).
+export const validateScoringProfile = (sport, profile) => {
+  const definition = getSport(sport);
+  if (!definition || !definition.scoringProfile) {
+    return {
+      isValid: false,
+      errors: { sport: 'Sport does not support scoring profiles' }
+    };
+  }
+
+  const errors = {};
+
+  const difficultyWeight = profile?.difficultyWeight;
+  if (difficultyWeight !== undefined && difficultyWeight !== null &&
+    (typeof difficultyWeight !== 'number' || !(difficultyWeight >= 0 && difficultyWeight <= MAX_DIFFICULTY_WEIGHT))) {
+    errors.difficultyWeight = `difficultyWeight must be a number between 0 and ${MAX_DIFFICULTY_WEIGHT}`;
+  }
+
+  SCORING_PROFILE_SECTIONS.forEach(section => {
+    const defaults = definition.scoringProfile[section] || {};
+
+    Object.entries(profile?.[section] || {}).forEach(([key, value]) => {
+      const field = `${section}.${key}`;
+
+      if (!(key in defaults)) {
+        errors[field] = `Unknown ${section} setting: ${key}`;
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors[field] = `${field} must be a number`;
+      } else if (section === 'weights' && (value < 0 || value > 1)) {
+        errors[field] = `${field} must be between 0 and 1`;
+      } else if (section !== 'weights' && value <= 0) {
+        errors[field] = `${field} must be greater than 0`;
+      }
+    });
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return { isValid: false, errors };
+  }
+
+  return validateParameterConstraints(
+    definition.scoringProfileConstraints,
+    resolveScoringProfile(definition.scoringProfile, profile)
+  );
+};
+
+// Names a suggestion rule expression may use for a sport: its parameters (including
+// legacy ones), its rule metrics and the match score
+export const getRuleNames = (sport) => {
+  const definition = getSport(sport);
+  if (!definition) return [];
+  return [...new Set([
+    ...Object.keys(definition.parameterSchema),
+    ...Object.keys(definition.legacyParameters?.parameterSchema || {}),
+    ...Object.keys(definition.ruleMetrics || {}),
+    'score'
+  ])];
+};
+
+// Check a rule expression (a number or a formula over the sport's names)
+const validateRuleExpression = (expression, names, label) => {
+  if (typeof expression === 'number') {
+    return Number.isFinite(expression) ? null : `${label} must be a finite number`;
+  }
+  if (!validateRequired(expression)) {
+    return `${label} is required`;
+  }
+  try {
+    const unknown = getExpressionNames(expression).filter(name => !names.includes(name));
+    return unknown.length > 0 ? `${label} uses unknown value: ${unknown.join(', ')}` : null;
+  } catch (error) {
+    return `${label} is not a valid expression: ${error.message}`;
+  }
+};
+
+// Check a rule condition ({ metric, comparator, threshold } or { any: [conditions] }).
+// Errors are keyed by the condition's path, e.g. 'conditions.0.threshold'.
+const validateRuleCondition = (condition, names, path, errors) => {
+  const key = (name) => (path ? `${path}.${name}` : name);
+
+  if (Array.isArray(condition?.any)) {
+    if (condition.any.length === 0) {
+      errors[key('any')] = 'A group of alternatives needs at least one condition';
+    }
+    condition.any.forEach((inner, index) => validateRuleCondition(inner, names, key(`any.${index}`), errors));
+    return;
+  }
+
+  const metricError = validateRuleExpression(condition?.metric, names, 'Metric');
+  const thresholdError = validateRuleExpression(condition?.threshold, names, 'Threshold');
+  if (metricError) errors[key('metric')] = metricError;
+  if (!RULE_COMPARATORS.includes(condition?.comparator)) errors[key('comparator')] = 'Invalid comparator';
+  if (thresholdError) errors[key('threshold')] = thresholdError;
+};
+
+// Suggestion rule validation. A rule with the id of one of the sport's default rules
+// only needs the fields it overrides; the merged rule is validated.
+export const validateSuggestionRule = (sport, rule) => {
+  const definition = getSport(sport);
+  if (!definition) {
+    return { isValid: false, errors: { sport: 'Unsupported sport' } };
+  }
+
+  const errors = {};
+  if (!validateRequired(rule?.id)) {
+    return { isValid: false, errors: { id: 'Rule id is required' } };
+  }
+
+  const defaultRule = definition.suggestionRules.find(candidate => candidate.id === rule.id);
+  const merged = { ...(defaultRule || {}), ...rule };
+  const names = getRuleNames(sport);
+
+  if (!['rest', 'training', 'technique', 'general'].includes(merged.type)) {
+    errors.type = 'Invalid suggestion type';
+  }
+  if (!['high', 'medium', 'low'].includes(merged.priority)) {
+    errors.priority = 'Invalid priority level';
+  }
+  if (!validateRequired(merged.message)) {
+    errors.message = 'Suggestion message is required';
+  }
+  if (typeof merged.when !== 'function') {
+    validateRuleCondition(merged, names, '', errors);
+  }
+  if (merged.conditions !== undefined && !Array.isArray(merged.conditions)) {
+    errors.conditions = 'Conditions must be a list';
+  } else {
+    (merged.conditions || []).forEach((condition, index) =>
+      validateRuleCondition(condition, names, `conditions.${index}`, errors));
+  }
+  ['roles', 'excludeRoles'].forEach(field => {
+    const invalid = (merged[field] || []).filter(role => !getPlayingRole(sport, role));
+    if (invalid.length > 0) {
+      errors[field] = `Unknown playing role: ${invalid.join(', ')}`;
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+// Goal validation: the metric is a rule expression over the sport's names
+export const validateGoal = (goal) => {
+  const errors = {};
+
+  if (!validateRequired(goal?.playerId)) {
+    errors.playerId = 'Player is required';
+  }
+  if (!isSupportedSport(goal?.sport)) {
+    return { isValid: false, errors: { ...errors, sport: 'Unsupported sport' } };
+  }
+
+  const metricError = validateRuleExpression(goal.metric, getRuleNames(goal.sport), 'Metric');
+  if (metricError) {
+    errors.metric = metricError;
+  }
+  if (!GOAL_COMPARATORS.includes(goal.comparator)) {
+    errors.comparator = 'Comparator must be >= or <=';
+  }
+  if (typeof goal.target !== 'number' || !Number.isFinite(goal.target)) {
+    errors.target = 'Target must be a number';
+  }
+  if (!GOAL_AGGREGATIONS.includes(goal.aggregation)) {
+    errors.aggregation = 'Invalid goal type';
+  }
+  if (!Number.isInteger(goal.matchCount) || goal.matchCount < 1 || goal.matchCount > MAX_GOAL_MATCHES) {
+    errors.matchCount = `Number of matches must be between 1 and ${MAX_GOAL_MATCHES}`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
 // Batch validation for multiple items
 export const validateMatchDataBatch = (matchDataArray) => {
   const results = [];